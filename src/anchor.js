@@ -90,6 +90,17 @@ _.extend(Anchor, {
 
   },
 
+  /**
+   * @name Two.Anchor.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Anchor#toObject}.
+   * @returns {Two.Anchor}
+   * @description Create an anchor from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+    return new Anchor().copy(object);
+  },
+
   /**
    * @name Two.Anchor.MakeObservable
    * @function
@@ -273,15 +284,20 @@ var AnchorProto = {
     if (this._command) {
       o.command = this._command;
     }
-    if (this._relative) {
-      o.relative = this._relative;
-    }
+    o.relative = this._relative;
     if (this.controls) {
       o.controls = {
         left: this.controls.left.toObject(),
         right: this.controls.right.toObject()
       };
     }
+    if (this._command === Commands.arc) {
+      o.rx = this.rx;
+      o.ry = this.ry;
+      o.xAxisRotation = this.xAxisRotation;
+      o.largeArcFlag = this.largeArcFlag;
+      o.sweepFlag = this.sweepFlag;
+    }
     return o;
   },
 
@@ -18,7 +18,8 @@ var Constants = {
   Types: {
     webgl: 'WebGLRenderer',
     svg: 'SVGRenderer',
-    canvas: 'CanvasRenderer'
+    canvas: 'CanvasRenderer',
+    svgstring: 'SVGStringRenderer'
   },
 
   /**
@@ -33,6 +34,12 @@ var Constants = {
    */
   PublishDate: '<%= publishDate %>',
 
+  /**
+   * @name Two.SceneVersion
+   * @property {Number} - The version of the JSON scene format written by {@link Two#toObject} and read by {@link Two.fromObject}. Incremented whenever the format changes in a way older versions of the library can't read.
+   */
+  SceneVersion: 1,
+
   /**
    * @name Two.Identifier
    * @property {String} - String prefix for all Two.js object's ids. This trickles down to SVG ids.
@@ -70,3 +77,14 @@ var Constants = {
 };
 
 export default Constants;
+
+/**
+ * @private
+ * @param {Number} id - A number already in use as an id, e.g: read from a stored scene.
+ * @description Make sure {@link Two.uniqueId} doesn't return `id`, or anything below it, again.
+ */
+function reserveId(id) {
+  count = Math.max(count, id + 1);
+}
+
+export { reserveId };
@@ -0,0 +1,155 @@
+import Events from '../events.js';
+import _ from '../utils/underscore.js';
+import { Types, copyId } from '../utils/from-object.js';
+
+import Constants from '../constants.js';
+
+/**
+ * @name Two.Filter
+ * @class
+ * @description This is the base class for the image effects that can be applied to {@link Two.Shape}s through {@link Two.Shape#filters}. The effects available are {@link Two.Filters.Blur}, {@link Two.Filters.DropShadow}, and {@link Two.Filters.ColorMatrix}.
+ * @nota-bene A shape's filters are applied in order, each one to the result of the previous one. One filter can be shared by many shapes.
+ */
+function Filter() {
+
+  /**
+   * @name Two.Filter#renderer
+   * @property {Object}
+   * @description Object access to store relevant renderer specific variables. Warning: manipulating this object can create unintended consequences.
+   */
+  this.renderer = {};
+  this._renderer.type = 'filter';
+
+  // How many times the filter has changed. One filter can be shared
+  // by many shapes, so each one compares this with what it drew last.
+  this._renderer.version = 0;
+
+  /**
+   * @name Two.Filter#id
+   * @property {String} - Session specific unique identifier.
+   */
+  this.id = Constants.Identifier + Constants.uniqueId();
+
+}
+
+_.extend(Filter, {
+
+  /**
+   * @name Two.Filter.Properties
+   * @property {String[]} - A list of properties that are on every {@link Two.Filter}.
+   */
+  Properties: [],
+
+  /**
+   * @name Two.Filter.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Filter#toObject}.
+   * @returns {Two.Filter}
+   * @description Create a filter from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+
+    var filter = new Filter();
+
+    copyId(filter, object);
+
+    return filter;
+
+  },
+
+  /**
+   * @name Two.Filter.MakeObservable
+   * @function
+   * @param {Object} object - The object to make observable.
+   * @description Convenience function to apply observable qualities of a {@link Two.Filter} to any object. Handy if you'd like to extend the {@link Two.Filter} class on a custom class.
+   */
+  MakeObservable: function(object) {
+
+    Object.defineProperty(object, 'renderer', {
+
+      enumerable: false,
+
+      get: function() {
+        return this._renderer;
+      },
+
+      set: function(obj) {
+        this._renderer = obj;
+      }
+
+    });
+
+    Object.defineProperty(object, 'id', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._id;
+      },
+
+      set: function(v) {
+        this._id = v;
+      }
+
+    });
+
+  }
+
+});
+
+_.extend(Filter.prototype, Events, {
+
+  constructor: Filter,
+
+  _id: '',
+
+  /**
+   * @name Two.Filter#clone
+   * @function
+   * @returns {Two.Filter}
+   * @description Create a new instance of {@link Two.Filter} with the same properties of the current filter.
+   */
+  clone: function() {
+    return new Filter();
+  },
+
+  /**
+   * @name Two.Filter#toObject
+   * @function
+   * @returns {Object}
+   * @description Return a JSON compatible plain object that represents the filter.
+   */
+  toObject: function() {
+    return {
+      type: 'filter',
+      id: this.id
+    };
+  },
+
+  /**
+   * @name Two.Filter#_update
+   * @function
+   * @private
+   * @description This is called before rendering happens by the renderer. Filters count their changes in `renderer.version` for the shapes they're applied to to compare against.
+   * @nota-bene Try not to call this method more than once a frame.
+   */
+  _update: function() {
+    return this;
+  },
+
+  /**
+   * @name Two.Filter#flagReset
+   * @function
+   * @private
+   * @description Called internally to reset all flags. Ensures that only properties that change are updated before being sent to the renderer.
+   */
+  flagReset: function() {
+    return this;
+  }
+
+});
+
+Filter.MakeObservable(Filter.prototype);
+Types.add('filter', Filter);
+
+export default Filter;
@@ -0,0 +1,149 @@
+import Events from '../../events.js';
+import defineGetterSetter from '../../utils/get-set.js';
+import _ from '../../utils/underscore.js';
+import { Types, copyId } from '../../utils/from-object.js';
+
+import Filter from '../filter.js';
+
+/**
+ * @name Two.Filters.Blur
+ * @class
+ * @extends Two.Filter
+ * @param {Number} [radius=0] - The amount of blur.
+ * @description A Gaussian blur, like the CSS `blur()` filter function.
+ */
+function Blur(radius) {
+
+  Filter.call(this);
+
+  this._renderer.type = 'blur';
+
+  /**
+   * @name Two.Filters.Blur#radius
+   * @property {Number} - The standard deviation of the Gaussian blur in the coordinate space of the shape the filter is applied to.
+   */
+  this.radius = typeof radius === 'number' ? radius : 0;
+
+}
+
+_.extend(Blur, {
+
+  /**
+   * @name Two.Filters.Blur.Properties
+   * @property {String[]} - A list of properties that are on every {@link Two.Filters.Blur}.
+   */
+  Properties: ['radius'],
+
+  /**
+   * @name Two.Filters.Blur.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Filters.Blur#toObject}.
+   * @returns {Two.Filters.Blur}
+   * @description Create a blur filter from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+
+    var filter = new Blur(object.radius);
+
+    copyId(filter, object);
+
+    return filter;
+
+  },
+
+  /**
+   * @name Two.Filters.Blur.MakeObservable
+   * @function
+   * @param {Object} object - The object to make observable.
+   * @description Convenience function to apply observable qualities of a {@link Two.Filters.Blur} to any object. Handy if you'd like to extend the {@link Two.Filters.Blur} class on a custom class.
+   */
+  MakeObservable: function(object) {
+    Filter.MakeObservable(object);
+    _.each(Blur.Properties, defineGetterSetter, object);
+  }
+
+});
+
+_.extend(Blur.prototype, Filter.prototype, {
+
+  constructor: Blur,
+
+  /**
+   * @name Two.Filters.Blur#_flagRadius
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Filters.Blur#radius} needs updating.
+   */
+  _flagRadius: false,
+
+  /**
+   * @name Two.Filters.Blur#_radius
+   * @private
+   * @see {@link Two.Filters.Blur#radius}
+   */
+  _radius: 0,
+
+  /**
+   * @name Two.Filters.Blur#clone
+   * @function
+   * @returns {Two.Filters.Blur}
+   * @description Create a new instance of {@link Two.Filters.Blur} with the same properties of the current filter.
+   */
+  clone: function() {
+    return new Blur(this.radius);
+  },
+
+  /**
+   * @name Two.Filters.Blur#toObject
+   * @function
+   * @returns {Object}
+   * @description Return a JSON compatible plain object that represents the filter.
+   */
+  toObject: function() {
+
+    var result = Filter.prototype.toObject.call(this);
+
+    result.type = 'blur';
+    result.radius = this.radius;
+
+    return result;
+
+  },
+
+  /**
+   * @name Two.Filters.Blur#_update
+   * @function
+   * @private
+   * @description This is called before rendering happens by the renderer. Counts changes to the radius, see {@link Two.Filter#_update}.
+   * @nota-bene Try not to call this method more than once a frame.
+   */
+  _update: function() {
+
+    if (this._flagRadius) {
+      this._renderer.version++;
+      this.trigger(Events.Types.change);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Filters.Blur#flagReset
+   * @function
+   * @private
+   * @description Called internally to reset all flags. Ensures that only properties that change are updated before being sent to the renderer.
+   */
+  flagReset: function() {
+
+    this._flagRadius = false;
+
+    return this;
+
+  }
+
+});
+
+Blur.MakeObservable(Blur.prototype);
+Types.add('blur', Blur);
+
+export default Blur;
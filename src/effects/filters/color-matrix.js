@@ -0,0 +1,162 @@
+import Events from '../../events.js';
+import defineGetterSetter from '../../utils/get-set.js';
+import _ from '../../utils/underscore.js';
+import { Types, copyId } from '../../utils/from-object.js';
+
+import Filter from '../filter.js';
+
+/**
+ * @name Two.Filters.ColorMatrix
+ * @class
+ * @extends Two.Filter
+ * @param {Number[]} [values] - The 20 values of the matrix. Defaults to {@link Two.Filters.ColorMatrix.Identity}.
+ * @description Transform the colors of a shape with a 4 by 5 matrix, like the SVG `<feColorMatrix />` filter primitive. Each row computes one of the red, green, blue, and alpha channels from the others: `r' = m[0] * r + m[1] * g + m[2] * b + m[3] * a + m[4]`.
+ * @nota-bene The values of each channel are from zero to one and not multiplied with alpha.
+ */
+function ColorMatrix(values) {
+
+  Filter.call(this);
+
+  this._renderer.type = 'color-matrix';
+
+  /**
+   * @name Two.Filters.ColorMatrix#values
+   * @property {Number[]} - The 20 values of the matrix, row by row.
+   * @nota-bene Assign a new list for the change to be rendered.
+   */
+  this.values = (values || ColorMatrix.Identity).slice(0);
+
+}
+
+_.extend(ColorMatrix, {
+
+  /**
+   * @name Two.Filters.ColorMatrix.Identity
+   * @property {Number[]} - The matrix that leaves colors as they are.
+   */
+  Identity: [
+    1, 0, 0, 0, 0,
+    0, 1, 0, 0, 0,
+    0, 0, 1, 0, 0,
+    0, 0, 0, 1, 0
+  ],
+
+  /**
+   * @name Two.Filters.ColorMatrix.Properties
+   * @property {String[]} - A list of properties that are on every {@link Two.Filters.ColorMatrix}.
+   */
+  Properties: ['values'],
+
+  /**
+   * @name Two.Filters.ColorMatrix.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Filters.ColorMatrix#toObject}.
+   * @returns {Two.Filters.ColorMatrix}
+   * @description Create a color matrix filter from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+
+    var filter = new ColorMatrix(object.values);
+
+    copyId(filter, object);
+
+    return filter;
+
+  },
+
+  /**
+   * @name Two.Filters.ColorMatrix.MakeObservable
+   * @function
+   * @param {Object} object - The object to make observable.
+   * @description Convenience function to apply observable qualities of a {@link Two.Filters.ColorMatrix} to any object. Handy if you'd like to extend the {@link Two.Filters.ColorMatrix} class on a custom class.
+   */
+  MakeObservable: function(object) {
+    Filter.MakeObservable(object);
+    _.each(ColorMatrix.Properties, defineGetterSetter, object);
+  }
+
+});
+
+_.extend(ColorMatrix.prototype, Filter.prototype, {
+
+  constructor: ColorMatrix,
+
+  /**
+   * @name Two.Filters.ColorMatrix#_flagValues
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Filters.ColorMatrix#values} need updating.
+   */
+  _flagValues: false,
+
+  /**
+   * @name Two.Filters.ColorMatrix#_values
+   * @private
+   * @see {@link Two.Filters.ColorMatrix#values}
+   */
+  _values: null,
+
+  /**
+   * @name Two.Filters.ColorMatrix#clone
+   * @function
+   * @returns {Two.Filters.ColorMatrix}
+   * @description Create a new instance of {@link Two.Filters.ColorMatrix} with the same properties of the current filter.
+   */
+  clone: function() {
+    return new ColorMatrix(this.values);
+  },
+
+  /**
+   * @name Two.Filters.ColorMatrix#toObject
+   * @function
+   * @returns {Object}
+   * @description Return a JSON compatible plain object that represents the filter.
+   */
+  toObject: function() {
+
+    var result = Filter.prototype.toObject.call(this);
+
+    result.type = 'color-matrix';
+    result.values = this.values.slice(0);
+
+    return result;
+
+  },
+
+  /**
+   * @name Two.Filters.ColorMatrix#_update
+   * @function
+   * @private
+   * @description This is called before rendering happens by the renderer. Counts changes to the matrix, see {@link Two.Filter#_update}.
+   * @nota-bene Try not to call this method more than once a frame.
+   */
+  _update: function() {
+
+    if (this._flagValues) {
+      this._renderer.version++;
+      this.trigger(Events.Types.change);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Filters.ColorMatrix#flagReset
+   * @function
+   * @private
+   * @description Called internally to reset all flags. Ensures that only properties that change are updated before being sent to the renderer.
+   */
+  flagReset: function() {
+
+    this._flagValues = false;
+
+    return this;
+
+  }
+
+});
+
+ColorMatrix.MakeObservable(ColorMatrix.prototype);
+Types.add('color-matrix', ColorMatrix);
+
+export default ColorMatrix;
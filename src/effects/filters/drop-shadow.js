@@ -0,0 +1,227 @@
+import Events from '../../events.js';
+import defineGetterSetter from '../../utils/get-set.js';
+import _ from '../../utils/underscore.js';
+import { Types, copyId } from '../../utils/from-object.js';
+
+import Filter from '../filter.js';
+import Vector from '../../vector.js';
+
+/**
+ * @name Two.Filters.DropShadow
+ * @class
+ * @extends Two.Filter
+ * @param {Number} [x=0] - The horizontal offset of the shadow.
+ * @param {Number} [y=0] - The vertical offset of the shadow.
+ * @param {Number} [blur=0] - The amount the shadow is blurred.
+ * @param {String} [color='rgba(0, 0, 0, 0.5)'] - The color of the shadow.
+ * @description A blurred and offset copy of the shape's silhouette drawn behind it, like the CSS `drop-shadow()` filter function.
+ */
+function DropShadow(x, y, blur, color) {
+
+  Filter.call(this);
+
+  this._renderer.type = 'drop-shadow';
+  this._renderer.flagOffset = DropShadow.FlagOffset.bind(this);
+
+  /**
+   * @name Two.Filters.DropShadow#offset
+   * @property {Two.Vector} - How far the shadow is moved in the coordinate space of the shape the filter is applied to.
+   */
+  this.offset = new Vector(
+    typeof x === 'number' ? x : 0,
+    typeof y === 'number' ? y : 0
+  );
+
+  /**
+   * @name Two.Filters.DropShadow#blur
+   * @property {Number} - The standard deviation of the Gaussian blur of the shadow in the coordinate space of the shape the filter is applied to.
+   */
+  this.blur = typeof blur === 'number' ? blur : 0;
+
+  /**
+   * @name Two.Filters.DropShadow#color
+   * @property {String} - The color of the shadow. Its alpha is multiplied with the alpha of the shape.
+   */
+  this.color = typeof color === 'string' ? color : 'rgba(0, 0, 0, 0.5)';
+
+}
+
+_.extend(DropShadow, {
+
+  /**
+   * @name Two.Filters.DropShadow.Properties
+   * @property {String[]} - A list of properties that are on every {@link Two.Filters.DropShadow}.
+   */
+  Properties: ['blur', 'color'],
+
+  /**
+   * @name Two.Filters.DropShadow.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Filters.DropShadow#toObject}.
+   * @returns {Two.Filters.DropShadow}
+   * @description Create a drop shadow filter from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+
+    var offset = object.offset || {};
+    var filter = new DropShadow(offset.x, offset.y, object.blur, object.color);
+
+    copyId(filter, object);
+
+    return filter;
+
+  },
+
+  /**
+   * @name Two.Filters.DropShadow.MakeObservable
+   * @function
+   * @param {Object} object - The object to make observable.
+   * @description Convenience function to apply observable qualities of a {@link Two.Filters.DropShadow} to any object. Handy if you'd like to extend the {@link Two.Filters.DropShadow} class on a custom class.
+   */
+  MakeObservable: function(object) {
+
+    Filter.MakeObservable(object);
+
+    _.each(DropShadow.Properties, defineGetterSetter, object);
+
+    Object.defineProperty(object, 'offset', {
+      enumerable: true,
+      get: function() {
+        return this._offset;
+      },
+      set: function(v) {
+        if (this._offset) {
+          this._offset.unbind(Events.Types.change, this._renderer.flagOffset);
+        }
+        this._offset = v;
+        this._offset.bind(Events.Types.change, this._renderer.flagOffset);
+        this._flagOffset = true;
+      }
+    });
+
+  },
+
+  /**
+   * @name Two.Filters.DropShadow.FlagOffset
+   * @function
+   * @description Cached method to let renderers know the offset has been updated on a {@link Two.Filters.DropShadow}.
+   */
+  FlagOffset: function() {
+    this._flagOffset = true;
+  }
+
+});
+
+_.extend(DropShadow.prototype, Filter.prototype, {
+
+  constructor: DropShadow,
+
+  /**
+   * @name Two.Filters.DropShadow#_flagOffset
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Filters.DropShadow#offset} needs updating.
+   */
+  _flagOffset: false,
+
+  /**
+   * @name Two.Filters.DropShadow#_flagBlur
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Filters.DropShadow#blur} needs updating.
+   */
+  _flagBlur: false,
+
+  /**
+   * @name Two.Filters.DropShadow#_flagColor
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Filters.DropShadow#color} needs updating.
+   */
+  _flagColor: false,
+
+  /**
+   * @name Two.Filters.DropShadow#_offset
+   * @private
+   * @see {@link Two.Filters.DropShadow#offset}
+   */
+  _offset: null,
+
+  /**
+   * @name Two.Filters.DropShadow#_blur
+   * @private
+   * @see {@link Two.Filters.DropShadow#blur}
+   */
+  _blur: 0,
+
+  /**
+   * @name Two.Filters.DropShadow#_color
+   * @private
+   * @see {@link Two.Filters.DropShadow#color}
+   */
+  _color: 'rgba(0, 0, 0, 0.5)',
+
+  /**
+   * @name Two.Filters.DropShadow#clone
+   * @function
+   * @returns {Two.Filters.DropShadow}
+   * @description Create a new instance of {@link Two.Filters.DropShadow} with the same properties of the current filter.
+   */
+  clone: function() {
+    return new DropShadow(this.offset.x, this.offset.y, this.blur, this.color);
+  },
+
+  /**
+   * @name Two.Filters.DropShadow#toObject
+   * @function
+   * @returns {Object}
+   * @description Return a JSON compatible plain object that represents the filter.
+   */
+  toObject: function() {
+
+    var result = Filter.prototype.toObject.call(this);
+
+    result.type = 'drop-shadow';
+    result.offset = this.offset.toObject();
+    result.blur = this.blur;
+    result.color = this.color;
+
+    return result;
+
+  },
+
+  /**
+   * @name Two.Filters.DropShadow#_update
+   * @function
+   * @private
+   * @description This is called before rendering happens by the renderer. Counts changes to the shadow, see {@link Two.Filter#_update}.
+   * @nota-bene Try not to call this method more than once a frame.
+   */
+  _update: function() {
+
+    if (this._flagOffset || this._flagBlur || this._flagColor) {
+      this._renderer.version++;
+      this.trigger(Events.Types.change);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Filters.DropShadow#flagReset
+   * @function
+   * @private
+   * @description Called internally to reset all flags. Ensures that only properties that change are updated before being sent to the renderer.
+   */
+  flagReset: function() {
+
+    this._flagOffset = this._flagBlur = this._flagColor = false;
+
+    return this;
+
+  }
+
+});
+
+DropShadow.MakeObservable(DropShadow.prototype);
+Types.add('drop-shadow', DropShadow);
+
+export default DropShadow;
@@ -2,6 +2,7 @@ import Collection from '../collection.js';
 import Events from '../events.js';
 import defineGetterSetter from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyId, copyProperties } from '../utils/from-object.js';
 
 import Constants from '../constants.js';
 import Stop from './stop.js';
@@ -68,6 +69,23 @@ _.extend(Gradient, {
     'spread'
   ],
 
+  /**
+   * @name Two.Gradient.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Gradient#toObject}.
+   * @returns {Two.Gradient}
+   * @description Create a gradient from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+
+    var gradient = new Gradient(object.stops.map(Stop.fromObject));
+
+    copyId(gradient, object);
+
+    return copyProperties(gradient, object, Gradient.Properties);
+
+  },
+
   /**
    * @name Two.Gradient.MakeObservable
    * @function
@@ -252,6 +270,8 @@ _.extend(Gradient.prototype, Events, {
   toObject: function() {
 
     var result = {
+      type: 'gradient',
+      id: this.id,
       stops: this.stops.map(function(s) {
         return s.toObject();
       })
@@ -300,5 +320,6 @@ _.extend(Gradient.prototype, Events, {
 });
 
 Gradient.MakeObservable(Gradient.prototype);
+Types.add('gradient', Gradient);
 
 export default Gradient;
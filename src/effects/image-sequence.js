@@ -1,8 +1,9 @@
 import Collection from '../collection.js';
 import Events from '../events.js';
-import defineGetterSetter from '../utils/get-set.js';
+import defineGetterSetter, { flagContent } from '../utils/get-set.js';
 import {lerp} from '../utils/math.js';
 import _ from '../utils/underscore.js';
+import { Types, fromObject, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -83,6 +84,40 @@ _.extend(ImageSequence, {
     'index'
   ],
 
+  /**
+   * @name Two.ImageSequence.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.ImageSequence#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.ImageSequence}
+   * @description Create an image sequence from its JSON compatible plain object representation. The sequence isn't played, even if the original was.
+   */
+  fromObject: function(object, effects) {
+
+    effects = effects || {};
+
+    var textures = object.textures.map(function(texture) {
+      return fromObject(texture, effects);
+    });
+    var sequence = new ImageSequence(textures, 0, 0, object.frameRate);
+
+    sequence.index = object.index;
+    sequence._firstFrame = object._firstFrame;
+    sequence._lastFrame = object._lastFrame;
+    sequence._loop = object._loop;
+
+    copyProperties(sequence, object, Rectangle.Properties);
+    if (object.origin) {
+      sequence.origin.copy(object.origin);
+    }
+    copyProperties(sequence, object, Path.Properties, effects);
+
+    copyTransform(sequence, object, effects);
+
+    return sequence._update();
+
+  },
+
   /**
    * @name Two.ImageSequence.DefaultFrameRate
    * @property The default frame rate that {@link Two.ImageSequence#frameRate} is set to when instantiated.
@@ -96,6 +131,7 @@ _.extend(ImageSequence, {
    */
   FlagTextures: function() {
     this._flagTextures = true;
+    flagContent(this);
   },
 
   /**
@@ -397,6 +433,7 @@ _.extend(ImageSequence.prototype, Rectangle.prototype, {
    */
   toObject: function() {
     var object = Rectangle.prototype.toObject.call(this);
+    object.type = 'image-sequence';
     object.textures = this.textures.map(function(texture) {
       return texture.toObject();
     });
@@ -525,5 +562,6 @@ _.extend(ImageSequence.prototype, Rectangle.prototype, {
 });
 
 ImageSequence.MakeObservable(ImageSequence.prototype);
+Types.add('image-sequence', ImageSequence);
 
 export default ImageSequence;
@@ -1,5 +1,6 @@
 import Events from '../events.js';
 import _ from '../utils/underscore.js';
+import { Types, copyId, copyProperties } from '../utils/from-object.js';
 
 import Stop from './stop.js';
 import Gradient from './gradient.js';
@@ -58,6 +59,24 @@ _.extend(LinearGradient, {
    */
   Stop: Stop,
 
+  /**
+   * @name Two.LinearGradient.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.LinearGradient#toObject}.
+   * @returns {Two.LinearGradient}
+   * @description Create a linear gradient from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+
+    var gradient = new LinearGradient(object.left.x, object.left.y,
+      object.right.x, object.right.y, object.stops.map(Stop.fromObject));
+
+    copyId(gradient, object);
+
+    return copyProperties(gradient, object, Gradient.Properties);
+
+  },
+
   /**
    * @name Two.LinearGradient.MakeObservable
    * @function
@@ -128,6 +147,7 @@ _.extend(LinearGradient.prototype, Gradient.prototype, {
 
     var result = Gradient.prototype.toObject.call(this);
 
+    result.type = 'linear-gradient';
     result.left = this.left.toObject();
     result.right = this.right.toObject();
 
@@ -172,5 +192,6 @@ _.extend(LinearGradient.prototype, Gradient.prototype, {
 });
 
 LinearGradient.MakeObservable(LinearGradient.prototype);
+Types.add('linear-gradient', LinearGradient);
 
 export default LinearGradient;
@@ -0,0 +1,511 @@
+import Commands from '../utils/path-commands.js';
+import Events from '../events.js';
+import defineGetterSetter from '../utils/get-set.js';
+import _ from '../utils/underscore.js';
+import { Types, copyId, fromObject } from '../utils/from-object.js';
+
+import Group from '../group.js';
+import Matrix from '../matrix.js';
+import Vector from '../vector.js';
+
+import Constants from '../constants.js';
+
+/**
+ * @name Two.Marker
+ * @class
+ * @param {Two.Shape[]} [objects] - Shapes to draw the marker with. They're added to the marker's {@link Two.Marker#scene}.
+ * @param {(String|Number)} [orient='auto'] - How the marker is rotated at the vertices it's drawn at. See {@link Two.Marker#orient}.
+ * @description A shape drawn at the vertices of paths, like the SVG `<marker />` element. Assign it to the `start`, `mid`, or `end` of a path's {@link Two.Path#markers} to draw arrowheads, dots, and the like that follow the direction of the path. The origin of {@link Two.Marker#scene} is placed on the vertex and its positive x axis points along the path.
+ * @nota-bene Markers are drawn at the vertices of {@link Two.Path#beginning} and {@link Two.Path#ending} trimmed paths too.
+ */
+function Marker(objects, orient) {
+
+  /**
+   * @name Two.Marker#renderer
+   * @property {Object}
+   * @description Object access to store relevant renderer specific variables. Warning: manipulating this object can create unintended consequences.
+   * @nota-bene With the {@link Two.SvgRenderer} you can access the underlying SVG element created via `marker.renderer.elem`.
+   */
+  this.renderer = {};
+  this._renderer.type = 'marker';
+
+  /**
+   * @name Two.Marker#id
+   * @property {String} - Session specific unique identifier.
+   * @nota-bene In the {@link Two.SvgRenderer} change this to change the underlying SVG element's id too.
+   */
+  this.id = Constants.Identifier + Constants.uniqueId();
+
+  /**
+   * @name Two.Marker#orient
+   * @property {(String|Number)} - `'auto'` rotates the marker along the direction of the path, `'auto-start-reverse'` does too but points the marker at the start of the path backwards, e.g: to draw arrowheads on both ends with one marker. A number is a fixed rotation in radians.
+   */
+  this.orient = typeof orient === 'undefined' ? 'auto' : orient;
+
+  /**
+   * @name Two.Marker#units
+   * @property {String} - `'strokeWidth'` scales the marker by the {@link Two.Path#linewidth} of the path it's drawn on and `'userSpaceOnUse'` doesn't. See {@link Two.Marker.Units}.
+   */
+  this.units = 'strokeWidth';
+
+  /**
+   * @name Two.Marker#scene
+   * @property {Two.Group} - The root group of what the marker is drawn with. The marker is its parent.
+   */
+  this.scene = new Group();
+
+  if (objects) {
+    this.scene.add(objects);
+  }
+
+}
+
+_.extend(Marker, {
+
+  /**
+   * @name Two.Marker.Units
+   * @property {String[]} - The coordinate systems a marker's scene can be drawn in, named after SVG's `markerUnits` attribute.
+   */
+  Units: ['strokeWidth', 'userSpaceOnUse'],
+
+  /**
+   * @name Two.Marker.Properties
+   * @property {String[]} - A list of properties that are on every {@link Two.Marker}.
+   */
+  Properties: ['orient', 'units'],
+
+  /**
+   * @name Two.Marker.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Marker#toObject}.
+   * @param {Object} [effects] - The map of reconstructed objects passed to {@link Two.Utils.fromObject}.
+   * @returns {Two.Marker}
+   * @description Create a marker from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var marker = new Marker(null, object.orient);
+
+    copyId(marker, object);
+    if (typeof object.units === 'string') {
+      marker.units = object.units;
+    }
+    if (object.scene) {
+      marker.scene = fromObject(object.scene, effects);
+    }
+
+    return marker;
+
+  },
+
+  /**
+   * @name Two.Marker.getPlacements
+   * @function
+   * @param {Two.Path} path - The path to place its {@link Two.Path#markers} on.
+   * @returns {Object[]} A list of the markers to draw, each with the `matrix` that places its scene in the coordinate space of the path.
+   * @description Find where the markers of a path are drawn. The start marker goes on the first vertex, the end marker on the last one, and the mid marker on every vertex in between, including the ends of sub-paths. Automatically oriented markers point along the tangent of the path and, where two segments meet, in between their directions.
+   * @nota-bene Renderers call this every frame, after the path is updated.
+   */
+  getPlacements: function(path) {
+
+    var markers = path._markers;
+    var placements = [];
+
+    if (!markers || !(markers.start || markers.mid || markers.end)) {
+      return placements;
+    }
+
+    var points = getMarkerPoints(path._renderer.vertices || [], path._closed);
+    var last = points.length - 1;
+
+    for (var i = 0; i <= last; i++) {
+
+      var point = points[i];
+      var marker = i === 0 ? markers.start
+        : (i === last ? markers.end : markers.mid);
+
+      if (!marker) {
+        continue;
+      }
+
+      var orient = marker._orient;
+      var angle;
+
+      if (typeof orient === 'number') {
+        angle = orient;
+      } else {
+        angle = getMarkerAngle(point);
+        if (i === 0 && orient === 'auto-start-reverse') {
+          angle += Math.PI;
+        }
+      }
+
+      var scale = marker._units === 'userSpaceOnUse' ? 1 : path._linewidth;
+
+      placements.push({
+        marker: marker,
+        matrix: new Matrix()
+          .translate(point.x, point.y)
+          .rotate(angle)
+          .scale(scale)
+      });
+
+    }
+
+    return placements;
+
+  },
+
+  /**
+   * @name Two.Marker.MakeObservable
+   * @function
+   * @param {Object} object - The object to make observable.
+   * @description Convenience function to apply observable qualities of a {@link Two.Marker} to any object. Handy if you'd like to extend the {@link Two.Marker} class on a custom class.
+   */
+  MakeObservable: function(object) {
+
+    _.each(Marker.Properties, defineGetterSetter, object);
+
+    Object.defineProperty(object, 'renderer', {
+
+      enumerable: false,
+
+      get: function() {
+        return this._renderer;
+      },
+
+      set: function(obj) {
+        this._renderer = obj;
+      }
+
+    });
+
+    Object.defineProperty(object, 'id', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._id;
+      },
+
+      set: function(v) {
+        this._id = v;
+        this._flagId = true;
+      }
+
+    });
+
+    Object.defineProperty(object, 'scene', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._scene;
+      },
+
+      set: function(v) {
+        if (this._scene && this._scene.parent === this) {
+          delete this._scene.parent;
+        }
+        this._scene = v;
+        this._scene.parent = this;
+        this._flagScene = true;
+      }
+
+    });
+
+  }
+
+});
+
+_.extend(Marker.prototype, Events, {
+
+  constructor: Marker,
+
+  /**
+   * @name Two.Marker#_flagId
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Marker#id} needs updating.
+   */
+  _flagId: false,
+
+  /**
+   * @name Two.Marker#_flagOrient
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Marker#orient} needs updating.
+   */
+  _flagOrient: false,
+
+  /**
+   * @name Two.Marker#_flagUnits
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Marker#units} needs updating.
+   */
+  _flagUnits: false,
+
+  /**
+   * @name Two.Marker#_flagScene
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Marker#scene} has been replaced.
+   */
+  _flagScene: false,
+
+  _id: '',
+
+  /**
+   * @name Two.Marker#_orient
+   * @private
+   * @see {@link Two.Marker#orient}
+   */
+  _orient: 'auto',
+
+  /**
+   * @name Two.Marker#_units
+   * @private
+   * @see {@link Two.Marker#units}
+   */
+  _units: 'strokeWidth',
+
+  /**
+   * @name Two.Marker#_scene
+   * @private
+   * @see {@link Two.Marker#scene}
+   */
+  _scene: null,
+
+  /**
+   * @name Two.Marker#clone
+   * @function
+   * @returns {Two.Marker}
+   * @description Create a new instance of {@link Two.Marker} with the same properties of the current marker. Its scene is cloned too.
+   */
+  clone: function() {
+
+    var clone = new Marker(null, this.orient);
+
+    clone.units = this.units;
+    clone.scene = this.scene.clone();
+
+    return clone;
+
+  },
+
+  /**
+   * @name Two.Marker#toObject
+   * @function
+   * @returns {Object}
+   * @description Return a JSON compatible plain object that represents the marker.
+   */
+  toObject: function() {
+    return {
+      type: 'marker',
+      id: this.id,
+      orient: this.orient,
+      units: this.units,
+      scene: this.scene.toObject()
+    };
+  },
+
+  /**
+   * @name Two.Marker#_update
+   * @function
+   * @private
+   * @description This is called before rendering happens by the renderer.
+   * @nota-bene Try not to call this method more than once a frame.
+   */
+  _update: function() {
+
+    if (this._flagOrient || this._flagUnits || this._flagScene) {
+      this.trigger(Events.Types.change);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Marker#flagReset
+   * @function
+   * @private
+   * @description Called internally to reset all flags. Ensures that only properties that change are updated before being sent to the renderer.
+   */
+  flagReset: function() {
+
+    this._flagId = this._flagOrient = this._flagUnits =
+      this._flagScene = false;
+
+    return this;
+
+  }
+
+});
+
+Marker.MakeObservable(Marker.prototype);
+Types.add('marker', Marker);
+
+// The vertices of a path the way SVG places markers on them, each
+// with the direction the path comes in from and goes out to. Closed
+// sub-paths end where they start and both of those vertices have
+// the directions of the closing and the first segments.
+function getMarkerPoints(vertices, closed) {
+
+  var points = [];
+  var subpath = null;
+
+  for (var i = 0; i < vertices.length; i++) {
+
+    var b = vertices[i];
+
+    if (b.command === Commands.move || !subpath) {
+      endMarkerSubpath(points, subpath, false);
+      subpath = [{ x: b.x, y: b.y }];
+      continue;
+    }
+
+    var a = vertices[i - 1];
+    var first = subpath[0];
+    var start = subpath[subpath.length - 1];
+
+    if (b.command === Commands.close) {
+      addMarkerSegment(subpath, start, first);
+      endMarkerSubpath(points, subpath, true);
+      subpath = [{ x: first.x, y: first.y }];
+      subpath.virtual = true;
+      continue;
+    }
+
+    if (b.command === Commands.curve) {
+      addMarkerSegment(subpath, start, b,
+        getControlPoint(a, 'right'), getControlPoint(b, 'left'));
+    } else {
+      addMarkerSegment(subpath, start, b);
+    }
+
+  }
+
+  if (subpath && closed && subpath.length > 1) {
+
+    var end = vertices[vertices.length - 1];
+    var origin = subpath[0];
+
+    // Like the renderers, a closing curve bends towards
+    // the first vertex of the sub-path with its controls.
+    if (end.command === Commands.curve) {
+      var move = findMarkerMove(vertices);
+      addMarkerSegment(subpath, subpath[subpath.length - 1], origin,
+        getControlPoint(end, 'right'), getControlPoint(move, 'left'));
+    } else {
+      addMarkerSegment(subpath, subpath[subpath.length - 1], origin);
+    }
+
+    endMarkerSubpath(points, subpath, true);
+
+  } else {
+    endMarkerSubpath(points, subpath, false);
+  }
+
+  return points;
+
+}
+
+function findMarkerMove(vertices) {
+  for (var i = vertices.length - 1; i > 0; i--) {
+    if (vertices[i].command === Commands.move) {
+      return vertices[i];
+    }
+  }
+  return vertices[0];
+}
+
+function getControlPoint(anchor, side) {
+  var control = (anchor.controls && anchor.controls[side]) || Vector.zero;
+  if (anchor._relative) {
+    return { x: control.x + anchor.x, y: control.y + anchor.y };
+  }
+  return control;
+}
+
+// Add the vertex a segment ends at with the directions the
+// segment leaves its start and arrives at its end with.
+function addMarkerSegment(subpath, a, b, c1, c2) {
+
+  var chord = { x: b.x - a.x, y: b.y - a.y };
+  var out = chord;
+  var into = chord;
+
+  if (c1 && c2) {
+    out = getDirection(a, c1, c2, b);
+    into = getDirection(b, c2, c1, a, true);
+  }
+
+  a.out = out;
+  subpath.push({ x: b.x, y: b.y, into: into });
+
+}
+
+// The first of the control points that doesn't coincide with the
+// end of a cubic bézier gives the direction at that end.
+function getDirection(end, c1, c2, other, reverse) {
+
+  var points = [c1, c2, other];
+
+  for (var i = 0; i < points.length; i++) {
+    var dx = points[i].x - end.x;
+    var dy = points[i].y - end.y;
+    if (dx !== 0 || dy !== 0) {
+      return reverse ? { x: - dx, y: - dy } : { x: dx, y: dy };
+    }
+  }
+
+  return { x: 0, y: 0 };
+
+}
+
+function endMarkerSubpath(points, subpath, closed) {
+
+  // A sub-path without segments, e.g: after a close command
+  // that ends the path, doesn't draw markers.
+  if (!subpath || (subpath.length <= 1 && subpath.virtual)) {
+    return;
+  }
+
+  if (closed) {
+    var first = subpath[0];
+    var last = subpath[subpath.length - 1];
+    first.into = last.into;
+    last.out = first.out;
+  }
+
+  for (var i = 0; i < subpath.length; i++) {
+    points.push(subpath[i]);
+  }
+
+}
+
+function getMarkerAngle(point) {
+
+  var into = normalize(point.into);
+  var out = normalize(point.out);
+
+  if (into && out) {
+    var x = into.x + out.x;
+    var y = into.y + out.y;
+    // Segments that turn back on each other.
+    if (x === 0 && y === 0) {
+      return Math.atan2(into.y, into.x) + Math.PI / 2;
+    }
+    return Math.atan2(y, x);
+  }
+
+  var direction = into || out;
+
+  return direction ? Math.atan2(direction.y, direction.x) : 0;
+
+}
+
+function normalize(v) {
+  var length = v ? Math.sqrt(v.x * v.x + v.y * v.y) : 0;
+  return length > 0 ? { x: v.x / length, y: v.y / length } : null;
+}
+
+export default Marker;
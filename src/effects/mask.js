@@ -0,0 +1,259 @@
+import Events from '../events.js';
+import defineGetterSetter from '../utils/get-set.js';
+import _ from '../utils/underscore.js';
+import { Types, copyId, fromObject } from '../utils/from-object.js';
+
+import Group from '../group.js';
+
+import Constants from '../constants.js';
+
+/**
+ * @name Two.Mask
+ * @class
+ * @param {Two.Shape[]} [objects] - Shapes to draw the mask with. They're added to the mask's {@link Two.Mask#scene}.
+ * @param {String} [mode='luminance'] - How the scene of the mask hides what it's applied to. See {@link Two.Mask.Modes}.
+ * @description A mask with soft edges, like the SVG `<mask />` element. Assign it to the `mask` of a shape or group and draw in the shape's coordinate space by adding shapes to {@link Two.Mask#scene}. Where the scene is white, or opaque in `'alpha'` mode, the shape shows and where it's black, or transparent, the shape is hidden.
+ * @nota-bene Other shapes assigned to `mask` clip by their geometry instead. {@link Two.PDFRenderer} doesn't apply masks.
+ */
+function Mask(objects, mode) {
+
+  /**
+   * @name Two.Mask#renderer
+   * @property {Object}
+   * @description Object access to store relevant renderer specific variables. Warning: manipulating this object can create unintended consequences.
+   * @nota-bene With the {@link Two.SvgRenderer} you can access the underlying SVG element created via `mask.renderer.elem`.
+   */
+  this.renderer = {};
+  this._renderer.type = 'mask';
+
+  /**
+   * @name Two.Mask#id
+   * @property {String} - Session specific unique identifier.
+   * @nota-bene In the {@link Two.SvgRenderer} change this to change the underlying SVG element's id too.
+   */
+  this.id = Constants.Identifier + Constants.uniqueId();
+
+  /**
+   * @name Two.Mask#mode
+   * @property {String} - Whether the luminance or the alpha of the scene hides what the mask is applied to. See {@link Two.Mask.Modes}.
+   */
+  this.mode = typeof mode === 'string' ? mode : 'luminance';
+
+  /**
+   * @name Two.Mask#scene
+   * @property {Two.Group} - The root group of what the mask is drawn with. The mask is its parent.
+   */
+  this.scene = new Group();
+
+  if (objects) {
+    this.scene.add(objects);
+  }
+
+}
+
+_.extend(Mask, {
+
+  /**
+   * @name Two.Mask.Modes
+   * @property {String[]} - The ways a mask can hide what it's applied to. `'luminance'` multiplies the luminance of the scene's colors with their alpha, like SVG's `<mask />` does by default, and `'alpha'` takes their alpha only.
+   */
+  Modes: ['luminance', 'alpha'],
+
+  /**
+   * @name Two.Mask.Properties
+   * @property {String[]} - A list of properties that are on every {@link Two.Mask}.
+   */
+  Properties: ['mode'],
+
+  /**
+   * @name Two.Mask.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Mask#toObject}.
+   * @param {Object} [effects] - The map of reconstructed objects passed to {@link Two.Utils.fromObject}.
+   * @returns {Two.Mask}
+   * @description Create a mask from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var mask = new Mask(null, object.mode);
+
+    copyId(mask, object);
+    if (object.scene) {
+      mask.scene = fromObject(object.scene, effects);
+    }
+
+    return mask;
+
+  },
+
+  /**
+   * @name Two.Mask.MakeObservable
+   * @function
+   * @param {Object} object - The object to make observable.
+   * @description Convenience function to apply observable qualities of a {@link Two.Mask} to any object. Handy if you'd like to extend the {@link Two.Mask} class on a custom class.
+   */
+  MakeObservable: function(object) {
+
+    _.each(Mask.Properties, defineGetterSetter, object);
+
+    Object.defineProperty(object, 'renderer', {
+
+      enumerable: false,
+
+      get: function() {
+        return this._renderer;
+      },
+
+      set: function(obj) {
+        this._renderer = obj;
+      }
+
+    });
+
+    Object.defineProperty(object, 'id', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._id;
+      },
+
+      set: function(v) {
+        this._id = v;
+        this._flagId = true;
+      }
+
+    });
+
+    Object.defineProperty(object, 'scene', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._scene;
+      },
+
+      set: function(v) {
+        if (this._scene && this._scene.parent === this) {
+          delete this._scene.parent;
+        }
+        this._scene = v;
+        this._scene.parent = this;
+        this._flagScene = true;
+      }
+
+    });
+
+  }
+
+});
+
+_.extend(Mask.prototype, Events, {
+
+  constructor: Mask,
+
+  /**
+   * @name Two.Mask#_flagId
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Mask#id} needs updating.
+   */
+  _flagId: false,
+
+  /**
+   * @name Two.Mask#_flagMode
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Mask#mode} needs updating.
+   */
+  _flagMode: false,
+
+  /**
+   * @name Two.Mask#_flagScene
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Mask#scene} has been replaced.
+   */
+  _flagScene: false,
+
+  _id: '',
+
+  /**
+   * @name Two.Mask#_mode
+   * @private
+   * @see {@link Two.Mask#mode}
+   */
+  _mode: 'luminance',
+
+  /**
+   * @name Two.Mask#_scene
+   * @private
+   * @see {@link Two.Mask#scene}
+   */
+  _scene: null,
+
+  /**
+   * @name Two.Mask#clone
+   * @function
+   * @returns {Two.Mask}
+   * @description Create a new instance of {@link Two.Mask} with the same properties of the current mask. Its scene is cloned too.
+   */
+  clone: function() {
+
+    var clone = new Mask(null, this.mode);
+
+    clone.scene = this.scene.clone();
+
+    return clone;
+
+  },
+
+  /**
+   * @name Two.Mask#toObject
+   * @function
+   * @returns {Object}
+   * @description Return a JSON compatible plain object that represents the mask.
+   */
+  toObject: function() {
+    return {
+      type: 'mask',
+      id: this.id,
+      mode: this.mode,
+      scene: this.scene.toObject()
+    };
+  },
+
+  /**
+   * @name Two.Mask#_update
+   * @function
+   * @private
+   * @description This is called before rendering happens by the renderer.
+   * @nota-bene Try not to call this method more than once a frame.
+   */
+  _update: function() {
+
+    if (this._flagMode || this._flagScene) {
+      this.trigger(Events.Types.change);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Mask#flagReset
+   * @function
+   * @private
+   * @description Called internally to reset all flags. Ensures that only properties that change are updated before being sent to the renderer.
+   */
+  flagReset: function() {
+
+    this._flagId = this._flagMode = this._flagScene = false;
+
+    return this;
+
+  }
+
+});
+
+Mask.MakeObservable(Mask.prototype);
+Types.add('mask', Mask);
+
+export default Mask;
@@ -0,0 +1,394 @@
+import Events from '../events.js';
+import defineGetterSetter from '../utils/get-set.js';
+import _ from '../utils/underscore.js';
+import { Types, copyId, fromObject } from '../utils/from-object.js';
+
+import Vector from '../vector.js';
+import Matrix from '../matrix.js';
+import Group from '../group.js';
+
+import Constants from '../constants.js';
+
+/**
+ * @name Two.Pattern
+ * @class
+ * @param {Number} [width=0] - The width of one tile of the pattern.
+ * @param {Number} [height=0] - The height of one tile of the pattern.
+ * @param {Two.Shape[]} [objects] - Shapes to draw in each tile. They're added to the pattern's {@link Two.Pattern#scene}.
+ * @description A fill or stroke that repeats a scene of its own in tiles, like the SVG `<pattern />` element. Draw in the tile's coordinate space, from `(0, 0)` to `(width, height)`, by adding shapes to {@link Two.Pattern#scene}.
+ * @nota-bene In {@link Two.CanvasRenderer} and {@link Two.WebGLRenderer} tiles are drawn at the resolution they're shown at, and only drawn again when the pattern or its scene changes. They aren't drawn by {@link Two.PDFRenderer}.
+ */
+function Pattern(width, height, objects) {
+
+  /**
+   * @name Two.Pattern#renderer
+   * @property {Object}
+   * @description Object access to store relevant renderer specific variables. Warning: manipulating this object can create unintended consequences.
+   * @nota-bene With the {@link Two.SvgRenderer} you can access the underlying SVG element created via `pattern.renderer.elem`.
+   */
+  this.renderer = {};
+  this._renderer.type = 'pattern';
+  this._renderer.flagOffset = Pattern.FlagOffset.bind(this);
+  this._renderer.flagMatrix = Pattern.FlagMatrix.bind(this);
+
+  /**
+   * @name Two.Pattern#id
+   * @property {String} - Session specific unique identifier.
+   * @nota-bene In the {@link Two.SvgRenderer} change this to change the underlying SVG element's id too.
+   */
+  this.id = Constants.Identifier + Constants.uniqueId();
+
+  /**
+   * @name Two.Pattern#width
+   * @property {Number} - The width of one tile. Nothing is drawn when it's `0`.
+   */
+  this.width = typeof width === 'number' ? width : 0;
+
+  /**
+   * @name Two.Pattern#height
+   * @property {Number} - The height of one tile. Nothing is drawn when it's `0`.
+   */
+  this.height = typeof height === 'number' ? height : 0;
+
+  /**
+   * @name Two.Pattern#offset
+   * @property {Two.Vector} - Where the top left corner of a tile is in the coordinate space of the shape the pattern is applied to, before the pattern's {@link Two.Pattern#matrix}.
+   */
+  this.offset = new Vector();
+
+  /**
+   * @name Two.Pattern#matrix
+   * @property {Two.Matrix} - The transformation of the tiles in the coordinate space of the shape the pattern is applied to, like the SVG `patternTransform` attribute.
+   */
+  this.matrix = new Matrix();
+
+  /**
+   * @name Two.Pattern#scene
+   * @property {Two.Group} - The root group of what's drawn in each tile. The pattern is its parent.
+   */
+  this.scene = new Group();
+
+  if (objects) {
+    this.scene.add(objects);
+  }
+
+}
+
+_.extend(Pattern, {
+
+  /**
+   * @name Two.Pattern.Properties
+   * @property {String[]} - A list of properties that are on every {@link Two.Pattern}.
+   */
+  Properties: ['width', 'height'],
+
+  /**
+   * @name Two.Pattern.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Pattern#toObject}.
+   * @param {Object} [effects] - The map of reconstructed objects passed to {@link Two.Utils.fromObject}.
+   * @returns {Two.Pattern}
+   * @description Create a pattern from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var pattern = new Pattern(object.width, object.height);
+
+    copyId(pattern, object);
+    if (object.offset) {
+      pattern.offset.copy(object.offset);
+    }
+    if (object.matrix) {
+      pattern.matrix.set(object.matrix.elements);
+    }
+    if (object.scene) {
+      pattern.scene = fromObject(object.scene, effects);
+    }
+
+    return pattern;
+
+  },
+
+  /**
+   * @name Two.Pattern.MakeObservable
+   * @function
+   * @param {Object} object - The object to make observable.
+   * @description Convenience function to apply observable qualities of a {@link Two.Pattern} to any object. Handy if you'd like to extend the {@link Two.Pattern} class on a custom class.
+   */
+  MakeObservable: function(object) {
+
+    _.each(Pattern.Properties, defineGetterSetter, object);
+
+    Object.defineProperty(object, 'renderer', {
+
+      enumerable: false,
+
+      get: function() {
+        return this._renderer;
+      },
+
+      set: function(obj) {
+        this._renderer = obj;
+      }
+
+    });
+
+    Object.defineProperty(object, 'id', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._id;
+      },
+
+      set: function(v) {
+        this._id = v;
+        this._flagId = true;
+      }
+
+    });
+
+    Object.defineProperty(object, 'offset', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._offset;
+      },
+
+      set: function(v) {
+        if (this._offset) {
+          this._offset.unbind(Events.Types.change, this._renderer.flagOffset);
+        }
+        this._offset = v;
+        this._offset.bind(Events.Types.change, this._renderer.flagOffset);
+        this._flagOffset = true;
+      }
+
+    });
+
+    Object.defineProperty(object, 'matrix', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._matrix;
+      },
+
+      set: function(v) {
+        if (this._matrix) {
+          this._matrix.unbind(Events.Types.change, this._renderer.flagMatrix);
+        }
+        this._matrix = v;
+        this._matrix.bind(Events.Types.change, this._renderer.flagMatrix);
+        this._flagMatrix = true;
+      }
+
+    });
+
+    Object.defineProperty(object, 'scene', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._scene;
+      },
+
+      set: function(v) {
+        if (this._scene && this._scene.parent === this) {
+          delete this._scene.parent;
+        }
+        this._scene = v;
+        this._scene.parent = this;
+        this._flagScene = true;
+      }
+
+    });
+
+  },
+
+  /**
+   * @name Two.Pattern.FlagOffset
+   * @function
+   * @description Cached method to let renderers know the offset has been updated on a {@link Two.Pattern}.
+   */
+  FlagOffset: function() {
+    this._flagOffset = true;
+  },
+
+  /**
+   * @name Two.Pattern.FlagMatrix
+   * @function
+   * @description Cached method to let renderers know the matrix has been updated on a {@link Two.Pattern}.
+   */
+  FlagMatrix: function() {
+    this._flagMatrix = true;
+  }
+
+});
+
+_.extend(Pattern.prototype, Events, {
+
+  constructor: Pattern,
+
+  /**
+   * @name Two.Pattern#_flagId
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Pattern#id} needs updating.
+   */
+  _flagId: false,
+
+  /**
+   * @name Two.Pattern#_flagWidth
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Pattern#width} needs updating.
+   */
+  _flagWidth: false,
+
+  /**
+   * @name Two.Pattern#_flagHeight
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Pattern#height} needs updating.
+   */
+  _flagHeight: false,
+
+  /**
+   * @name Two.Pattern#_flagOffset
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Pattern#offset} needs updating.
+   */
+  _flagOffset: false,
+
+  /**
+   * @name Two.Pattern#_flagMatrix
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Pattern#matrix} needs updating.
+   */
+  _flagMatrix: false,
+
+  /**
+   * @name Two.Pattern#_flagScene
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Pattern#scene} has been replaced.
+   */
+  _flagScene: false,
+
+  /**
+   * @name Two.Pattern#_flagContent
+   * @private
+   * @property {Boolean} - Determines whether anything in the {@link Two.Pattern#scene} has changed. Set by the shapes in the scene through {@link Two.Utils.flagContent}.
+   */
+  _flagContent: false,
+
+  _id: '',
+
+  /**
+   * @name Two.Pattern#_width
+   * @private
+   * @see {@link Two.Pattern#width}
+   */
+  _width: 0,
+
+  /**
+   * @name Two.Pattern#_height
+   * @private
+   * @see {@link Two.Pattern#height}
+   */
+  _height: 0,
+
+  /**
+   * @name Two.Pattern#_offset
+   * @private
+   * @see {@link Two.Pattern#offset}
+   */
+  _offset: null,
+
+  /**
+   * @name Two.Pattern#_matrix
+   * @private
+   * @see {@link Two.Pattern#matrix}
+   */
+  _matrix: null,
+
+  /**
+   * @name Two.Pattern#_scene
+   * @private
+   * @see {@link Two.Pattern#scene}
+   */
+  _scene: null,
+
+  /**
+   * @name Two.Pattern#clone
+   * @function
+   * @returns {Two.Pattern}
+   * @description Create a new instance of {@link Two.Pattern} with the same properties of the current pattern. Its scene is cloned too.
+   */
+  clone: function() {
+
+    var clone = new Pattern(this.width, this.height);
+
+    clone.offset.copy(this.offset);
+    clone.matrix.copy(this.matrix);
+    clone.scene = this.scene.clone();
+
+    return clone;
+
+  },
+
+  /**
+   * @name Two.Pattern#toObject
+   * @function
+   * @returns {Object}
+   * @description Return a JSON compatible plain object that represents the pattern.
+   */
+  toObject: function() {
+    return {
+      type: 'pattern',
+      id: this.id,
+      width: this.width,
+      height: this.height,
+      offset: this.offset.toObject(),
+      matrix: this.matrix.toObject(),
+      scene: this.scene.toObject()
+    };
+  },
+
+  /**
+   * @name Two.Pattern#_update
+   * @function
+   * @private
+   * @description This is called before rendering happens by the renderer. Lets the shapes the pattern is applied to know when it has changed.
+   * @nota-bene Try not to call this method more than once a frame.
+   */
+  _update: function() {
+
+    if (this._flagWidth || this._flagHeight || this._flagOffset
+      || this._flagMatrix || this._flagScene || this._flagContent) {
+      this.trigger(Events.Types.change);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Pattern#flagReset
+   * @function
+   * @private
+   * @description Called internally to reset all flags. Ensures that only properties that change are updated before being sent to the renderer.
+   */
+  flagReset: function() {
+
+    this._flagId = this._flagWidth = this._flagHeight = this._flagOffset
+      = this._flagMatrix = this._flagScene = this._flagContent = false;
+
+    return this;
+
+  }
+
+});
+
+Pattern.MakeObservable(Pattern.prototype);
+Types.add('pattern', Pattern);
+
+export default Pattern;
@@ -1,6 +1,7 @@
 import Events from '../events.js';
 import defineGetterSetter from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyId, copyProperties } from '../utils/from-object.js';
 
 import Stop from './stop.js';
 import Gradient from './gradient.js';
@@ -79,6 +80,25 @@ _.extend(RadialGradient, {
     'radius'
   ],
 
+  /**
+   * @name Two.RadialGradient.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.RadialGradient#toObject}.
+   * @returns {Two.RadialGradient}
+   * @description Create a radial gradient from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+
+    var gradient = new RadialGradient(object.center.x, object.center.y,
+      object.radius, object.stops.map(Stop.fromObject),
+      object.focal.x, object.focal.y);
+
+    copyId(gradient, object);
+
+    return copyProperties(gradient, object, Gradient.Properties);
+
+  },
+
   /**
    * @name Two.RadialGradient.MakeObservable
    * @function
@@ -156,6 +176,8 @@ _.extend(RadialGradient.prototype, Gradient.prototype, {
 
     var result = Gradient.prototype.toObject.call(this);
 
+    result.type = 'radial-gradient';
+
     _.each(RadialGradient.Properties, function(k) {
       result[k] = this[k];
     }, this);
@@ -205,5 +227,6 @@ _.extend(RadialGradient.prototype, Gradient.prototype, {
 });
 
 RadialGradient.MakeObservable(RadialGradient.prototype);
+Types.add('radial-gradient', RadialGradient);
 
 export default RadialGradient;
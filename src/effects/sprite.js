@@ -1,6 +1,7 @@
 import defineGetterSetter from '../utils/get-set.js';
 import {lerp} from '../utils/math.js';
 import _ from '../utils/underscore.js';
+import { Types, fromObject, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -91,6 +92,38 @@ _.extend(Sprite, {
     'texture', 'columns', 'rows', 'frameRate', 'index'
   ],
 
+  /**
+   * @name Two.Sprite.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Sprite#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Sprite}
+   * @description Create a sprite from its JSON compatible plain object representation. The sprite isn't played, even if the original was.
+   */
+  fromObject: function(object, effects) {
+
+    effects = effects || {};
+
+    var sprite = new Sprite(fromObject(object.texture, effects), 0, 0,
+      object.columns, object.rows, object.frameRate);
+
+    sprite.index = object.index;
+    sprite._firstFrame = object._firstFrame;
+    sprite._lastFrame = object._lastFrame;
+    sprite._loop = object._loop;
+
+    copyProperties(sprite, object, Rectangle.Properties);
+    if (object.origin) {
+      sprite.origin.copy(object.origin);
+    }
+    copyProperties(sprite, object, Path.Properties, effects);
+
+    copyTransform(sprite, object, effects);
+
+    return sprite._update();
+
+  },
+
   /**
    * @name Two.Sprite.MakeObservable
    * @function
@@ -337,6 +370,7 @@ _.extend(Sprite.prototype, Rectangle.prototype, {
    */
   toObject: function() {
     var object = Rectangle.prototype.toObject.call(this);
+    object.type = 'sprite';
     object.texture = this.texture.toObject();
     object.columns = this.columns;
     object.rows = this.rows;
@@ -464,5 +498,6 @@ _.extend(Sprite.prototype, Rectangle.prototype, {
 });
 
 Sprite.MakeObservable(Sprite.prototype);
+Types.add('sprite', Sprite);
 
 export default Sprite;
@@ -62,6 +62,17 @@ _.extend(Stop, {
     'color'
   ],
 
+  /**
+   * @name Two.Stop.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Stop#toObject}.
+   * @returns {Two.Stop}
+   * @description Create a stop from its JSON compatible plain object representation.
+   */
+  fromObject: function(object) {
+    return new Stop(object.offset, object.color, object.opacity);
+  },
+
   /**
    * @name Two.Stop.MakeObservable
    * @function
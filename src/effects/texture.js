@@ -4,6 +4,7 @@ import TwoError from '../utils/error.js';
 import defineGetterSetter from '../utils/get-set.js';
 import CanvasShim from '../utils/canvas-shim.js';
 import _ from '../utils/underscore.js';
+import { Types, copyId } from '../utils/from-object.js';
 
 import Vector from '../vector.js';
 import Shape from '../shape.js';
@@ -24,6 +25,10 @@ if (root.document) {
   anchor = document.createElement('a');
 }
 
+// Loads of images fetched in Web Workers keyed by their absolute `src`, so
+// every texture of the same image waits on the same request.
+var bitmaps = new Registry();
+
 /**
  * @name Two.Texture
  * @class
@@ -118,6 +123,34 @@ _.extend(Texture, {
     'repeat'
   ],
 
+  /**
+   * @name Two.Texture.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Texture#toObject}.
+   * @returns {Two.Texture}
+   * @description Create a texture from its JSON compatible plain object representation. The image is loaded from the object's `src`.
+   */
+  fromObject: function(object) {
+
+    var texture = new Texture(object.src);
+
+    copyId(texture, object);
+    if (object.repeat) {
+      texture.repeat = object.repeat;
+    }
+    if (object.offset) {
+      texture.offset.copy(object.offset);
+    }
+    if (typeof object.scale === 'number') {
+      texture.scale = object.scale;
+    } else if (object.scale) {
+      texture.scale = new Vector(object.scale.x, object.scale.y);
+    }
+
+    return texture;
+
+  },
+
   /**
    * @name Two.Texture.RegularExpressions
    * @property {Object} - A map of compatible DOM Elements categorized by media format.
@@ -139,6 +172,10 @@ _.extend(Texture, {
    */
   getAbsoluteURL: function(path) {
     if (!anchor) {
+      // Web Workers resolve paths relative to their script
+      if (root.location && typeof root.URL === 'function') {
+        return new root.URL(path, root.location.href).href;
+      }
       // TODO: Fix for headless environments
       return path;
     }
@@ -160,6 +197,53 @@ _.extend(Texture, {
 
   },
 
+  /**
+   * @name Two.Texture.loadBitmap
+   * @property {Function} - Loads an image in Web Workers.
+   * @param {Two.Texture} texture - The {@link Two.Texture} to be loaded.
+   * @param {Function} loaded - The callback function to be triggered once the image is loaded.
+   * @param {Function} [error] - The callback function to be triggered if the image can't be fetched or decoded.
+   * @returns {Promise} - Settles once the image is loaded.
+   * @nota-bene - Web Workers have no `<img />` elements. Instead the image is fetched, decoded with `createImageBitmap`, and drawn into the `OffscreenCanvas` that {@link Two.Texture.getImage} returns. Textures of an image that is still loading wait on the same request.
+   */
+  loadBitmap: function(texture, loaded, error) {
+
+    var image = texture.image;
+    var src = texture.src;
+
+    if (!bitmaps.contains(src)) {
+
+      image.src = src;
+
+      bitmaps.add(src, root.fetch(src)
+        .then(function(response) {
+          if (!response.ok) {
+            throw new TwoError('unable to load ' + src);
+          }
+          return response.blob();
+        })
+        .then(function(blob) {
+          return root.createImageBitmap(blob);
+        })
+        .then(function(bitmap) {
+          image.width = bitmap.width;
+          image.height = bitmap.height;
+          image.getContext('2d').drawImage(bitmap, 0, 0);
+          if (typeof bitmap.close === 'function') {
+            bitmap.close();
+          }
+        }, function(e) {
+          // Let a later texture try again.
+          bitmaps.remove(src);
+          throw e;
+        }));
+
+    }
+
+    return bitmaps.get(src).then(loaded, error);
+
+  },
+
   /**
    * @name Two.Texture.getTag
    * @property {Function} - Retrieves the tag name of an image, video, or canvas node.
@@ -202,6 +286,14 @@ _.extend(Texture, {
         image = document.createElement('img');
       }
 
+    } else if (typeof root.OffscreenCanvas === 'function'
+      && typeof root.createImageBitmap === 'function') {
+
+      // Web Workers
+
+      image = new root.OffscreenCanvas(1, 1);
+      image.width = image.height = 0;
+
     } else {
 
       console.warn('Two.js: no prototypical image defined for Two.Texture');
@@ -248,8 +340,10 @@ _.extend(Texture, {
         throw new TwoError('unable to load ' + texture.src);
       };
 
-      if (typeof image.width === 'number' && image.width > 0
-        && typeof image.height === 'number' && image.height > 0) {
+      var complete = typeof image.width === 'number' && image.width > 0
+        && typeof image.height === 'number' && image.height > 0;
+
+      if (complete) {
           loaded();
       } else if (!CanvasShim.isHeadless && typeof image.addEventListener === 'function') {
         image.addEventListener('load', loaded, false);
@@ -258,6 +352,17 @@ _.extend(Texture, {
 
       texture._src = Texture.getAbsoluteURL(texture._src);
 
+      if (isBitmap(image)) {
+
+        if (!complete) {
+          Texture.ImageRegistry.add(texture.src, image);
+          Texture.loadBitmap(texture, loaded, error);
+        }
+
+        return;
+
+      }
+
       if (!CanvasShim.isHeadless && image && image.getAttribute('two-src')) {
         return;
       }
@@ -334,7 +439,8 @@ _.extend(Texture, {
       if (/canvas/i.test(tag)) {
         Texture.Register.canvas(texture, callback);
       } else {
-        texture._src = (!CanvasShim.isHeadless && image.getAttribute('two-src')) || image.src;
+        texture._src = (!CanvasShim.isHeadless && !isBitmap(image)
+          && image.getAttribute('two-src')) || image.src;
         Texture.Register[tag](texture, callback);
       }
     }
@@ -581,7 +687,7 @@ _.extend(Texture.prototype, Events, Shape.prototype, {
   clone: function() {
     var clone = new Texture(this.src);
     clone.repeat = this.repeat;
-    clone.offset.copy(this.origin);
+    clone.offset.copy(this.offset);
     clone.scale = this.scale;
     return clone;
   },
@@ -594,10 +700,12 @@ _.extend(Texture.prototype, Events, Shape.prototype, {
    */
   toObject: function() {
     return {
+      type: 'texture',
+      id: this.id,
       src: this.src,
       // image: this.image,
       repeat: this.repeat,
-      origin: this.origin.toObject(),
+      offset: this.offset.toObject(),
       scale: typeof this.scale === 'number' ? this.scale : this.scale.toObject()
     };
   },
@@ -653,6 +761,13 @@ _.extend(Texture.prototype, Events, Shape.prototype, {
 
 });
 
+// `OffscreenCanvas`es stand in for `<img />` elements in Web Workers
+function isBitmap(image) {
+  return typeof root.OffscreenCanvas === 'function'
+    && image instanceof root.OffscreenCanvas;
+}
+
 Texture.MakeObservable(Texture.prototype);
+Types.add('texture', Texture);
 
 export default Texture;
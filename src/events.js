@@ -84,7 +84,14 @@ var Events = {
     remove: 'remove',
     insert: 'insert',
     order: 'order',
-    load: 'load'
+    load: 'load',
+    pointerdown: 'pointerdown',
+    pointermove: 'pointermove',
+    pointerup: 'pointerup',
+    pointerenter: 'pointerenter',
+    pointerleave: 'pointerleave',
+    click: 'click',
+    wheel: 'wheel'
   }
 
 };
@@ -104,6 +111,19 @@ Events.bind = addEventListener;
  */
 Events.unbind = removeEventListener;
 
+// The number of handlers bound to each event name across all objects.
+var listeners = {};
+
+/**
+ * @private
+ * @param {String} name - The name of an event.
+ * @returns {Number} - How many handlers are bound to the event on any object.
+ * @description Lets dispatchers that need to do work to find their targets, like {@link Two.Pointer}, skip events nothing listens to.
+ */
+function getListenerCount(name) {
+  return listeners[name] || 0;
+}
+
 /**
  * @private
  * @returns {Two.Events} - Returns an instance of self for the purpose of chaining.
@@ -116,6 +136,7 @@ function addEventListener(name, handler) {
   var list = scope._events[name] || (scope._events[name] = []);
 
   list.push(handler);
+  listeners[name] = (listeners[name] || 0) + 1;
 
   return scope;
 
@@ -133,6 +154,9 @@ function removeEventListener(name, handler) {
     return scope;
   }
   if (!name && !handler) {
+    for (var key in scope._events) {
+      listeners[key] -= scope._events[key].length;
+    }
     scope._events = {};
     return scope;
   }
@@ -154,6 +178,7 @@ function removeEventListener(name, handler) {
           }
         }
       }
+      listeners[name] -= list.length - events.length;
       scope._events[name] = events;
     }
   }
@@ -195,3 +220,4 @@ function dispatch(obj, events, args) {
 }
 
 export default Events;
+export { getListenerCount };
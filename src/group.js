@@ -1,6 +1,9 @@
 import Events from './events.js';
 import { getComputedMatrix } from './utils/math.js';
+import hitTest from './utils/hit-test.js';
+import { Types, fromObject, copyTransform, toPlainObject } from './utils/from-object.js';
 import _ from './utils/underscore.js';
+import { flagContent } from './utils/get-set.js';
 
 import Vector from './vector.js';
 import Shape from './shape.js';
@@ -83,6 +86,44 @@ _.extend(Group, {
    */
   OrderChildren: function(children) {
     this._flagOrder = true;
+    flagContent(this);
+  },
+
+  /**
+   * @name Two.Group.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Group#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Group}
+   * @description Create a group, and all of its children, from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var group = new Group();
+
+    effects = effects || {};
+
+    if (typeof object.opacity === 'number') {
+      group.opacity = object.opacity;
+    }
+    if (typeof object.visible === 'boolean') {
+      group.visible = object.visible;
+    }
+    if (typeof object.blending === 'string') {
+      group.blending = object.blending;
+    }
+    if (object.filters) {
+      group.filters = object.filters.map(function(filter) {
+        return fromObject(filter, effects);
+      });
+    }
+
+    group.add(object.children.map(function(child) {
+      return fromObject(child, effects);
+    }));
+
+    return copyTransform(group, object, effects);
+
   },
 
   /**
@@ -96,6 +137,7 @@ _.extend(Group, {
     'cap',
     'join',
     'miter',
+    'fillRule',
 
     'closed',
     'curved',
@@ -122,6 +164,7 @@ _.extend(Group, {
 
       set: function(v) {
         this._flagVisible = this._visible !== v || this._flagVisible;
+        flagContent(this);
         this._visible = v;
       }
 
@@ -137,6 +180,7 @@ _.extend(Group, {
 
       set: function(v) {
         this._flagOpacity = this._opacity !== v || this._flagOpacity;
+        flagContent(this);
         this._opacity = v;
       }
 
@@ -152,6 +196,7 @@ _.extend(Group, {
 
       set: function(v) {
         this._flagBeginning = this._beginning !== v || this._flagBeginning;
+        flagContent(this);
         this._beginning = v;
       }
 
@@ -167,6 +212,7 @@ _.extend(Group, {
 
       set: function(v) {
         this._flagEnding = this._ending !== v || this._flagEnding;
+        flagContent(this);
         this._ending = v;
       }
 
@@ -240,13 +286,31 @@ _.extend(Group, {
       set: function(v) {
         this._mask = v;
         this._flagMask = true;
-        if (!v.clip) {
+        flagContent(this);
+        // A `Two.Mask` hides by its scene instead of clipping.
+        if (v && v._renderer.type !== 'mask' && !v.clip) {
           v.clip = true;
         }
       }
 
     });
 
+    Object.defineProperty(object, 'clip', {
+
+      enumerable: true,
+
+      get: function() {
+        return this._clip;
+      },
+
+      set: function(v) {
+        this._clip = v;
+        this._flagClip = true;
+        flagContent(this);
+      }
+
+    });
+
   },
 
   /**
@@ -371,18 +435,25 @@ _.extend(Group.prototype, Shape.prototype, {
    */
   _flagMask: false,
 
+  /**
+   * @name Two.Group#_flagClip
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Group#clip} needs updating.
+   */
+  _flagClip: false,
+
   // Underlying Properties
 
   /**
    * @name Two.Group#fill
-   * @property {(String|Two.Gradient|Two.Texture)} - The value of what all child shapes should be filled in with.
+   * @property {(String|Two.Gradient|Two.Texture|Two.Pattern)} - The value of what all child shapes should be filled in with.
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value} for more information on CSS's colors as `String`.
    */
   _fill: '#fff',
 
   /**
    * @name Two.Group#stroke
-   * @property {(String|Two.Gradient|Two.Texture)} - The value of what all child shapes should be outlined in with.
+   * @property {(String|Two.Gradient|Two.Texture|Two.Pattern)} - The value of what all child shapes should be outlined in with.
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value} for more information on CSS's colors as `String`.
    */
   _stroke: '#000',
@@ -428,6 +499,13 @@ _.extend(Group.prototype, Shape.prototype, {
    */
   _miter: 4,
 
+  /**
+   * @name Two.Group#fillRule
+   * @property {String}
+   * @see {@link https://www.w3.org/TR/SVG11/painting.html#FillRuleProperty}
+   */
+  _fillRule: 'nonzero',
+
   /**
    * @name Two.Group#closed
    * @property {Boolean} - Determines whether a final line is drawn between the final point in the `vertices` array and the first point of all child shapes.
@@ -470,10 +548,16 @@ _.extend(Group.prototype, Shape.prototype, {
 
   /**
    * @name Two.Group#mask
-   * @property {Two.Shape} - The Two.js object to clip from a group's rendering.
+   * @property {(Two.Shape|Two.Mask)} - The Two.js object to clip from a group's rendering. A {@link Two.Mask} hides the group by its luminance or alpha instead.
    */
   _mask: null,
 
+  /**
+   * @name Two.Group#clip
+   * @property {Boolean} - Tells Two.js renderer if this group represents a mask for another object (or not). The union of its children becomes the clipping area.
+   */
+  _clip: false,
+
   /**
    * @name Two.Group#clone
    * @function
@@ -506,6 +590,8 @@ _.extend(Group.prototype, Shape.prototype, {
     clone.rotation = this.rotation;
     clone.scale = this.scale;
     clone.className = this.className;
+    clone.blending = this.blending;
+    clone.filters = this._filters;
 
     if (this.matrix.manual) {
       clone.matrix.copy(this.matrix);
@@ -528,12 +614,17 @@ _.extend(Group.prototype, Shape.prototype, {
   toObject: function() {
 
     var result = {
+      type: 'group',
+      id: this.id,
       children: [],
       translation: this.translation.toObject(),
       rotation: this.rotation,
       scale: this.scale instanceof Vector ? this.scale.toObject() : this.scale,
       opacity: this.opacity,
+      visible: this.visible,
       className: this.className,
+      blending: this.blending,
+      filters: toPlainObject(this.filters),
       mask: (this.mask ? this.mask.toObject() : null)
     };
 
@@ -549,6 +640,22 @@ _.extend(Group.prototype, Shape.prototype, {
 
   },
 
+  /**
+   * @name Two.Group#load
+   * @function
+   * @param {Object|String} json - A scene document from {@link Two#toObject}, an object from any Two.js `toObject` method, or the JSON text of either.
+   * @returns {Object} The reconstructed object.
+   * @description Reconstruct Two.js objects with {@link Two.Utils.fromObject} and add the result to the group.
+   */
+  load: function(json) {
+
+    var object = fromObject(json);
+    this.add(object);
+
+    return object;
+
+  },
+
   /**
    * @name Two.Group#corner
    * @function
@@ -810,6 +917,38 @@ _.extend(Group.prototype, Shape.prototype, {
 
   },
 
+  /**
+   * @name Two.Group#contains
+   * @function
+   * @param {Number} x - x coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @param {Number} y - y coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @returns {Boolean}
+   * @description Determine whether a coordinate hits any of the group's descendants. See {@link Two.Group#getObjectsAt} to retrieve them.
+   */
+  contains: function(x, y) {
+    return hitTest.contains(this, x, y);
+  },
+
+  /**
+   * @name Two.Group#getObjectsAt
+   * @function
+   * @param {Number} x - x coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @param {Number} y - y coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @returns {Two.Shape[]} - A list of all descendants that contain the coordinate, ordered from the topmost rendered to the bottommost.
+   * @description Retrieve all the shapes within the group that are hit by a coordinate. Groups themselves are not included, only their descendants. Hidden shapes, shapes used as a mask, and shapes masked out at the coordinate are skipped. See {@link Two.Path#contains} for how each shape is tested.
+   */
+  getObjectsAt: function(x, y) {
+
+    var point = hitTest.getLocalPoint(this, x, y);
+
+    if (!point) {
+      return [];
+    }
+
+    return hitTest.collect(this, point.x, point.y, []);
+
+  },
+
   /**
    * @name Two.Group#noFill
    * @function
@@ -919,7 +1058,7 @@ _.extend(Group.prototype, Shape.prototype, {
       this._flagSubtractions = false;
     }
 
-    this._flagOrder = this._flagMask = this._flagOpacity =
+    this._flagOrder = this._flagMask = this._flagClip = this._flagOpacity =
       this._flagBeginning = this._flagEnding = false;
 
     Shape.prototype.flagReset.call(this);
@@ -931,6 +1070,7 @@ _.extend(Group.prototype, Shape.prototype, {
 });
 
 Group.MakeObservable(Group.prototype);
+Types.add('group', Group);
 
 // /**
 //  * Helper function used to sync parent-child relationship within the
@@ -996,6 +1136,7 @@ function replaceParent(child, newParent) {
     child.parent = newParent;
     newParent.additions.push(child);
     newParent._flagAdditions = true;
+    flagContent(child);
 
   }
 
@@ -1014,6 +1155,8 @@ function replaceParent(child, newParent) {
       parent._flagSubtractions = true;
     }
 
+    flagContent(child);
+
   }
 
 }
@@ -2,13 +2,26 @@ import Commands from './utils/path-commands.js';
 import Collection from './collection.js';
 import { getComputedMatrix, lerp, mod } from './utils/math.js';
 import {
+  getAnchorsFromSubpaths,
   getComponentOnCubicBezier,
+  getCubicSubpaths,
   getCurveBoundingBox,
   getCurveFromPoints,
+  getCurveIntersections,
+  getCurveParameterAtLength,
+  getCurveTangent,
+  getNearestPointOnCurve,
+  splitCurve,
   subdivide,
   getCurveLength as utilGetCurveLength
 } from './utils/curves.js';
-import defineGetterSetter from './utils/get-set.js';
+import defineGetterSetter, { flagContent } from './utils/get-set.js';
+import hitTest from './utils/hit-test.js';
+import { getMorphSubpaths, interpolateSubpaths } from './utils/morph.js';
+import getBooleanSubpaths, { orientSubpaths } from './utils/boolean.js';
+import { getOffsetSubpaths, getStrokeSubpaths } from './utils/offset.js';
+import { fitPoints, simplifyPoints } from './utils/simplify.js';
+import { Types, copyProperties, copyTransform, toPlainObject } from './utils/from-object.js';
 import _ from './utils/underscore.js';
 
 
@@ -21,6 +34,7 @@ import Gradient from './effects/gradient.js';
 import LinearGradient from './effects/linear-gradient.js';
 import RadialGradient from './effects/radial-gradient.js';
 import Texture from './effects/texture.js';
+import Pattern from './effects/pattern.js';
 
 // Constants
 
@@ -83,14 +97,14 @@ function Path(vertices, closed, curved, manual) {
 
   /**
    * @name Two.Path#fill
-   * @property {(String|Two.Gradient|Two.Texture)} - The value of what the path should be filled in with.
+   * @property {(String|Two.Gradient|Two.Texture|Two.Pattern)} - The value of what the path should be filled in with.
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value} for more information on CSS's colors as `String`.
    */
   this.fill = '#fff';
 
   /**
    * @name Two.Path#stroke
-   * @property {(String|Two.Gradient|Two.Texture)} - The value of what the path should be outlined in with.
+   * @property {(String|Two.Gradient|Two.Texture|Two.Pattern)} - The value of what the path should be outlined in with.
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value} for more information on CSS's colors as `String`.
    */
   this.stroke = '#000';
@@ -143,6 +157,14 @@ function Path(vertices, closed, curved, manual) {
    */
   this.miter = 4;         // Default of Adobe Illustrator
 
+  /**
+   * @name Two.Path#fillRule
+   * @property {String} - Decides which areas the fill covers where the path overlaps itself. Either `'nonzero'` or `'evenodd'`.
+   * @see {@link https://www.w3.org/TR/SVG11/painting.html#FillRuleProperty}
+   * @nota-bene Paths that are masks are always filled with the nonzero rule.
+   */
+  this.fillRule = 'nonzero';
+
   /**
    * @name Two.Path#vertices
    * @property {Two.Anchor[]} - An ordered list of anchor points for rendering the path.
@@ -188,18 +210,116 @@ _.extend(Path, {
     'cap',
     'join',
     'miter',
+    'fillRule',
 
     'closed',
     'curved',
     'automatic',
     'beginning',
-    'ending'
+    'ending',
+
+    'blending',
+    'filters'
   ],
 
   Utils: {
     getCurveLength: getCurveLength
   },
 
+  /**
+   * @name Two.Path.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Path#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Path}
+   * @description Create a path from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var path = new Path(object.vertices.map(Anchor.fromObject));
+
+    effects = effects || {};
+    copyProperties(path, object, Path.Properties, effects);
+
+    return copyTransform(path, object, effects);
+
+  },
+
+  /**
+   * @name Two.Path.morph
+   * @function
+   * @param {Two.Path} a - The path to morph from.
+   * @param {Two.Path} b - The path to morph to.
+   * @param {Number} t - Zero-to-one value describing how far to morph from `a` to `b`.
+   * @param {Two.Path} [path] - The path to assign the morphed vertices to. If none is passed a copy of `a` is made.
+   * @returns {Two.Path}
+   * @description Create the shape in between two paths. Both paths are converted to cubic béziers, aligned so that closed sub-paths wind in the same direction and start from their closest points, and resampled by arc length so every anchor of one path has a counterpart the same fraction of the way along the other. Then all anchors and their `controls` are interpolated. Sub-paths without a counterpart grow out of a point. Vertices are interpolated in the local space of each path, i.e: their matrices aren't factored in.
+   * @nota-bene Morphing the same paths repeatedly, e.g: on every frame, is cheaper with {@link Two.Path#morphTo}.
+   */
+  morph: function(a, b, t, path) {
+
+    a._update();
+    b._update();
+
+    var subpaths = getMorphSubpaths(a, b);
+
+    return setSubpaths(path || Path.prototype.clone.call(a),
+      interpolateSubpaths(subpaths[0], subpaths[1], t));
+
+  },
+
+  /**
+   * @name Two.Path.union
+   * @function
+   * @param {Two.Path} a - The first path.
+   * @param {Two.Path} b - The second path.
+   * @returns {Two.Path} - A new path describing the area covered by either path.
+   * @description Combine the filled areas of two paths. See {@link Two.Path.subtract} for how paths are compared.
+   */
+  union: function(a, b) {
+    return setSubpaths(Path.prototype.clone.call(a),
+      getBooleanSubpaths(a, b, 'union'));
+  },
+
+  /**
+   * @name Two.Path.intersect
+   * @function
+   * @param {Two.Path} a - The first path.
+   * @param {Two.Path} b - The second path.
+   * @returns {Two.Path} - A new path describing the area covered by both paths.
+   * @description Intersect the filled areas of two paths. See {@link Two.Path.subtract} for how paths are compared.
+   */
+  intersect: function(a, b) {
+    return setSubpaths(Path.prototype.clone.call(a),
+      getBooleanSubpaths(a, b, 'intersect'));
+  },
+
+  /**
+   * @name Two.Path.subtract
+   * @function
+   * @param {Two.Path} a - The path to subtract from.
+   * @param {Two.Path} b - The path to subtract.
+   * @returns {Two.Path} - A new path describing the area covered by `a` but not `b`.
+   * @description Cut the filled area of one path out of another. All boolean operations work on curves, arcs, and paths with multiple sub-paths, e.g: ones interpreted from SVG. Every sub-path is treated as closed and sub-paths nested inside others are treated as holes. Paths are compared in world space, so their matrices and the matrices of their parents are factored in. The resulting path copies the styles and transformation of `a` and its vertices are in the local space of `a`, so it lines up when added to the same parent as `a`. Holes wind in the opposite direction of the sub-paths around them.
+   */
+  subtract: function(a, b) {
+    return setSubpaths(Path.prototype.clone.call(a),
+      getBooleanSubpaths(a, b, 'subtract'));
+  },
+
+  /**
+   * @name Two.Path.exclude
+   * @function
+   * @param {Two.Path} a - The first path.
+   * @param {Two.Path} b - The second path.
+   * @returns {Two.Path} - A new path describing the area covered by exactly one of the paths.
+   * @description Combine the filled areas of two paths except for where they overlap. See {@link Two.Path.subtract} for how paths are compared.
+   */
+  exclude: function(a, b) {
+    return setSubpaths(Path.prototype.clone.call(a),
+      getBooleanSubpaths(a, b, 'exclude'));
+  },
+
   /**
    * @name Two.Path.FlagVertices
    * @function
@@ -207,6 +327,7 @@ _.extend(Path, {
    */
   FlagVertices: function() {
     this._flagVertices = true;
+    flagContent(this);
     this._flagLength = true;
     if (this.parent) {
       this.parent._flagLength = true;
@@ -254,6 +375,7 @@ _.extend(Path, {
    */
   FlagFill: function() {
     this._flagFill = true;
+    flagContent(this);
   },
 
   /**
@@ -263,6 +385,7 @@ _.extend(Path, {
    */
   FlagStroke: function() {
     this._flagStroke = true;
+    flagContent(this);
   },
 
   /**
@@ -277,7 +400,7 @@ _.extend(Path, {
 
     // Only the 7 defined properties are flagged like this. The subsequent
     // properties behave differently and need to be hand written.
-    _.each(Path.Properties.slice(2, 8), defineGetterSetter, object);
+    _.each(Path.Properties.slice(2, 9), defineGetterSetter, object);
 
     Object.defineProperty(object, 'fill', {
       enumerable: true,
@@ -289,17 +412,20 @@ _.extend(Path, {
         if (this._fill instanceof Gradient
           || this._fill instanceof LinearGradient
           || this._fill instanceof RadialGradient
-          || this._fill instanceof Texture) {
+          || this._fill instanceof Texture
+          || this._fill instanceof Pattern) {
           this._fill.unbind(Events.Types.change, this._renderer.flagFill);
         }
 
         this._fill = f;
         this._flagFill = true;
+        flagContent(this);
 
         if (this._fill instanceof Gradient
           || this._fill instanceof LinearGradient
           || this._fill instanceof RadialGradient
-          || this._fill instanceof Texture) {
+          || this._fill instanceof Texture
+          || this._fill instanceof Pattern) {
           this._fill.bind(Events.Types.change, this._renderer.flagFill);
         }
 
@@ -316,17 +442,20 @@ _.extend(Path, {
         if (this._stroke instanceof Gradient
           || this._stroke instanceof LinearGradient
           || this._stroke instanceof RadialGradient
-          || this._stroke instanceof Texture) {
+          || this._stroke instanceof Texture
+          || this._stroke instanceof Pattern) {
           this._stroke.unbind(Events.Types.change, this._renderer.flagStroke);
         }
 
         this._stroke = f;
         this._flagStroke = true;
+        flagContent(this);
 
         if (this._stroke instanceof Gradient
           || this._stroke instanceof LinearGradient
           || this._stroke instanceof RadialGradient
-          || this._stroke instanceof Texture) {
+          || this._stroke instanceof Texture
+          || this._stroke instanceof Pattern) {
           this._stroke.bind(Events.Types.change, this._renderer.flagStroke);
         }
 
@@ -354,6 +483,7 @@ _.extend(Path, {
       set: function(v) {
         this._closed = !!v;
         this._flagVertices = true;
+        flagContent(this);
       }
     });
 
@@ -365,6 +495,7 @@ _.extend(Path, {
       set: function(v) {
         this._curved = !!v;
         this._flagVertices = true;
+        flagContent(this);
       }
     });
 
@@ -393,6 +524,7 @@ _.extend(Path, {
       set: function(v) {
         this._beginning = v;
         this._flagVertices = true;
+        flagContent(this);
       }
     });
 
@@ -404,6 +536,7 @@ _.extend(Path, {
       set: function(v) {
         this._ending = v;
         this._flagVertices = true;
+        flagContent(this);
       }
     });
 
@@ -449,7 +582,7 @@ _.extend(Path, {
 
     /**
      * @name Two.Path#mask
-     * @property {Two.Shape} - The shape whose alpha property becomes a clipping area for the path.
+     * @property {(Two.Shape|Two.Mask)} - The shape whose alpha property becomes a clipping area for the path. A {@link Two.Mask} hides the path by its luminance or alpha instead.
      * @nota-bene This property is currently not working becuase of SVG spec issues found here {@link https://code.google.com/p/chromium/issues/detail?id=370951}.
      */
     Object.defineProperty(object, 'mask', {
@@ -463,7 +596,9 @@ _.extend(Path, {
       set: function(v) {
         this._mask = v;
         this._flagMask = true;
-        if (!v.clip) {
+        flagContent(this);
+        // A `Two.Mask` hides by its scene instead of clipping.
+        if (v && v._renderer.type !== 'mask' && !v.clip) {
           v.clip = true;
         }
       }
@@ -482,6 +617,23 @@ _.extend(Path, {
       set: function(v) {
         this._clip = v;
         this._flagClip = true;
+        flagContent(this);
+      }
+    });
+
+    /**
+     * @name Two.Path#markers
+     * @property {Object} - The {@link Two.Marker}s drawn at the `start`, `mid`, and `end` vertices of the path, e.g: `path.markers = { end: arrowhead }`. Any of them can be left out, and each can be changed on its own afterwards, e.g: `path.markers.start = dot`.
+     */
+    Object.defineProperty(object, 'markers', {
+      enumerable: true,
+      get: function() {
+        return this._markers;
+      },
+      set: function(v) {
+        this._markers = v ? observeMarkers(this, v) : null;
+        this._flagMarkers = true;
+        flagContent(this);
       }
     });
 
@@ -579,6 +731,13 @@ _.extend(Path.prototype, Shape.prototype, {
    */
   _flagMiter: true,
 
+  /**
+   * @name Two.Path#_flagFillRule
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Path#fillRule} needs updating.
+   */
+  _flagFillRule: true,
+
   /**
    * @name Two.Path#_flagMask
    * @private
@@ -593,6 +752,13 @@ _.extend(Path.prototype, Shape.prototype, {
    */
   _flagClip: false,
 
+  /**
+   * @name Two.Path#_flagMarkers
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Path#markers} need updating.
+   */
+  _flagMarkers: false,
+
   // Underlying Properties
 
   /**
@@ -658,6 +824,13 @@ _.extend(Path.prototype, Shape.prototype, {
    */
   _miter: 4,
 
+  /**
+   * @name Two.Path#_fillRule
+   * @private
+   * @see {@link Two.Path#fillRule}
+   */
+  _fillRule: 'nonzero',
+
   /**
    * @name Two.Path#_closed
    * @private
@@ -707,6 +880,13 @@ _.extend(Path.prototype, Shape.prototype, {
    */
   _clip: false,
 
+  /**
+   * @name Two.Path#_markers
+   * @private
+   * @see {@link Two.Path#markers}
+   */
+  _markers: null,
+
   /**
    * @name Two.Path#_dashes
    * @private
@@ -736,6 +916,10 @@ _.extend(Path.prototype, Shape.prototype, {
 
     clone.className = this.className;
 
+    if (this.markers) {
+      clone.markers = this.markers;
+    }
+
     clone.translation.copy(this.translation);
     clone.rotation = this.rotation;
     clone.scale = this.scale;
@@ -763,6 +947,8 @@ _.extend(Path.prototype, Shape.prototype, {
   toObject: function() {
 
     var result = {
+      type: 'path',
+      id: this.id,
       vertices: this.vertices.map(function(v) {
         return v.toObject();
       })
@@ -770,11 +956,7 @@ _.extend(Path.prototype, Shape.prototype, {
 
     _.each(Path.Properties, function(k) {
       if (typeof this[k] !== 'undefined') {
-        if (this[k].toObject) {
-          result[k] = this[k].toObject();
-        } else {
-          result[k] = this[k];
-        }
+        result[k] = toPlainObject(this[k]);
       }
     }, this);
 
@@ -790,6 +972,19 @@ _.extend(Path.prototype, Shape.prototype, {
       result.matrix = this.matrix.toObject();
     }
 
+    if (this.mask) {
+      result.mask = this.mask.toObject();
+    }
+
+    if (this.markers) {
+      result.markers = {};
+      _.each(['start', 'mid', 'end'], function(k) {
+        if (this.markers[k]) {
+          result.markers[k] = this.markers[k].toObject();
+        }
+      }, this);
+    }
+
     return result;
 
   },
@@ -980,6 +1175,256 @@ _.extend(Path.prototype, Shape.prototype, {
 
   },
 
+  /**
+   * @name Two.Path#contains
+   * @function
+   * @param {Number} x - x coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @param {Number} y - y coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @returns {Boolean}
+   * @description Determine whether a coordinate hits the path. The fill, when visible, is tested with {@link Two.Path#fillRule} and the stroke, when visible, factors in {@link Two.Path#linewidth}, {@link Two.Path#cap}, {@link Two.Path#join} and {@link Two.Path#miter}. The trimmed shape from {@link Two.Path#beginning} and {@link Two.Path#ending}, {@link Two.Path#visible}, {@link Two.Path#mask} and the matrices of all parents are respected. This is calculated independent of the renderer used.
+   */
+  contains: function(x, y) {
+    return hitTest.contains(this, x, y);
+  },
+
+  /**
+   * @name Two.Path#morphTo
+   * @function
+   * @param {Two.Path} path - The path whose shape to morph into.
+   * @param {Object} [options] - See {@link Two.Tween} for available options.
+   * @returns {Two.Tween} - The playing tween.
+   * @description Animate the vertices of this path into the shape of another one. The vertices of this path are first replaced with an equivalent set of curves that match the resampled anchors of `path` as described in {@link Two.Path.morph}, so the path doesn't visibly change until the tween advances. Once complete this path has the shape of `path`, though not necessarily the same amount of vertices.
+   * @nota-bene Shapes like {@link Two.Circle} and {@link Two.Rectangle} recalculate their vertices whenever they change. Morph a {@link Two.Path} made with {@link Two.Path.morph} instead, e.g: `Two.Path.morph(circle, circle, 0).morphTo(star)`.
+   */
+  morphTo: function(path, options) {
+
+    this._update();
+    path._update();
+
+    var subpaths = getMorphSubpaths(this, path);
+    var from = getAnchorsFromSubpaths(subpaths[0]);
+    var to = getAnchorsFromSubpaths(subpaths[1]);
+
+    this.automatic = false;
+    this.closed = from.closed;
+    this.vertices = from.vertices;
+
+    return this.animate({
+      vertices: to.vertices.map(function(v) {
+        return {
+          x: v.x,
+          y: v.y,
+          controls: {
+            left: { x: v.controls.left.x, y: v.controls.left.y },
+            right: { x: v.controls.right.x, y: v.controls.right.y }
+          }
+        };
+      })
+    }, options);
+
+  },
+
+  /**
+   * @name Two.Path#getIntersections
+   * @function
+   * @param {Two.Path} path - The path to intersect with.
+   * @returns {Object[]} - A list of intersections ordered along this path. Each one has the `x`, `y` coordinates in world space of where the paths cross, and `t1` and `t2` describing how far along this path and `path` respectively the crossing is, as a zero-to-one percentage of their length.
+   * @description Find every point where the outlines of two paths cross. Lines, curves, and arcs are all supported, as are the segments that close closed paths. The matrices of both paths and their parents are factored in. Stretches where the outlines overlap are not reported.
+   */
+  getIntersections: function(path) {
+
+    var a = getSegments(this);
+    var b = getSegments(path);
+    var result = [];
+
+    for (var i = 0; i < a.segments.length; i++) {
+      for (var j = 0; j < b.segments.length; j++) {
+
+        var intersections = getCurveIntersections(
+          a.segments[i].world, b.segments[j].world);
+
+        for (var k = 0; k < intersections.length; k++) {
+
+          var hit = intersections[k];
+          var duplicate = result.some(isDuplicate, hit);
+
+          if (!duplicate) {
+            result.push({
+              x: hit.x,
+              y: hit.y,
+              t1: getPercentage(a, i, hit.t1),
+              t2: getPercentage(b, j, hit.t2)
+            });
+          }
+
+        }
+
+      }
+    }
+
+    return result.sort(function(p, q) {
+      return p.t1 - q.t1;
+    });
+
+  },
+
+  /**
+   * @name Two.Path#getNearestPoint
+   * @function
+   * @param {Number} x - x coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @param {Number} y - y coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @returns {Object} - The `x`, `y` coordinates in world space of the closest point on the outline of the path, `t` describing how far along the path it is as a zero-to-one percentage of its length, and its `distance` to the coordinate passed in. `null` if the path has no segments.
+   * @description Find the point on the path that is closest to a coordinate, e.g: to snap to it. Lines, curves, and arcs are all supported and the matrices of the path and its parents are factored in.
+   */
+  getNearestPoint: function(x, y) {
+
+    var result = null;
+    var data = getSegments(this);
+
+    for (var i = 0; i < data.segments.length; i++) {
+
+      var nearest = getNearestPointOnCurve(data.segments[i].world, x, y);
+
+      if (!result || nearest.distance < result.distance) {
+        result = {
+          x: nearest.x,
+          y: nearest.y,
+          t: getPercentage(data, i, nearest.t),
+          distance: nearest.distance
+        };
+      }
+
+    }
+
+    return result;
+
+  },
+
+  /**
+   * @name Two.Path#offset
+   * @function
+   * @param {Number} distance - How far to move the outline. Positive values grow closed paths and negative values shrink them. Open paths move to their left, as seen on screen, for positive values.
+   * @param {Object} [options]
+   * @param {String} [options.join] - How to fill in corners that the offset pulls apart. Either `'miter'`, `'round'`, or `'bevel'`. Defaults to {@link Two.Path#join}.
+   * @param {Number} [options.miter] - The miter limit. Defaults to {@link Two.Path#miter}.
+   * @returns {Two.Path} - A new path with the same matrix as this one.
+   * @description Create a new path whose outline runs parallel to this path's at a constant distance. Curves and arcs are approximated with cubic béziers within {@link Two.Utils.Curve.Tolerance}. Holes move in the opposite direction of the outlines that contain them, so they shrink when the path grows.
+   * @nota-bene Offsets larger than the radius of a curve, or than the width of the shape, can loop back on themselves. These loops are kept rather than removed.
+   */
+  offset: function(distance, options) {
+
+    options = options || {};
+
+    this._update();
+
+    var subpaths = orientSubpaths(getCubicSubpaths(this.vertices, this._closed));
+    var join = options.join || this.join;
+    var miter = typeof options.miter === 'number' ? options.miter : this.miter;
+
+    return setSubpaths(Path.prototype.clone.call(this),
+      getOffsetSubpaths(subpaths, distance, join, miter));
+
+  },
+
+  /**
+   * @name Two.Path#outlineStroke
+   * @function
+   * @returns {Two.Path} - A new path with the same matrix as this one, filled with this path's stroke and without a stroke of its own.
+   * @description Create a new path whose fill covers the same area as this path's stroke. {@link Two.Path#linewidth}, {@link Two.Path#cap}, {@link Two.Path#join}, {@link Two.Path#miter}, {@link Two.Path#dashes}, {@link Two.Path#beginning}, and {@link Two.Path#ending} are all factored in. Useful for exporting strokes as shapes or running {@link Two.Path.union} and other boolean operations on them.
+   * @nota-bene The outlines overlap wherever the stroke overlaps itself and are meant to be filled with the nonzero fill rule. Run them through {@link Two.Path.union} with themselves to merge them.
+   */
+  outlineStroke: function() {
+
+    this._update();
+
+    var subpaths = getCubicSubpaths(this._renderer.vertices, this._closed);
+    var path = setSubpaths(Path.prototype.clone.call(this),
+      getStrokeSubpaths(subpaths, this.linewidth, this.cap, this.join,
+        this.miter, this.dashes));
+
+    path.fill = this.stroke;
+    path.noStroke();
+    path.beginning = 0;
+    path.ending = 1;
+
+    return path;
+
+  },
+
+  /**
+   * @name Two.Path#simplify
+   * @function
+   * @param {Number} [tolerance=1] - The largest distance, in the path's local space, a removed {@link Two.Anchor} may be from the simplified outline.
+   * @description Remove the {@link Two.Anchor}s that don't noticeably change the shape of the path with the Ramer–Douglas–Peucker algorithm. The first and last anchors of every sub-path, and their commands, are kept.
+   * @nota-bene Meant for polylines, e.g: pointer samples. Anchors are compared as points and the controls of curves are ignored. Use {@link Two.Path#fitCurves} to turn the remaining anchors into curves.
+   */
+  simplify: function(tolerance) {
+
+    tolerance = typeof tolerance === 'number' ? tolerance : 1;
+
+    this._update();
+
+    var runs = getRuns(this.vertices, this._closed);
+    var vertices = [];
+
+    for (var i = 0; i < runs.length; i++) {
+
+      var run = runs[i];
+      var indices = simplifyPoints(run.vertices, run.closed, tolerance);
+
+      for (var j = 0; j < indices.length; j++) {
+        vertices.push(run.vertices[indices[j]].clone());
+      }
+
+    }
+
+    this.vertices = vertices;
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Path#fitCurves
+   * @function
+   * @param {Number} [tolerance=1] - The largest distance, in the path's local space, an original {@link Two.Anchor} may be from the fitted curves.
+   * @description Replace dense {@link Two.Path#vertices}, e.g: pointer samples from a drawing app, with as few smooth cubic bézier {@link Two.Anchor}s as possible that still pass within `tolerance` of every original anchor. Every sub-path is fitted separately and the path is no longer {@link Two.Path#automatic}.
+   * @nota-bene The fitted curves are smooth where they meet, so sharp corners are rounded off as much as `tolerance` allows.
+   */
+  fitCurves: function(tolerance) {
+
+    tolerance = typeof tolerance === 'number' ? tolerance : 1;
+
+    this._update();
+
+    var subpaths = getCubicSubpaths(this.vertices, this._closed);
+    var result = [];
+
+    for (var i = 0; i < subpaths.length; i++) {
+
+      var subpath = subpaths[i];
+      var points = subpath.segments.map(function(s) {
+        return { x: s[6], y: s[7] };
+      });
+
+      if (points.length <= 0) {
+        continue;
+      }
+
+      points.unshift({ x: subpath.segments[0][0], y: subpath.segments[0][1] });
+
+      var segments = fitPoints(points, subpath.closed, tolerance);
+
+      if (segments.length > 0) {
+        result.push({ segments: segments, closed: subpath.closed });
+      }
+
+    }
+
+    return setSubpaths(this, result);
+
+  },
+
   /**
    * @name Two.Path#getPointAt
    * @function
@@ -1119,6 +1564,155 @@ _.extend(Path.prototype, Shape.prototype, {
 
   },
 
+  /**
+   * @name Two.Path#getPointAtLength
+   * @function
+   * @param {Number} distance - How far along the path, in its local space, to find a point.
+   * @param {Two.Vector} [obj] - Object to apply calculated x, y to. If none available returns a new {@link Two.Vector}.
+   * @returns {Two.Vector} - The point in the path's local space. `null` if the path has no segments.
+   * @description Find the point that is `distance` along the outline of the path, measured by arc length. Unlike {@link Two.Path#getPointAt} the distance is exact within curves, so equal steps in distance are equal steps along the path.
+   */
+  getPointAtLength: function(distance, obj) {
+
+    var data = getSegments(this);
+    var result = getSegmentAtLength(data, distance);
+
+    if (!result) {
+      return null;
+    }
+
+    var c = data.segments[result.index].local;
+    var x = getComponentOnCubicBezier(result.t, c[0], c[2], c[4], c[6]);
+    var y = getComponentOnCubicBezier(result.t, c[1], c[3], c[5], c[7]);
+
+    if (_.isObject(obj)) {
+      obj.x = x;
+      obj.y = y;
+      return obj;
+    }
+
+    return new Vector(x, y);
+
+  },
+
+  /**
+   * @name Two.Path#getTangentAt
+   * @function
+   * @param {Number} t - Zero-to-one value describing how far along the path, as a percentage of its length measured by arc length.
+   * @param {Two.Vector} [obj] - Object to apply calculated x, y to. If none available returns a new {@link Two.Vector}.
+   * @returns {Two.Vector} - The normalized direction the path travels in at `t`, in the path's local space. `null` if the path has no segments.
+   * @description Useful for rotating decorations to follow a path, e.g: `Math.atan2(tangent.y, tangent.x)`.
+   */
+  getTangentAt: function(t, obj) {
+
+    var data = getSegments(this);
+    var result = getSegmentAtLength(data,
+      Math.min(Math.max(t, 0), 1) * data.length);
+
+    if (!result) {
+      return null;
+    }
+
+    var direction = getCurveTangent(data.segments[result.index].local, result.t)
+      || [0, 0];
+
+    if (_.isObject(obj)) {
+      obj.x = direction[0];
+      obj.y = direction[1];
+      return obj;
+    }
+
+    return new Vector(direction[0], direction[1]);
+
+  },
+
+  /**
+   * @name Two.Path#getNormalAt
+   * @function
+   * @param {Number} t - Zero-to-one value describing how far along the path, as a percentage of its length measured by arc length.
+   * @param {Two.Vector} [obj] - Object to apply calculated x, y to. If none available returns a new {@link Two.Vector}.
+   * @returns {Two.Vector} - The normalized direction perpendicular to the path at `t`, in the path's local space. `null` if the path has no segments.
+   * @description The normal is the tangent from {@link Two.Path#getTangentAt} turned a quarter turn counter-clockwise on screen. It points to the left of the direction of travel, the same way positive distances passed to {@link Two.Path#offset} move open paths.
+   */
+  getNormalAt: function(t, obj) {
+
+    var tangent = this.getTangentAt(t, obj);
+
+    if (tangent) {
+      var x = tangent.x;
+      tangent.x = tangent.y;
+      tangent.y = - x;
+    }
+
+    return tangent;
+
+  },
+
+  /**
+   * @name Two.Path#resample
+   * @function
+   * @param {Number} spacing - The distance, in the path's local space, between anchors.
+   * @returns {Two.Anchor[]} - A new list of anchors in the path's local space.
+   * @description Place anchors at equal distances, measured by arc length, along every sub-path. The spacing is adjusted slightly so the anchors divide each sub-path into equal lengths: open sub-paths get an anchor on both ends and closed sub-paths don't repeat their first anchor. The path itself isn't modified, so the anchors can be used to place decorations or assigned as the path's vertices, e.g: `path.vertices = path.resample(10)`.
+   */
+  resample: function(spacing) {
+
+    var result = [];
+
+    if (!(spacing > 0)) {
+      return result;
+    }
+
+    this._update();
+
+    var subpaths = getCubicSubpaths(this.vertices, this._closed);
+
+    for (var i = 0; i < subpaths.length; i++) {
+
+      var segments = subpaths[i].segments;
+      var lengths = segments.map(function(s) {
+        return utilGetCurveLength.apply(null, s);
+      });
+      var length = lengths.reduce(function(sum, l) {
+        return sum + l;
+      }, 0);
+
+      if (length <= 0) {
+        continue;
+      }
+
+      var amount = Math.max(Math.round(length / spacing), 1);
+      var count = subpaths[i].closed ? amount : amount + 1;
+      var index = 0;
+      var offset = 0;
+
+      for (var j = 0; j < count; j++) {
+
+        var target = length * j / amount;
+
+        while (index < segments.length - 1 && offset + lengths[index] < target) {
+          offset += lengths[index];
+          index++;
+        }
+
+        var c = segments[index];
+        var t = getCurveParameterAtLength(c, target - offset, lengths[index]);
+
+        result.push(new Anchor(
+          getComponentOnCubicBezier(t, c[0], c[2], c[4], c[6]),
+          getComponentOnCubicBezier(t, c[1], c[3], c[5], c[7]),
+          0, 0, 0, 0,
+          j <= 0 ? Commands.move : Commands.line
+        ));
+
+      }
+
+    }
+
+    return result;
+
+  },
+
   /**
    * @name Two.Path#plot
    * @function
@@ -1412,8 +2006,8 @@ _.extend(Path.prototype, Shape.prototype, {
 
     this._flagVertices = this._flagLength = this._flagFill =  this._flagStroke =
       this._flagLinewidth = this._flagOpacity = this._flagVisible =
-      this._flagCap = this._flagJoin = this._flagMiter =
-      this._flagClip = false;
+      this._flagCap = this._flagJoin = this._flagMiter = this._flagFillRule =
+      this._flagClip = this._flagMarkers = false;
 
     Shape.prototype.flagReset.call(this);
 
@@ -1424,9 +2018,191 @@ _.extend(Path.prototype, Shape.prototype, {
 });
 
 Path.MakeObservable(Path.prototype);
+Types.add('path', Path);
 
   // Utility functions
 
+/**
+ * @private
+ * @param {Two.Path} path
+ * @returns {Object} The cubic béziers that make up the outline of the path as `segments` and their total `length` in the path's local space. Each segment has the eight coordinates of the curve in `local` and `world` space, its `length` and the `offset` of where it starts along the path.
+ */
+function getSegments(path) {
+
+  path._update();
+
+  if (path.parent) {
+    path.parent._update(true);
+  }
+
+  var e = getComputedMatrix(path).elements;
+  var subpaths = getCubicSubpaths(path.vertices, path._closed);
+  var segments = [];
+  var length = 0;
+
+  for (var i = 0; i < subpaths.length; i++) {
+    for (var j = 0; j < subpaths[i].segments.length; j++) {
+
+      var local = subpaths[i].segments[j];
+      var world = [];
+      var l = utilGetCurveLength.apply(null, local);
+
+      for (var k = 0; k < 8; k += 2) {
+        world.push(
+          e[0] * local[k] + e[1] * local[k + 1] + e[2],
+          e[3] * local[k] + e[4] * local[k + 1] + e[5]
+        );
+      }
+
+      segments.push({ local: local, world: world, length: l, offset: length });
+      length += l;
+
+    }
+  }
+
+  return { segments: segments, length: length };
+
+}
+
+/**
+ * @private
+ * @param {Object} data - The segments of a path from `getSegments`.
+ * @param {Number} distance - How far along the path in its local space.
+ * @returns {Object} The `index` of the segment the distance falls on and the zero-to-one `t` value on that segment. `null` if there are no segments.
+ */
+function getSegmentAtLength(data, distance) {
+
+  var last = data.segments.length - 1;
+
+  for (var i = 0; i <= last; i++) {
+    var segment = data.segments[i];
+    if (i >= last || distance <= segment.offset + segment.length) {
+      return {
+        index: i,
+        t: getCurveParameterAtLength(segment.local,
+          distance - segment.offset, segment.length)
+      };
+    }
+  }
+
+  return null;
+
+}
+
+/**
+ * @private
+ * @param {Object} data - The segments of a path from `getSegments`.
+ * @param {Number} index - The index of the segment.
+ * @param {Number} t - Zero-to-one value describing where on the segment.
+ * @returns {Number} How far along the whole path the point is as a zero-to-one percentage of its length.
+ */
+function getPercentage(data, index, t) {
+
+  var segment = data.segments[index];
+
+  if (data.length <= 0) {
+    return 0;
+  }
+
+  var length = t > 0 ? utilGetCurveLength.apply(null,
+    splitCurve.apply(null, segment.local.concat(t))[0]) : 0;
+
+  return Math.min((segment.offset + length) / data.length, 1);
+
+}
+
+function isDuplicate(intersection) {
+  return Math.abs(intersection.x - this.x) <= 0.001
+    && Math.abs(intersection.y - this.y) <= 0.001;
+}
+
+/**
+ * @private
+ * @param {Two.Path} path - The path the markers are drawn on.
+ * @param {Object} markers - The markers assigned to {@link Two.Path#markers}.
+ * @returns {Object} A copy of `markers` whose `start`, `mid`, and `end` flag the path when they change.
+ */
+function observeMarkers(path, markers) {
+
+  var result = {};
+
+  _.each(['start', 'mid', 'end'], function(position) {
+
+    var marker = markers[position];
+
+    Object.defineProperty(result, position, {
+      enumerable: true,
+      get: function() {
+        return marker;
+      },
+      set: function(v) {
+        marker = v;
+        path._flagMarkers = true;
+        flagContent(path);
+      }
+    });
+
+  });
+
+  return result;
+
+}
+
+/**
+ * @private
+ * @param {Two.Path} path - The path to assign vertices to.
+ * @param {Object[]} subpaths - A list of sub-paths as described in {@link Two.Utils.getCubicSubpaths}.
+ * @returns {Two.Path}
+ * @description Replace the vertices of a path with manually plotted anchors that describe the sub-paths.
+ */
+function setSubpaths(path, subpaths) {
+
+  var anchors = getAnchorsFromSubpaths(subpaths);
+
+  path.automatic = false;
+  path.closed = anchors.closed;
+  path.vertices = anchors.vertices;
+
+  return path;
+
+}
+
+/**
+ * @private
+ * @param {Two.Anchor[]} vertices
+ * @param {Boolean} closed - Whether the final sub-path is closed like {@link Two.Path#closed}.
+ * @returns {Object[]} The vertices split into a list of sub-paths. Each one has a list of `vertices` and whether it is `closed` back to its first vertex without a {@link Two.Commands.close} anchor of its own.
+ */
+function getRuns(vertices, closed) {
+
+  var result = [];
+  var current = null;
+
+  for (var i = 0; i < vertices.length; i++) {
+
+    var v = vertices[i];
+
+    if (!current || v.command === Commands.move) {
+      current = { vertices: [], closed: false };
+      result.push(current);
+    }
+
+    current.vertices.push(v);
+
+    if (v.command === Commands.close) {
+      current = null;
+    }
+
+  }
+
+  if (current) {
+    current.closed = closed;
+  }
+
+  return result;
+
+}
+
 function contains(path, t) {
 
   if (t === 0 || t === 1) {
@@ -0,0 +1,368 @@
+import Events, { getListenerCount } from './events.js';
+import _ from './utils/underscore.js';
+
+/**
+ * @name Two.Pointer
+ * @class
+ * @param {Two} two - The instance to dispatch pointer events for.
+ * @description Listens to pointer related DOM events on the `domElement` of a {@link Two#renderer} and dispatches them to the shapes in {@link Two#scene} underneath the pointer. Like DOM events, they bubble up through each shape's `parent`. Because shapes are found with {@link Two.Group#getObjectsAt} this works the same for every renderer. An instance is created automatically for every {@link Two} as {@link Two#pointer}.
+ * @example
+ * var circle = two.makeCircle(0, 0, 50);
+ * circle.on('pointerdown', function(event) {
+ *   event.stopPropagation();
+ *   console.log(event.target, event.x, event.y);
+ * });
+ */
+function Pointer(two) {
+
+  /**
+   * @name Two.Pointer#two
+   * @property {Two} - The instance pointer events are dispatched for.
+   */
+  this.two = two;
+
+  /**
+   * @name Two.Pointer#hovered
+   * @property {Two.Shape[]} - The shape under the pointer and all of its ancestors, ordered from the deepest to {@link Two#scene}.
+   */
+  this.hovered = [];
+
+  /**
+   * @name Two.Pointer#domElement
+   * @property {Element} - The element DOM events are listened to on. Typically the renderer's `domElement`.
+   */
+  this.domElement = null;
+
+  this._handlers = {};
+
+  _.each(Pointer.Types, function(type) {
+    this._handlers[type] = Pointer.Handle.bind(this, type);
+  }, this);
+
+  this._handlers.pointerleave = Pointer.Leave.bind(this);
+
+  this.bind(two.renderer && two.renderer.domElement);
+
+}
+
+_.extend(Pointer, {
+
+  /**
+   * @name Two.Pointer.Types
+   * @property {String[]} - The DOM events that are dispatched to the scene.
+   */
+  Types: [
+    Events.Types.pointerdown,
+    Events.Types.pointermove,
+    Events.Types.pointerup,
+    Events.Types.click,
+    Events.Types.wheel
+  ],
+
+  /**
+   * @name Two.Pointer.Event
+   * @class
+   * @param {String} type - The name of the event.
+   * @param {Number} x - The x coordinate of the pointer in {@link Two#scene} space.
+   * @param {Number} y - The y coordinate of the pointer in {@link Two#scene} space.
+   * @param {Two.Shape} target - The shape the event is dispatched to.
+   * @param {Event} [originalEvent] - The DOM event that caused this event.
+   * @description The object passed to handlers of pointer events on shapes.
+   */
+  Event: ShapePointerEvent,
+
+  /**
+   * @name Two.Pointer.isListened
+   * @function
+   * @private
+   * @param {String} type - The name of a DOM event.
+   * @returns {Boolean} - Whether any shape listens to the event or to the `pointerenter` and `pointerleave` events it can cause.
+   * @description DOM events nothing listens to aren't hit tested, so scenes without pointer handlers don't pay for {@link Two.Group#getObjectsAt} on every move.
+   */
+  isListened: function(type) {
+    if (getListenerCount(type) > 0) {
+      return true;
+    }
+    return type !== Events.Types.click && type !== Events.Types.wheel
+      && (getListenerCount(Events.Types.pointerenter) > 0
+      || getListenerCount(Events.Types.pointerleave) > 0);
+  },
+
+  /**
+   * @name Two.Pointer.Handle
+   * @function
+   * @private
+   * @param {String} type - The name of the event.
+   * @param {Event} e - The DOM event.
+   * @description Cached method to forward DOM events to {@link Two.Pointer#dispatch}.
+   */
+  Handle: function(type, e) {
+    if (!Pointer.isListened(type)) {
+      return;
+    }
+    var position = this.getPosition(e);
+    this.dispatch(type, position.x, position.y, e);
+  },
+
+  /**
+   * @name Two.Pointer.Leave
+   * @function
+   * @private
+   * @param {Event} e - The DOM event.
+   * @description Cached method to dispatch `pointerleave` events when the pointer leaves the `domElement`.
+   */
+  Leave: function(e) {
+    if (this.hovered.length <= 0) {
+      return;
+    }
+    var position = this.getPosition(e);
+    this.hover(null, position.x, position.y, e);
+  }
+
+});
+
+_.extend(Pointer.prototype, {
+
+  constructor: Pointer,
+
+  /**
+   * @name Two.Pointer#bind
+   * @function
+   * @param {Element} domElement - The element to listen to DOM events on.
+   * @description Listen to pointer related DOM events on an element. Any previously bound element is unbound.
+   */
+  bind: function(domElement) {
+
+    this.unbind();
+
+    if (!domElement || typeof domElement.addEventListener !== 'function') {
+      return this;
+    }
+
+    this.domElement = domElement;
+
+    _.each(this._handlers, function(handler, type) {
+      domElement.addEventListener(type, handler, false);
+    });
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Pointer#unbind
+   * @function
+   * @description Stop listening to DOM events on {@link Two.Pointer#domElement}.
+   */
+  unbind: function() {
+
+    var domElement = this.domElement;
+
+    if (!domElement) {
+      return this;
+    }
+
+    _.each(this._handlers, function(handler, type) {
+      domElement.removeEventListener(type, handler, false);
+    });
+
+    this.domElement = null;
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Pointer#getPosition
+   * @function
+   * @param {Event} e - A DOM event with `clientX` and `clientY` properties.
+   * @returns {Object} - The `x` and `y` coordinates of the event in {@link Two#scene} space.
+   * @description Convert the coordinates of a DOM event relative to {@link Two.Pointer#domElement}. This factors in elements scaled through CSS.
+   */
+  getPosition: function(e) {
+
+    var domElement = this.domElement;
+    var x = e.clientX;
+    var y = e.clientY;
+
+    if (domElement && typeof domElement.getBoundingClientRect === 'function') {
+      var rect = domElement.getBoundingClientRect();
+      x -= rect.left;
+      y -= rect.top;
+      if (rect.width > 0 && this.two.width > 0) {
+        x *= this.two.width / rect.width;
+      }
+      if (rect.height > 0 && this.two.height > 0) {
+        y *= this.two.height / rect.height;
+      }
+    }
+
+    return { x: x, y: y };
+
+  },
+
+  /**
+   * @name Two.Pointer#getTarget
+   * @function
+   * @param {Number} x - The x coordinate in {@link Two#scene} space.
+   * @param {Number} y - The y coordinate in {@link Two#scene} space.
+   * @returns {Two.Shape} - The topmost shape at the coordinate, or {@link Two#scene} if there isn't one.
+   */
+  getTarget: function(x, y) {
+    var scene = this.two.scene;
+    return scene.getObjectsAt(x, y)[0] || scene;
+  },
+
+  /**
+   * @name Two.Pointer#dispatch
+   * @function
+   * @param {String} type - The name of the event, e.g: `'pointerdown'`.
+   * @param {Number} x - The x coordinate in {@link Two#scene} space.
+   * @param {Number} y - The y coordinate in {@link Two#scene} space.
+   * @param {Event} [originalEvent] - The DOM event that caused this event.
+   * @returns {Two.Pointer.Event} - The event dispatched.
+   * @description Dispatch a pointer event to the topmost shape at a coordinate and bubble it up through its ancestors until {@link Two.Pointer.Event#stopPropagation} is called. Pointer down, move, and up events also dispatch `pointerenter` and `pointerleave` events when the shape under the pointer changes. This is called automatically from DOM events, but can also be invoked directly, e.g: in headless environments.
+   */
+  dispatch: function(type, x, y, originalEvent) {
+
+    var target = this.getTarget(x, y);
+    var event = new ShapePointerEvent(type, x, y, target, originalEvent);
+
+    if (type === Events.Types.pointerdown || type === Events.Types.pointermove
+      || type === Events.Types.pointerup) {
+      this.hover(target, x, y, originalEvent);
+    }
+
+    var shape = target;
+
+    while (shape && !event._stopped) {
+      event.currentTarget = shape;
+      shape.trigger(type, event);
+      shape = shape.parent;
+    }
+
+    event.currentTarget = null;
+
+    return event;
+
+  },
+
+  /**
+   * @name Two.Pointer#hover
+   * @function
+   * @param {Two.Shape} [target] - The shape now under the pointer. Pass `null` when the pointer has left the scene.
+   * @param {Number} x - The x coordinate in {@link Two#scene} space.
+   * @param {Number} y - The y coordinate in {@link Two#scene} space.
+   * @param {Event} [originalEvent] - The DOM event that caused this change.
+   * @description Update {@link Two.Pointer#hovered} and dispatch non-bubbling `pointerleave` events to the shapes the pointer left and `pointerenter` events to the shapes it entered.
+   */
+  hover: function(target, x, y, originalEvent) {
+
+    var i, shape;
+    var previous = this.hovered;
+    var hovered = [];
+
+    for (shape = target; shape; shape = shape.parent) {
+      hovered.push(shape);
+    }
+
+    this.hovered = hovered;
+
+    for (i = 0; i < previous.length; i++) {
+      shape = previous[i];
+      if (hovered.indexOf(shape) < 0) {
+        trigger(shape, Events.Types.pointerleave, x, y, originalEvent);
+      }
+    }
+
+    for (i = hovered.length - 1; i >= 0; i--) {
+      shape = hovered[i];
+      if (previous.indexOf(shape) < 0) {
+        trigger(shape, Events.Types.pointerenter, x, y, originalEvent);
+      }
+    }
+
+    return this;
+
+  }
+
+});
+
+// Not named `PointerEvent`, which would shadow the DOM's.
+function ShapePointerEvent(type, x, y, target, originalEvent) {
+
+  /**
+   * @name Two.Pointer.Event#type
+   * @property {String} - The name of the event.
+   */
+  this.type = type;
+
+  /**
+   * @name Two.Pointer.Event#x
+   * @property {Number} - The x coordinate of the pointer in {@link Two#scene} space.
+   */
+  this.x = x;
+
+  /**
+   * @name Two.Pointer.Event#y
+   * @property {Number} - The y coordinate of the pointer in {@link Two#scene} space.
+   */
+  this.y = y;
+
+  /**
+   * @name Two.Pointer.Event#target
+   * @property {Two.Shape} - The shape the event was originally dispatched to.
+   */
+  this.target = target;
+
+  /**
+   * @name Two.Pointer.Event#currentTarget
+   * @property {Two.Shape} - The shape whose handlers are currently invoked as the event bubbles.
+   */
+  this.currentTarget = target;
+
+  /**
+   * @name Two.Pointer.Event#originalEvent
+   * @property {Event} - The DOM event that caused this event, if any.
+   */
+  this.originalEvent = originalEvent || null;
+
+  this._stopped = false;
+
+}
+
+_.extend(ShapePointerEvent.prototype, {
+
+  constructor: ShapePointerEvent,
+
+  /**
+   * @name Two.Pointer.Event#stopPropagation
+   * @function
+   * @description Prevent the event from bubbling up to any further parents.
+   */
+  stopPropagation: function() {
+    this._stopped = true;
+    return this;
+  },
+
+  /**
+   * @name Two.Pointer.Event#preventDefault
+   * @function
+   * @description Call `preventDefault` on the {@link Two.Pointer.Event#originalEvent}, e.g: to stop the page from scrolling on `wheel` events.
+   */
+  preventDefault: function() {
+    if (this.originalEvent && typeof this.originalEvent.preventDefault === 'function') {
+      this.originalEvent.preventDefault();
+    }
+    return this;
+  }
+
+});
+
+function trigger(shape, type, x, y, originalEvent) {
+  var event = new ShapePointerEvent(type, x, y, shape, originalEvent);
+  shape.trigger(type, event);
+  return event;
+}
+
+export default Pointer;
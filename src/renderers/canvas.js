@@ -2,10 +2,13 @@ import Commands from '../utils/path-commands.js';
 import { decomposeMatrix, getComputedMatrix, mod, TWO_PI } from '../utils/math.js';
 import { Curve } from '../utils/curves.js';
 import Events from '../events.js';
+import root from '../utils/root.js';
+import dom from '../utils/dom.js';
 import getRatio from '../utils/get-ratio.js';
 import _ from '../utils/underscore.js';
 
 import Group from '../group.js';
+import Marker from '../effects/marker.js';
 import Vector from '../vector.js';
 import Matrix from '../matrix.js';
 import Constants from '../constants.js';
@@ -37,6 +40,218 @@ var canvas = {
     right: 'end'
   },
 
+  // The `globalCompositeOperation` of a shape's blend mode.
+  getBlending: function(blending) {
+    return blending === 'add' ? 'lighter'
+      : blending && blending !== 'normal' ? blending : 'source-over';
+  },
+
+  // Canvases to draw elements onto before they're composited as a
+  // whole. Each `Two.CanvasRenderer` points this to its own while it
+  // renders. Give layers from `canvas.getLayer` back when done.
+  layers: [],
+
+  // A cleared canvas from the pool for an element to draw onto.
+  // `region` is the pixels of the canvas `ctx` draws to it covers.
+  // It defaults to all of them.
+  getLayer: function(ctx, region) {
+
+    var source = ctx.canvas;
+    var x = region ? region.x : 0;
+    var y = region ? region.y : 0;
+    var width = region ? region.width : source.width;
+    var height = region ? region.height : source.height;
+    var layer = canvas.layers.pop();
+
+    if (!layer) {
+      // Headless canvases and `OffscreenCanvas`es can be constructed.
+      layer = (root.document ? dom.createCanvas()
+        : new source.constructor(width, height)).getContext('2d');
+    }
+
+    if (layer.canvas.width !== width || layer.canvas.height !== height) {
+      layer.canvas.width = width;
+      layer.canvas.height = height;
+    }
+
+    var m = ctx.getTransform();
+
+    canvas.clear(layer);
+    layer.setTransform(m.a, m.b, m.c, m.d, m.e - x, m.f - y);
+
+    return layer;
+
+  },
+
+  // The pixels of the canvas `ctx` draws to that an element's
+  // filters draw into. It's the element's bounding box grown by
+  // how far its filters reach outside of it, e.g: the offset of a
+  // shadow. Null when it's outside of the canvas.
+  getRegion: function(elem, ctx) {
+
+    var source = ctx.canvas;
+    var rect = elem.getBoundingClientRect(true);
+
+    if (!isFinite(rect.left) || !isFinite(rect.top)
+      || !isFinite(rect.right) || !isFinite(rect.bottom)) {
+      return { x: 0, y: 0, width: source.width, height: source.height };
+    }
+
+    // The rectangle is in the space of the element's parent, which is
+    // what `ctx` draws. Filters reach out in the element's own space.
+    var m = ctx.getTransform();
+    var e = elem._matrix.elements;
+    var reach = canvas.getReach(elem) * Math.max(
+      sqrt(Math.pow(m.a * e[0] + m.c * e[3], 2) + Math.pow(m.b * e[0] + m.d * e[3], 2)),
+      sqrt(Math.pow(m.a * e[1] + m.c * e[4], 2) + Math.pow(m.b * e[1] + m.d * e[4], 2)));
+    var left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    var corners = [
+      rect.left, rect.top, rect.right, rect.top,
+      rect.right, rect.bottom, rect.left, rect.bottom
+    ];
+
+    for (var i = 0; i < corners.length; i += 2) {
+      var px = m.a * corners[i] + m.c * corners[i + 1] + m.e;
+      var py = m.b * corners[i] + m.d * corners[i + 1] + m.f;
+      left = min(left, px);
+      top = min(top, py);
+      right = max(right, px);
+      bottom = max(bottom, py);
+    }
+
+    left = max(Math.floor(left - reach), 0);
+    top = max(Math.floor(top - reach), 0);
+    right = min(Math.ceil(right + reach), source.width);
+    bottom = min(Math.ceil(bottom + reach), source.height);
+
+    if (right <= left || bottom <= top) {
+      return null;
+    }
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+
+  },
+
+  // How far the filters of an element and its children draw
+  // outside of it in its coordinate space.
+  getReach: function(elem) {
+
+    var filters = elem._filters || emptyArray;
+    var children = elem.children || emptyArray;
+    var reach = 0;
+    var i;
+
+    for (i = 0; i < children.length; i++) {
+      reach = max(reach, canvas.getReach(children[i]));
+    }
+
+    for (i = 0; i < filters.length; i++) {
+      reach += canvas[filters[i]._renderer.type].getMargin.call(filters[i]);
+    }
+
+    return reach;
+
+  },
+
+  clear: function(layer) {
+    layer.setTransform(1, 0, 0, 1, 0, 0);
+    layer.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+  },
+
+  // Whether an element is drawn onto a layer of its own first,
+  // because it has filters or is hidden by a `Two.Mask`.
+  isLayered: function(elem, ctx) {
+    var mask = elem._mask;
+    return ctx !== elem._renderer.filtered
+      && ((elem._filters && elem._filters.length > 0)
+      || !!(mask && mask._renderer.type === 'mask'));
+  },
+
+  // Draw an element onto a layer of its own, run its filters over
+  // the layer in order, hide it by its `Two.Mask`, and composite the result.
+  filter: function(elem, ctx, forced, parentClipped) {
+
+    var region = canvas.getRegion(elem, ctx);
+
+    if (!region) {
+      return elem;
+    }
+
+    var source = canvas.getLayer(ctx, region);
+    var target = canvas.getLayer(ctx, region);
+
+    elem._renderer.filtered = source;
+    canvas[elem._renderer.type].render.call(elem, source, forced, parentClipped);
+    delete elem._renderer.filtered;
+
+    // The filters scale with the element's transformation.
+    var m = ctx.getTransform();
+    var e = elem._matrix.elements;
+    var transform = {
+      a: m.a * e[0] + m.c * e[3],
+      b: m.b * e[0] + m.d * e[3],
+      c: m.a * e[1] + m.c * e[4],
+      d: m.b * e[1] + m.d * e[4]
+    };
+    var filters = elem._filters || emptyArray;
+
+    for (var i = 0; i < filters.length; i++) {
+
+      var filter = filters[i];
+      var result = canvas[filter._renderer.type].render.call(
+        filter, source, target, transform);
+
+      if (result === target) {
+        target = source;
+        source = result;
+      }
+
+    }
+
+    var mask = elem._mask;
+
+    if (mask && mask._renderer.type === 'mask') {
+
+      // The scene of the mask is drawn in the element's coordinate space.
+      canvas.clear(target);
+      target.setTransform(transform.a, transform.b, transform.c, transform.d,
+        m.a * e[2] + m.c * e[5] + m.e - region.x,
+        m.b * e[2] + m.d * e[5] + m.f - region.y);
+
+      canvas.mask.draw.call(mask, target);
+
+      source.save();
+      source.setTransform(1, 0, 0, 1, 0, 0);
+      source.globalAlpha = 1;
+      source.globalCompositeOperation = 'destination-in';
+      source.drawImage(target.canvas, 0, 0);
+      source.restore();
+
+    }
+
+    canvas.composite(ctx, source, canvas.getBlending(elem._blending), region);
+    canvas.layers.push(source, target);
+
+    return elem;
+
+  },
+
+  // How much a transformation scales areas, as a length.
+  getScale: function(transform) {
+    return Math.sqrt(Math.abs(transform.a * transform.d - transform.b * transform.c));
+  },
+
+  // Draw a layer from `canvas.getLayer` onto the canvas
+  // `ctx` draws to, where its `region` is.
+  composite: function(ctx, layer, blending, region) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = blending;
+    ctx.drawImage(layer.canvas, region ? region.x : 0, region ? region.y : 0);
+    ctx.restore();
+  },
+
   shim: function(elem, name) {
     elem.tagName = elem.nodeName = name || 'canvas';
     elem.nodeType = 1;
@@ -56,12 +271,58 @@ var canvas = {
       canvas[child._renderer.type].render.call(child, this.ctx, true, this.clip);
     },
 
-    render: function(ctx) {
+    // A group used as a mask adds the outlines of its children
+    // to the path that becomes the clipping area.
+    clip: function(ctx, parentClipped) {
+
+      this._update();
+
+      var matrix = this._matrix.elements;
+      var defaultMatrix = isDefaultMatrix(matrix);
+
+      if (!parentClipped) {
+        ctx.beginPath();
+      }
+
+      if (!defaultMatrix) {
+        ctx.save();
+        ctx.transform(matrix[0], matrix[3], matrix[1],
+          matrix[4], matrix[2], matrix[5]);
+      }
+
+      for (var i = 0; i < this.children.length; i++) {
+        var child = this.children[i];
+        if (child._visible) {
+          canvas[child._renderer.type].render.call(child, ctx, true, true);
+        }
+      }
+
+      if (!defaultMatrix) {
+        ctx.restore();
+      }
 
-      if (!this._visible) {
+      if (!parentClipped) {
+        ctx.clip();
+      }
+
+      return this.flagReset();
+
+    },
+
+    render: function(ctx, forced, parentClipped) {
+
+      if (forced) {
+        return canvas.group.clip.call(this, ctx, parentClipped);
+      }
+
+      if (!this._visible || this._clip) {
         return this;
       }
 
+      if (canvas.isLayered(this, ctx)) {
+        return canvas.filter(this, ctx);
+      }
+
       this._update();
 
       var matrix = this._matrix.elements;
@@ -70,17 +331,17 @@ var canvas = {
         * (parent && parent._renderer ? parent._renderer.opacity : 1);
 
       var mask = this._mask;
-      // var clip = this._clip;
 
       var defaultMatrix = isDefaultMatrix(matrix);
       var shouldIsolate = !defaultMatrix || !!mask;
+      var blending = canvas.getBlending(this._blending);
+      var layer = ctx;
 
       if (!this._renderer.context) {
         this._renderer.context = {};
       }
 
       this._renderer.context.ctx = ctx;
-      // this._renderer.context.clip = clip;
 
       if (shouldIsolate) {
         ctx.save();
@@ -94,25 +355,26 @@ var canvas = {
         canvas[mask._renderer.type].render.call(mask, ctx, true);
       }
 
+      if (blending !== 'source-over') {
+        layer = canvas.getLayer(ctx);
+      }
+
       if (this._opacity > 0 && this._scale !== 0) {
         for (var i = 0; i < this.children.length; i++) {
           var child = this.children[i];
-          canvas[child._renderer.type].render.call(child, ctx);
+          canvas[child._renderer.type].render.call(child, layer);
         }
       }
 
+      if (layer !== ctx) {
+        canvas.composite(ctx, layer, blending);
+        canvas.layers.push(layer);
+      }
+
       if (shouldIsolate) {
         ctx.restore();
       }
 
-      // Commented two-way functionality of clips / masks with groups and
-      // polygons. Uncomment when this bug is fixed:
-      // https://code.google.com/p/chromium/issues/detail?id=370951
-
-      // if (clip) {
-      //   ctx.clip();
-      // }
-
       return this.flagReset();
 
     }
@@ -138,6 +400,10 @@ var canvas = {
         return this;
       }
 
+      if (!forced && canvas.isLayered(this, ctx)) {
+        return canvas.filter(this, ctx, forced, parentClipped);
+      }
+
       this._update();
 
       matrix = this._matrix.elements;
@@ -199,13 +465,17 @@ var canvas = {
       if (typeof opacity === 'number') {
         ctx.globalAlpha = opacity;
       }
+      ctx.globalCompositeOperation = canvas.getBlending(this._blending);
 
       if (dashes && dashes.length > 0) {
         ctx.lineDashOffset = dashes.offset || 0;
         ctx.setLineDash(dashes);
       }
 
-      ctx.beginPath();
+      // The children of a group used as a mask add to one path.
+      if (!parentClipped) {
+        ctx.beginPath();
+      }
 
       for (var i = 0; i < length; i++) {
 
@@ -324,7 +594,7 @@ var canvas = {
               - fill._renderer.offset.x, - fill._renderer.offset.y);
             ctx.scale(fill._renderer.scale.x, fill._renderer.scale.y);
           }
-          ctx.fill();
+          ctx.fill(this._fillRule);
           if (isOffset) {
             ctx.restore();
           }
@@ -343,6 +613,12 @@ var canvas = {
             ctx.restore();
           }
         }
+        if (this._markers) {
+          if (dashes && dashes.length > 0) {
+            ctx.setLineDash(emptyArray);
+          }
+          canvas.marker.draw(this, ctx, opacity);
+        }
       }
 
       if (!defaultMatrix) {
@@ -379,6 +655,10 @@ var canvas = {
         return this;
       }
 
+      if (!forced && canvas.isLayered(this, ctx)) {
+        return canvas.filter(this, ctx, forced, parentClipped);
+      }
+
       this._update();
 
       me = this._matrix.elements;
@@ -420,13 +700,16 @@ var canvas = {
       if (typeof opacity === 'number') {
         ctx.globalAlpha = opacity;
       }
+      ctx.globalCompositeOperation = canvas.getBlending(this._blending);
 
       if (dashes && dashes.length > 0) {
         ctx.lineDashOffset = dashes.offset || 0;
         ctx.setLineDash(dashes);
       }
 
-      ctx.beginPath();
+      if (!parentClipped) {
+        ctx.beginPath();
+      }
 
       var radius = size * 0.5, m;
 
@@ -510,6 +793,10 @@ var canvas = {
         return this;
       }
 
+      if (!forced && canvas.isLayered(this, ctx)) {
+        return canvas.filter(this, ctx, forced, parentClipped);
+      }
+
       this._update();
 
       var matrix = this._matrix.elements;
@@ -570,6 +857,7 @@ var canvas = {
       if (typeof opacity === 'number') {
         ctx.globalAlpha = opacity;
       }
+      ctx.globalCompositeOperation = canvas.getBlending(this._blending);
       if (dashes && dashes.length > 0) {
         ctx.lineDashOffset = dashes.offset || 0;
         ctx.setLineDash(dashes);
@@ -638,7 +926,7 @@ var canvas = {
       }
 
       // Handle text-decoration
-      if (/(underline|strikethrough)/i.test(decoration)) {
+      if (!clip && !parentClipped && /(underline|strikethrough)/i.test(decoration)) {
 
         var metrics = ctx.measureText(this.value);
         var scalar = 1;
@@ -822,6 +1110,327 @@ var canvas = {
 
   },
 
+  pattern: {
+
+    // The most pixels a tile is drawn with on either side.
+    limit: 2048,
+
+    render: function(ctx) {
+
+      this._update();
+
+      var m = ctx.getTransform();
+      var e = this._matrix.elements;
+      var a = e[0], b = e[3], c = e[1], d = e[4];
+
+      // Draw the tile as detailed as it's shown.
+      var scale = canvas.getScale({
+        a: m.a * a + m.c * b,
+        b: m.b * a + m.d * b,
+        c: m.a * c + m.c * d,
+        d: m.b * c + m.d * d
+      });
+
+      var tile = canvas.pattern.getTile.call(this, ctx.canvas, scale);
+
+      if (!tile) {
+        this._renderer.effect = 'transparent';
+        return this.flagReset();
+      }
+
+      var effect = this._renderer.effect = ctx.createPattern(tile.canvas, 'repeat');
+      var sx = this._width / tile.canvas.width;
+      var sy = this._height / tile.canvas.height;
+      var x = this._offset.x;
+      var y = this._offset.y;
+
+      if (effect && typeof effect.setTransform === 'function') {
+        effect.setTransform({
+          a: a * sx,
+          b: b * sx,
+          c: c * sy,
+          d: d * sy,
+          e: a * x + c * y + e[2],
+          f: b * x + d * y + e[5]
+        });
+      }
+
+      return this.flagReset();
+
+    },
+
+    // Draw the pattern's scene onto a canvas of its own, `scale` pixels
+    // a unit. A tile is only drawn again when the pattern or its scene
+    // changes, or when it's shown bigger. `source` is the canvas to
+    // construct headless canvases from.
+    getTile: function(source, scale) {
+
+      var limit = canvas.pattern.limit;
+      var width = Math.min(Math.ceil(this._width * scale), limit);
+      var height = Math.min(Math.ceil(this._height * scale), limit);
+      var tile = this._renderer.tile;
+
+      if (!(width > 0 && height > 0)) {
+        return null;
+      }
+
+      var changed = this._flagWidth || this._flagHeight || this._flagScene
+        || this._flagContent || canvas.pattern.isPlaying(this._scene);
+
+      if (tile && !changed
+        && tile.canvas.width >= width && tile.canvas.height >= height) {
+        return tile;
+      }
+
+      if (!tile) {
+        tile = this._renderer.tile = (root.document ? dom.createCanvas()
+          : new source.constructor(width, height)).getContext('2d');
+      }
+
+      if (tile.canvas.width !== width || tile.canvas.height !== height) {
+        tile.canvas.width = width;
+        tile.canvas.height = height;
+      }
+
+      canvas.clear(tile);
+      tile.setTransform(width / this._width, 0, 0, height / this._height, 0, 0);
+
+      // The pattern is the root of its scene.
+      this._renderer.opacity = 1;
+      canvas.group.render.call(this._scene, tile);
+
+      // Lets `Two.WebGLRenderer` know when to upload the tile again.
+      this._renderer.version = (this._renderer.version || 0) + 1;
+
+      return tile;
+
+    },
+
+    // Whether a sprite or a video shown in a pattern's scene is
+    // playing. They change on their own, without flagging the pattern.
+    isPlaying: function(elem) {
+
+      if (!elem || elem._visible === false || elem._opacity === 0) {
+        return false;
+      }
+
+      if (elem._playing) {
+        return true;
+      }
+
+      var effects = [elem._fill, elem._stroke, elem._texture];
+
+      for (var i = 0; i < effects.length; i++) {
+        var effect = effects[i];
+        var image = effect && effect._image;
+        if (image && image.paused === false && !image.ended
+          && image.readyState >= 2) {
+          return true;
+        }
+        if (effect && effect._scene
+          && canvas.pattern.isPlaying(effect._scene)) {
+          return true;
+        }
+      }
+
+      var children = elem.children || emptyArray;
+
+      for (var j = 0; j < children.length; j++) {
+        if (canvas.pattern.isPlaying(children[j])) {
+          return true;
+        }
+      }
+
+      return false;
+
+    }
+
+  },
+
+  marker: {
+
+    // A `Two.Marker` is drawn by the paths it's placed on.
+    render: function() {
+      return this;
+    },
+
+    // Draw the markers of a path in its coordinate space.
+    draw: function(path, ctx, opacity) {
+
+      var placements = Marker.getPlacements(path);
+
+      for (var i = 0; i < placements.length; i++) {
+
+        var marker = placements[i].marker;
+        var m = placements[i].matrix.elements;
+
+        marker._update();
+
+        ctx.save();
+        ctx.transform(m[0], m[3], m[1], m[4], m[2], m[5]);
+
+        // The marker is the root of its scene.
+        marker._renderer.opacity = opacity;
+        canvas.group.render.call(marker._scene, ctx);
+
+        ctx.restore();
+
+        marker.flagReset();
+
+      }
+
+    }
+
+  },
+
+  mask: {
+
+    // A `Two.Mask` doesn't clip. It's drawn over the layer of
+    // the shape it's applied to in `canvas.filter` instead.
+    render: function() {
+      return this;
+    },
+
+    // Draw the scene of the mask onto a layer and
+    // turn it into alpha the way the mask's mode says.
+    draw: function(ctx) {
+
+      this._update();
+
+      // The mask is the root of its scene.
+      this._renderer.opacity = 1;
+      canvas.group.render.call(this._scene, ctx);
+
+      if (this._mode !== 'alpha') {
+        canvas.mask.luminance(ctx);
+      }
+
+      return this.flagReset();
+
+    },
+
+    // Turn the colors of a layer into alpha by their luminance.
+    luminance: function(ctx) {
+
+      var width = ctx.canvas.width;
+      var height = ctx.canvas.height;
+      var image = ctx.getImageData(0, 0, width, height);
+      var data = image.data;
+
+      for (var i = 0; i < data.length; i += 4) {
+        data[i + 3] = (0.2125 * data[i] + 0.7154 * data[i + 1]
+          + 0.0721 * data[i + 2]) * data[i + 3] / 255;
+      }
+
+      ctx.putImageData(image, 0, 0);
+
+    }
+
+  },
+
+  blur: {
+
+    // How far the blur reaches outside of the shape.
+    getMargin: function() {
+      return 3 * this._radius;
+    },
+
+    // Browsers without `CanvasRenderingContext2D.filter`
+    // draw the element without the blur.
+    render: function(source, target, transform) {
+
+      var radius = this._radius * canvas.getScale(transform);
+
+      if (!(radius > 0) || typeof target.filter !== 'string') {
+        return source;
+      }
+
+      canvas.clear(target);
+      target.filter = 'blur(' + radius + 'px)';
+      target.drawImage(source.canvas, 0, 0);
+      target.filter = 'none';
+
+      return target;
+
+    }
+
+  },
+
+  'drop-shadow': {
+
+    getMargin: function() {
+      return 3 * this._blur
+        + max(abs(this._offset.x), abs(this._offset.y));
+    },
+
+    render: function(source, target, transform) {
+
+      var x = this._offset.x;
+      var y = this._offset.y;
+
+      canvas.clear(target);
+
+      // Shadows aren't affected by the transformation of the
+      // context. The blur of a shadow is twice its deviation.
+      target.shadowColor = this._color;
+      target.shadowBlur = 2 * this._blur * canvas.getScale(transform);
+      target.shadowOffsetX = transform.a * x + transform.c * y;
+      target.shadowOffsetY = transform.b * x + transform.d * y;
+
+      target.drawImage(source.canvas, 0, 0);
+
+      target.shadowColor = 'transparent';
+      target.shadowBlur = target.shadowOffsetX = target.shadowOffsetY = 0;
+
+      return target;
+
+    }
+
+  },
+
+  'color-matrix': {
+
+    getMargin: function() {
+      return 0;
+    },
+
+    render: function(source) {
+
+      var width = source.canvas.width;
+      var height = source.canvas.height;
+
+      if (width <= 0 || height <= 0) {
+        return source;
+      }
+
+      var image = source.getImageData(0, 0, width, height);
+      var data = image.data;
+      var m = this._values;
+
+      // The values of `ImageData` are from 0 to 255, not multiplied
+      // with alpha, and rounded and clamped when they're assigned.
+      for (var i = 0; i < data.length; i += 4) {
+
+        var r = data[i];
+        var g = data[i + 1];
+        var b = data[i + 2];
+        var a = data[i + 3];
+
+        data[i] = m[0] * r + m[1] * g + m[2] * b + m[3] * a + m[4] * 255;
+        data[i + 1] = m[5] * r + m[6] * g + m[7] * b + m[8] * a + m[9] * 255;
+        data[i + 2] = m[10] * r + m[11] * g + m[12] * b + m[13] * a + m[14] * 255;
+        data[i + 3] = m[15] * r + m[16] * g + m[17] * b + m[18] * a + m[19] * 255;
+
+      }
+
+      source.putImageData(image, 0, 0);
+
+      return source;
+
+    }
+
+  },
+
   renderSvgArcCommand: function(ctx, ax, ay, rx, ry, largeArcFlag, sweepFlag, xAxisRotation, x, y) {
 
     xAxisRotation = xAxisRotation * Math.PI / 180;
@@ -904,7 +1513,7 @@ function Renderer(params) {
    * @name Two.CanvasRenderer#domElement
    * @property {Element} - The `<canvas />` associated with the Two.js scene.
    */
-  this.domElement = params.domElement || document.createElement('canvas');
+  this.domElement = params.domElement || dom.createCanvas();
 
   /**
    * @name Two.CanvasRenderer#ctx
@@ -929,6 +1538,13 @@ function Renderer(params) {
    */
   this.scene = new Group();
   this.scene.parent = this;
+
+  /**
+   * @name Two.CanvasRenderer#layers
+   * @property {CanvasRenderingContext2D[]} - The canvases filtered and blended shapes are drawn onto before they're composited, kept to be drawn onto again.
+   * @private
+   */
+  this.layers = [];
 }
 
 
@@ -984,6 +1600,9 @@ _.extend(Renderer.prototype, Events, {
   render: function() {
 
     var isOne = this.ratio === 1;
+    var layers = canvas.layers;
+
+    canvas.layers = this.layers;
 
     if (!isOne) {
       this.ctx.save();
@@ -1000,6 +1619,8 @@ _.extend(Renderer.prototype, Events, {
       this.ctx.restore();
     }
 
+    canvas.layers = layers;
+
     return this;
 
   }
@@ -0,0 +1,1298 @@
+import { getCubicSubpaths } from '../utils/curves.js';
+import { decomposeMatrix, getComputedMatrix } from '../utils/math.js';
+import { parseColor } from '../utils/color.js';
+import CanvasShim from '../utils/canvas-shim.js';
+import root from '../utils/root.js';
+import Events from '../events.js';
+import _ from '../utils/underscore.js';
+
+import Group from '../group.js';
+import Marker from '../effects/marker.js';
+import Matrix from '../matrix.js';
+import Text from '../text.js';
+import Vector from '../vector.js';
+
+var matrix = new Matrix();
+
+var pdf = {
+
+  version: '1.4',
+
+  isHidden: /(undefined|none|transparent)/i,
+
+  // Length of the control points of a quarter circle bézier
+  // relative to its radius.
+  kappa: 4 * (Math.SQRT2 - 1) / 3,
+
+  // How far an untiled texture is stepped, so that its
+  // repetitions never come into view.
+  far: 100000,
+
+  caps: {
+    butt: 0,
+    round: 1,
+    square: 2
+  },
+
+  joins: {
+    miter: 0,
+    round: 1,
+    bevel: 2
+  },
+
+  // The blend modes of PDFs. There's no equivalent of `'add'`.
+  blendings: {
+    multiply: 'Multiply',
+    screen: 'Screen',
+    overlay: 'Overlay',
+    darken: 'Darken',
+    lighten: 'Lighten',
+    'color-dodge': 'ColorDodge',
+    'color-burn': 'ColorBurn',
+    'hard-light': 'HardLight',
+    'soft-light': 'SoftLight',
+    difference: 'Difference',
+    exclusion: 'Exclusion',
+    hue: 'Hue',
+    saturation: 'Saturation',
+    color: 'Color',
+    luminosity: 'Luminosity'
+  },
+
+  // Offset of the start of the text, as a fraction of its width.
+  alignments: {
+    left: 0,
+    start: 0,
+    center: 0.5,
+    middle: 0.5,
+    right: 1,
+    end: 1
+  },
+
+  // Offset of the text's alphabetic baseline, as a fraction of its size.
+  baselines: {
+    top: 0.8,
+    hanging: 0.8,
+    middle: 0.3,
+    alphabetic: 0,
+    baseline: 0,
+    bottom: - 0.2,
+    ideographic: - 0.2
+  },
+
+  // The standard 14 fonts every PDF reader has. Indexed by
+  // `bold + 2 * italic`.
+  fonts: {
+    sans: ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'],
+    serif: ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+    mono: ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique']
+  },
+
+  // Characters of WinAnsiEncoding outside of Latin-1.
+  encoding: {
+    '\u20ac': 128, '\u201a': 130, '\u0192': 131, '\u201e': 132, '\u2026': 133,
+    '\u2020': 134, '\u2021': 135, '\u02c6': 136, '\u2030': 137, '\u0160': 138,
+    '\u2039': 139, '\u0152': 140, '\u017d': 142, '\u2018': 145, '\u2019': 146,
+    '\u201c': 147, '\u201d': 148, '\u2022': 149, '\u2013': 150, '\u2014': 151,
+    '\u02dc': 152, '\u2122': 153, '\u0161': 154, '\u203a': 155, '\u0153': 156,
+    '\u017e': 158, '\u0178': 159
+  },
+
+  createDocument: function() {
+    return {
+      objects: [],
+      resources: {
+        ExtGState: {},
+        Pattern: {},
+        Font: {}
+      },
+      alphas: {},
+      fonts: {},
+      images: {}
+    };
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.addObject
+   * @function
+   * @private
+   * @param {Object} document - The document under construction.
+   * @param {String} content - The object's dictionary.
+   * @param {String} [stream] - ASCII data to append to the dictionary as a stream.
+   * @returns {String} A reference to the object, e.g: `'4 0 R'`.
+   */
+  addObject: function(document, content, stream) {
+
+    if (typeof stream === 'string') {
+      content = content.replace(/>>$/, '/Length ' + stream.length + ' >>')
+        + '\nstream\n' + stream + '\nendstream';
+    }
+
+    document.objects.push(content);
+
+    return document.objects.length + ' 0 R';
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.addResource
+   * @function
+   * @private
+   * @param {Object} document - The document under construction.
+   * @param {String} category - The kind of resource, e.g: `'Pattern'`.
+   * @param {String} prefix - Prefix of the resource's name.
+   * @param {String} value - The resource's dictionary or a reference to it.
+   * @returns {String} The name the resource is available under in the page's content stream.
+   */
+  addResource: function(document, category, prefix, value) {
+    var resources = document.resources[category];
+    var name = prefix + Object.keys(resources).length;
+    resources[name] = value;
+    return name;
+  },
+
+  toDictionary: function(attrs) {
+
+    var content = '';
+
+    for (var key in attrs) {
+      var value = attrs[key];
+      if (value === null || typeof value === 'undefined') {
+        continue;
+      }
+      content += '/' + key + ' ' + value + ' ';
+    }
+
+    return '<< ' + content + '>>';
+
+  },
+
+  toArray: function(values) {
+    return '[' + values.map(pdf.toNumber).join(' ') + ']';
+  },
+
+  // Rounds to a hundredth of a thousandth of a point.
+  toNumber: function(v) {
+    return typeof v === 'number' ? String(Math.round(v * 100000) / 100000) : v;
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.toString
+   * @function
+   * @private
+   * @param {Object[]} subpaths - A list of sub-paths as described in {@link Two.Utils.getCubicSubpaths}.
+   * @param {Number[]} [m] - A matrix in PDF order to transform the points with.
+   * @returns {String} Path construction operators.
+   */
+  toString: function(subpaths, m) {
+
+    var ops = [];
+
+    var point = function(x, y) {
+      if (m) {
+        return pdf.toNumber(m[0] * x + m[2] * y + m[4]) + ' '
+          + pdf.toNumber(m[1] * x + m[3] * y + m[5]);
+      }
+      return pdf.toNumber(x) + ' ' + pdf.toNumber(y);
+    };
+
+    for (var i = 0; i < subpaths.length; i++) {
+
+      var subpath = subpaths[i];
+
+      for (var j = 0; j < subpath.segments.length; j++) {
+
+        var s = subpath.segments[j];
+
+        if (j === 0) {
+          ops.push(point(s[0], s[1]) + ' m');
+        }
+
+        if (isLine(s)) {
+          ops.push(point(s[6], s[7]) + ' l');
+        } else {
+          ops.push(point(s[2], s[3]) + ' ' + point(s[4], s[5]) + ' '
+            + point(s[6], s[7]) + ' c');
+        }
+
+      }
+
+      if (subpath.closed) {
+        ops.push('h');
+      }
+
+    }
+
+    return ops.join('\n');
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.getMatrix
+   * @function
+   * @private
+   * @param {Two.Shape} shape
+   * @returns {Number[]} The shape's transformation in PDF order.
+   */
+  getMatrix: function(shape) {
+    var e = shape._matrix.elements;
+    return [e[0], e[3], e[1], e[4], e[2], e[5]];
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.multiply
+   * @function
+   * @private
+   * @param {Number[]} a - A matrix in PDF order.
+   * @param {Number[]} b - A matrix in PDF order.
+   * @returns {Number[]} The matrix that applies `a` and then `b`.
+   */
+  multiply: function(a, b) {
+    return [
+      a[0] * b[0] + a[1] * b[2],
+      a[0] * b[1] + a[1] * b[3],
+      a[2] * b[0] + a[3] * b[2],
+      a[2] * b[1] + a[3] * b[3],
+      a[4] * b[0] + a[5] * b[2] + b[4],
+      a[4] * b[1] + a[5] * b[3] + b[5]
+    ];
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.push
+   * @function
+   * @private
+   * @param {Object} context - The context of the parent.
+   * @param {Number[]} m - The transformation of the shape in PDF order.
+   * @param {Number} opacity - The shape's opacity multiplied by its parents'.
+   * @returns {Object} A context to draw the shape in.
+   * @description Save the graphics state and apply a transformation. Must be balanced with a `Q` operator.
+   */
+  push: function(context, m, opacity) {
+
+    context.stream.push('q');
+
+    if (!isDefaultMatrix(m)) {
+      context.stream.push(m.map(pdf.toNumber).join(' ') + ' cm');
+    }
+
+    return {
+      document: context.document,
+      stream: context.stream,
+      matrix: pdf.multiply(m, context.matrix),
+      opacity: opacity
+    };
+
+  },
+
+  clip: function(context, mask) {
+
+    // Soft masks aren't drawn.
+    if (mask._renderer.type === 'mask') {
+      return;
+    }
+
+    var path = pdf.getClipPath(mask, pdf.getMatrix(mask));
+
+    context.stream.push((path || '0 0 0 0 re') + ' W n');
+
+  },
+
+  // The outline of a shape used as a mask transformed by `m`. For
+  // groups it's the outlines of their visible children together.
+  getClipPath: function(mask, m) {
+
+    mask._update();
+
+    if (mask.children) {
+      var paths = [];
+      for (var i = 0; i < mask.children.length; i++) {
+        var child = mask.children[i];
+        var path = child._visible
+          && pdf.getClipPath(child, pdf.multiply(pdf.getMatrix(child), m));
+        if (path) {
+          paths.push(path);
+        }
+      }
+      return paths.join('\n');
+    }
+
+    return mask._renderer.vertices
+      ? pdf.toString(getCubicSubpaths(mask._renderer.vertices, mask._closed), m)
+      : '';
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.getPaint
+   * @function
+   * @private
+   * @param {Object} context
+   * @param {(String|Two.Gradient|Two.Texture)} paint - A fill or stroke.
+   * @param {Boolean} [stroking=false]
+   * @returns {Object|null} The operator to apply the paint, its alpha, and the name of its soft mask if it has one. `null` if nothing is painted.
+   */
+  getPaint: function(context, paint, stroking) {
+
+    if (paint && typeof paint === 'object') {
+
+      var effect = paint._renderer && pdf[paint._renderer.type];
+      var name = effect && effect.paint && effect.paint.call(paint, context);
+
+      if (!name) {
+        return null;
+      }
+
+      return {
+        operator: stroking
+          ? '/Pattern CS /' + name + ' SCN' : '/Pattern cs /' + name + ' scn',
+        alpha: 1,
+        mask: paint.stops ? pdf.getSoftMask(context, paint) : null
+      };
+
+    }
+
+    var color = pdf.isHidden.test(paint) ? null : parseColor(paint);
+
+    if (!color || color.a <= 0) {
+      return null;
+    }
+
+    return {
+      operator: [color.r / 255, color.g / 255, color.b / 255]
+        .map(pdf.toNumber).join(' ') + (stroking ? ' RG' : ' rg'),
+      alpha: color.a
+    };
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.paint
+   * @function
+   * @private
+   * @param {Object} context
+   * @param {Object} fill - The result of {@link Two.PDFRenderer.Utils.getPaint} for the shape's fill.
+   * @param {Object} stroke - The result of {@link Two.PDFRenderer.Utils.getPaint} for the shape's stroke.
+   * @param {Two.Shape} shape
+   * @param {Function} draw - Pushes the operators that paint the shape. Called with whether it's filled and whether it's stroked.
+   * @description Apply the styles of a shape and draw it. A soft mask affects everything painted while it's applied, so masked fills and strokes are drawn one after the other, each in a graphics state of its own.
+   */
+  paint: function(context, fill, stroke, shape, draw) {
+
+    var stream = context.stream;
+
+    if (fill && stroke && (fill.mask || stroke.mask)) {
+      pdf.paint(context, fill, null, shape, draw);
+      pdf.paint(context, null, stroke, shape, draw);
+      return;
+    }
+
+    var mask = (fill || stroke).mask;
+
+    if (mask) {
+      stream.push('q', '/' + mask + ' gs');
+    }
+
+    pdf.setStyles(context, fill, stroke, shape);
+    draw(!!fill, !!stroke);
+
+    if (mask) {
+      stream.push('Q');
+    }
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.setStyles
+   * @function
+   * @private
+   * @param {Object} context
+   * @param {Object} fill - The result of {@link Two.PDFRenderer.Utils.getPaint} for the shape's fill.
+   * @param {Object} stroke - The result of {@link Two.PDFRenderer.Utils.getPaint} for the shape's stroke.
+   * @param {Two.Shape} shape
+   * @description Apply the paints, opacity, blend mode, and stroke properties of a shape.
+   * @nota-bene The blend modes of {@link Two.Group}s aren't written. Their children are blended one by one instead.
+   */
+  setStyles: function(context, fill, stroke, shape) {
+
+    var stream = context.stream;
+    var ca = fill ? fill.alpha * context.opacity : 1;
+    var CA = stroke ? stroke.alpha * context.opacity : 1;
+    var blending = pdf.blendings[shape._blending] || 'Normal';
+
+    if (ca < 1 || CA < 1 || blending !== 'Normal') {
+      var key = [ca, CA].map(pdf.toNumber).join(' ') + ' ' + blending;
+      var alphas = context.document.alphas;
+      if (!(key in alphas)) {
+        alphas[key] = pdf.addResource(context.document, 'ExtGState', 'GS',
+          pdf.toDictionary({
+            Type: '/ExtGState',
+            ca: pdf.toNumber(ca),
+            CA: pdf.toNumber(CA),
+            BM: '/' + blending
+          }));
+      }
+      stream.push('/' + alphas[key] + ' gs');
+    }
+
+    if (fill) {
+      stream.push(fill.operator);
+    }
+
+    if (stroke) {
+
+      stream.push(stroke.operator, pdf.toNumber(shape._linewidth) + ' w');
+
+      if (shape._cap in pdf.caps) {
+        stream.push(pdf.caps[shape._cap] + ' J');
+      }
+      if (shape._join in pdf.joins) {
+        stream.push(pdf.joins[shape._join] + ' j');
+      }
+      if (typeof shape._miter === 'number' && shape._miter >= 1) {
+        stream.push(pdf.toNumber(shape._miter) + ' M');
+      }
+      if (shape.dashes && shape.dashes.length > 0) {
+        stream.push(pdf.toArray(shape.dashes) + ' '
+          + pdf.toNumber(shape.dashes.offset || 0) + ' d');
+      }
+
+    }
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.getFont
+   * @function
+   * @private
+   * @param {Object} document
+   * @param {Two.Text} text
+   * @returns {String} The name of the standard font closest to the text's `family`, `weight`, and `style`.
+   */
+  getFont: function(document, text) {
+
+    var family = /(mono|courier|consol)/i.test(text._family) ? 'mono'
+      : /serif|times|georgia|garamond/i.test(text._family)
+        && !/sans/i.test(text._family) ? 'serif' : 'sans';
+    var bold = /bold/i.test(text._weight) || parseFloat(text._weight) >= 600;
+    var italic = /(italic|oblique)/i.test(text._style);
+    var font = pdf.fonts[family][(bold ? 1 : 0) + (italic ? 2 : 0)];
+
+    if (!(font in document.fonts)) {
+      document.fonts[font] = pdf.addResource(document, 'Font', 'F',
+        pdf.addObject(document, pdf.toDictionary({
+          Type: '/Font',
+          Subtype: '/Type1',
+          BaseFont: '/' + font,
+          Encoding: '/WinAnsiEncoding'
+        })));
+    }
+
+    return document.fonts[font];
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.encode
+   * @function
+   * @private
+   * @param {String} value
+   * @returns {String} A PDF string literal of the value in WinAnsiEncoding. Characters the standard fonts can't show are replaced with `?`.
+   */
+  encode: function(value) {
+
+    var result = '';
+
+    for (var i = 0; i < value.length; i++) {
+
+      var char = value.charAt(i);
+      var code = value.charCodeAt(i);
+
+      if (char in pdf.encoding) {
+        code = pdf.encoding[char];
+      } else if (code > 255 || (code >= 128 && code < 160)) {
+        code = 63;
+      }
+
+      if (code < 32 || code > 126) {
+        result += '\\' + ('00' + code.toString(8)).slice(-3);
+      } else if (/[()\\]/.test(char)) {
+        result += '\\' + char;
+      } else {
+        result += String.fromCharCode(code);
+      }
+
+    }
+
+    return '(' + result + ')';
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.getFunction
+   * @function
+   * @private
+   * @param {Two.Stop[]} stops
+   * @param {Boolean} [alpha=false] - Interpolate the opacities of the stops, multiplied by the alpha of their colors, instead of their colors.
+   * @returns {String|null} A function dictionary interpolating the colors of the stops.
+   */
+  getFunction: function(stops, alpha) {
+
+    var colors = stops.map(function(stop) {
+      var color = parseColor(stop._color) || { r: 0, g: 0, b: 0, a: 1 };
+      return {
+        offset: Math.min(Math.max(stop._offset, 0), 1),
+        color: alpha
+          ? [Math.min(Math.max(color.a * stop._opacity, 0), 1)]
+          : [color.r / 255, color.g / 255, color.b / 255]
+      };
+    }).sort(function(a, b) {
+      return a.offset - b.offset;
+    });
+
+    if (colors.length <= 0) {
+      return null;
+    }
+
+    var first = colors[0];
+    var last = colors[colors.length - 1];
+
+    if (first.offset > 0) {
+      colors.unshift({ offset: 0, color: first.color });
+    }
+    if (last.offset < 1 || colors.length < 2) {
+      colors.push({ offset: 1, color: last.color });
+    }
+
+    var functions = [];
+    var bounds = [];
+    var encode = [];
+
+    for (var i = 1; i < colors.length; i++) {
+      functions.push(pdf.toDictionary({
+        FunctionType: 2,
+        Domain: '[0 1]',
+        C0: pdf.toArray(colors[i - 1].color),
+        C1: pdf.toArray(colors[i].color),
+        N: 1
+      }));
+      if (i < colors.length - 1) {
+        bounds.push(colors[i].offset);
+      }
+      encode.push(0, 1);
+    }
+
+    if (functions.length === 1) {
+      return functions[0];
+    }
+
+    return pdf.toDictionary({
+      FunctionType: 3,
+      Domain: '[0 1]',
+      Functions: '[' + functions.join(' ') + ']',
+      Bounds: pdf.toArray(bounds),
+      Encode: pdf.toArray(encode)
+    });
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.getSoftMask
+   * @function
+   * @private
+   * @param {Object} context
+   * @param {(Two.LinearGradient|Two.RadialGradient)} gradient
+   * @returns {String|null} The name of a graphics state that masks what's painted with the gradient by the opacities of its stops. `null` if every stop is opaque.
+   * @description PDF shadings only interpolate colors, so the opacities are drawn as a second, gray shading into a luminosity soft mask. Like the images' `SMask`s, lighter is more opaque.
+   */
+  getSoftMask: function(context, gradient) {
+
+    var opaque = gradient.stops.every(function(stop) {
+      var color = parseColor(stop._color);
+      return stop._opacity >= 1 && (!color || color.a >= 1);
+    });
+
+    if (opaque) {
+      return null;
+    }
+
+    var document = context.document;
+    var far = pdf.far;
+
+    // The mask is placed in the coordinate space the graphics state
+    // is applied in, which is the space of the gradient's shape.
+    var group = pdf.addObject(document, pdf.toDictionary({
+      Type: '/XObject',
+      Subtype: '/Form',
+      BBox: pdf.toArray([- far, - far, far, far]),
+      Group: pdf.toDictionary({
+        S: '/Transparency',
+        CS: '/DeviceGray'
+      }),
+      Resources: pdf.toDictionary({
+        Shading: pdf.toDictionary({
+          Sh: pdf[gradient._renderer.type].shading.call(gradient,
+            pdf.getFunction(gradient.stops, true), '/DeviceGray')
+        })
+      })
+    }), '/Sh sh');
+
+    return pdf.addResource(document, 'ExtGState', 'GS', pdf.toDictionary({
+      Type: '/ExtGState',
+      SMask: pdf.toDictionary({
+        Type: '/Mask',
+        S: '/Luminosity',
+        G: group
+      })
+    }));
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.getImage
+   * @function
+   * @private
+   * @param {Object} document
+   * @param {Two.Texture} texture
+   * @returns {Object|null} The name and dimensions of the texture's image as an image XObject. `null` if its pixels can't be read.
+   */
+  getImage: function(document, texture) {
+
+    var image = texture.image;
+
+    if (texture.id in document.images) {
+      return document.images[texture.id];
+    }
+
+    var width = image.videoWidth || image.naturalWidth || image.width;
+    var height = image.videoHeight || image.naturalHeight || image.height;
+    var canvas;
+
+    if (CanvasShim.isHeadless && CanvasShim.Canvas) {
+      canvas = new CanvasShim.Canvas(width, height);
+    } else if (root.document) {
+      canvas = root.document.createElement('canvas');
+    }
+
+    if (!canvas || !width || !height) {
+      return null;
+    }
+
+    canvas.width = width;
+    canvas.height = height;
+
+    var ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+
+    var data = ctx.getImageData(0, 0, width, height).data;
+    var rgb = [];
+    var alpha = [];
+    var opaque = true;
+
+    for (var i = 0; i < data.length; i += 4) {
+      rgb.push(toHex(data[i]) + toHex(data[i + 1]) + toHex(data[i + 2]));
+      alpha.push(toHex(data[i + 3]));
+      opaque = opaque && data[i + 3] >= 255;
+    }
+
+    var attrs = {
+      Type: '/XObject',
+      Subtype: '/Image',
+      Width: width,
+      Height: height,
+      ColorSpace: '/DeviceGray',
+      BitsPerComponent: 8,
+      Filter: '/ASCIIHexDecode'
+    };
+
+    if (!opaque) {
+      attrs.SMask = pdf.addObject(document, pdf.toDictionary(attrs),
+        toLines(alpha, 64));
+    }
+
+    attrs.ColorSpace = '/DeviceRGB';
+
+    return document.images[texture.id] = {
+      reference: pdf.addObject(document, pdf.toDictionary(attrs),
+        toLines(rgb, 32)),
+      width: width,
+      height: height
+    };
+
+  },
+
+  /**
+   * @name Two.PDFRenderer.Utils.addPattern
+   * @function
+   * @private
+   * @param {Object} document
+   * @param {Number[]} m - The matrix from pattern space to the page in PDF order.
+   * @param {Object} attrs - The entries of the pattern's dictionary.
+   * @param {String} [stream] - The content of tiling patterns.
+   * @returns {String} The name of the pattern.
+   */
+  addPattern: function(document, m, attrs, stream) {
+    return pdf.addResource(document, 'Pattern', 'P',
+      pdf.addObject(document, pdf.toDictionary(_.extend({
+        Type: '/Pattern'
+      }, attrs, {
+        Matrix: pdf.toArray(m)
+      })), stream));
+  },
+
+  group: {
+
+    render: function(context) {
+
+      var opacity = this._opacity * context.opacity;
+
+      if (!this._visible || opacity === 0) {
+        return this;
+      }
+
+      this._update();
+
+      var group = pdf.push(context, pdf.getMatrix(this), opacity);
+
+      if (this._mask) {
+        pdf.clip(group, this._mask);
+      }
+
+      for (var i = 0; i < this.children.length; i++) {
+        var child = this.children[i];
+        var renderer = pdf[child._renderer.type];
+        // Gradients and textures only draw through the shapes they fill.
+        if (!child._clip && renderer && renderer.render) {
+          renderer.render.call(child, group);
+        }
+      }
+
+      context.stream.push('Q');
+
+      return this;
+
+    }
+
+  },
+
+  path: {
+
+    render: function(context) {
+
+      var opacity = this._opacity * context.opacity;
+
+      if (!this._visible || opacity === 0) {
+        return this;
+      }
+
+      this._update();
+
+      var path = pdf.toString(
+        getCubicSubpaths(this._renderer.vertices, this._closed));
+
+      if (!path) {
+        return this;
+      }
+
+      var shape = pdf.push(context, pdf.getMatrix(this), opacity);
+
+      if (this._mask) {
+        pdf.clip(shape, this._mask);
+      }
+
+      pdf.path.draw.call(this, shape, path);
+
+      if (this._markers) {
+        pdf.marker.draw(shape, this);
+      }
+
+      context.stream.push('Q');
+
+      return this;
+
+    },
+
+    draw: function(context, path) {
+
+      var fill = pdf.getPaint(context, this._fill);
+      var stroke = this._linewidth > 0
+        ? pdf.getPaint(context, this._stroke, true) : null;
+
+      if (!fill && !stroke) {
+        return;
+      }
+
+      var evenodd = this._fillRule === 'evenodd' ? '*' : '';
+
+      pdf.paint(context, fill, stroke, this, function(filled, stroked) {
+        context.stream.push(path,
+          filled && stroked ? 'B' + evenodd : (filled ? 'f' + evenodd : 'S'));
+      });
+
+    }
+
+  },
+
+  marker: {
+
+    // Draw the markers of a path in its coordinate space.
+    draw: function(context, path) {
+
+      var placements = Marker.getPlacements(path);
+
+      for (var i = 0; i < placements.length; i++) {
+
+        var marker = placements[i].marker;
+        var e = placements[i].matrix.elements;
+
+        marker._update();
+
+        var scene = pdf.push(context,
+          [e[0], e[3], e[1], e[4], e[2], e[5]], context.opacity);
+        pdf.group.render.call(marker._scene, scene);
+        context.stream.push('Q');
+
+      }
+
+    }
+
+  },
+
+  points: {
+
+    render: function(context) {
+
+      var opacity = this._opacity * context.opacity;
+
+      if (!this._visible || opacity === 0) {
+        return this;
+      }
+
+      this._update();
+
+      var collection = this._renderer.collection;
+      var r = this._size / 2;
+
+      if (!this._sizeAttenuation) {
+        getComputedMatrix(this, matrix);
+        var me = matrix.elements;
+        var m = decomposeMatrix(me[0], me[3], me[1], me[4], me[2], me[5]);
+        r /= Math.max(m.scaleX, m.scaleY);
+      }
+
+      var k = r * pdf.kappa;
+      var subpaths = [];
+
+      for (var i = 0; i < collection.length; i++) {
+        var x = collection[i].x;
+        var y = collection[i].y;
+        subpaths.push({
+          closed: true,
+          segments: [
+            [x + r, y, x + r, y + k, x + k, y + r, x, y + r],
+            [x, y + r, x - k, y + r, x - r, y + k, x - r, y],
+            [x - r, y, x - r, y - k, x - k, y - r, x, y - r],
+            [x, y - r, x + k, y - r, x + r, y - k, x + r, y]
+          ]
+        });
+      }
+
+      if (subpaths.length <= 0) {
+        return this;
+      }
+
+      var shape = pdf.push(context, pdf.getMatrix(this), opacity);
+
+      pdf.path.draw.call(this, shape, pdf.toString(subpaths));
+
+      context.stream.push('Q');
+
+      return this;
+
+    }
+
+  },
+
+  text: {
+
+    render: function(context) {
+
+      var opacity = this._opacity * context.opacity;
+
+      var value = String(this._value);
+
+      if (!this._visible || opacity === 0 || value.length <= 0) {
+        return this;
+      }
+
+      this._update();
+
+      var shape = pdf.push(context, pdf.getMatrix(this), opacity);
+      var stream = shape.stream;
+
+      if (this._mask) {
+        pdf.clip(shape, this._mask);
+      }
+
+      var fill = pdf.getPaint(shape, this._fill);
+      var stroke = this._linewidth > 0
+        ? pdf.getPaint(shape, this._stroke, true) : null;
+      var size = this._size;
+      var width = value.length * size * Text.Ratio;
+      var x = - width * (pdf.alignments[this._alignment] || 0);
+      var y = size * (pdf.baselines[this._baseline] || 0);
+
+      if (fill || stroke) {
+
+        var font = pdf.getFont(shape.document, this);
+
+        pdf.paint(shape, fill, stroke, this, function(filled, stroked) {
+          stream.push(
+            'BT',
+            '/' + font + ' ' + pdf.toNumber(size) + ' Tf',
+            (filled && stroked ? 2 : (filled ? 0 : 1)) + ' Tr',
+            [1, 0, 0, - 1, x, y].map(pdf.toNumber).join(' ') + ' Tm',
+            pdf.encode(value) + ' Tj',
+            'ET'
+          );
+        });
+
+      }
+
+      // Handle text-decoration
+      if (fill && /(underline|strikethrough)/i.test(this._decoration)) {
+
+        y += this._decoration === 'underline' ? size * 0.1 : - size * 0.3;
+
+        stream.push(
+          pdf.getPaint(shape, this._fill, true).operator,
+          Math.max(Math.floor(size / 15), 1) + ' w',
+          '[] 0 d',
+          [x, y].map(pdf.toNumber).join(' ') + ' m',
+          [x + width, y].map(pdf.toNumber).join(' ') + ' l',
+          'S'
+        );
+
+      }
+
+      context.stream.push('Q');
+
+      return this;
+
+    }
+
+  },
+
+  'linear-gradient': {
+
+    paint: function(context) {
+      return pdf.gradient.paint.call(this, context);
+    },
+
+    shading: function(fn, space) {
+      return pdf.toDictionary({
+        ShadingType: 2,
+        ColorSpace: space,
+        Coords: pdf.toArray([
+          this.left._x, this.left._y,
+          this.right._x, this.right._y
+        ]),
+        Function: fn,
+        Extend: '[true true]'
+      });
+    }
+
+  },
+
+  'radial-gradient': {
+
+    paint: function(context) {
+      return pdf.gradient.paint.call(this, context);
+    },
+
+    shading: function(fn, space) {
+      return pdf.toDictionary({
+        ShadingType: 3,
+        ColorSpace: space,
+        Coords: pdf.toArray([
+          this.focal._x, this.focal._y, 0,
+          this.center._x, this.center._y, this._radius
+        ]),
+        Function: fn,
+        Extend: '[true true]'
+      });
+    }
+
+  },
+
+  gradient: {
+
+    // Shared by both kinds of gradients, which only differ in
+    // their shadings.
+    paint: function(context) {
+
+      this._update();
+
+      var fn = pdf.getFunction(this.stops);
+
+      if (!fn) {
+        return null;
+      }
+
+      return pdf.addPattern(context.document, context.matrix, {
+        PatternType: 2,
+        Shading: pdf[this._renderer.type].shading.call(this, fn, '/DeviceRGB')
+      });
+
+    }
+
+  },
+
+  texture: {
+
+    paint: function(context) {
+
+      this._update();
+
+      if (!this.loaded || !this.image) {
+        return null;
+      }
+
+      var image = pdf.getImage(context.document, this);
+
+      if (!image) {
+        return null;
+      }
+
+      var width = image.width;
+      var height = image.height;
+      var scale = this._scale instanceof Vector
+        ? this._scale : { x: this._scale, y: this._scale };
+      var repeat = this._repeat;
+
+      // Same placement as the canvas renderer's patterns:
+      // centered on the shape's origin and moved by the texture's offset.
+      var m = pdf.multiply([
+        scale.x, 0, 0, scale.y,
+        (this._offset.x - width / 2) * scale.x,
+        (this._offset.y - height / 2) * scale.y
+      ], context.matrix);
+
+      return pdf.addPattern(context.document, m, {
+        PatternType: 1,
+        PaintType: 1,
+        TilingType: 1,
+        BBox: pdf.toArray([0, 0, width, height]),
+        XStep: /^repeat(-x)?$/.test(repeat) ? width : width + pdf.far,
+        YStep: /^repeat(-y)?$/.test(repeat) ? height : height + pdf.far,
+        Resources: pdf.toDictionary({
+          XObject: pdf.toDictionary({ Im: image.reference })
+        })
+      }, 'q ' + width + ' 0 0 ' + (- height) + ' 0 ' + height + ' cm /Im Do Q');
+
+    }
+
+  }
+
+};
+
+/**
+ * @name Two.PDFRenderer
+ * @class
+ * @extends Two.Events
+ * @param {Object} [parameters]
+ * @param {Number} [parameters.width] - The width of the page in points.
+ * @param {Number} [parameters.height] - The height of the page in points.
+ * @description This class takes Two.js' scenegraph and writes it to a single page PDF document made of vector drawing operators, e.g: for printing. It doesn't draw to the screen, so it isn't available as a {@link Two.Types} option. Add shapes to its `scene` and call {@link Two.PDFRenderer#render}, or use {@link Two#toPDF} to convert the scene of any instance.
+ */
+function Renderer(params) {
+
+  params = params || {};
+
+  /**
+   * @name Two.PDFRenderer#scene
+   * @property {Two.Group} - The root group of the scenegraph.
+   */
+  this.scene = new Group();
+  this.scene.parent = this;
+
+  /**
+   * @name Two.PDFRenderer#output
+   * @property {String} - The PDF document written by the last call to {@link Two.PDFRenderer#render}.
+   */
+  this.output = '';
+
+  this.width = params.width || 0;
+  this.height = params.height || 0;
+
+}
+
+_.extend(Renderer, {
+
+  /**
+   * @name Two.PDFRenderer.Utils
+   * @property {Object} - A massive object filled with utility functions and properties to write Two.js objects as PDF operators.
+   */
+  Utils: pdf,
+
+  /**
+   * @name Two.PDFRenderer.serialize
+   * @function
+   * @param {(Two.Group|Two.Shape)} object - The group or shape to serialize, e.g: {@link Two#scene}.
+   * @param {Object} [options]
+   * @param {Number} [options.width] - The width of the page. Defaults to the width of the object's bounding box.
+   * @param {Number} [options.height] - The height of the page. Defaults to the height of the object's bounding box.
+   * @returns {String} - A PDF document. Every character is ASCII, so its length is also its size in bytes.
+   * @description Convert an object and all of its descendants into a one page PDF document. One unit of the scene is one point, 1/72 of an inch, on the page. Paths, arcs, and points are drawn as vector outlines, gradients as PDF shadings with soft masks for the opacities of their stops, {@link Two.Text} with the closest of the standard PDF fonts, and {@link Two.Texture}s as embedded images. Works regardless of which renderer draws the scene. When no size is given the page is fitted to the object.
+   * @nota-bene The `'reflect'` and `'repeat'` spreads of gradients aren't supported by PDF shadings and are drawn like `'pad'` spread gradients. Texts are positioned from an estimate of their width, see {@link Two.Text.Ratio}, and their characters are limited to WinAnsiEncoding. Textures need a `document`, or {@link Two.Utils.shim} in headless environments, to read their pixels and aren't drawn otherwise.
+   */
+  serialize: function(object, options) {
+
+    options = options || {};
+
+    var width = options.width;
+    var height = options.height;
+    var left = 0;
+    var top = 0;
+
+    if (typeof width !== 'number' || typeof height !== 'number') {
+      var rect = object.getBoundingClientRect(true);
+      width = rect.width || 0;
+      height = rect.height || 0;
+      left = rect.left || 0;
+      top = rect.top || 0;
+    }
+
+    var document = pdf.createDocument();
+    var i;
+
+    // Reserve the catalog, page tree, and page.
+    document.objects.push(null, null, null);
+
+    // PDF's y-axis points up from the bottom of the page.
+    var context = pdf.push({
+      document: document,
+      stream: [],
+      matrix: [1, 0, 0, 1, 0, 0],
+      opacity: 1
+    }, [1, 0, 0, - 1, - left, height + top], 1);
+
+    pdf[object._renderer.type].render.call(object, context);
+    context.stream.push('Q');
+
+    var contents = pdf.addObject(document, '<< >>', context.stream.join('\n'));
+    var resources = { ProcSet: '[/PDF /Text /ImageB /ImageC]' };
+
+    for (var category in document.resources) {
+      var entries = document.resources[category];
+      if (Object.keys(entries).length > 0) {
+        resources[category] = pdf.toDictionary(entries);
+      }
+    }
+
+    document.objects[0] = pdf.toDictionary({
+      Type: '/Catalog',
+      Pages: '2 0 R'
+    });
+    document.objects[1] = pdf.toDictionary({
+      Type: '/Pages',
+      Kids: '[3 0 R]',
+      Count: 1
+    });
+    document.objects[2] = pdf.toDictionary({
+      Type: '/Page',
+      Parent: '2 0 R',
+      MediaBox: pdf.toArray([0, 0, width, height]),
+      Resources: pdf.toDictionary(resources),
+      Contents: contents
+    });
+
+    var output = '%PDF-' + pdf.version + '\n';
+    var offsets = [];
+
+    for (i = 0; i < document.objects.length; i++) {
+      offsets.push(output.length);
+      output += (i + 1) + ' 0 obj\n' + document.objects[i] + '\nendobj\n';
+    }
+
+    var xref = output.length;
+
+    output += 'xref\n0 ' + (offsets.length + 1) + '\n0000000000 65535 f \n';
+
+    for (i = 0; i < offsets.length; i++) {
+      output += ('000000000' + offsets[i]).slice(-10) + ' 00000 n \n';
+    }
+
+    return output + 'trailer\n' + pdf.toDictionary({
+      Size: offsets.length + 1,
+      Root: '1 0 R'
+    }) + '\nstartxref\n' + xref + '\n%%EOF\n';
+
+  }
+
+});
+
+_.extend(Renderer.prototype, Events, {
+
+  constructor: Renderer,
+
+  /**
+   * @name Two.PDFRenderer#setSize
+   * @function
+   * @param {Number} width - The new width of the page.
+   * @param {Number} height - The new height of the page.
+   * @description Change the size of the page.
+   * @nota-bene Triggers a `Two.Events.resize`.
+   */
+  setSize: function(width, height) {
+
+    this.width = width;
+    this.height = height;
+
+    return this.trigger(Events.Types.resize, width, height);
+
+  },
+
+  /**
+   * @name Two.PDFRenderer#render
+   * @function
+   * @description Write the current scene to {@link Two.PDFRenderer#output}.
+   */
+  render: function() {
+
+    this.output = Renderer.serialize(this.scene, {
+      width: this.width,
+      height: this.height
+    });
+
+    return this;
+
+  }
+
+});
+
+// Returns true if this is a non-transforming matrix
+function isDefaultMatrix(m) {
+  return m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1
+    && m[4] === 0 && m[5] === 0;
+}
+
+// A segment from {@link Two.Utils.getCubicSubpaths} that was a straight line.
+function isLine(s) {
+  return s[2] === s[0] + (s[6] - s[0]) / 3 && s[3] === s[1] + (s[7] - s[1]) / 3
+    && s[4] === s[0] + (s[6] - s[0]) * 2 / 3 && s[5] === s[1] + (s[7] - s[1]) * 2 / 3;
+}
+
+function toHex(v) {
+  return (v < 16 ? '0' : '') + v.toString(16);
+}
+
+function toLines(values, length) {
+  var lines = [];
+  for (var i = 0; i < values.length; i += length) {
+    lines.push(values.slice(i, i + length).join(''));
+  }
+  return lines.join('\n') + '>';
+}
+
+export default Renderer;
@@ -0,0 +1,48 @@
+import _ from '../utils/underscore.js';
+import Element from '../utils/svg-element.js';
+
+import SVGRenderer from './svg.js';
+
+var svg = SVGRenderer.Utils;
+
+/**
+ * @name Two.SVGStringRenderer
+ * @class
+ * @extends Two.SVGRenderer
+ * @param {Object} [parameters] - This object is inherited when constructing a new instance of {@link Two}.
+ * @description This class is used by {@link Two} when constructing with `type` of `Two.Types.svgstring`. It renders with the same logic as {@link Two.SVGRenderer}, but into a tree of {@link Two.SVGStringRenderer.Element}s instead of the DOM. This makes it work without a `document`, e.g: in Node.js and Web Workers. Call {@link Two.SVGStringRenderer#toString} for the markup of the last render.
+ */
+function Renderer(params) {
+  SVGRenderer.call(this, _.extend({}, params, {
+    domElement: svg.createElement('svg', null, Element.document)
+  }));
+}
+
+_.extend(Renderer, {
+
+  /**
+   * @name Two.SVGStringRenderer.Utils
+   * @property {Object} - The utility functions of {@link Two.SVGRenderer.Utils} shared by both renderers.
+   */
+  Utils: svg,
+
+  Element: Element
+
+});
+
+_.extend(Renderer.prototype, SVGRenderer.prototype, {
+
+  constructor: Renderer,
+
+  /**
+   * @name Two.SVGStringRenderer#toString
+   * @function
+   * @returns {String} - The markup of the virtual `<svg />`.
+   */
+  toString: function() {
+    return this.domElement.toString();
+  }
+
+});
+
+export default Renderer;
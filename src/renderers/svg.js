@@ -6,6 +6,7 @@ import _ from '../utils/underscore.js';
 import Group from '../group.js';
 import Vector from '../vector.js';
 import Matrix from '../matrix.js';
+import Element from '../utils/svg-element.js';
 
 var matrix = new Matrix();
 
@@ -22,10 +23,14 @@ var svg = {
     right: 'end'
   },
 
-  // Create an svg namespaced element.
-  createElement: function(name, attrs) {
+  // Create an svg namespaced element. It's made by `owner`, a
+  // document, or the document of `owner`, an element, so the
+  // descendants of a virtual `<svg />` are virtual too.
+  // Defaults to the global `document`.
+  createElement: function(name, attrs, owner) {
     var tag = name;
-    var elem = document.createElementNS(svg.ns, tag);
+    var doc = owner ? owner.ownerDocument || owner : document;
+    var elem = doc.createElementNS(svg.ns, tag);
     if (tag === 'svg') {
       attrs = _.defaults(attrs || {}, {
         version: svg.version
@@ -217,7 +222,7 @@ var svg = {
 
       clip = shape._renderer.clip = svg.createElement('clipPath', {
         'clip-rule': 'nonzero'
-      });
+      }, domElement);
       domElement.defs.appendChild(clip);
 
     }
@@ -226,6 +231,186 @@ var svg = {
 
   },
 
+  // Point a shape at its mask. A shape used as a mask becomes a
+  // `<clipPath />`. A `Two.Mask` becomes a `<mask />` and is drawn
+  // every frame, because its scene isn't in the scene graph.
+  // `fresh` is true when the shape's element was just made.
+  renderMask: function(shape, domElement, fresh) {
+
+    var mask = shape._mask;
+    var elem = shape._renderer.elem;
+    var flagMask = fresh || shape._flagMask;
+
+    if (mask && mask._renderer.type === 'mask') {
+      svg.mask.render.call(mask, domElement);
+    } else if (mask && flagMask) {
+      svg[mask._renderer.type].render.call(mask, domElement);
+    }
+
+    if (!flagMask) {
+      return;
+    }
+
+    if (!mask) {
+      elem.removeAttribute('clip-path');
+      elem.removeAttribute('mask');
+    } else if (mask._renderer.type === 'mask') {
+      elem.removeAttribute('clip-path');
+      elem.setAttribute('mask', 'url(#' + mask.id + ')');
+    } else {
+      elem.removeAttribute('mask');
+      elem.setAttribute('clip-path', 'url(#' + mask.id + ')');
+    }
+
+  },
+
+  // Point a path at the markers drawn on its vertices. Like a
+  // `Two.Mask` they're drawn every frame, because their scenes
+  // aren't in the scene graph.
+  renderMarkers: function(shape, domElement) {
+
+    var markers = shape._markers;
+    var elem = shape._renderer.elem;
+
+    for (var i = 0; i < svg.marker.positions.length; i++) {
+
+      var position = svg.marker.positions[i];
+      var marker = markers && markers[position];
+      var name = 'marker-' + position;
+
+      if (marker) {
+        svg.marker.render.call(marker, domElement);
+        if (elem.getAttribute(name) !== 'url(#' + marker.id + ')') {
+          elem.setAttribute(name, 'url(#' + marker.id + ')');
+        }
+      } else if (elem.hasAttribute(name)) {
+        elem.removeAttribute(name);
+      }
+
+    }
+
+  },
+
+  // The CSS `mix-blend-mode` of a shape's blend mode.
+  // `'add'` is `'plus-lighter'` in CSS.
+  getBlending: function(blending) {
+    return blending === 'add' ? 'plus-lighter'
+      : blending && blending !== 'normal' ? blending : '';
+  },
+
+  // The region a shape's filters draw into in its own coordinate
+  // space. It's the shape's bounding box grown by how far the
+  // filters reach outside of it, e.g: the offset of a shadow.
+  getFilterRegion: function(shape) {
+
+    var filters = shape._filters;
+    var rect = shape.getBoundingClientRect(true);
+    var margin = 0;
+    var i;
+
+    for (i = 0; i < filters.length; i++) {
+      margin += svg[filters[i]._renderer.type].getMargin.call(filters[i]);
+    }
+
+    if (!isFinite(rect.left) || !isFinite(rect.top)) {
+      return null;
+    }
+
+    // The rectangle is in the space of the shape's parent.
+    var inverse = shape._matrix.inverse(matrix);
+    var left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    var corners = [
+      rect.left, rect.top, rect.right, rect.top,
+      rect.right, rect.bottom, rect.left, rect.bottom
+    ];
+
+    for (i = 0; i < corners.length; i += 2) {
+      var p = inverse
+        ? inverse.multiply(corners[i], corners[i + 1], 1)
+        : { x: corners[i], y: corners[i + 1] };
+      left = Math.min(left, p.x);
+      top = Math.min(top, p.y);
+      right = Math.max(right, p.x);
+      bottom = Math.max(bottom, p.y);
+    }
+
+    return {
+      x: left - margin,
+      y: top - margin,
+      width: right - left + 2 * margin,
+      height: bottom - top + 2 * margin
+    };
+
+  },
+
+  // Update the `<filter />` in `defs` that applies a shape's
+  // filters and point the shape's element to it.
+  renderFilters: function(shape, domElement) {
+
+    var filters = shape._filters || [];
+    var elem = shape._renderer.filter;
+    var primitives = '';
+    var i, filter, type;
+
+    // Filters can be shared, so the shape keeps which filters and
+    // which of their changes it drew instead of being flagged by them.
+    for (i = 0; i < filters.length; i++) {
+      filter = filters[i];
+      filter._update().flagReset();
+      primitives += filter._id + ' ' + filter._renderer.version + ' ';
+    }
+
+    if (filters.length <= 0) {
+      if (elem && elem.parentNode) {
+        elem.parentNode.removeChild(elem);
+      }
+      delete shape._renderer.filter;
+      delete shape._renderer.primitives;
+      delete shape._renderer.region;
+      shape._renderer.elem.removeAttribute('filter');
+      return;
+    }
+
+    if (!elem) {
+      elem = shape._renderer.filter = svg.createElement('filter', {
+        filterUnits: 'userSpaceOnUse',
+        'color-interpolation-filters': 'sRGB'
+      }, domElement);
+      domElement.defs.appendChild(elem);
+      shape._flagFilters = true;
+    }
+
+    if (shape._flagFilters || shape._flagId
+      || primitives !== shape._renderer.primitives) {
+
+      shape._renderer.primitives = primitives;
+      elem.setAttribute('id', shape._id + '-filter');
+      shape._renderer.elem.setAttribute('filter', 'url(#' + shape._id + '-filter)');
+
+      while (elem.lastChild) {
+        elem.removeChild(elem.lastChild);
+      }
+
+      for (i = 0; i < filters.length; i++) {
+        filter = filters[i];
+        type = svg[filter._renderer.type];
+        elem.appendChild(svg.createElement(type.name,
+          type.getAttributes.call(filter), domElement));
+      }
+
+    }
+
+    // The region follows the shape as it changes.
+    var region = svg.getFilterRegion(shape);
+    var key = region && [region.x, region.y, region.width, region.height].join(' ');
+
+    if (region && key !== shape._renderer.region) {
+      shape._renderer.region = key;
+      svg.setAttributes(elem, region);
+    }
+
+  },
+
   group: {
 
     // TODO: Can speed up.
@@ -281,25 +466,66 @@ var svg = {
 
     render: function(domElement) {
 
+      // Objects drawn for the first time write all of their
+      // attributes, not only the flagged ones, e.g: when they're
+      // drawn into a new `<svg />` by `Two.SVGRenderer.serialize`.
+      var fresh = !this._renderer.elem;
+
       // Shortcut for hidden objects.
       // Doesn't reset the flags, so changes are stored and
       // applied once the object is visible again
-      if ((!this._visible && !this._flagVisible)
-        || (this._opacity === 0 && !this._flagOpacity)) {
+      if (!fresh && ((!this._visible && !this._flagVisible)
+        || (this._opacity === 0 && !this._flagOpacity))) {
         return this;
       }
 
       this._update();
 
-      if (!this._renderer.elem) {
+      if (fresh) {
         this._renderer.elem = svg.createElement('g', {
           id: this.id
-        });
+        }, domElement);
         domElement.appendChild(this._renderer.elem);
       }
 
+      var flagClip = fresh ? this._clip : this._flagClip;
+
+      // A `<g />` isn't allowed in a `<clipPath />`. While the
+      // group is a mask its children are moved into the clip path
+      // and the clip path takes the place of the `<g />`.
+      if (flagClip) {
+
+        var clip = svg.getClip(this, domElement);
+        var group = this._renderer.group || this._renderer.elem;
+        var from = this._renderer.elem;
+        var to = this._clip ? clip : group;
+
+        this._renderer.group = group;
+        this._renderer.elem = to;
+
+        while (from !== to && from.firstChild) {
+          to.appendChild(from.firstChild);
+        }
+
+        if (this._clip) {
+          group.removeAttribute('id');
+          clip.setAttribute('id', this.id);
+          if (group.parentNode) {
+            group.parentNode.removeChild(group);
+          }
+        } else {
+          clip.removeAttribute('id');
+          clip.removeAttribute('transform');
+          group.setAttribute('id', this.id);
+          if (this.parent && this.parent._renderer.elem) {
+            this.parent._renderer.elem.appendChild(group); // TODO: should be insertBefore
+          }
+        }
+
+      }
+
       // _Update styles for the <g>
-      var flagMatrix = this._matrix.manual || this._flagMatrix;
+      var flagMatrix = fresh || this._matrix.manual || this._flagMatrix || flagClip;
       var context = {
         domElement: domElement,
         elem: this._renderer.elem
@@ -314,24 +540,33 @@ var svg = {
         svg[child._renderer.type].render.call(child, domElement);
       }
 
-      if (this._flagId) {
+      if (fresh || this._flagId) {
         this._renderer.elem.setAttribute('id', this._id);
       }
 
-      if (this._flagOpacity) {
+      if (fresh || this._flagOpacity) {
         this._renderer.elem.setAttribute('opacity', this._opacity);
       }
 
-      if (this._flagVisible) {
+      if (fresh || this._flagVisible) {
         this._renderer.elem.setAttribute('display', this._visible ? 'inline' : 'none');
       }
 
-      if (this._flagClassName) {
+      if (fresh || this._flagClassName) {
         this._renderer.elem.setAttribute('class', this.classList.join(' '));
       }
 
-      if (this._flagAdditions) {
-        this.additions.forEach(svg.group.appendChild, context);
+      if (fresh || this._flagBlending) {
+        this._renderer.elem.style.mixBlendMode = svg.getBlending(this._blending);
+      }
+
+      if ((this._filters && this._filters.length > 0) || this._renderer.filter) {
+        svg.renderFilters(this, domElement);
+      }
+
+      if (fresh || this._flagAdditions) {
+        (fresh ? this.children : this.additions)
+          .forEach(svg.group.appendChild, context);
       }
 
       if (this._flagSubtractions) {
@@ -342,34 +577,8 @@ var svg = {
         this.children.forEach(svg.group.orderChild, context);
       }
 
-      // Commented two-way functionality of clips / masks with groups and
-      // polygons. Uncomment when this bug is fixed:
-      // https://code.google.com/p/chromium/issues/detail?id=370951
-
-      // if (this._flagClip) {
-
-      //   clip = svg.getClip(this, domElement);
-      //   elem = this._renderer.elem;
-
-      //   if (this._clip) {
-      //     elem.removeAttribute('id');
-      //     clip.setAttribute('id', this.id);
-      //     clip.appendChild(elem);
-      //   } else {
-      //     clip.removeAttribute('id');
-      //     elem.setAttribute('id', this.id);
-      //     this.parent._renderer.elem.appendChild(elem); // TODO: should be insertBefore
-      //   }
-
-      // }
-
-      if (this._flagMask) {
-        if (this._mask) {
-          svg[this._mask._renderer.type].render.call(this._mask, domElement);
-          this._renderer.elem.setAttribute('clip-path', 'url(#' + this._mask.id + ')');
-        } else {
-          this._renderer.elem.removeAttribute('clip-path');
-        }
+      if (this._flagMask || this._mask) {
+        svg.renderMask(this, domElement, fresh);
       }
 
       return this.flagReset();
@@ -382,10 +591,12 @@ var svg = {
 
     render: function(domElement) {
 
+      var fresh = !this._renderer.elem;
+
       // Shortcut for hidden objects.
       // Doesn't reset the flags, so changes are stored and
       // applied once the object is visible again
-      if (this._opacity === 0 && !this._flagOpacity) {
+      if (!fresh && this._opacity === 0 && !this._flagOpacity) {
         return this;
       }
 
@@ -394,17 +605,17 @@ var svg = {
       // Collect any attribute that needs to be changed here
       var changed = {};
 
-      var flagMatrix = this._matrix.manual || this._flagMatrix;
+      var flagMatrix = fresh || this._matrix.manual || this._flagMatrix;
 
       if (flagMatrix) {
         changed.transform = 'matrix(' + this._matrix.toString() + ')';
       }
 
-      if (this._flagId) {
+      if (fresh || this._flagId) {
         changed.id = this._id;
       }
 
-      if (this._flagVertices) {
+      if (fresh || this._flagVertices) {
         var vertices = svg.toString(this._renderer.vertices, this._closed);
         changed.d = vertices;
       }
@@ -414,7 +625,7 @@ var svg = {
         svg[this._fill._renderer.type].render.call(this._fill, domElement, true);
       }
 
-      if (this._flagFill) {
+      if (fresh || this._flagFill) {
         changed.fill = this._fill && this._fill.id
           ? 'url(#' + this._fill.id + ')' : this._fill;
       }
@@ -424,40 +635,44 @@ var svg = {
         svg[this._stroke._renderer.type].render.call(this._stroke, domElement, true);
       }
 
-      if (this._flagStroke) {
+      if (fresh || this._flagStroke) {
         changed.stroke = this._stroke && this._stroke.id
           ? 'url(#' + this._stroke.id + ')' : this._stroke;
       }
 
-      if (this._flagLinewidth) {
+      if (fresh || this._flagLinewidth) {
         changed['stroke-width'] = this._linewidth;
       }
 
-      if (this._flagOpacity) {
+      if (fresh || this._flagOpacity) {
         changed['stroke-opacity'] = this._opacity;
         changed['fill-opacity'] = this._opacity;
       }
 
-      if (this._flagClassName) {
+      if (fresh || this._flagClassName) {
         changed['class'] = this.classList.join(' ');
       }
 
-      if (this._flagVisible) {
+      if (fresh || this._flagVisible) {
         changed.visibility = this._visible ? 'visible' : 'hidden';
       }
 
-      if (this._flagCap) {
+      if (fresh || this._flagCap) {
         changed['stroke-linecap'] = this._cap;
       }
 
-      if (this._flagJoin) {
+      if (fresh || this._flagJoin) {
         changed['stroke-linejoin'] = this._join;
       }
 
-      if (this._flagMiter) {
+      if (fresh || this._flagMiter) {
         changed['stroke-miterlimit'] = this._miter;
       }
 
+      if (fresh || this._flagFillRule) {
+        changed['fill-rule'] = this._fillRule;
+      }
+
       if (this.dashes && this.dashes.length > 0) {
         changed['stroke-dasharray'] = this.dashes.join(' ');
         changed['stroke-dashoffset'] = this.dashes.offset || 0;
@@ -465,10 +680,10 @@ var svg = {
 
       // If there is no attached DOM element yet,
       // create it with all necessary attributes.
-      if (!this._renderer.elem) {
+      if (fresh) {
 
         changed.id = this._id;
-        this._renderer.elem = svg.createElement('path', changed);
+        this._renderer.elem = svg.createElement('path', changed, domElement);
         domElement.appendChild(this._renderer.elem);
 
       // Otherwise apply all pending attributes
@@ -476,7 +691,15 @@ var svg = {
         svg.setAttributes(this._renderer.elem, changed);
       }
 
-      if (this._flagClip) {
+      if (fresh || this._flagBlending) {
+        this._renderer.elem.style.mixBlendMode = svg.getBlending(this._blending);
+      }
+
+      if ((this._filters && this._filters.length > 0) || this._renderer.filter) {
+        svg.renderFilters(this, domElement);
+      }
+
+      if (fresh ? this._clip : this._flagClip) {
 
         var clip = svg.getClip(this, domElement);
         var elem = this._renderer.elem;
@@ -497,13 +720,12 @@ var svg = {
       // polygons. Uncomment when this bug is fixed:
       // https://code.google.com/p/chromium/issues/detail?id=370951
 
-      if (this._flagMask) {
-        if (this._mask) {
-          svg[this._mask._renderer.type].render.call(this._mask, domElement);
-          this._renderer.elem.setAttribute('clip-path', 'url(#' + this._mask.id + ')');
-        } else {
-          this._renderer.elem.removeAttribute('clip-path');
-        }
+      if (this._flagMask || this._mask) {
+        svg.renderMask(this, domElement, fresh);
+      }
+
+      if (this._flagMarkers || this._markers) {
+        svg.renderMarkers(this, domElement);
       }
 
       return this.flagReset();
@@ -516,10 +738,12 @@ var svg = {
 
     render: function(domElement) {
 
+      var fresh = !this._renderer.elem;
+
       // Shortcut for hidden objects.
       // Doesn't reset the flags, so changes are stored and
       // applied once the object is visible again
-      if (this._opacity === 0 && !this._flagOpacity) {
+      if (!fresh && this._opacity === 0 && !this._flagOpacity) {
         return this;
       }
 
@@ -528,17 +752,17 @@ var svg = {
       // Collect any attribute that needs to be changed here
       var changed = {};
 
-      var flagMatrix = this._matrix.manual || this._flagMatrix;
+      var flagMatrix = fresh || this._matrix.manual || this._flagMatrix;
 
       if (flagMatrix) {
         changed.transform = 'matrix(' + this._matrix.toString() + ')';
       }
 
-      if (this._flagId) {
+      if (fresh || this._flagId) {
         changed.id = this._id;
       }
 
-      if (this._flagVertices || this._flagSize || this._flagSizeAttenuation) {
+      if (fresh || this._flagVertices || this._flagSize || this._flagSizeAttenuation) {
         var size = this._size;
         if (!this._sizeAttenuation) {
           getComputedMatrix(this, matrix);
@@ -555,7 +779,7 @@ var svg = {
         svg[this._fill._renderer.type].render.call(this._fill, domElement, true);
       }
 
-      if (this._flagFill) {
+      if (fresh || this._flagFill) {
         changed.fill = this._fill && this._fill.id
           ? 'url(#' + this._fill.id + ')' : this._fill;
       }
@@ -565,25 +789,25 @@ var svg = {
         svg[this._stroke._renderer.type].render.call(this._stroke, domElement, true);
       }
 
-      if (this._flagStroke) {
+      if (fresh || this._flagStroke) {
         changed.stroke = this._stroke && this._stroke.id
           ? 'url(#' + this._stroke.id + ')' : this._stroke;
       }
 
-      if (this._flagLinewidth) {
+      if (fresh || this._flagLinewidth) {
         changed['stroke-width'] = this._linewidth;
       }
 
-      if (this._flagOpacity) {
+      if (fresh || this._flagOpacity) {
         changed['stroke-opacity'] = this._opacity;
         changed['fill-opacity'] = this._opacity;
       }
 
-      if (this._flagClassName) {
+      if (fresh || this._flagClassName) {
         changed['class'] = this.classList.join(' ');
       }
 
-      if (this._flagVisible) {
+      if (fresh || this._flagVisible) {
         changed.visibility = this._visible ? 'visible' : 'hidden';
       }
 
@@ -594,10 +818,10 @@ var svg = {
 
       // If there is no attached DOM element yet,
       // create it with all necessary attributes.
-      if (!this._renderer.elem) {
+      if (fresh) {
 
         changed.id = this._id;
-        this._renderer.elem = svg.createElement('path', changed);
+        this._renderer.elem = svg.createElement('path', changed, domElement);
         domElement.appendChild(this._renderer.elem);
 
       // Otherwise apply all pending attributes
@@ -605,6 +829,14 @@ var svg = {
         svg.setAttributes(this._renderer.elem, changed);
       }
 
+      if (fresh || this._flagBlending) {
+        this._renderer.elem.style.mixBlendMode = svg.getBlending(this._blending);
+      }
+
+      if ((this._filters && this._filters.length > 0) || this._renderer.filter) {
+        svg.renderFilters(this, domElement);
+      }
+
       return this.flagReset();
 
     }
@@ -615,49 +847,51 @@ var svg = {
 
     render: function(domElement) {
 
+      var fresh = !this._renderer.elem;
+
       this._update();
 
       var changed = {};
 
-      var flagMatrix = this._matrix.manual || this._flagMatrix;
+      var flagMatrix = fresh || this._matrix.manual || this._flagMatrix;
 
       if (flagMatrix) {
         changed.transform = 'matrix(' + this._matrix.toString() + ')';
       }
 
-      if (this._flagId) {
+      if (fresh || this._flagId) {
         changed.id = this._id;
       }
 
-      if (this._flagFamily) {
+      if (fresh || this._flagFamily) {
         changed['font-family'] = this._family;
       }
-      if (this._flagSize) {
+      if (fresh || this._flagSize) {
         changed['font-size'] = this._size;
       }
-      if (this._flagLeading) {
+      if (fresh || this._flagLeading) {
         changed['line-height'] = this._leading;
       }
-      if (this._flagAlignment) {
+      if (fresh || this._flagAlignment) {
         changed['text-anchor'] = svg.alignments[this._alignment] || this._alignment;
       }
-      if (this._flagBaseline) {
+      if (fresh || this._flagBaseline) {
         changed['alignment-baseline'] = changed['dominant-baseline'] = this._baseline;
       }
-      if (this._flagStyle) {
+      if (fresh || this._flagStyle) {
         changed['font-style'] = this._style;
       }
-      if (this._flagWeight) {
+      if (fresh || this._flagWeight) {
         changed['font-weight'] = this._weight;
       }
-      if (this._flagDecoration) {
+      if (fresh || this._flagDecoration) {
         changed['text-decoration'] = this._decoration;
       }
       if (this._fill && this._fill._renderer) {
         this._fill._update();
         svg[this._fill._renderer.type].render.call(this._fill, domElement, true);
       }
-      if (this._flagFill) {
+      if (fresh || this._flagFill) {
         changed.fill = this._fill && this._fill.id
           ? 'url(#' + this._fill.id + ')' : this._fill;
       }
@@ -665,20 +899,20 @@ var svg = {
         this._stroke._update();
         svg[this._stroke._renderer.type].render.call(this._stroke, domElement, true);
       }
-      if (this._flagStroke) {
+      if (fresh || this._flagStroke) {
         changed.stroke = this._stroke && this._stroke.id
           ? 'url(#' + this._stroke.id + ')' : this._stroke;
       }
-      if (this._flagLinewidth) {
+      if (fresh || this._flagLinewidth) {
         changed['stroke-width'] = this._linewidth;
       }
-      if (this._flagOpacity) {
+      if (fresh || this._flagOpacity) {
         changed.opacity = this._opacity;
       }
-      if (this._flagClassName) {
+      if (fresh || this._flagClassName) {
         changed['class'] = this.classList.join(' ');
       }
-      if (this._flagVisible) {
+      if (fresh || this._flagVisible) {
         changed.visibility = this._visible ? 'visible' : 'hidden';
       }
       if (this.dashes && this.dashes.length > 0) {
@@ -686,11 +920,11 @@ var svg = {
         changed['stroke-dashoffset'] = this.dashes.offset || 0;
       }
 
-      if (!this._renderer.elem) {
+      if (fresh) {
 
         changed.id = this._id;
 
-        this._renderer.elem = svg.createElement('text', changed);
+        this._renderer.elem = svg.createElement('text', changed, domElement);
         domElement.defs.appendChild(this._renderer.elem);
 
       } else {
@@ -699,7 +933,15 @@ var svg = {
 
       }
 
-      if (this._flagClip) {
+      if (fresh || this._flagBlending) {
+        this._renderer.elem.style.mixBlendMode = svg.getBlending(this._blending);
+      }
+
+      if ((this._filters && this._filters.length > 0) || this._renderer.filter) {
+        svg.renderFilters(this, domElement);
+      }
+
+      if (fresh ? this._clip : this._flagClip) {
 
         var clip = svg.getClip(this, domElement);
         var elem = this._renderer.elem;
@@ -720,16 +962,11 @@ var svg = {
       // polygons. Uncomment when this bug is fixed:
       // https://code.google.com/p/chromium/issues/detail?id=370951
 
-      if (this._flagMask) {
-        if (this._mask) {
-          svg[this._mask._renderer.type].render.call(this._mask, domElement);
-          this._renderer.elem.setAttribute('clip-path', 'url(#' + this._mask.id + ')');
-        } else {
-          this._renderer.elem.removeAttribute('clip-path');
-        }
+      if (this._flagMask || this._mask) {
+        svg.renderMask(this, domElement, fresh);
       }
 
-      if (this._flagValue) {
+      if (fresh || this._flagValue) {
         this._renderer.elem.textContent = this._value;
       }
 
@@ -743,34 +980,36 @@ var svg = {
 
     render: function(domElement, silent) {
 
+      var fresh = !this._renderer.elem;
+
       if (!silent) {
         this._update();
       }
 
       var changed = {};
 
-      if (this._flagId) {
+      if (fresh || this._flagId) {
         changed.id = this._id;
       }
 
-      if (this._flagEndPoints) {
+      if (fresh || this._flagEndPoints) {
         changed.x1 = this.left._x;
         changed.y1 = this.left._y;
         changed.x2 = this.right._x;
         changed.y2 = this.right._y;
       }
 
-      if (this._flagSpread) {
+      if (fresh || this._flagSpread) {
         changed.spreadMethod = this._spread;
       }
 
       // If there is no attached DOM element yet,
       // create it with all necessary attributes.
-      if (!this._renderer.elem) {
+      if (fresh) {
 
         changed.id = this._id;
         changed.gradientUnits = 'userSpaceOnUse';
-        this._renderer.elem = svg.createElement('linearGradient', changed);
+        this._renderer.elem = svg.createElement('linearGradient', changed, domElement);
         domElement.defs.appendChild(this._renderer.elem);
 
       // Otherwise apply all pending attributes
@@ -780,7 +1019,7 @@ var svg = {
 
       }
 
-      if (this._flagStops) {
+      if (fresh || this._flagStops) {
 
         var lengthChanged = this._renderer.elem.childNodes.length
           !== this.stops.length;
@@ -795,19 +1034,20 @@ var svg = {
 
           var stop = this.stops[i];
           var attrs = {};
+          var created = !stop._renderer.elem;
 
-          if (stop._flagOffset) {
+          if (created || stop._flagOffset) {
             attrs.offset = 100 * stop._offset + '%';
           }
-          if (stop._flagColor) {
+          if (created || stop._flagColor) {
             attrs['stop-color'] = stop._color;
           }
-          if (stop._flagOpacity) {
+          if (created || stop._flagOpacity) {
             attrs['stop-opacity'] = stop._opacity;
           }
 
-          if (!stop._renderer.elem) {
-            stop._renderer.elem = svg.createElement('stop', attrs);
+          if (created) {
+            stop._renderer.elem = svg.createElement('stop', attrs, domElement);
           } else {
             svg.setAttributes(stop._renderer.elem, attrs);
           }
@@ -831,40 +1071,42 @@ var svg = {
 
     render: function(domElement, silent) {
 
+      var fresh = !this._renderer.elem;
+
       if (!silent) {
         this._update();
       }
 
       var changed = {};
 
-      if (this._flagId) {
+      if (fresh || this._flagId) {
         changed.id = this._id;
       }
 
-      if (this._flagCenter) {
+      if (fresh || this._flagCenter) {
         changed.cx = this.center._x;
         changed.cy = this.center._y;
       }
-      if (this._flagFocal) {
+      if (fresh || this._flagFocal) {
         changed.fx = this.focal._x;
         changed.fy = this.focal._y;
       }
 
-      if (this._flagRadius) {
+      if (fresh || this._flagRadius) {
         changed.r = this._radius;
       }
 
-      if (this._flagSpread) {
+      if (fresh || this._flagSpread) {
         changed.spreadMethod = this._spread;
       }
 
       // If there is no attached DOM element yet,
       // create it with all necessary attributes.
-      if (!this._renderer.elem) {
+      if (fresh) {
 
         changed.id = this._id;
         changed.gradientUnits = 'userSpaceOnUse';
-        this._renderer.elem = svg.createElement('radialGradient', changed);
+        this._renderer.elem = svg.createElement('radialGradient', changed, domElement);
         domElement.defs.appendChild(this._renderer.elem);
 
       // Otherwise apply all pending attributes
@@ -874,7 +1116,7 @@ var svg = {
 
       }
 
-      if (this._flagStops) {
+      if (fresh || this._flagStops) {
 
         var lengthChanged = this._renderer.elem.childNodes.length
           !== this.stops.length;
@@ -889,19 +1131,20 @@ var svg = {
 
           var stop = this.stops[i];
           var attrs = {};
+          var created = !stop._renderer.elem;
 
-          if (stop._flagOffset) {
+          if (created || stop._flagOffset) {
             attrs.offset = 100 * stop._offset + '%';
           }
-          if (stop._flagColor) {
+          if (created || stop._flagColor) {
             attrs['stop-color'] = stop._color;
           }
-          if (stop._flagOpacity) {
+          if (created || stop._flagOpacity) {
             attrs['stop-opacity'] = stop._opacity;
           }
 
-          if (!stop._renderer.elem) {
-            stop._renderer.elem = svg.createElement('stop', attrs);
+          if (created) {
+            stop._renderer.elem = svg.createElement('stop', attrs, domElement);
           } else {
             svg.setAttributes(stop._renderer.elem, attrs);
           }
@@ -925,6 +1168,8 @@ var svg = {
 
     render: function(domElement, silent) {
 
+      var fresh = !this._renderer.elem;
+
       if (!silent) {
         this._update();
       }
@@ -933,13 +1178,13 @@ var svg = {
       var styles = { x: 0, y: 0 };
       var image = this.image;
 
-      if (this._flagId) {
+      if (fresh || this._flagId) {
         changed.id = this._id;
       }
 
-      if (this._flagLoaded && this.loaded) {
+      if ((fresh || this._flagLoaded) && this.loaded) {
 
-        switch (image.nodeName.toLowerCase()) {
+        switch (String(image.nodeName || 'img').toLowerCase()) {
 
           case 'canvas':
             styles.href = styles['xlink:href'] = image.toDataURL('image/png');
@@ -953,7 +1198,7 @@ var svg = {
 
       }
 
-      if (this._flagOffset || this._flagLoaded || this._flagScale) {
+      if (fresh || this._flagOffset || this._flagLoaded || this._flagScale) {
 
         changed.x = this._offset.x;
         changed.y = this._offset.y;
@@ -981,7 +1226,7 @@ var svg = {
 
       }
 
-      if (this._flagScale || this._flagLoaded || this._flagRepeat) {
+      if (fresh || this._flagScale || this._flagLoaded || this._flagRepeat) {
 
         changed.width = 0;
         changed.height = 0;
@@ -1010,19 +1255,19 @@ var svg = {
 
       }
 
-      if (this._flagScale || this._flagLoaded) {
+      if (fresh || this._flagScale || this._flagLoaded) {
         if (!this._renderer.image) {
-          this._renderer.image = svg.createElement('image', styles);
+          this._renderer.image = svg.createElement('image', styles, domElement);
         } else {
           svg.setAttributes(this._renderer.image, styles);
         }
       }
 
-      if (!this._renderer.elem) {
+      if (fresh) {
 
         changed.id = this._id;
         changed.patternUnits = 'userSpaceOnUse';
-        this._renderer.elem = svg.createElement('pattern', changed);
+        this._renderer.elem = svg.createElement('pattern', changed, domElement);
         domElement.defs.appendChild(this._renderer.elem);
 
       } else if (Object.keys(changed).length !== 0) {
@@ -1040,6 +1285,256 @@ var svg = {
 
     }
 
+  },
+
+  pattern: {
+
+    render: function(domElement, silent) {
+
+      var fresh = !this._renderer.elem;
+
+      if (!silent) {
+        this._update();
+      }
+
+      var changed = {};
+
+      if (fresh || this._flagId) {
+        changed.id = this._id;
+      }
+
+      if (fresh || this._flagOffset) {
+        changed.x = this._offset.x;
+        changed.y = this._offset.y;
+      }
+
+      if (fresh || this._flagWidth) {
+        changed.width = this._width;
+      }
+
+      if (fresh || this._flagHeight) {
+        changed.height = this._height;
+      }
+
+      if (fresh || this._flagMatrix) {
+        changed.patternTransform = 'matrix(' + this._matrix.toString() + ')';
+      }
+
+      if (fresh) {
+
+        changed.id = this._id;
+        changed.patternUnits = 'userSpaceOnUse';
+        this._renderer.elem = svg.createElement('pattern', changed, domElement);
+        domElement.defs.appendChild(this._renderer.elem);
+
+      } else {
+
+        svg.setAttributes(this._renderer.elem, changed);
+
+      }
+
+      var elem = this._renderer.elem;
+
+      if (this._flagScene) {
+        while (elem.lastChild) {
+          elem.removeChild(elem.lastChild);
+        }
+      }
+
+      // The scene is drawn into the tile instead of onto the `<svg />`.
+      svg.group.render.call(this._scene, domElement);
+
+      if (this._scene._renderer.elem
+        && this._scene._renderer.elem.parentNode !== elem) {
+        elem.appendChild(this._scene._renderer.elem);
+      }
+
+      return this.flagReset();
+
+    }
+
+  },
+
+  mask: {
+
+    // How far the region of a mask reaches in the coordinate
+    // space of the shape it's applied to.
+    extent: 1e5,
+
+    render: function(domElement) {
+
+      var fresh = !this._renderer.elem;
+
+      this._update();
+
+      var changed = {};
+
+      if (fresh || this._flagId) {
+        changed.id = this._id;
+      }
+
+      if (fresh || this._flagMode) {
+        changed['mask-type'] = this._mode;
+      }
+
+      if (fresh) {
+
+        changed.id = this._id;
+        changed.maskUnits = 'userSpaceOnUse';
+        changed.x = changed.y = - svg.mask.extent;
+        changed.width = changed.height = 2 * svg.mask.extent;
+        this._renderer.elem = svg.createElement('mask', changed, domElement);
+        domElement.defs.appendChild(this._renderer.elem);
+
+      } else {
+
+        svg.setAttributes(this._renderer.elem, changed);
+
+      }
+
+      var elem = this._renderer.elem;
+
+      if (this._flagScene) {
+        while (elem.lastChild) {
+          elem.removeChild(elem.lastChild);
+        }
+      }
+
+      svg.group.render.call(this._scene, domElement);
+
+      if (this._scene._renderer.elem
+        && this._scene._renderer.elem.parentNode !== elem) {
+        elem.appendChild(this._scene._renderer.elem);
+      }
+
+      return this.flagReset();
+
+    }
+
+  },
+
+  marker: {
+
+    // The vertices of a path markers are drawn on, named
+    // after the `marker-*` attributes that point at them.
+    positions: ['start', 'mid', 'end'],
+
+    // The `orient` attribute of a marker. Numbers are in degrees.
+    getOrient: function(orient) {
+      return typeof orient === 'number'
+        ? orient * 180 / Math.PI : orient;
+    },
+
+    render: function(domElement) {
+
+      var fresh = !this._renderer.elem;
+
+      this._update();
+
+      var changed = {};
+
+      if (fresh || this._flagId) {
+        changed.id = this._id;
+      }
+
+      if (fresh || this._flagOrient) {
+        changed.orient = svg.marker.getOrient(this._orient);
+      }
+
+      if (fresh || this._flagUnits) {
+        changed.markerUnits = this._units;
+      }
+
+      if (fresh) {
+
+        changed.id = this._id;
+        changed.orient = svg.marker.getOrient(this._orient);
+        changed.markerUnits = this._units;
+        changed.markerWidth = changed.markerHeight = 1;
+        changed.refX = changed.refY = 0;
+        changed.overflow = 'visible';
+        this._renderer.elem = svg.createElement('marker', changed, domElement);
+        domElement.defs.appendChild(this._renderer.elem);
+
+      } else {
+
+        svg.setAttributes(this._renderer.elem, changed);
+
+      }
+
+      var elem = this._renderer.elem;
+
+      if (this._flagScene) {
+        while (elem.lastChild) {
+          elem.removeChild(elem.lastChild);
+        }
+      }
+
+      svg.group.render.call(this._scene, domElement);
+
+      if (this._scene._renderer.elem
+        && this._scene._renderer.elem.parentNode !== elem) {
+        elem.appendChild(this._scene._renderer.elem);
+      }
+
+      return this.flagReset();
+
+    }
+
+  },
+
+  blur: {
+
+    name: 'feGaussianBlur',
+
+    getAttributes: function() {
+      return {
+        stdDeviation: this._radius
+      };
+    },
+
+    // How far the blur reaches outside of the shape.
+    getMargin: function() {
+      return 3 * this._radius;
+    }
+
+  },
+
+  'drop-shadow': {
+
+    name: 'feDropShadow',
+
+    getAttributes: function() {
+      return {
+        dx: this._offset.x,
+        dy: this._offset.y,
+        stdDeviation: this._blur,
+        'flood-color': this._color
+      };
+    },
+
+    getMargin: function() {
+      return 3 * this._blur
+        + Math.max(Math.abs(this._offset.x), Math.abs(this._offset.y));
+    }
+
+  },
+
+  'color-matrix': {
+
+    name: 'feColorMatrix',
+
+    getAttributes: function() {
+      return {
+        type: 'matrix',
+        values: this._values.join(' ')
+      };
+    },
+
+    getMargin: function() {
+      return 0;
+    }
+
   }
 
 };
@@ -1071,7 +1566,7 @@ function Renderer(params) {
    * @name Two.SVGRenderer#defs
    * @property {SvgDefintionsElement} - The `<defs />` to apply gradients, patterns, and bitmap imagery.
    */
-  this.defs = svg.createElement('defs');
+  this.defs = svg.createElement('defs', null, this.domElement);
   this.domElement.appendChild(this.defs);
   this.domElement.defs = this.defs;
   this.domElement.style.overflow = 'hidden';
@@ -1084,7 +1579,57 @@ _.extend(Renderer, {
    * @name Two.SVGRenderer.Utils
    * @property {Object} - A massive object filled with utility functions and properties to render Two.js objects to a `<svg />`.
    */
-  Utils: svg
+  Utils: svg,
+
+  /**
+   * @name Two.SVGRenderer.serialize
+   * @function
+   * @param {(Two.Group|Two.Shape)} object - The group or shape to serialize, e.g: {@link Two#scene}.
+   * @param {Object} [options]
+   * @param {Number} [options.width] - The width of the document. Defaults to the width of the object's bounding box.
+   * @param {Number} [options.height] - The height of the document. Defaults to the height of the object's bounding box.
+   * @returns {String} - A standalone SVG document.
+   * @description Convert an object and all of its descendants into SVG markup without creating any DOM elements. The object is drawn by the same functions as {@link Two.SVGRenderer}, into a virtual `<svg />` made of {@link Two.SVGStringRenderer.Element}s, so the markup matches what is rendered. Gradients, textures, and masks are written to the document's `<defs />`. Works regardless of which renderer draws the scene and in environments without a `document`, like Node.js. When no size is given the document's `viewBox` is fitted to the object.
+   * @nota-bene {@link Two.Texture}s are linked by their `src` once loaded, unless their image is a canvas in which case it is embedded as a data URL.
+   */
+  serialize: function(object, options) {
+
+    options = options || {};
+
+    var domElement = svg.createElement('svg', null, Element.document);
+    var attrs = {
+      width: options.width,
+      height: options.height
+    };
+
+    if (typeof attrs.width !== 'number' || typeof attrs.height !== 'number') {
+      var rect = object.getBoundingClientRect(true);
+      attrs.width = rect.width || 0;
+      attrs.height = rect.height || 0;
+      attrs.viewBox = [rect.left || 0, rect.top || 0, attrs.width, attrs.height].join(' ');
+    }
+
+    svg.setAttributes(domElement, attrs);
+
+    domElement.defs = svg.createElement('defs', null, domElement);
+    domElement.appendChild(domElement.defs);
+
+    isolate(object, function() {
+
+      svg[object._renderer.type].render.call(object, domElement);
+
+      // Texts are made in the `<defs />`
+      // and moved by the group they're in.
+      var elem = object._renderer.elem;
+      if (elem && !object._clip) {
+        domElement.appendChild(elem);
+      }
+
+    });
+
+    return domElement.toString();
+
+  }
 
 });
 
@@ -1129,4 +1674,98 @@ _.extend(Renderer.prototype, Events, {
 
 });
 
+// The properties of an object's `_renderer` the functions
+// of `svg` make. Everything else is shared with the object's
+// renderers, e.g: the vertices computed by `Two.Path._update`.
+var elements = ['elem', 'group', 'clip', 'filter', 'primitives',
+  'region', 'image', 'appended'];
+
+// Call `callback` with an object and everything it's drawn
+// with given renderer state of their own and their flags as
+// they are, so the renderers already drawing them carry on
+// as if nothing happened.
+function isolate(object, callback) {
+
+  var objects = getObjects(object, []);
+  var states = objects.map(function(object) {
+
+    var state = {
+      renderer: object._renderer,
+      flags: {}
+    };
+
+    for (var k in object) {
+      if (/^_flag/.test(k)) {
+        state.flags[k] = object[k];
+      }
+    }
+
+    object._renderer = {};
+
+    for (k in state.renderer) {
+      if (elements.indexOf(k) < 0) {
+        object._renderer[k] = state.renderer[k];
+      }
+    }
+
+    // Resetting the flags of groups empties their lists of changes.
+    if (object.additions) {
+      state.additions = object.additions;
+      state.subtractions = object.subtractions;
+      object.additions = object.additions.slice(0);
+      object.subtractions = object.subtractions.slice(0);
+    }
+
+    return state;
+
+  });
+
+  try {
+    return callback();
+  } finally {
+    objects.forEach(function(object, i) {
+      var state = states[i];
+      object._renderer = state.renderer;
+      _.extend(object, state.flags);
+      if (state.additions) {
+        object.additions = state.additions;
+        object.subtractions = state.subtractions;
+      }
+    });
+  }
+
+}
+
+// Collect an object and everything `svg` draws it with,
+// e.g: its children, gradients, masks, and filters.
+function getObjects(object, objects) {
+
+  if (!object || !object._renderer || objects.indexOf(object) >= 0) {
+    return objects;
+  }
+
+  objects.push(object);
+
+  var i;
+  var lists = [object.children, object.stops, object._filters];
+  var effects = [object._fill, object._stroke, object._mask, object._scene];
+
+  for (i = 0; i < svg.marker.positions.length; i++) {
+    effects.push(object._markers && object._markers[svg.marker.positions[i]]);
+  }
+
+  for (i = 0; i < effects.length; i++) {
+    getObjects(effects[i], objects);
+  }
+
+  for (i = 0; i < lists.length; i++) {
+    for (var j = 0; lists[i] && j < lists[i].length; j++) {
+      getObjects(lists[i][j], objects);
+    }
+  }
+
+  return objects;
+
+}
+
 export default Renderer;
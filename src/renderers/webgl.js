@@ -1,19 +1,25 @@
-import Commands from '../utils/path-commands.js';
 
 import root from '../utils/root.js';
-import { getPoT, mod, NumArray, TWO_PI } from '../utils/math.js';
+import { getPoT, NumArray, TWO_PI } from '../utils/math.js';
+import { getCubicSubpaths } from '../utils/curves.js';
+import { getStrokeSubpaths } from '../utils/offset.js';
+import { flattenSubpaths, tessellate } from '../utils/tessellate.js';
+import { parseColor } from '../utils/color.js';
 import shaders from '../utils/shaders.js';
+import dom from '../utils/dom.js';
 import Events from '../events.js';
 import TwoError from '../utils/error.js';
 import getRatio from '../utils/get-ratio.js';
 import _ from '../utils/underscore.js';
 
+import Shape from '../shape.js';
 import Group from '../group.js';
 import Vector from '../vector.js';
 import Matrix from '../matrix.js';
 import Registry from '../registry.js';
 
 import LinearGradient from '../effects/linear-gradient.js';
+import Marker from '../effects/marker.js';
 import RadialGradient from '../effects/radial-gradient.js';
 import Texture from '../effects/texture.js';
 
@@ -23,8 +29,7 @@ import CanvasRenderer from './canvas.js';
 
 var multiplyMatrix = Matrix.Multiply,
   identity = [1, 0, 0, 0, 1, 0, 0, 0, 1],
-  transformation = new NumArray(9),
-  CanvasUtils = CanvasRenderer.Utils;
+  transformation = new NumArray(9);
 
 var quad = new NumArray([
   0, 0,
@@ -41,7 +46,9 @@ var webgl = {
 
   isHidden: /(undefined|none|transparent)/i,
 
-  canvas: (root.document ? root.document.createElement('canvas') : { getContext: function() {} }),
+  canvas: (root.document ? root.document.createElement('canvas')
+    : typeof root.OffscreenCanvas === 'function' ? new root.OffscreenCanvas(1, 1)
+    : { getContext: function() {} }),
 
   alignments: {
     left: 'start',
@@ -51,6 +58,13 @@ var webgl = {
 
   matrix: new Matrix(),
 
+  // The shape an element is stenciled by. A `Two.Mask`
+  // multiplies the layer of the element instead.
+  getClip: function(elem) {
+    var mask = elem._mask;
+    return mask && mask._renderer.type !== 'mask' ? mask : null;
+  },
+
   group: {
 
     removeChild: function(child, gl) {
@@ -69,21 +83,28 @@ var webgl = {
         gl.deleteBuffer(child._renderer.positionBuffer);
         delete child._renderer.positionBuffer;
       }
+      // Release the triangles of paths.
+      if (child._renderer.geometry) {
+        webgl.path.releaseMesh(gl, child._renderer.geometry.fill.mesh);
+        webgl.path.releaseMesh(gl, child._renderer.geometry.stroke.mesh);
+        delete child._renderer.geometry;
+      }
     },
 
-    render: function(gl, programs) {
+    render: function(gl, programs, forcedParent) {
 
-      if (!this._visible) {
+      if (!this._visible || (this._clip && !forcedParent)) {
         return;
       }
 
       this._update();
 
-      var parent = this.parent;
+      var parent = forcedParent || this.parent;
       var flagParentMatrix = (parent._matrix && parent._matrix.manual) || parent._flagMatrix;
       var flagMatrix = this._matrix.manual || this._flagMatrix;
+      var parentChanged = this._renderer.parent !== parent;
 
-      if (flagParentMatrix || flagMatrix) {
+      if (flagParentMatrix || flagMatrix || parentChanged) {
 
         if (!this._renderer.matrix) {
           this._renderer.matrix = new NumArray(9);
@@ -111,13 +132,22 @@ var webgl = {
           this._renderer.scale.y *= parent._renderer.scale.y;
         }
 
-        if (flagParentMatrix) {
+        if (flagParentMatrix || parentChanged) {
           this._flagMatrix = true;
         }
 
+        if (parentChanged) {
+          this._renderer.parent = parent;
+        }
+
       }
 
-      if (this._mask) {
+      // The children of a group used as a mask only stencil.
+      this._renderer.clipping = this._clip || !!parent._renderer.clipping;
+
+      if (webgl.getClip(this)) {
+
+        webgl.batch.flush(gl, programs);
 
         // Stencil away everything that isn't rendered by the mask
         gl.clear(gl.STENCIL_BUFFER_BIT);
@@ -129,6 +159,7 @@ var webgl = {
         gl.colorMask(false, false, false, false);
 
         webgl[this._mask._renderer.type].render.call(this._mask, gl, programs, this);
+        webgl.batch.flush(gl, programs);
 
         gl.stencilFunc(gl.EQUAL, 1, 0xff);
         gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
@@ -148,12 +179,17 @@ var webgl = {
         }
       }
 
+      var blending = webgl.blend.begin(gl, programs, this, true);
+
       for (i = 0; i < this.children.length; i++) {
         var child = this.children[i];
         webgl[child._renderer.type].render.call(child, gl, programs);
       }
 
-      if (this._mask) {
+      webgl.blend.end(gl, programs, blending);
+
+      if (webgl.getClip(this)) {
+        webgl.batch.flush(gl, programs);
         gl.disable(gl.STENCIL_TEST);
       }
 
@@ -165,445 +201,976 @@ var webgl = {
 
   path: {
 
-    updateCanvas: function(elem) {
+    // The largest distance in pixels of the `<canvas />`
+    // between a curve and the triangles it's drawn with.
+    tolerance: 0.25,
 
-      var next, prev, a, c, ux, uy, vx, vy, ar, bl, br, cl, x, y;
-      var isOffset;
+    spreads: {
+      pad: 0,
+      reflect: 1,
+      repeat: 2
+    },
 
-      var commands = elem._renderer.vertices;
-      var canvas = this.canvas;
-      var ctx = this.ctx;
+    // How much the matrix magnifies the path at most.
+    getScale: function(matrix) {
+      return Math.max(
+        Math.sqrt(matrix[0] * matrix[0] + matrix[1] * matrix[1]),
+        Math.sqrt(matrix[3] * matrix[3] + matrix[4] * matrix[4])
+      );
+    },
 
-      // Styles
-      var scale = elem._renderer.scale;
-      var stroke = elem._stroke;
-      var linewidth = elem._linewidth;
-      var fill = elem._fill;
-      var opacity = elem._renderer.opacity || elem._opacity;
-      var cap = elem._cap;
-      var join = elem._join;
-      var miter = elem._miter;
-      var closed = elem._closed;
-      var dashes = elem.dashes;
-      var length = commands.length;
-      var last = length - 1;
+    // Triangulate the fill and the stroke of the path
+    // precise enough to be drawn at the given scale.
+    updateGeometry: function(gl, programs, elem, geometry) {
+
+      var subpaths = getCubicSubpaths(elem._renderer.vertices, elem._closed);
+      var tolerance = webgl.path.tolerance / geometry.scale;
+      var key = geometry.scale + '|' + subpaths.map(function(subpath) {
+        return (subpath.closed ? 'Z' : 'M') + subpath.segments.join(' ');
+      }).join('|');
+
+      webgl.path.releaseMesh(gl, geometry.fill.mesh);
+      webgl.path.releaseMesh(gl, geometry.stroke.mesh);
+
+      geometry.fill.mesh = !geometry.hasFill ? null
+        : webgl.path.getMesh(gl, programs, [
+          'fill', geometry.rule, key
+        ].join('|'), function() {
+          return tessellate(flattenSubpaths(subpaths, tolerance), geometry.rule);
+        });
+
+      geometry.stroke.mesh = !geometry.hasStroke ? null
+        : webgl.path.getMesh(gl, programs, [
+          'stroke', elem._linewidth, elem._cap, elem._join, elem._miter,
+          geometry.dashes, key
+        ].join('|'), function() {
+          return tessellate(flattenSubpaths(getStrokeSubpaths(subpaths,
+            elem._linewidth, elem._cap, elem._join, elem._miter,
+            elem.dashes), tolerance));
+        });
+
+      return geometry;
 
-      canvas.width = Math.max(Math.ceil(elem._renderer.rect.width * scale.x), 1);
-      canvas.height = Math.max(Math.ceil(elem._renderer.rect.height * scale.y), 1);
+    },
 
-      var centroid = elem._renderer.rect.centroid;
-      var cx = centroid.x;
-      var cy = centroid.y;
+    // Paths with the same triangles, e.g: clones, share one mesh
+    // so that they can be drawn instanced.
+    getMesh: function(gl, programs, key, triangulate) {
 
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      var meshes = programs.meshes;
+      var mesh = meshes[key];
 
-      if (fill) {
-        if (typeof fill === 'string') {
-          ctx.fillStyle = fill;
-        } else {
-          webgl[fill._renderer.type].render.call(fill, ctx, elem);
-          ctx.fillStyle = fill._renderer.effect;
-        }
+      if (mesh) {
+        mesh.users++;
+        return mesh;
       }
-      if (stroke) {
-        if (typeof stroke === 'string') {
-          ctx.strokeStyle = stroke;
-        } else {
-          webgl[stroke._renderer.type].render.call(stroke, ctx, elem);
-          ctx.strokeStyle = stroke._renderer.effect;
+
+      var triangles = triangulate();
+
+      if (triangles.length <= 0) {
+        return null;
+      }
+
+      mesh = meshes[key] = {
+        key: key,
+        meshes: meshes,
+        users: 1,
+        triangles: new NumArray(triangles),
+        count: triangles.length / 2,
+        buffer: gl.createBuffer()
+      };
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, mesh.triangles, gl.STATIC_DRAW);
+
+      return mesh;
+
+    },
+
+    releaseMesh: function(gl, mesh) {
+
+      if (!mesh || --mesh.users > 0) {
+        return;
+      }
+
+      gl.deleteBuffer(mesh.buffer);
+      delete mesh.meshes[mesh.key];
+
+    },
+
+    getColor: function(part, paint) {
+      if (part.color !== paint) {
+        part.color = paint;
+        part.rgba = parseColor(paint);
+      }
+      return part.rgba;
+    },
+
+    draw: function(gl, programs, elem, part, paint) {
+
+      var mesh = part.mesh;
+
+      if (!mesh) {
+        return;
+      }
+
+      // Solid colors are drawn together with other shapes.
+      if (typeof paint === 'string') {
+        var color = webgl.path.getColor(part, paint);
+        if (color && color.a > 0) {
+          webgl.batch.add(programs, mesh, elem._renderer.matrix,
+            color, elem._renderer.opacity);
         }
-        if (linewidth) {
-          ctx.lineWidth = linewidth;
+        return;
+      }
+
+      var effect = paint && paint._renderer && webgl[paint._renderer.type];
+
+      if (!effect || !effect.paint) {
+        return;
+      }
+
+      webgl.batch.flush(gl, programs);
+
+      var program = programs.path;
+
+      if (programs.current !== program) {
+        gl.useProgram(program);
+        programs.current = program;
+      }
+
+      gl.uniform2f(
+        program.resolution,
+        programs.resolution.width,
+        programs.resolution.height
+      );
+
+      gl.uniformMatrix3fv(program.matrix, false, elem._renderer.matrix);
+      gl.uniform1f(program.opacity, elem._renderer.opacity);
+
+      if (!effect.paint.call(paint, gl, program, elem)) {
+        return;
+      }
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffer);
+      gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(program.position);
+      gl.drawArrays(gl.TRIANGLES, 0, mesh.count);
+
+      programs.stats.drawCalls++;
+      programs.stats.vertices += mesh.count;
+
+    },
+
+    render: function(gl, programs, forcedParent) {
+
+      if (!this._visible || !this._opacity) {
+        return this;
+      }
+
+      this._update();
+
+      // Calculate what changed
+
+      var parent = forcedParent || this.parent;
+      var flagParentMatrix = parent._matrix.manual || parent._flagMatrix;
+      var flagMatrix = this._matrix.manual || this._flagMatrix;
+      var parentChanged = this._renderer.parent !== parent;
+
+      if (flagParentMatrix || flagMatrix || parentChanged) {
+
+        if (!this._renderer.matrix) {
+          this._renderer.matrix = new NumArray(9);
         }
-        if (miter) {
-          ctx.miterLimit = miter;
+
+        // Reduce amount of object / array creation / deletion
+
+        this._matrix.toTransformArray(true, transformation);
+
+        multiplyMatrix(transformation, parent._renderer.matrix, this._renderer.matrix);
+
+        if (!(this._renderer.scale instanceof Vector)) {
+          this._renderer.scale = new Vector();
         }
-        if (join) {
-          ctx.lineJoin = join;
+        if (this._scale instanceof Vector) {
+          this._renderer.scale.x = this._scale.x * parent._renderer.scale.x;
+          this._renderer.scale.y = this._scale.y * parent._renderer.scale.y;
+        } else {
+          this._renderer.scale.x = this._scale * parent._renderer.scale.x;
+          this._renderer.scale.y = this._scale * parent._renderer.scale.y;
         }
-        if (!closed && cap) {
-          ctx.lineCap = cap;
+
+        if (parentChanged) {
+          this._renderer.parent = parent;
         }
       }
-      if (typeof opacity === 'number') {
-        ctx.globalAlpha = opacity;
+
+      if (this._clip && !forcedParent) {
+        return this;
       }
 
-      if (dashes && dashes.length > 0) {
-        ctx.lineDashOffset = dashes.offset || 0;
-        ctx.setLineDash(dashes);
+      // Clipping masks only need the area of their fill
+      var clip = this._renderer.clipping = this._clip || !!parent._renderer.clipping;
+      var hasFill = clip || !webgl.isHidden.test(this._fill);
+      var rule = clip ? 'nonzero' : this._fillRule;
+      var hasStroke = !clip && this._linewidth > 0
+        && !webgl.isHidden.test(this._stroke);
+      var dashes = hasStroke && this.dashes && this.dashes.length > 0
+        ? this.dashes.join(' ') + ' ' + (this.dashes.offset || 0) : '';
+      var scale = webgl.path.getScale(this._renderer.matrix);
+      var geometry = this._renderer.geometry;
+
+      if (!(scale > 0)) {
+        return this;
       }
 
-      var d;
-      ctx.save();
-      ctx.scale(scale.x, scale.y);
+      if (!geometry) {
+        geometry = this._renderer.geometry = {
+          fill: { mesh: null },
+          stroke: { mesh: null }
+        };
+      }
 
-      ctx.translate(cx, cy);
+      // Triangulate for the next power of two, so that curves never look
+      // edgy and clones at similar scales share their meshes. Meshes are
+      // kept until they're four times as detailed as needed, so that paths
+      // zoomed back and forth aren't triangulated again every frame.
+      if (scale <= geometry.scale && geometry.scale < scale * 4) {
+        scale = geometry.scale;
+      } else {
+        var power = Math.pow(2, Math.round(Math.log(scale) / Math.LN2));
+        scale = power < scale ? power * 2 : power;
+      }
 
-      ctx.beginPath();
-      for (var i = 0; i < commands.length; i++) {
+      if (this._flagVertices || geometry.scale !== scale
+        || geometry.hasFill !== hasFill || geometry.hasStroke !== hasStroke
+        || hasFill && geometry.rule !== rule || geometry.dashes !== dashes
+        || hasStroke && (this._flagLinewidth || this._flagCap
+          || this._flagJoin || this._flagMiter)) {
 
-        var b = commands[i];
+        geometry.hasFill = hasFill;
+        geometry.hasStroke = hasStroke;
+        geometry.rule = rule;
+        geometry.dashes = dashes;
+        geometry.scale = scale;
 
-        x = b.x;
-        y = b.y;
+        webgl.path.updateGeometry(gl, programs, this, geometry);
 
-        switch (b.command) {
+      }
 
-          case Commands.close:
-            ctx.closePath();
-            break;
+      this._renderer.opacity = this._opacity * parent._renderer.opacity;
 
-          case Commands.arc:
+      if (webgl.getClip(this)) {
 
-            var rx = b.rx;
-            var ry = b.ry;
-            var xAxisRotation = b.xAxisRotation;
-            var largeArcFlag = b.largeArcFlag;
-            var sweepFlag = b.sweepFlag;
+        webgl.batch.flush(gl, programs);
 
-            prev = closed ? mod(i - 1, length) : Math.max(i - 1, 0);
-            a = commands[prev];
+        // Stencil away everything that isn't rendered by the mask
+        gl.clear(gl.STENCIL_BUFFER_BIT);
+        gl.enable(gl.STENCIL_TEST);
 
-            var ax = a.x;
-            var ay = a.y;
+        gl.stencilFunc(gl.ALWAYS, 1, 0);
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.REPLACE);
+        // Don't draw the element onto the canvas, only onto the stencil buffer
+        gl.colorMask(false, false, false, false);
 
-            CanvasUtils.renderSvgArcCommand(ctx, ax, ay, rx, ry, largeArcFlag, sweepFlag, xAxisRotation, x, y);
-            break;
+        webgl[this._mask._renderer.type].render.call(this._mask, gl, programs, this);
+        webgl.batch.flush(gl, programs);
+
+        gl.stencilFunc(gl.EQUAL, 1, 0xff);
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+        gl.colorMask(true, true, true, true);
 
-          case Commands.curve:
+      }
 
-            prev = closed ? mod(i - 1, length) : Math.max(i - 1, 0);
-            next = closed ? mod(i + 1, length) : Math.min(i + 1, last);
+      var blending = webgl.blend.begin(gl, programs, this);
 
-            a = commands[prev];
-            c = commands[next];
-            ar = (a.controls && a.controls.right) || Vector.zero;
-            bl = (b.controls && b.controls.left) || Vector.zero;
+      webgl.path.draw(gl, programs, this, geometry.fill, clip ? '#000' : this._fill);
+      webgl.path.draw(gl, programs, this, geometry.stroke, this._stroke);
 
-            if (a._relative) {
-              vx = ar.x + a.x;
-              vy = ar.y + a.y;
-            } else {
-              vx = ar.x;
-              vy = ar.y;
-            }
+      if (this._markers && !clip) {
+        webgl.marker.draw(gl, programs, this);
+      }
 
-            if (b._relative) {
-              ux = bl.x + b.x;
-              uy = bl.y + b.y;
-            } else {
-              ux = bl.x;
-              uy = bl.y;
-            }
+      webgl.blend.end(gl, programs, blending);
 
-            ctx.bezierCurveTo(vx, vy, ux, uy, x, y);
+      if (webgl.getClip(this)) {
+        webgl.batch.flush(gl, programs);
+        gl.disable(gl.STENCIL_TEST);
+      }
 
-            if (i >= last && closed) {
+      return this.flagReset();
 
-              c = d;
+    }
 
-              br = (b.controls && b.controls.right) || Vector.zero;
-              cl = (c.controls && c.controls.left) || Vector.zero;
+  },
 
-              if (b._relative) {
-                vx = br.x + b.x;
-                vy = br.y + b.y;
-              } else {
-                vx = br.x;
-                vy = br.y;
-              }
+  batch: {
 
-              if (c._relative) {
-                ux = cl.x + c.x;
-                uy = cl.y + c.y;
-              } else {
-                ux = cl.x;
-                uy = cl.y;
-              }
+    // Consecutive shapes that share a mesh are drawn with one
+    // instanced draw call when there are at least this many.
+    // All other shapes with solid colors are transformed and
+    // merged into one draw call.
+    instances: 2,
 
-              x = c.x;
-              y = c.y;
+    add: function(programs, mesh, matrix, color, opacity) {
 
-              ctx.bezierCurveTo(vx, vy, ux, uy, x, y);
+      var batch = programs.batch;
+      var item = batch.queue[batch.length];
 
-            }
+      if (!item) {
+        item = batch.queue[batch.length] = {
+          matrix: new NumArray(6),
+          color: new NumArray(4)
+        };
+      }
 
-            break;
+      var a = color.a * opacity;
 
-          case Commands.line:
-            ctx.lineTo(x, y);
-            break;
+      item.mesh = mesh;
 
-          case Commands.move:
-            d = b;
-            ctx.moveTo(x, y);
-            break;
+      item.matrix[0] = matrix[0];
+      item.matrix[1] = matrix[3];
+      item.matrix[2] = matrix[6];
+      item.matrix[3] = matrix[1];
+      item.matrix[4] = matrix[4];
+      item.matrix[5] = matrix[7];
+
+      item.color[0] = color.r / 255 * a;
+      item.color[1] = color.g / 255 * a;
+      item.color[2] = color.b / 255 * a;
+      item.color[3] = a;
+
+      batch.length++;
+
+    },
+
+    // Draw all shapes added since the last flush. Needs to be
+    // called before anything else is drawn or the stencil changes.
+    flush: function(gl, programs) {
+
+      var batch = programs.batch;
+      var program = programs.solid;
+      var start = 0;
+      var i = 0;
+
+      if (batch.length <= 0) {
+        return;
+      }
+
+      if (programs.current !== program) {
+        gl.useProgram(program);
+        programs.current = program;
+      }
+
+      gl.uniform2f(
+        program.resolution,
+        programs.resolution.width,
+        programs.resolution.height
+      );
+
+      while (i < batch.length) {
+
+        var j = i + 1;
 
+        while (j < batch.length && batch.queue[j].mesh === batch.queue[i].mesh) {
+          j++;
         }
 
+        if (batch.extension && j - i >= webgl.batch.instances) {
+          webgl.batch.merge(gl, programs, start, i);
+          webgl.batch.instance(gl, programs, i, j);
+          start = j;
+        }
+
+        i = j;
+
       }
 
-      // Loose ends
+      webgl.batch.merge(gl, programs, start, batch.length);
 
-      if (closed) {
-        ctx.closePath();
+      batch.length = 0;
+
+    },
+
+    merge: function(gl, programs, start, end) {
+
+      var batch = programs.batch;
+      var program = programs.solid;
+      var count = 0;
+      var i, k;
+
+      for (i = start; i < end; i++) {
+        count += batch.queue[i].mesh.count;
       }
 
-      if (!webgl.isHidden.test(fill)) {
-        isOffset = fill._renderer && fill._renderer.offset;
-        if (isOffset) {
-          ctx.save();
-          ctx.translate(
-            - fill._renderer.offset.x, - fill._renderer.offset.y);
-          ctx.scale(fill._renderer.scale.x, fill._renderer.scale.y);
-        }
-        ctx.fill();
-        if (isOffset) {
-          ctx.restore();
+      if (count <= 0) {
+        return;
+      }
+
+      var vertices = batch.vertices = webgl.batch.reserve(batch.vertices, count * 6);
+      var index = 0;
+
+      for (i = start; i < end; i++) {
+
+        var item = batch.queue[i];
+        var triangles = item.mesh.triangles;
+        var m = item.matrix;
+        var c = item.color;
+
+        for (k = 0; k < triangles.length; k += 2) {
+          var x = triangles[k];
+          var y = triangles[k + 1];
+          vertices[index++] = m[0] * x + m[1] * y + m[2];
+          vertices[index++] = m[3] * x + m[4] * y + m[5];
+          vertices[index++] = c[0];
+          vertices[index++] = c[1];
+          vertices[index++] = c[2];
+          vertices[index++] = c[3];
         }
+
       }
 
-      if (!webgl.isHidden.test(stroke)) {
-        isOffset = stroke._renderer && stroke._renderer.offset;
-        if (isOffset) {
-          ctx.save();
-          ctx.translate(
-            - stroke._renderer.offset.x, - stroke._renderer.offset.y);
-          ctx.scale(stroke._renderer.scale.x, stroke._renderer.scale.y);
-          ctx.lineWidth = linewidth / stroke._renderer.scale.x;
+      gl.bindBuffer(gl.ARRAY_BUFFER, programs.buffers.batch);
+      gl.bufferData(gl.ARRAY_BUFFER, vertices.subarray(0, index), gl.DYNAMIC_DRAW);
+
+      gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 24, 0);
+      gl.enableVertexAttribArray(program.position);
+      gl.vertexAttribPointer(program.color, 4, gl.FLOAT, false, 24, 8);
+      gl.enableVertexAttribArray(program.color);
+
+      // The vertices are transformed already
+      gl.disableVertexAttribArray(program.rows[0]);
+      gl.disableVertexAttribArray(program.rows[1]);
+      gl.vertexAttrib3f(program.rows[0], 1, 0, 0);
+      gl.vertexAttrib3f(program.rows[1], 0, 1, 0);
+
+      gl.drawArrays(gl.TRIANGLES, 0, count);
+
+      gl.disableVertexAttribArray(program.color);
+
+      programs.stats.drawCalls++;
+      programs.stats.vertices += count;
+      programs.stats.batched += end - start;
+
+    },
+
+    instance: function(gl, programs, start, end) {
+
+      var batch = programs.batch;
+      var program = programs.solid;
+      var extension = batch.extension;
+      var mesh = batch.queue[start].mesh;
+      var amount = end - start;
+      var i, k;
+
+      var instances = batch.instances = webgl.batch.reserve(batch.instances, amount * 10);
+      var index = 0;
+
+      for (i = start; i < end; i++) {
+        var item = batch.queue[i];
+        for (k = 0; k < 6; k++) {
+          instances[index++] = item.matrix[k];
         }
-        ctx.stroke();
-        if (isOffset) {
-          ctx.restore();
+        for (k = 0; k < 4; k++) {
+          instances[index++] = item.color[k];
         }
       }
 
-      ctx.restore();
+      gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffer);
+      gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(program.position);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, programs.buffers.instances);
+      gl.bufferData(gl.ARRAY_BUFFER, instances.subarray(0, index), gl.DYNAMIC_DRAW);
+
+      var attributes = [program.rows[0], program.rows[1], program.color];
+      var sizes = [3, 3, 4];
+      var offset = 0;
+
+      for (k = 0; k < attributes.length; k++) {
+        gl.vertexAttribPointer(attributes[k], sizes[k], gl.FLOAT, false, 40, offset);
+        gl.enableVertexAttribArray(attributes[k]);
+        extension.vertexAttribDivisorANGLE(attributes[k], 1);
+        offset += sizes[k] * 4;
+      }
+
+      extension.drawArraysInstancedANGLE(gl.TRIANGLES, 0, mesh.count, amount);
+
+      // Reset the state for other programs
+      for (k = 0; k < attributes.length; k++) {
+        extension.vertexAttribDivisorANGLE(attributes[k], 0);
+        gl.disableVertexAttribArray(attributes[k]);
+      }
+
+      programs.stats.drawCalls++;
+      programs.stats.vertices += mesh.count * amount;
+      programs.stats.instanced += amount;
 
     },
 
-    // Returns the rect of a set of verts. Typically takes vertices that are
-    // "centered" around 0 and returns them to be anchored upper-left.
-    getBoundingClientRect: function(vertices, border, rect) {
+    // Grow an array to fit at least `length` numbers.
+    reserve: function(array, length) {
+      if (array && array.length >= length) {
+        return array;
+      }
+      return new NumArray(Math.max(length, array ? array.length * 2 : 1024));
+    }
 
-      var left = Infinity, right = -Infinity,
-          top = Infinity, bottom = -Infinity,
-          width, height;
+  },
 
-      vertices.forEach(function(v) {
+  blend: {
 
-        var x = v.x, y = v.y, controls = v.controls;
-        var a, b, c, d, cl, cr;
+    // The blend modes the blend function draws exactly with colors
+    // premultiplied by their alpha. The others are composited with
+    // the backdrop by `shaders.blend`.
+    functions: {
+      normal: ['ONE', 'ONE_MINUS_SRC_ALPHA', 'ONE', 'ONE_MINUS_SRC_ALPHA'],
+      screen: ['ONE', 'ONE_MINUS_SRC_COLOR', 'ONE', 'ONE_MINUS_SRC_ALPHA'],
+      add: ['ONE', 'ONE', 'ONE', 'ONE']
+    },
 
-        top = Math.min(y, top);
-        left = Math.min(x, left);
-        right = Math.max(x, right);
-        bottom = Math.max(y, bottom);
+    // Start drawing an element with its blend mode. Groups are
+    // always drawn onto a layer, so that they're blended as a whole.
+    // So are elements with filters, which are run over the layer,
+    // and elements with a `Two.Mask`, which multiplies the layer.
+    // Returns what `webgl.blend.end` needs to finish up.
+    begin: function(gl, programs, elem, isolate) {
 
-        if (!v.controls) {
-          return;
-        }
+      var mode = Shape.BlendModes.indexOf(elem._blending);
+      var mask = elem._mask && elem._mask._renderer.type === 'mask'
+        ? elem._mask : null;
+      var filters = elem._filters && elem._filters.length > 0
+        ? elem._filters : null;
+      var filtered = !!filters || !!mask;
 
-        cl = controls.left;
-        cr = controls.right;
+      if ((mode <= 0 && !filtered) || elem._clip || elem._renderer.clipping) {
+        return null;
+      }
 
-        if (!cl || !cr) {
-          return;
-        }
+      webgl.batch.flush(gl, programs);
+
+      var func = !isolate && !filtered && webgl.blend.functions[elem._blending];
+
+      if (func) {
+        webgl.blend.setFunction(gl, func);
+        return func;
+      }
+
+      var layer = webgl.layers.push(gl, programs, Math.max(mode, 0));
 
-        a = v._relative ? cl.x + x : cl.x;
-        b = v._relative ? cl.y + y : cl.y;
-        c = v._relative ? cr.x + x : cr.x;
-        d = v._relative ? cr.y + y : cr.y;
+      layer.filters = filters;
+      layer.mask = mask;
+      layer.matrix = elem._renderer.matrix;
+      layer.scale = elem._renderer.scale;
+
+      return layer;
+
+    },
+
+    end: function(gl, programs, state) {
+
+      if (!state) {
+        return;
+      }
+
+      webgl.batch.flush(gl, programs);
+
+      if (state.framebuffer) {
+        webgl.layers.pop(gl, programs);
+      } else {
+        webgl.blend.setFunction(gl, webgl.blend.functions.normal);
+      }
+
+    },
+
+    setFunction: function(gl, func) {
+      gl.blendFuncSeparate(gl[func[0]], gl[func[1]], gl[func[2]], gl[func[3]]);
+    }
+
+  },
 
-        if (!a || !b || !c || !d) {
-          return;
+  layers: {
+
+    // Draw everything that follows onto a cleared framebuffer
+    // until `webgl.layers.pop` composites it with `mode`.
+    push: function(gl, programs, mode) {
+
+      var layers = programs.layers;
+      var layer = webgl.layers.get(gl, programs);
+
+      layer.mode = mode;
+
+      // Masks stencil the composited layer instead.
+      layer.stencil = gl.isEnabled(gl.STENCIL_TEST);
+      gl.disable(gl.STENCIL_TEST);
+
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+
+      layers.stack.push(layer);
+
+      return layer;
+
+    },
+
+    pop: function(gl, programs) {
+
+      var layers = programs.layers;
+      var layer = layers.stack.pop();
+      var target = layers.stack[layers.stack.length - 1];
+      var program = programs.blend;
+
+      if (layer.filters) {
+        for (var i = 0; i < layer.filters.length; i++) {
+          var filter = layer.filters[i];
+          webgl[filter._renderer.type].render.call(filter, gl, programs, layer);
         }
+      }
 
-        top = Math.min(b, d, top);
-        left = Math.min(a, c, left);
-        right = Math.max(a, c, right);
-        bottom = Math.max(b, d, bottom);
+      if (layer.mask) {
+        webgl.mask.render.call(layer.mask, gl, programs, layer);
+      }
 
-      });
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
 
-      // Expand borders
+      if (layer.stencil) {
+        gl.enable(gl.STENCIL_TEST);
+      }
 
-      if (typeof border === 'number') {
-        top -= border;
-        left -= border;
-        right += border;
-        bottom += border;
+      // Filtered layers without a blend mode don't need the backdrop.
+      if (layer.mode <= 0) {
+        webgl.filter.pass(gl, programs, 3, layer, target, null,
+          webgl.blend.functions.normal);
+        layers.pool.push(layer);
+        return;
       }
 
-      width = right - left;
-      height = bottom - top;
+      // Copy what's drawn so far to blend the layer with.
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, programs.backdrop);
+      gl.copyTexImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 0, 0, layer.width, layer.height, 0);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, layer.texture);
 
-      rect.top = top;
-      rect.left = left;
-      rect.right = right;
-      rect.bottom = bottom;
-      rect.width = width;
-      rect.height = height;
+      if (programs.current !== program) {
+        gl.useProgram(program);
+        programs.current = program;
+      }
 
-      if (!rect.centroid) {
-        rect.centroid = {};
+      gl.uniform1i(program.mode, layer.mode);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, programs.buffers.quad);
+      gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(program.position);
+
+      // The shader returns the blended colors as they are.
+      gl.blendFunc(gl.ONE, gl.ZERO);
+      gl.drawArrays(gl.TRIANGLES, 0, 6);
+      webgl.blend.setFunction(gl, webgl.blend.functions.normal);
+
+      programs.stats.drawCalls++;
+      programs.stats.vertices += 6;
+
+      layers.pool.push(layer);
+
+    },
+
+    // Bind a framebuffer the size of the canvas
+    // from the pool without clearing it.
+    get: function(gl, programs) {
+
+      var layer = programs.layers.pool.pop() || webgl.layers.create(gl);
+      var width = programs.resolution.width;
+      var height = programs.resolution.height;
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+
+      if (layer.width !== width || layer.height !== height) {
+        webgl.layers.resize(gl, layer, width, height);
       }
 
-      rect.centroid.x = - left;
-      rect.centroid.y = - top;
+      return layer;
 
     },
 
-    render: function(gl, programs, forcedParent) {
+    // Trade what's drawn onto two layers of the same size.
+    swap: function(a, b) {
+      var framebuffer = a.framebuffer;
+      var texture = a.texture;
+      var renderbuffer = a.renderbuffer;
+      a.framebuffer = b.framebuffer;
+      a.texture = b.texture;
+      a.renderbuffer = b.renderbuffer;
+      b.framebuffer = framebuffer;
+      b.texture = texture;
+      b.renderbuffer = renderbuffer;
+    },
 
-      if (!this._visible || !this._opacity) {
-        return this;
+    create: function(gl) {
+      return {
+        framebuffer: gl.createFramebuffer(),
+        texture: gl.createTexture(),
+        renderbuffer: gl.createRenderbuffer(),
+        width: 0,
+        height: 0
+      };
+    },
+
+    resize: function(gl, layer, width, height) {
+
+      layer.width = width;
+      layer.height = height;
+
+      gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0,
+        gl.RGBA, gl.UNSIGNED_BYTE, null);
+      webgl.layers.setParameters(gl);
+
+      gl.bindRenderbuffer(gl.RENDERBUFFER, layer.renderbuffer);
+      gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, width, height);
+
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
+        gl.TEXTURE_2D, layer.texture, 0);
+      gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT,
+        gl.RENDERBUFFER, layer.renderbuffer);
+
+    },
+
+    // Layers are the size of the canvas, so they're
+    // sampled pixel for pixel and never repeated.
+    setParameters: function(gl) {
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    }
+
+  },
+
+  filter: {
+
+    // Overwrite what's drawn onto a layer.
+    replace: ['ONE', 'ZERO', 'ONE', 'ZERO'],
+
+    // How much a transformation scales areas, as a length.
+    getScale: function(matrix) {
+      return Math.sqrt(Math.abs(matrix[0] * matrix[4] - matrix[1] * matrix[3]));
+    },
+
+    // Draw the texture of `source` onto `target`, or the canvas, with
+    // a pass of `shaders.filter`. `uniforms` sets what the pass needs.
+    pass: function(gl, programs, type, source, target, uniforms, func) {
+
+      var program = programs.filter;
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+
+      if (programs.current !== program) {
+        gl.useProgram(program);
+        programs.current = program;
       }
 
-      this._update();
+      gl.uniform1i(program.type, type);
 
-      // Calculate what changed
+      if (uniforms) {
+        uniforms(program);
+      }
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, source.texture);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, programs.buffers.quad);
+      gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(program.position);
+
+      webgl.blend.setFunction(gl, func || webgl.filter.replace);
+      gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+      programs.stats.drawCalls++;
+      programs.stats.vertices += 6;
+
+    },
+
+    // Blur a layer in place, horizontally and then vertically.
+    blur: function(gl, programs, layer, deviation) {
+
+      if (!(deviation > 0)) {
+        return;
+      }
+
+      var buffer = webgl.layers.get(gl, programs);
+
+      webgl.filter.pass(gl, programs, 0, layer, buffer, function(program) {
+        gl.uniform2f(program.direction, 1 / layer.width, 0);
+        gl.uniform1f(program.deviation, deviation);
+      });
+      webgl.filter.pass(gl, programs, 0, buffer, layer, function(program) {
+        gl.uniform2f(program.direction, 0, 1 / layer.height);
+        gl.uniform1f(program.deviation, deviation);
+      });
+
+      programs.layers.pool.push(buffer);
+
+    }
+
+  },
+
+  marker: {
+
+    // A `Two.Marker` is drawn by the paths it's placed on.
+    render: function() {
+      return this;
+    },
+
+    // Draw the markers of a path with their scenes in
+    // the coordinate space of the path.
+    draw: function(gl, programs, path) {
+
+      var placements = Marker.getPlacements(path);
+
+      for (var i = 0; i < placements.length; i++) {
 
-      var parent = forcedParent || this.parent;
-      var program = programs[this._renderer.type];
-      var flagParentMatrix = parent._matrix.manual || parent._flagMatrix;
-      var flagMatrix = this._matrix.manual || this._flagMatrix;
-      var parentChanged = this._renderer.parent !== parent;
-      var flagTexture = this._flagVertices || this._flagFill
-        || (this._fill instanceof LinearGradient && (this._fill._flagSpread || this._fill._flagStops || this._fill._flagEndPoints))
-        || (this._fill instanceof RadialGradient && (this._fill._flagSpread || this._fill._flagStops || this._fill._flagRadius || this._fill._flagCenter || this._fill._flagFocal))
-        || (this._fill instanceof Texture && (this._fill._flagLoaded && this._fill.loaded || this._fill._flagImage || this._fill._flagVideo || this._fill._flagRepeat || this._fill._flagOffset || this._fill._flagScale))
-        || (this._stroke instanceof LinearGradient && (this._stroke._flagSpread || this._stroke._flagStops || this._stroke._flagEndPoints))
-        || (this._stroke instanceof RadialGradient && (this._stroke._flagSpread || this._stroke._flagStops || this._stroke._flagRadius || this._stroke._flagCenter || this._stroke._flagFocal))
-        || (this._stroke instanceof Texture && (this._stroke._flagLoaded && this._stroke.loaded || this._stroke._flagImage || this._stroke._flagVideo || this._stroke._flagRepeat || this._stroke._flagOffset || this._fill._flagScale))
-        || this._flagStroke || this._flagLinewidth || this._flagOpacity
-        || parent._flagOpacity || this._flagVisible || this._flagCap
-        || this._flagJoin || this._flagMiter || this._flagScale
-        || (this.dashes && this.dashes.length > 0)
-        || !this._renderer.texture;
+        var marker = placements[i].marker;
+        var m = placements[i].matrix.elements;
+        var scale = Math.sqrt(m[0] * m[0] + m[3] * m[3]);
 
-      if (flagParentMatrix || flagMatrix || parentChanged) {
+        marker._update();
 
-        if (!this._renderer.matrix) {
-          this._renderer.matrix = new NumArray(9);
+        if (!marker._renderer.matrix) {
+          marker._renderer.matrix = new NumArray(9);
+          marker._renderer.scale = new Vector();
         }
 
-        // Reduce amount of object / array creation / deletion
+        // The marker is the root of its scene. The batch copies
+        // matrices, so a marker can be drawn more than once.
+        placements[i].matrix.toTransformArray(true, transformation);
+        multiplyMatrix(transformation, path._renderer.matrix,
+          marker._renderer.matrix);
 
-        this._matrix.toTransformArray(true, transformation);
+        marker._renderer.scale.x = path._renderer.scale.x * scale;
+        marker._renderer.scale.y = path._renderer.scale.y * scale;
+        marker._renderer.opacity = path._renderer.opacity;
+        marker._flagMatrix = true;
 
-        multiplyMatrix(transformation, parent._renderer.matrix, this._renderer.matrix);
+        webgl.group.render.call(marker._scene, gl, programs);
 
-        if (!(this._renderer.scale instanceof Vector)) {
-          this._renderer.scale = new Vector();
-        }
-        if (this._scale instanceof Vector) {
-          this._renderer.scale.x = this._scale.x * parent._renderer.scale.x;
-          this._renderer.scale.y = this._scale.y * parent._renderer.scale.y;
-        } else {
-          this._renderer.scale.x = this._scale * parent._renderer.scale.x;
-          this._renderer.scale.y = this._scale * parent._renderer.scale.y;
-        }
+        marker._flagMatrix = false;
+        marker.flagReset();
 
-        if (parentChanged) {
-          this._renderer.parent = parent;
-        }
       }
 
-      if (this._mask) {
+    }
 
-        // Stencil away everything that isn't rendered by the mask
-        gl.clear(gl.STENCIL_BUFFER_BIT);
-        gl.enable(gl.STENCIL_TEST);
+  },
 
-        gl.stencilFunc(gl.ALWAYS, 1, 0);
-        gl.stencilOp(gl.KEEP, gl.KEEP, gl.REPLACE);
-        // Don't draw the element onto the canvas, only onto the stencil buffer
-        gl.colorMask(false, false, false, false);
+  mask: {
 
-        webgl[this._mask._renderer.type].render.call(this._mask, gl, programs, this);
+    // Draw the scene of the mask onto a layer of its own and
+    // multiply the layer of the element it's applied to with it.
+    render: function(gl, programs, layer) {
 
-        gl.stencilFunc(gl.EQUAL, 1, 0xff);
-        gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
-        gl.colorMask(true, true, true, true);
+      this._update();
 
-      }
+      // The mask is the root of its scene, in the coordinate
+      // space of the element it's applied to.
+      this._renderer.matrix = layer.matrix;
+      this._renderer.scale = layer.scale;
+      this._renderer.opacity = 1;
+      this._flagMatrix = true;
 
-      if (flagTexture) {
+      var scene = webgl.layers.push(gl, programs, 0);
 
-        if (!this._renderer.rect) {
-          this._renderer.rect = {};
-        }
+      webgl.group.render.call(this._scene, gl, programs);
+      webgl.batch.flush(gl, programs);
+      programs.layers.stack.pop();
 
-        this._renderer.opacity = this._opacity * parent._renderer.opacity;
+      this._flagMatrix = false;
 
-        webgl.path.getBoundingClientRect(
-          this._renderer.vertices, this._linewidth, this._renderer.rect);
+      var buffer = webgl.layers.get(gl, programs);
 
-        webgl.updateTexture.call(webgl, gl, this);
+      webgl.filter.pass(gl, programs, this._mode === 'alpha' ? 5 : 4,
+        layer, buffer, function() {
+          gl.activeTexture(gl.TEXTURE1);
+          gl.bindTexture(gl.TEXTURE_2D, scene.texture);
+        });
+      webgl.layers.swap(layer, buffer);
 
-      } else {
+      programs.layers.pool.push(scene, buffer);
 
-        // We still need to update child Two elements on the fill and
-        // stroke properties.
-        if (this._fill && this._fill._update) {
-          this._fill._update();
-        }
-        if (this._stroke && this._stroke._update) {
-          this._stroke._update();
-        }
+      return this.flagReset();
 
-      }
+    }
 
-      if (this._clip && !forcedParent || !this._renderer.texture) {
-        return this;
-      }
+  },
 
-      if (programs.current !== program) {
+  blur: {
 
-        gl.useProgram(program);
+    render: function(gl, programs, layer) {
+      webgl.filter.blur(gl, programs, layer,
+        this._radius * webgl.filter.getScale(layer.matrix));
+    }
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, programs.buffers.position);
-        gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(program.position);
-        gl.bufferData(gl.ARRAY_BUFFER, quad, gl.STATIC_DRAW);
+  },
 
-        if (!programs.resolution.flagged) {
-          gl.uniform2f(
-            gl.getUniformLocation(program, 'u_resolution'),
-            programs.resolution.width,
-            programs.resolution.height
-          );
-        }
+  'drop-shadow': {
 
-        programs.current = program;
+    render: function(gl, programs, layer) {
+
+      var m = layer.matrix;
+      var x = this._offset.x;
+      var y = this._offset.y;
 
+      if (this._renderer.color !== this._color) {
+        this._renderer.color = this._color;
+        this._renderer.rgba = parseColor(this._color);
       }
 
-      if (programs.resolution.flagged) {
-        gl.uniform2f(
-          gl.getUniformLocation(program, 'u_resolution'),
-          programs.resolution.width,
-          programs.resolution.height
-        );
+      var color = this._renderer.rgba;
+      var shadow = webgl.layers.get(gl, programs);
+
+      if (color) {
+        // Layers are upside down compared to the canvas.
+        webgl.filter.pass(gl, programs, 1, layer, shadow, function(program) {
+          gl.uniform2f(program.offset, (m[0] * x + m[3] * y) / layer.width,
+            - (m[1] * x + m[4] * y) / layer.height);
+          gl.uniform4f(program.color, color.r / 255 * color.a,
+            color.g / 255 * color.a, color.b / 255 * color.a, color.a);
+        });
+        webgl.filter.blur(gl, programs, shadow,
+          this._blur * webgl.filter.getScale(m));
+      } else {
+        gl.clear(gl.COLOR_BUFFER_BIT);
       }
 
-      // Draw Texture
-      gl.bindTexture(gl.TEXTURE_2D, this._renderer.texture);
+      // Draw the layer over its shadow and keep the result.
+      webgl.filter.pass(gl, programs, 3, layer, shadow, null,
+        webgl.blend.functions.normal);
+      webgl.layers.swap(layer, shadow);
 
-      // Draw Rect
-      var rect = this._renderer.rect;
-      gl.uniformMatrix3fv(program.matrix, false, this._renderer.matrix);
-      gl.uniform4f(program.rect, rect.left, rect.top, rect.right, rect.bottom);
-      gl.drawArrays(gl.TRIANGLES, 0, 6);
+      programs.layers.pool.push(shadow);
 
-      if (this._mask) {
-        gl.disable(gl.STENCIL_TEST);
-      }
+    }
 
-      return this.flagReset();
+  },
+
+  'color-matrix': {
+
+    render: function(gl, programs, layer) {
+
+      var v = this._values;
+      var buffer = webgl.layers.get(gl, programs);
+
+      webgl.filter.pass(gl, programs, 2, layer, buffer, function(program) {
+        gl.uniformMatrix4fv(program.matrix, false, [
+          v[0], v[5], v[10], v[15],
+          v[1], v[6], v[11], v[16],
+          v[2], v[7], v[12], v[17],
+          v[3], v[8], v[13], v[18]
+        ]);
+        gl.uniform4f(program.shift, v[4], v[9], v[14], v[19]);
+      });
+      webgl.layers.swap(layer, buffer);
+
+      programs.layers.pool.push(buffer);
 
     }
 
@@ -824,6 +1391,10 @@ var webgl = {
         size *= Math.max(this._renderer.scale.x, this._renderer.scale.y);
       }
 
+      var blending = webgl.blend.begin(gl, programs, this);
+
+      webgl.batch.flush(gl, programs);
+
       if (programs.current !== program) {
         gl.useProgram(program);
         if (!programs.resolution.flagged) {
@@ -847,11 +1418,21 @@ var webgl = {
       // Draw Texture
       gl.bindTexture(gl.TEXTURE_2D, this._renderer.texture);
 
+      // Other programs draw from their own buffers in between
+      gl.bindBuffer(gl.ARRAY_BUFFER, this._renderer.positionBuffer);
+      gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(program.position);
+
       // Draw Points
       gl.uniformMatrix3fv(program.matrix, false, this._renderer.matrix);
       gl.uniform1f(program.size, size * programs.resolution.ratio);
       gl.drawArrays(gl.POINTS, 0, length);
 
+      programs.stats.drawCalls++;
+      programs.stats.vertices += length;
+
+      webgl.blend.end(gl, programs, blending);
+
       return this.flagReset();
 
     }
@@ -1143,7 +1724,9 @@ var webgl = {
         }
       }
 
-      if (this._mask) {
+      if (webgl.getClip(this)) {
+
+        webgl.batch.flush(gl, programs);
 
         // Stencil away everything that isn't rendered by the mask
         gl.clear(gl.STENCIL_BUFFER_BIT);
@@ -1155,6 +1738,7 @@ var webgl = {
         gl.colorMask(false, false, false, false);
 
         webgl[this._mask._renderer.type].render.call(this._mask, gl, programs, this);
+        webgl.batch.flush(gl, programs);
 
         gl.stencilFunc(gl.EQUAL, 1, 0xff);
         gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
@@ -1191,6 +1775,10 @@ var webgl = {
         return this;
       }
 
+      var blending = webgl.blend.begin(gl, programs, this);
+
+      webgl.batch.flush(gl, programs);
+
       if (programs.current !== program) {
 
         gl.useProgram(program);
@@ -1229,7 +1817,13 @@ var webgl = {
       gl.uniform4f(program.rect, rect.left, rect.top, rect.right, rect.bottom);
       gl.drawArrays(gl.TRIANGLES, 0, 6);
 
-      if (this._mask) {
+      programs.stats.drawCalls++;
+      programs.stats.vertices += 6;
+
+      webgl.blend.end(gl, programs, blending);
+
+      if (webgl.getClip(this)) {
+        webgl.batch.flush(gl, programs);
         gl.disable(gl.STENCIL_TEST);
       }
 
@@ -1241,6 +1835,25 @@ var webgl = {
 
   'linear-gradient': {
 
+    paint: function(gl, program) {
+
+      this._update();
+
+      if (!webgl.updateRamp(gl, this)) {
+        return false;
+      }
+
+      gl.uniform1i(program.paint, 1);
+      gl.uniform4f(program.points,
+        this.left._x, this.left._y, this.right._x, this.right._y);
+      gl.uniform1i(program.spread, webgl.path.spreads[this._spread] || 0);
+
+      this.flagReset();
+
+      return true;
+
+    },
+
     render: function(ctx, elem) {
 
       if (!ctx.canvas.getContext('2d')) {
@@ -1271,6 +1884,26 @@ var webgl = {
 
   'radial-gradient': {
 
+    paint: function(gl, program) {
+
+      this._update();
+
+      if (!webgl.updateRamp(gl, this)) {
+        return false;
+      }
+
+      gl.uniform1i(program.paint, 2);
+      gl.uniform4f(program.points,
+        this.center._x, this.center._y, this.focal._x, this.focal._y);
+      gl.uniform1f(program.radius, this._radius);
+      gl.uniform1i(program.spread, webgl.path.spreads[this._spread] || 0);
+
+      this.flagReset();
+
+      return true;
+
+    },
+
     render: function(ctx, elem) {
 
       if (!ctx.canvas.getContext('2d')) {
@@ -1302,6 +1935,57 @@ var webgl = {
 
   texture: {
 
+    paint: function(gl, program) {
+
+      this._update();
+
+      var image = this.image;
+
+      if (!this.loaded || !image || !(image.width > 0 && image.height > 0)) {
+        return false;
+      }
+
+      var texture = this._renderer.texture;
+
+      if (!texture || this._renderer.image !== image
+        || this._flagLoaded || this._flagVideo) {
+
+        if (!texture) {
+          texture = this._renderer.texture = gl.createTexture();
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+
+        this._renderer.image = image;
+
+      } else {
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+      }
+
+      // Lay out the tiles the same way `Two.CanvasRenderer` does.
+      var sx = this._scale instanceof Vector ? this._scale.x : this._scale;
+      var sy = this._scale instanceof Vector ? this._scale.y : this._scale;
+      var repeat = this._repeat;
+
+      gl.uniform1i(program.paint, 3);
+      gl.uniform4f(program.tile,
+        (this._offset.x - image.width / 2) * sx,
+        (this._offset.y - image.height / 2) * sy,
+        image.width * sx, image.height * sy);
+      gl.uniform2f(program.repeat,
+        repeat === 'repeat' || repeat === 'repeat-x' ? 1 : 0,
+        repeat === 'repeat' || repeat === 'repeat-y' ? 1 : 0);
+
+      this.flagReset();
+
+      return true;
+
+    },
+
     render: function(ctx, elem) {
 
       if (!ctx.canvas.getContext('2d')) {
@@ -1363,6 +2047,83 @@ var webgl = {
 
   },
 
+  pattern: {
+
+    // Patterns are drawn onto a canvas the same way
+    // `Two.CanvasRenderer` draws them and sampled as a texture.
+    paint: function(gl, program, elem) {
+
+      this._update();
+
+      var e = this._matrix.elements;
+      var scale = webgl.path.getScale(elem._renderer.matrix)
+        * Math.sqrt(Math.abs(e[0] * e[4] - e[1] * e[3]));
+      var tile = CanvasRenderer.Utils.pattern.getTile.call(
+        this, webgl.canvas, scale);
+
+      if (!tile) {
+        return false;
+      }
+
+      var image = tile.canvas;
+      var texture = this._renderer.texture;
+      var key = this._renderer.version + ' ' + image.width + ' ' + image.height;
+
+      if (!texture) {
+        texture = this._renderer.texture = gl.createTexture();
+      }
+
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+
+      if (this._renderer.uploaded !== key) {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        this._renderer.uploaded = key;
+      }
+
+      // Where a point of the shape is in the tile, from
+      // `(0, 0)` to `(1, 1)`, is the inverse of the
+      // transformation from the tile to the shape.
+      var w = this._width;
+      var h = this._height;
+      var x = this._offset.x;
+      var y = this._offset.y;
+      var a = e[0] * w, b = e[3] * w, c = e[1] * h, d = e[4] * h;
+      var tx = e[0] * x + e[1] * y + e[2];
+      var ty = e[3] * x + e[4] * y + e[5];
+      var determinant = a * d - b * c;
+
+      if (!determinant) {
+        return false;
+      }
+
+      gl.uniform1i(program.paint, 4);
+      gl.uniformMatrix3fv(program.transform, false, [
+        d / determinant, - b / determinant, 0,
+        - c / determinant, a / determinant, 0,
+        (c * ty - d * tx) / determinant, (b * tx - a * ty) / determinant, 1
+      ]);
+
+      this.flagReset();
+
+      return true;
+
+    },
+
+    render: function(ctx, elem) {
+
+      if (!ctx.canvas.getContext('2d')) {
+        return;
+      }
+
+      CanvasRenderer.Utils.pattern.render.call(this, ctx);
+
+    }
+
+  },
+
   updateTexture: function(gl, elem) {
 
     this[elem._renderer.type].updateCanvas.call(webgl, elem);
@@ -1394,6 +2155,56 @@ var webgl = {
 
   },
 
+  // Draw the colors of a gradient into a texture for
+  // `Two.WebGLRenderer.Utils.path` to look up.
+  updateRamp: function(gl, gradient) {
+
+    var key = gradient.stops.map(function(stop) {
+      return stop._offset + ' ' + stop._color;
+    }).join(',');
+
+    if (gradient._renderer.texture && gradient._renderer.stops === key) {
+      gl.bindTexture(gl.TEXTURE_2D, gradient._renderer.texture);
+      return true;
+    }
+
+    var canvas = this.canvas;
+    var ctx = this.ctx;
+
+    if (!ctx) {
+      return false;
+    }
+
+    canvas.width = 256;
+    canvas.height = 1;
+
+    var effect = ctx.createLinearGradient(0, 0, canvas.width, 0);
+
+    for (var i = 0; i < gradient.stops.length; i++) {
+      var stop = gradient.stops[i];
+      effect.addColorStop(stop._offset, stop._color);
+    }
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = effect;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (!gradient._renderer.texture) {
+      gradient._renderer.texture = gl.createTexture();
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, gradient._renderer.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+
+    gradient._renderer.stops = key;
+
+    return true;
+
+  },
+
   program: {
 
     create: function(gl, shaders) {
@@ -1403,6 +2214,9 @@ var webgl = {
         gl.attachShader(program, s);
       });
 
+      // Some implementations require attribute 0 to be an enabled array.
+      gl.bindAttribLocation(program, 0, 'a_position');
+
       gl.linkProgram(program);
       linked = gl.getProgramParameter(program, gl.LINK_STATUS);
       if (!linked) {
@@ -1442,7 +2256,7 @@ function Renderer(params) {
    * @name Two.WebGLRenderer#domElement
    * @property {Element} - The `<canvas />` associated with the Two.js scene.
    */
-  this.domElement = params.domElement || document.createElement('canvas');
+  this.domElement = params.domElement || dom.createCanvas();
 
   if (typeof params.offscreenElement !== 'undefined') {
     webgl.canvas = params.offscreenElement;
@@ -1467,7 +2281,7 @@ function Renderer(params) {
   // http://games.greggman.com/game/webgl-and-alpha/
   // http://www.khronos.org/registry/webgl/specs/latest/#5.2
   params = _.defaults(params || {}, {
-    antialias: false,
+    antialias: true,
     alpha: true,
     premultipliedAlpha: true,
     stencil: true,
@@ -1495,8 +2309,19 @@ function Renderer(params) {
   }
 
   // Compile Base Shaders to draw in pixel space.
-  vs = shaders.create(gl, shaders.path.vertex, shaders.types.vertex);
-  fs = shaders.create(gl, shaders.path.fragment, shaders.types.fragment);
+  vs = shaders.create(gl, shaders.text.vertex, shaders.types.vertex);
+  fs = shaders.create(gl, shaders.text.fragment, shaders.types.fragment);
+
+  /**
+   * @name Two.WebGLRenderer#stats
+   * @property {Object} - What the last call to {@link Two.WebGLRenderer#render} drew: the amount of `drawCalls` and `vertices` and how many shapes were `batched` together or `instanced`.
+   */
+  this.stats = {
+    drawCalls: 0,
+    vertices: 0,
+    batched: 0,
+    instanced: 0
+  };
 
   /**
    * @name Two.WebGLRenderer#programs
@@ -1504,9 +2329,26 @@ function Renderer(params) {
    */
   this.programs = {
     current: null,
+    stats: this.stats,
     buffers: {
-      position: gl.createBuffer()
+      position: gl.createBuffer(),
+      batch: gl.createBuffer(),
+      instances: gl.createBuffer(),
+      quad: gl.createBuffer()
     },
+    batch: {
+      queue: [],
+      length: 0,
+      vertices: null,
+      instances: null,
+      extension: gl.getExtension('ANGLE_instanced_arrays')
+    },
+    meshes: {},
+    layers: {
+      stack: [],
+      pool: []
+    },
+    backdrop: gl.createTexture(),
     resolution: {
       width: 0,
       height: 0,
@@ -1515,8 +2357,7 @@ function Renderer(params) {
     }
   };
 
-  program = this.programs.path = webgl.program.create(gl, [vs, fs]);
-  this.programs.text = this.programs.path;
+  program = this.programs.text = webgl.program.create(gl, [vs, fs]);
 
   // Create and bind the drawing buffer
 
@@ -1532,6 +2373,77 @@ function Renderer(params) {
   gl.enableVertexAttribArray(program.position);
   gl.bufferData(gl.ARRAY_BUFFER, quad, gl.STATIC_DRAW);
 
+  // Compile the shaders to draw triangulated paths.
+  vs = shaders.create(gl, shaders.path.vertex, shaders.types.vertex);
+  fs = shaders.create(gl, shaders.path.fragment, shaders.types.fragment);
+
+  program = this.programs.path = webgl.program.create(gl, [vs, fs]);
+
+  program.position = gl.getAttribLocation(program, 'a_position');
+  program.matrix = gl.getUniformLocation(program, 'u_matrix');
+  program.resolution = gl.getUniformLocation(program, 'u_resolution');
+  program.paint = gl.getUniformLocation(program, 'u_paint');
+  program.color = gl.getUniformLocation(program, 'u_color');
+  program.opacity = gl.getUniformLocation(program, 'u_opacity');
+  program.points = gl.getUniformLocation(program, 'u_points');
+  program.radius = gl.getUniformLocation(program, 'u_radius');
+  program.spread = gl.getUniformLocation(program, 'u_spread');
+  program.tile = gl.getUniformLocation(program, 'u_tile');
+  program.repeat = gl.getUniformLocation(program, 'u_repeat');
+  program.transform = gl.getUniformLocation(program, 'u_transform');
+
+  // Compile the shaders to draw batches of solid colored triangles.
+  vs = shaders.create(gl, shaders.solid.vertex, shaders.types.vertex);
+  fs = shaders.create(gl, shaders.solid.fragment, shaders.types.fragment);
+
+  program = this.programs.solid = webgl.program.create(gl, [vs, fs]);
+
+  program.position = gl.getAttribLocation(program, 'a_position');
+  program.rows = [
+    gl.getAttribLocation(program, 'a_row0'),
+    gl.getAttribLocation(program, 'a_row1')
+  ];
+  program.color = gl.getAttribLocation(program, 'a_color');
+  program.resolution = gl.getUniformLocation(program, 'u_resolution');
+
+  // Compile the shaders to composite layers with blend modes.
+  vs = shaders.create(gl, shaders.blend.vertex, shaders.types.vertex);
+  fs = shaders.create(gl, shaders.blend.fragment, shaders.types.fragment);
+
+  program = this.programs.blend = webgl.program.create(gl, [vs, fs]);
+
+  program.position = gl.getAttribLocation(program, 'a_position');
+  program.mode = gl.getUniformLocation(program, 'u_mode');
+
+  gl.useProgram(program);
+  gl.uniform1i(gl.getUniformLocation(program, 'u_source'), 0);
+  gl.uniform1i(gl.getUniformLocation(program, 'u_backdrop'), 1);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, this.programs.buffers.quad);
+  gl.bufferData(gl.ARRAY_BUFFER, quad, gl.STATIC_DRAW);
+
+  gl.bindTexture(gl.TEXTURE_2D, this.programs.backdrop);
+  webgl.layers.setParameters(gl);
+
+  // Compile the shaders to run filters over layers.
+  // They share the vertex shader of the blend program.
+  fs = shaders.create(gl, shaders.filter.fragment, shaders.types.fragment);
+
+  program = this.programs.filter = webgl.program.create(gl, [vs, fs]);
+
+  program.position = gl.getAttribLocation(program, 'a_position');
+  program.type = gl.getUniformLocation(program, 'u_type');
+  program.direction = gl.getUniformLocation(program, 'u_direction');
+  program.deviation = gl.getUniformLocation(program, 'u_deviation');
+  program.offset = gl.getUniformLocation(program, 'u_offset');
+  program.color = gl.getUniformLocation(program, 'u_color');
+  program.matrix = gl.getUniformLocation(program, 'u_matrix');
+  program.shift = gl.getUniformLocation(program, 'u_shift');
+
+  gl.useProgram(program);
+  gl.uniform1i(gl.getUniformLocation(program, 'u_source'), 0);
+  gl.uniform1i(gl.getUniformLocation(program, 'u_mask'), 1);
+
   // Compile Base Shaders to draw in pixel space.
   vs = shaders.create(gl, shaders.points.vertex, shaders.types.vertex);
   fs = shaders.create(gl, shaders.points.fragment, shaders.types.fragment);
@@ -1629,7 +2541,11 @@ _.extend(Renderer.prototype, Events, {
       gl.clear(gl.COLOR_BUFFER_BIT);
     }
 
+    this.stats.drawCalls = this.stats.vertices = 0;
+    this.stats.batched = this.stats.instanced = 0;
+
     webgl.group.render.call(this.scene, gl, this.programs);
+    webgl.batch.flush(gl, this.programs);
     this._flagMatrix = false;
     this.programs.resolution.flagged = true;
 
@@ -1,8 +1,11 @@
+import Collection from './collection.js';
 import Events from './events.js';
 import _ from './utils/underscore.js';
+import { flagContent } from './utils/get-set.js';
 
 import Matrix from './matrix.js';
 import Vector from './vector.js';
+import Tween from './tween.js';
 
 import Constants from './constants.js';
 
@@ -79,10 +82,27 @@ function Shape() {
    */
   this.skewY = 0;
 
+  /**
+   * @name Two.Shape#blending
+   * @property {String} - How the shape is composited with what's drawn behind it. One of {@link Two.Shape.BlendModes}.
+   * @nota-bene {@link Two.Group}s with a blend mode are drawn on their own first and then composited as a whole.
+   */
+  this.blending = 'normal';
+
 }
 
 _.extend(Shape, {
 
+  /**
+   * @name Two.Shape.BlendModes
+   * @property {String[]} - The values {@link Two.Shape#blending} can be set to. They're named after the CSS `mix-blend-mode`s. `'add'` sums the colors of the shape and its backdrop.
+   */
+  BlendModes: [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+    'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference',
+    'exclusion', 'hue', 'saturation', 'color', 'luminosity', 'add'
+  ],
+
   /**
    * @name Two.Shape.FlagMatrix
    * @function
@@ -90,6 +110,7 @@ _.extend(Shape, {
    */
   FlagMatrix: function() {
     this._flagMatrix = true;
+    flagContent(this);
   },
 
   /**
@@ -126,6 +147,7 @@ _.extend(Shape, {
       set: function(v) {
         this._rotation = v;
         this._flagMatrix = true;
+        flagContent(this);
       }
     });
 
@@ -148,6 +170,7 @@ _.extend(Shape, {
 
         this._flagMatrix = true;
         this._flagScale = true;
+        flagContent(this);
 
       }
     });
@@ -160,6 +183,7 @@ _.extend(Shape, {
       set: function(v) {
         this._skewX = v;
         this._flagMatrix = true;
+        flagContent(this);
       }
     });
 
@@ -171,6 +195,7 @@ _.extend(Shape, {
       set: function(v) {
         this._skewY = v;
         this._flagMatrix = true;
+        flagContent(this);
       }
     });
 
@@ -182,9 +207,49 @@ _.extend(Shape, {
       set: function(v) {
         this._matrix = v;
         this._flagMatrix = true;
+        flagContent(this);
       }
     });
 
+    Object.defineProperty(object, 'blending', {
+      enumerable: true,
+      get: function() {
+        return this._blending;
+      },
+      set: function(v) {
+        this._flagBlending = this._blending !== v || this._flagBlending;
+        flagContent(this);
+        this._blending = v;
+      }
+    });
+
+    /**
+     * @name Two.Shape#filters
+     * @property {Two.Filter[]} - An ordered list of {@link Two.Filter}s applied to the shape, e.g: `[new Two.Filters.Blur(4), new Two.Filters.DropShadow(0, 2, 4)]`.
+     * @nota-bene Filters scale along with the shape's transformation. They aren't drawn by the {@link Two.PDFRenderer}. Most shapes have none, so the list is only made when it's first used.
+     */
+    Object.defineProperty(object, 'filters', {
+
+      enumerable: true,
+
+      get: function() {
+        // Prototypes copied onto other classes have
+        // no renderer object and don't get a list.
+        if (!this._filters && this._renderer) {
+          this._filters = new Collection();
+        }
+        return this._filters;
+      },
+
+      set: function(filters) {
+        this._filters = filters && filters.length > 0
+          ? new Collection(Array.prototype.slice.call(filters)) : null;
+        this._flagFilters = true;
+        flagContent(this);
+      }
+
+    });
+
     Object.defineProperty(object, 'id', {
       enumerable: true,
       get: function() {
@@ -294,6 +359,20 @@ _.extend(Shape.prototype, Events, {
    */
   _flagClassName: false,
 
+  /**
+   * @name Two.Shape#_flagBlending
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Shape#blending} needs updating.
+   */
+  _flagBlending: false,
+
+  /**
+   * @name Two.Shape#_flagFilters
+   * @private
+   * @property {Boolean} - Determines whether the {@link Two.Shape#filters} need updating.
+   */
+  _flagFilters: false,
+
   // Underlying Properties
 
   _id: '',
@@ -340,6 +419,20 @@ _.extend(Shape.prototype, Events, {
    */
   _className: '',
 
+  /**
+   * @name Two.Shape#_blending
+   * @private
+   * @property {String} - The blend mode of the shape.
+   */
+  _blending: 'normal',
+
+  /**
+   * @name Two.Shape#_filters
+   * @private
+   * @property {Two.Filter[]} - The filters of the shape.
+   */
+  _filters: null,
+
   /**
    * @name Two.Shape#addTo
    * @function
@@ -351,6 +444,18 @@ _.extend(Shape.prototype, Events, {
     return this;
   },
 
+  /**
+   * @name Two.Shape#animate
+   * @function
+   * @param {Object} properties - The values to animate the shape to, e.g: `{ opacity: 0, translation: { x: 100 }, fill: '#ff6347' }`. When `fill` or `stroke` is a {@link Two.Gradient} its stops can be animated with `{ fill: { stops: [{ offset: 0.5, color: 'red' }] } }`.
+   * @param {Object} [options] - See {@link Two.Tween} for all available options like `duration`, `easing`, `delay`, `repeat`, and `yoyo`.
+   * @returns {Two.Tween}
+   * @description Convenience method to create and play a {@link Two.Tween} of the shape. The tween advances whenever the {@link Two} instance the shape is rendered in updates.
+   */
+  animate: function(properties, options) {
+    return new Tween(this, properties, options).play();
+  },
+
   /**
    * @name Two.Shape#clone
    * @function
@@ -367,6 +472,8 @@ _.extend(Shape.prototype, Events, {
     clone.scale = this.scale;
     clone.skewX = this.skewX;
     clone.skewY = this.skewY;
+    clone.blending = this.blending;
+    clone.filters = this._filters;
 
     if (this.matrix.manual) {
       clone.matrix.copy(this.matrix);
@@ -426,7 +533,7 @@ _.extend(Shape.prototype, Events, {
   flagReset: function() {
 
     this._flagId = this._flagMatrix = this._flagScale =
-      this._flagClassName = false;
+      this._flagClassName = this._flagBlending = this._flagFilters = false;
 
     return this;
 
@@ -2,6 +2,7 @@ import Commands from '../utils/path-commands.js';
 import { mod, HALF_PI, TWO_PI } from '../utils/math.js';
 import defineGetterSetter from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -80,6 +81,28 @@ _.extend(ArcSegment, {
    */
   Properties: ['startAngle', 'endAngle', 'innerRadius', 'outerRadius'],
 
+  /**
+   * @name Two.ArcSegment.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.ArcSegment#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.ArcSegment}
+   * @description Create an arc segment from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var segment = new ArcSegment(0, 0, 0, 0, 0, 0, object.vertices.length);
+
+    effects = effects || {};
+    copyProperties(segment, object, ArcSegment.Properties);
+    copyProperties(segment, object, Path.Properties, effects);
+
+    copyTransform(segment, object, effects);
+
+    return segment._update();
+
+  },
+
   /**
    * @name Two.ArcSegment.MakeObservable
    * @function
@@ -367,6 +390,7 @@ _.extend(ArcSegment.prototype, Path.prototype, {
   toObject: function() {
 
     var object = Path.prototype.toObject.call(this);
+    object.type = 'arc-segment';
 
     _.each(ArcSegment.Properties, function(property) {
       object[property] = this[property];
@@ -379,5 +403,6 @@ _.extend(ArcSegment.prototype, Path.prototype, {
 });
 
 ArcSegment.MakeObservable(ArcSegment.prototype);
+Types.add('arc-segment', ArcSegment);
 
 export default ArcSegment;
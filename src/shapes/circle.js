@@ -2,6 +2,7 @@ import Commands from '../utils/path-commands.js';
 import { HALF_PI, TWO_PI } from '../utils/math.js';
 import defineGetterSetter from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -56,6 +57,28 @@ _.extend(Circle, {
    */
   Properties: ['radius'],
 
+  /**
+   * @name Two.Circle.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Circle#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Circle}
+   * @description Create a circle from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var circle = new Circle(0, 0, 0, object.vertices.length);
+
+    effects = effects || {};
+    copyProperties(circle, object, Circle.Properties);
+    copyProperties(circle, object, Path.Properties, effects);
+
+    copyTransform(circle, object, effects);
+
+    return circle._update();
+
+  },
+
   /**
    * @name Two.Circle.MakeObservable
    * @function
@@ -196,6 +219,7 @@ _.extend(Circle.prototype, Path.prototype, {
   toObject: function() {
 
     var object = Path.prototype.toObject.call(this);
+    object.type = 'circle';
 
     _.each(Circle.Properties, function(property) {
       object[property] = this[property];
@@ -208,5 +232,6 @@ _.extend(Circle.prototype, Path.prototype, {
 });
 
 Circle.MakeObservable(Circle.prototype);
+Types.add('circle', Circle);
 
 export default Circle;
@@ -2,6 +2,7 @@ import Commands from '../utils/path-commands.js';
 import { HALF_PI, TWO_PI } from '../utils/math.js';
 import defineGetterSetter from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -63,6 +64,28 @@ _.extend(Ellipse, {
    */
   Properties: ['width', 'height'],
 
+  /**
+   * @name Two.Ellipse.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Ellipse#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Ellipse}
+   * @description Create an ellipse from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var ellipse = new Ellipse(0, 0, 0, 0, object.vertices.length);
+
+    effects = effects || {};
+    copyProperties(ellipse, object, Ellipse.Properties);
+    copyProperties(ellipse, object, Path.Properties, effects);
+
+    copyTransform(ellipse, object, effects);
+
+    return ellipse._update();
+
+  },
+
   /**
    * @name Two.Ellipse.MakeObservable
    * @function
@@ -218,6 +241,7 @@ _.extend(Ellipse.prototype, Path.prototype, {
   toObject: function() {
 
     var object = Path.prototype.toObject.call(this);
+    object.type = 'ellipse';
 
     _.each(Ellipse.Properties, function(property) {
       object[property] = this[property];
@@ -230,5 +254,6 @@ _.extend(Ellipse.prototype, Path.prototype, {
 });
 
 Ellipse.MakeObservable(Ellipse.prototype);
+Types.add('ellipse', Ellipse);
 
 export default Ellipse;
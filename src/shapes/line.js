@@ -1,5 +1,6 @@
 import Commands from '../utils/path-commands.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -27,12 +28,49 @@ function Line(x1, y1, x2, y2) {
 
 }
 
+_.extend(Line, {
+
+  /**
+   * @name Two.Line.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Line#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Line}
+   * @description Create a line from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var line = new Line();
+
+    effects = effects || {};
+    line.vertices = object.vertices.map(Anchor.fromObject);
+    copyProperties(line, object, Path.Properties, effects);
+
+    return copyTransform(line, object, effects);
+
+  }
+
+});
+
 _.extend(Line.prototype, Path.prototype, {
 
-  constructor: Line
+  constructor: Line,
+
+  /**
+   * @name Two.Line#toObject
+   * @function
+   * @returns {Object}
+   * @description Return a JSON compatible plain object that represents the line.
+   */
+  toObject: function() {
+    var object = Path.prototype.toObject.call(this);
+    object.type = 'line';
+    return object;
+  }
 
 });
 
 Path.MakeObservable(Line.prototype);
+Types.add('line', Line);
 
 export default Line;
@@ -1,7 +1,8 @@
 import { NumArray } from '../utils/math.js';
-import defineGetterSetter from '../utils/get-set.js';
+import defineGetterSetter, { flagContent } from '../utils/get-set.js';
 import { subdivide } from '../utils/curves.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform, toPlainObject } from '../utils/from-object.js';
 
 import Collection from '../collection.js';
 import Events from '../events.js';
@@ -13,6 +14,7 @@ import Gradient from '../effects/gradient.js';
 import LinearGradient from '../effects/linear-gradient.js';
 import RadialGradient from '../effects/radial-gradient.js';
 import Texture from '../effects/texture.js';
+import Pattern from '../effects/pattern.js';
 
 var ceil = Math.ceil;
 var floor = Math.floor;
@@ -63,14 +65,14 @@ function Points(vertices) {
 
   /**
    * @name Two.Points#fill
-   * @property {(String|Two.Gradient|Two.Texture)} - The value of what the path should be filled in with.
+   * @property {(String|Two.Gradient|Two.Texture|Two.Pattern)} - The value of what the path should be filled in with.
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value} for more information on CSS's colors as `String`.
    */
   this.fill = '#fff';
 
   /**
    * @name Two.Points#stroke
-   * @property {(String|Two.Gradient|Two.Texture)} - The value of what the path should be outlined in with.
+   * @property {(String|Two.Gradient|Two.Texture|Two.Pattern)} - The value of what the path should be outlined in with.
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value} for more information on CSS's colors as `String`.
    */
   this.stroke = '#000';
@@ -125,9 +127,33 @@ _.extend(Points, {
     'sizeAttenuation',
 
     'beginning',
-    'ending'
+    'ending',
+
+    'blending',
+    'filters'
   ],
 
+  /**
+   * @name Two.Points.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Points#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Points}
+   * @description Create points from their JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var points = new Points(object.vertices.map(function(v) {
+      return new Vector(v.x, v.y);
+    }));
+
+    effects = effects || {};
+    copyProperties(points, object, Points.Properties, effects);
+
+    return copyTransform(points, object, effects);
+
+  },
+
   MakeObservable: function(object) {
 
     Shape.MakeObservable(object);
@@ -144,17 +170,20 @@ _.extend(Points, {
         if (this._fill instanceof Gradient
           || this._fill instanceof LinearGradient
           || this._fill instanceof RadialGradient
-          || this._fill instanceof Texture) {
+          || this._fill instanceof Texture
+          || this._fill instanceof Pattern) {
           this._fill.unbind(Events.Types.change, this._renderer.flagFill);
         }
 
         this._fill = f;
         this._flagFill = true;
+        flagContent(this);
 
         if (this._fill instanceof Gradient
           || this._fill instanceof LinearGradient
           || this._fill instanceof RadialGradient
-          || this._fill instanceof Texture) {
+          || this._fill instanceof Texture
+          || this._fill instanceof Pattern) {
           this._fill.bind(Events.Types.change, this._renderer.flagFill);
         }
 
@@ -171,17 +200,20 @@ _.extend(Points, {
         if (this._stroke instanceof Gradient
           || this._stroke instanceof LinearGradient
           || this._stroke instanceof RadialGradient
-          || this._stroke instanceof Texture) {
+          || this._stroke instanceof Texture
+          || this._stroke instanceof Pattern) {
           this._stroke.unbind(Events.Types.change, this._renderer.flagStroke);
         }
 
         this._stroke = f;
         this._flagStroke = true;
+        flagContent(this);
 
         if (this._stroke instanceof Gradient
           || this._stroke instanceof LinearGradient
           || this._stroke instanceof RadialGradient
-          || this._stroke instanceof Texture) {
+          || this._stroke instanceof Texture
+          || this._stroke instanceof Pattern) {
           this._stroke.bind(Events.Types.change, this._renderer.flagStroke);
         }
 
@@ -209,6 +241,7 @@ _.extend(Points, {
       set: function(v) {
         this._beginning = v;
         this._flagVertices = true;
+        flagContent(this);
       }
     });
 
@@ -220,6 +253,7 @@ _.extend(Points, {
       set: function(v) {
         this._ending = v;
         this._flagVertices = true;
+        flagContent(this);
       }
     });
 
@@ -355,13 +389,15 @@ _.extend(Points.prototype, Shape.prototype, {
   toObject: function() {
 
     var result = {
+      type: 'points',
+      id: this.id,
       vertices: this.vertices.map(function(v) {
         return v.toObject();
       })
     };
 
     _.each(Points.Properties, function(k) {
-      result[k] = this[k];
+      result[k] = toPlainObject(this[k]);
     }, this);
 
     result.className = this.className;
@@ -424,6 +460,16 @@ _.extend(Points.prototype, Shape.prototype, {
    */
   getBoundingClientRect: Path.prototype.getBoundingClientRect,
 
+  /**
+   * @name Two.Points#contains
+   * @function
+   * @param {Number} x - x coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @param {Number} y - y coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @returns {Boolean}
+   * @description Determine whether a coordinate hits any of the rendered points. Each point is tested as a circle of {@link Two.Points#size} plus half of the {@link Two.Points#linewidth} when stroked. This is calculated independent of the renderer used.
+   */
+  contains: Path.prototype.contains,
+
   /**
    * @name Two.Points#subdivide
    * @function
@@ -538,5 +584,6 @@ _.extend(Points.prototype, Shape.prototype, {
 });
 
 Points.MakeObservable(Points.prototype);
+Types.add('points', Points);
 
 export default Points;
@@ -2,6 +2,7 @@ import Commands from '../utils/path-commands.js';
 import { TWO_PI } from '../utils/math.js';
 import defineGetterSetter from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -69,6 +70,28 @@ _.extend(Polygon, {
    */
   Properties: ['width', 'height', 'sides'],
 
+  /**
+   * @name Two.Polygon.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Polygon#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Polygon}
+   * @description Create a polygon from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var polygon = new Polygon(0, 0, 0, object.sides);
+
+    effects = effects || {};
+    copyProperties(polygon, object, Polygon.Properties);
+    copyProperties(polygon, object, Path.Properties, effects);
+
+    copyTransform(polygon, object, effects);
+
+    return polygon._update();
+
+  },
+
   /**
    * @name Two.Polygon.MakeObservable
    * @function
@@ -228,6 +251,7 @@ _.extend(Polygon.prototype, Path.prototype, {
   toObject: function() {
 
     var object = Path.prototype.toObject.call(this);
+    object.type = 'polygon';
 
     _.each(Polygon.Properties, function(property) {
       object[property] = this[property];
@@ -240,5 +264,6 @@ _.extend(Polygon.prototype, Path.prototype, {
 });
 
 Polygon.MakeObservable(Polygon.prototype);
+Types.add('polygon', Polygon);
 
 export default Polygon;
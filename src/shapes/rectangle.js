@@ -2,6 +2,7 @@ import Commands from '../utils/path-commands.js';
 import Events from '../events.js';
 import defineGetterSetter from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -56,6 +57,31 @@ _.extend(Rectangle, {
    */
   Properties: ['width', 'height'],
 
+  /**
+   * @name Two.Rectangle.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Rectangle#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Rectangle}
+   * @description Create a rectangle from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var rectangle = new Rectangle(0, 0);
+
+    effects = effects || {};
+    copyProperties(rectangle, object, Rectangle.Properties);
+    if (object.origin) {
+      rectangle.origin.copy(object.origin);
+    }
+    copyProperties(rectangle, object, Path.Properties, effects);
+
+    copyTransform(rectangle, object, effects);
+
+    return rectangle._update();
+
+  },
+
   /**
    * @name Two.Rectangle.MakeObservable
    * @function
@@ -211,6 +237,7 @@ _.extend(Rectangle.prototype, Path.prototype, {
   toObject: function() {
 
     var object = Path.prototype.toObject.call(this);
+    object.type = 'rectangle';
     object.width = this.width;
     object.height = this.height;
     object.origin = this.origin.toObject();
@@ -221,5 +248,6 @@ _.extend(Rectangle.prototype, Path.prototype, {
 });
 
 Rectangle.MakeObservable(Rectangle.prototype);
+Types.add('rectangle', Rectangle);
 
 export default Rectangle;
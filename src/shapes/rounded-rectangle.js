@@ -1,7 +1,8 @@
 import Commands from '../utils/path-commands.js';
 import Events from '../events.js';
-import defineGetterSetter from '../utils/get-set.js';
+import defineGetterSetter, { flagContent } from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -81,12 +82,40 @@ _.extend(RoundedRectangle, {
    */
   Properties: ['width', 'height'],
 
+  /**
+   * @name Two.RoundedRectangle.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.RoundedRectangle#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.RoundedRectangle}
+   * @description Create a rounded rectangle from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var rectangle = new RoundedRectangle(0, 0, 0, 0, 0);
+
+    effects = effects || {};
+    copyProperties(rectangle, object, RoundedRectangle.Properties);
+    if (typeof object.radius === 'number') {
+      rectangle.radius = object.radius;
+    } else if (object.radius) {
+      rectangle.radius = new Vector(object.radius.x, object.radius.y);
+    }
+    copyProperties(rectangle, object, Path.Properties, effects);
+
+    copyTransform(rectangle, object, effects);
+
+    return rectangle._update();
+
+  },
+
   /**
    * @name Two.RoundedRectangle.FlagRadius
    * @property {Function} - A convenience function to trigger the flag for radius changing.
    */
   FlagRadius: function() {
     this._flagRadius = true;
+    flagContent(this);
   },
 
   /**
@@ -118,6 +147,7 @@ _.extend(RoundedRectangle, {
         }
 
         this._flagRadius = true;
+        flagContent(this);
 
       }
     });
@@ -333,6 +363,7 @@ _.extend(RoundedRectangle.prototype, Path.prototype, {
   toObject: function() {
 
     var object = Path.prototype.toObject.call(this);
+    object.type = 'rounded-rectangle';
 
     _.each(RoundedRectangle.Properties, function(property) {
       object[property] = this[property];
@@ -348,5 +379,6 @@ _.extend(RoundedRectangle.prototype, Path.prototype, {
 });
 
 RoundedRectangle.MakeObservable(RoundedRectangle.prototype);
+Types.add('rounded-rectangle', RoundedRectangle);
 
 export default RoundedRectangle;
@@ -2,6 +2,7 @@ import Commands from '../utils/path-commands.js';
 import { TWO_PI } from '../utils/math.js';
 import defineGetterSetter from '../utils/get-set.js';
 import _ from '../utils/underscore.js';
+import { Types, copyProperties, copyTransform } from '../utils/from-object.js';
 
 import Path from '../path.js';
 import Anchor from '../anchor.js';
@@ -76,6 +77,28 @@ _.extend(Star, {
    */
   Properties: ['innerRadius', 'outerRadius', 'sides'],
 
+  /**
+   * @name Two.Star.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Star#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Star}
+   * @description Create a star from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var star = new Star(0, 0, 0, 0, object.sides);
+
+    effects = effects || {};
+    copyProperties(star, object, Star.Properties);
+    copyProperties(star, object, Path.Properties, effects);
+
+    copyTransform(star, object, effects);
+
+    return star._update();
+
+  },
+
   /**
    * @name Two.Star.MakeObservable
    * @function
@@ -241,6 +264,7 @@ _.extend(Star.prototype, Path.prototype, {
   toObject: function() {
 
     var object = Path.prototype.toObject.call(this);
+    object.type = 'star';
 
     _.each(Star.Properties, function(property) {
       object[property] = this[property];
@@ -253,5 +277,6 @@ _.extend(Star.prototype, Path.prototype, {
 });
 
 Star.MakeObservable(Star.prototype);
+Types.add('star', Star);
 
 export default Star;
@@ -1,14 +1,18 @@
 import { getComputedMatrix } from './utils/math.js';
 import Events from './events.js';
-import defineGetterSetter from './utils/get-set.js';
+import defineGetterSetter, { flagContent } from './utils/get-set.js';
+import hitTest from './utils/hit-test.js';
 import _ from './utils/underscore.js';
+import { Types, copyProperties, copyTransform, toPlainObject } from './utils/from-object.js';
 
 import Shape from './shape.js';
+import Vector from './vector.js';
 
 import Gradient from './effects/gradient.js';
 import LinearGradient from './effects/linear-gradient.js';
 import RadialGradient from './effects/radial-gradient.js';
 import Texture from './effects/texture.js';
+import Pattern from './effects/pattern.js';
 
 var min = Math.min, max = Math.max;
 
@@ -83,9 +87,28 @@ _.extend(Text, {
   Properties: [
     'value', 'family', 'size', 'leading', 'alignment', 'linewidth', 'style',
     'weight', 'decoration', 'baseline', 'opacity', 'visible', 'className',
-    'fill', 'stroke',
+    'fill', 'stroke', 'blending', 'filters'
   ],
 
+  /**
+   * @name Two.Text.fromObject
+   * @function
+   * @param {Object} object - An object from {@link Two.Text#toObject}.
+   * @param {Object} [effects] - A map of gradients and textures already reconstructed. See {@link Two.Utils.fromObject}.
+   * @returns {Two.Text}
+   * @description Create a text object from its JSON compatible plain object representation.
+   */
+  fromObject: function(object, effects) {
+
+    var text = new Text();
+
+    effects = effects || {};
+    copyProperties(text, object, Text.Properties, effects);
+
+    return copyTransform(text, object, effects);
+
+  },
+
   /**
    * @name Two.Text.FlagFill
    * @function
@@ -93,6 +116,7 @@ _.extend(Text, {
    */
   FlagFill: function() {
     this._flagFill = true;
+    flagContent(this);
   },
 
   /**
@@ -102,6 +126,7 @@ _.extend(Text, {
    */
   FlagStroke: function() {
     this._flagStroke = true;
+    flagContent(this);
   },
 
   MakeObservable: function(object) {
@@ -120,17 +145,20 @@ _.extend(Text, {
         if (this._fill instanceof Gradient
           || this._fill instanceof LinearGradient
           || this._fill instanceof RadialGradient
-          || this._fill instanceof Texture) {
+          || this._fill instanceof Texture
+          || this._fill instanceof Pattern) {
           this._fill.unbind(Events.Types.change, this._renderer.flagFill);
         }
 
         this._fill = f;
         this._flagFill = true;
+        flagContent(this);
 
         if (this._fill instanceof Gradient
           || this._fill instanceof LinearGradient
           || this._fill instanceof RadialGradient
-          || this._fill instanceof Texture) {
+          || this._fill instanceof Texture
+          || this._fill instanceof Pattern) {
           this._fill.bind(Events.Types.change, this._renderer.flagFill);
         }
 
@@ -147,17 +175,20 @@ _.extend(Text, {
         if (this._stroke instanceof Gradient
           || this._stroke instanceof LinearGradient
           || this._stroke instanceof RadialGradient
-          || this._stroke instanceof Texture) {
+          || this._stroke instanceof Texture
+          || this._stroke instanceof Pattern) {
           this._stroke.unbind(Events.Types.change, this._renderer.flagStroke);
         }
 
         this._stroke = f;
         this._flagStroke = true;
+        flagContent(this);
 
         if (this._stroke instanceof Gradient
           || this._stroke instanceof LinearGradient
           || this._stroke instanceof RadialGradient
-          || this._stroke instanceof Texture) {
+          || this._stroke instanceof Texture
+          || this._stroke instanceof Pattern) {
           this._stroke.bind(Events.Types.change, this._renderer.flagStroke);
         }
 
@@ -175,7 +206,9 @@ _.extend(Text, {
       set: function(v) {
         this._mask = v;
         this._flagMask = true;
-        if (!v.clip) {
+        flagContent(this);
+        // A `Two.Mask` hides by its scene instead of clipping.
+        if (v && v._renderer.type !== 'mask' && !v.clip) {
           v.clip = true;
         }
       }
@@ -190,6 +223,7 @@ _.extend(Text, {
       set: function(v) {
         this._clip = v;
         this._flagClip = true;
+        flagContent(this);
       }
     });
 
@@ -394,14 +428,14 @@ _.extend(Text.prototype, Shape.prototype, {
 
   /**
    * @name Two.Text#fill
-   * @property {(String|Two.Gradient|Two.Texture)} - The value of what the text object should be filled in with.
+   * @property {(String|Two.Gradient|Two.Texture|Two.Pattern)} - The value of what the text object should be filled in with.
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value} for more information on CSS's colors as `String`.
    */
   _fill: '#000',
 
   /**
    * @name Two.Text#stroke
-   * @property {(String|Two.Gradient|Two.Texture)} - The value of what the text object should be filled in with.
+   * @property {(String|Two.Gradient|Two.Texture|Two.Pattern)} - The value of what the text object should be filled in with.
    * @see {@link https://developer.mozilla.org/en-US/docs/Web/CSS/color_value} for more information on CSS's colors as `String`.
    */
   _stroke: 'transparent',
@@ -434,7 +468,7 @@ _.extend(Text.prototype, Shape.prototype, {
 
   /**
    * @name Two.Text#mask
-   * @property {Two.Shape} - The shape whose alpha property becomes a clipping area for the text.
+   * @property {(Two.Shape|Two.Mask)} - The shape whose alpha property becomes a clipping area for the text. A {@link Two.Mask} hides the text by its luminance or alpha instead.
    * @nota-bene This property is currently not working becuase of SVG spec issues found here {@link https://code.google.com/p/chromium/issues/detail?id=370951}.
    */
   _mask: null,
@@ -509,9 +543,13 @@ _.extend(Text.prototype, Shape.prototype, {
   toObject: function() {
 
     var result = {
+      type: 'text',
+      id: this.id,
       translation: this.translation.toObject(),
       rotation: this.rotation,
-      scale: this.scale
+      scale: this.scale instanceof Vector ? this.scale.toObject() : this.scale,
+      skewX: this.skewX,
+      skewY: this.skewY
     };
 
     if (this.matrix.manual) {
@@ -519,7 +557,7 @@ _.extend(Text.prototype, Shape.prototype, {
     }
 
     _.each(Text.Properties, function(property) {
-      result[property] = this[property];
+      result[property] = toPlainObject(this[property]);
     }, this);
 
     return result;
@@ -621,6 +659,18 @@ _.extend(Text.prototype, Shape.prototype, {
 
   },
 
+  /**
+   * @name Two.Text#contains
+   * @function
+   * @param {Number} x - x coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @param {Number} y - y coordinate in world space, e.g: {@link Two#scene} coordinates.
+   * @returns {Boolean}
+   * @description Determine whether a coordinate hits the text. Like {@link Two.Text#getBoundingClientRect} the area of the text is estimated from its {@link Two.Text#size}, {@link Two.Text#leading}, and amount of characters. This is calculated independent of the renderer used.
+   */
+  contains: function(x, y) {
+    return hitTest.contains(this, x, y);
+  },
+
   /**
    * @name Two.Text#flagReset
    * @function
@@ -645,5 +695,6 @@ _.extend(Text.prototype, Shape.prototype, {
 });
 
 Text.MakeObservable(Text.prototype);
+Types.add('text', Text);
 
 export default Text;
@@ -0,0 +1,428 @@
+import Events from './events.js';
+import TwoError from './utils/error.js';
+import _ from './utils/underscore.js';
+
+import Tween, { claim } from './tween.js';
+
+/**
+ * @name Two.Timeline
+ * @class
+ * @extends Two.Events
+ * @param {Object} [options]
+ * @param {Number} [options.timeScale=1] - The speed of playback. See {@link Two.Timeline#timeScale}.
+ * @param {Number} [options.fps] - Advance by a fixed amount of time on every update. See {@link Two.Timeline#fps}.
+ * @param {Two} [options.two] - The instance whose updates advance the timeline. See {@link Two.Timeline#two}.
+ * @description A sequence of {@link Two.Tween}s and nested {@link Two.Timeline}s positioned in time, optionally by labels. A timeline can be scrubbed with {@link Two.Timeline#seek}, played in reverse, and time-scaled. Once played it advances whenever its {@link Two} instance updates, so {@link Two#play} and {@link Two#pause} start and stop it as well. Seeking is deterministic: the state of the scene only depends on the time sought to.
+ * @example
+ * var timeline = new Two.Timeline()
+ *   .to(circle, { translation: { x: 200 } }, { duration: 500 })
+ *   .addLabel('fade')
+ *   .to(circle, { opacity: 0 }, { duration: 250 }, 'fade')
+ *   .to(square, { rotation: Math.PI }, { duration: 500 }, 'fade-=100')
+ *   .play();
+ */
+function Timeline(options) {
+
+  options = options || {};
+
+  /**
+   * @name Two.Timeline#children
+   * @property {Object[]} - A list of objects with `start` and `animation` properties describing when each {@link Two.Tween} or {@link Two.Timeline} begins.
+   */
+  this.children = [];
+
+  /**
+   * @name Two.Timeline#labels
+   * @property {Object} - A map of label names to their time in milliseconds.
+   */
+  this.labels = {};
+
+  /**
+   * @name Two.Timeline#timeScale
+   * @property {Number} - The speed of playback. `2` plays twice as fast, `0.5` plays half as fast.
+   */
+  this.timeScale = typeof options.timeScale === 'number' ? options.timeScale : 1;
+
+  /**
+   * @name Two.Timeline#fps
+   * @property {Number} - When set, every update advances the timeline by exactly `1000 / fps` milliseconds instead of the instance's `timeDelta`. This makes the state of the scene on frame `n` independent of how long frames took to render.
+   */
+  this.fps = options.fps || 0;
+
+  /**
+   * @name Two.Timeline#two
+   * @property {Two} - The instance whose updates advance the timeline. If none is assigned, the timeline is advanced by the instance whose {@link Two#scene} holds the target of one of its tweens, like {@link Two.Tween#two}. Timelines of targets outside of any scene are advanced by the first instance that updates.
+   */
+  this.two = options.two || null;
+
+  /**
+   * @name Two.Timeline#elapsed
+   * @property {Number} - The current position of the playhead in milliseconds.
+   */
+  this.elapsed = 0;
+
+  /**
+   * @name Two.Timeline#frameCount
+   * @property {Number} - The amount of updates the timeline has advanced through while playing.
+   */
+  this.frameCount = 0;
+
+  /**
+   * @name Two.Timeline#reversed
+   * @property {Boolean} - Whether the playhead moves backwards.
+   */
+  this.reversed = false;
+
+  /**
+   * @name Two.Timeline#playing
+   * @property {Boolean} - Whether the timeline is advanced automatically.
+   */
+  this.playing = false;
+
+  /**
+   * @name Two.Timeline#ended
+   * @property {Boolean} - Whether the playhead has reached the end, or the beginning when reversed.
+   */
+  this.ended = false;
+
+}
+
+_.extend(Timeline, {
+
+  /**
+   * @name Two.Timeline.Instances
+   * @property {Two.Timeline[]} - A list of all timelines currently playing.
+   */
+  Instances: [],
+
+  /**
+   * @name Two.Timeline.update
+   * @function
+   * @param {Two} two - The instance that is updating.
+   * @description Advance all playing timelines that belong to an instance. Called automatically from {@link Two#update}.
+   */
+  update: function(two) {
+
+    var timelines = Timeline.Instances.slice(0);
+
+    for (var i = 0; i < timelines.length; i++) {
+
+      var timeline = timelines[i];
+
+      if (!timeline.two) {
+        timeline.two = getInstance(timeline) || two;
+      }
+
+      if (timeline.two === two) {
+        timeline.frameCount++;
+        timeline.update(timeline.fps > 0 ? 1000 / timeline.fps : two.timeDelta);
+      }
+
+    }
+
+  }
+
+});
+
+_.extend(Timeline.prototype, Events, {
+
+  constructor: Timeline,
+
+  /**
+   * @name Two.Timeline#add
+   * @function
+   * @param {(Two.Tween|Two.Timeline)} animation - The tween or timeline to sequence.
+   * @param {(Number|String)} [position] - When the animation starts. See {@link Two.Timeline#getPosition}. Defaults to the end of the timeline.
+   * @description Add a tween or a nested timeline. Added animations are paused and from then on driven by this timeline.
+   */
+  add: function(animation, position) {
+
+    var start = this.getPosition(position);
+
+    animation.pause();
+    this.children.push({ start: start, animation: animation });
+    this.children.sort(function(a, b) {
+      return a.start - b.start;
+    });
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Timeline#remove
+   * @function
+   * @param {(Two.Tween|Two.Timeline)} animation - The tween or timeline to remove.
+   * @description Remove a previously added animation.
+   */
+  remove: function(animation) {
+
+    for (var i = this.children.length - 1; i >= 0; i--) {
+      if (this.children[i].animation === animation) {
+        this.children.splice(i, 1);
+      }
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Timeline#to
+   * @function
+   * @param {Object} target - The object to animate.
+   * @param {Object} properties - The values to animate the `target` to.
+   * @param {Object} [options] - See {@link Two.Tween} for available options.
+   * @param {(Number|String)} [position] - When the tween starts. See {@link Two.Timeline#getPosition}.
+   * @description Convenience method to create a {@link Two.Tween} and add it to the timeline. This is how keyframes are described: each call animates a target to its next key values.
+   */
+  to: function(target, properties, options, position) {
+    return this.add(new Tween(target, properties, options), position);
+  },
+
+  /**
+   * @name Two.Timeline#addLabel
+   * @function
+   * @param {String} name - The name of the label.
+   * @param {(Number|String)} [position] - Where to place the label. See {@link Two.Timeline#getPosition}. Defaults to the end of the timeline.
+   * @description Name a point in time so animations can be positioned relative to it and the timeline can {@link Two.Timeline#seek} to it.
+   */
+  addLabel: function(name, position) {
+    this.labels[name] = this.getPosition(position);
+    return this;
+  },
+
+  /**
+   * @name Two.Timeline#getPosition
+   * @function
+   * @param {(Number|String)} [position] - A time in milliseconds, a label name, a relative offset from the end like `'+=100'` or `'-=100'`, or an offset from a label like `'label+=100'`.
+   * @returns {Number} - The resolved time in milliseconds.
+   * @description Resolve a position into a time on the timeline. Throws a {@link Two.Utils.Error} when a label cannot be found.
+   */
+  getPosition: function(position) {
+
+    var match, base;
+
+    if (typeof position === 'number') {
+      return position;
+    }
+
+    if (typeof position !== 'string') {
+      return this.getDuration();
+    }
+
+    if (position in this.labels) {
+      return this.labels[position];
+    }
+
+    match = position.match(/^(.*?)([+-])=(-?[\d.]+)$/);
+
+    if (!match) {
+      throw new TwoError('Two.Timeline unable to find label "' + position + '".');
+    }
+
+    if (!match[1]) {
+      base = this.getDuration();
+    } else if (match[1] in this.labels) {
+      base = this.labels[match[1]];
+    } else {
+      throw new TwoError('Two.Timeline unable to find label "' + match[1] + '".');
+    }
+
+    return Math.max(base + (match[2] === '-' ? - 1 : 1) * parseFloat(match[3]), 0);
+
+  },
+
+  /**
+   * @name Two.Timeline#getDuration
+   * @function
+   * @returns {Number} - The length of the timeline in milliseconds, not factoring in {@link Two.Timeline#timeScale}. Animations that repeat forever are not counted.
+   */
+  getDuration: function() {
+
+    var duration = 0;
+
+    for (var i = 0; i < this.children.length; i++) {
+      var child = this.children[i];
+      var length = getLength(child.animation);
+      if (isFinite(length)) {
+        duration = Math.max(duration, child.start + length);
+      }
+    }
+
+    for (var name in this.labels) {
+      duration = Math.max(duration, this.labels[name]);
+    }
+
+    return duration;
+
+  },
+
+  /**
+   * @name Two.Timeline#play
+   * @function
+   * @description Start advancing the timeline on updates. If the timeline has ended it starts over from the beginning, or the end when reversed.
+   */
+  play: function() {
+
+    if (this.ended) {
+      this.ended = false;
+      this.seek(this.reversed ? this.getDuration() : 0);
+    }
+
+    if (!this.playing) {
+      this.playing = true;
+      Timeline.Instances.push(this);
+      this.trigger(Events.Types.play);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Timeline#pause
+   * @function
+   * @description Stop advancing the timeline on updates while keeping the playhead where it is.
+   */
+  pause: function() {
+
+    var index = Timeline.Instances.indexOf(this);
+
+    if (index >= 0) {
+      Timeline.Instances.splice(index, 1);
+    }
+
+    if (this.playing) {
+      this.playing = false;
+      this.trigger(Events.Types.pause);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Timeline#reverse
+   * @function
+   * @param {Boolean} [reversed] - Whether to play backwards. Toggles the current direction if omitted.
+   * @description Change the direction of playback.
+   */
+  reverse: function(reversed) {
+    this.reversed = typeof reversed === 'boolean' ? reversed : !this.reversed;
+    this.ended = false;
+    return this;
+  },
+
+  /**
+   * @name Two.Timeline#update
+   * @function
+   * @param {Number} delta - Milliseconds to advance the playhead by. Scaled by {@link Two.Timeline#timeScale} and negated when {@link Two.Timeline#reversed}.
+   * @description Advance the timeline by an amount of time.
+   */
+  update: function(delta) {
+
+    var time = this.elapsed + (delta || 0) * this.timeScale
+      * (this.reversed ? - 1 : 1);
+    var duration = this.getDuration();
+
+    this.seek(time);
+
+    if (this.reversed ? time <= 0 : time >= duration) {
+      this.ended = true;
+      this.pause();
+      this.trigger('complete');
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Timeline#seek
+   * @function
+   * @param {(Number|String)} time - Milliseconds from the start of the timeline or a position as described in {@link Two.Timeline#getPosition}.
+   * @fires update
+   * @description Move the playhead and apply the state of every animation at that time.
+   */
+  seek: function(time) {
+
+    var i, child;
+
+    time = Math.min(Math.max(this.getPosition(time), 0), this.getDuration());
+    this.elapsed = time;
+
+    // Revert animations that haven't started yet from last to first
+    // so that the earliest one determines the starting values.
+    for (i = this.children.length - 1; i >= 0; i--) {
+      child = this.children[i];
+      if (child.start > time) {
+        seekChild(child.animation, time - child.start);
+      }
+    }
+
+    for (i = 0; i < this.children.length; i++) {
+      child = this.children[i];
+      if (child.start <= time) {
+        seekChild(child.animation, time - child.start);
+      }
+    }
+
+    this.trigger(Events.Types.update, time);
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Timeline#seekFrame
+   * @function
+   * @param {Number} frame - The frame to move the playhead to.
+   * @description Move the playhead to where it would be after `frame` updates at {@link Two.Timeline#fps}, or 60 frames per second if not set.
+   */
+  seekFrame: function(frame) {
+    this.frameCount = frame;
+    return this.seek(frame * 1000 / (this.fps || 60) * this.timeScale);
+  }
+
+});
+
+function getLength(animation) {
+  if (animation instanceof Timeline) {
+    return animation.getDuration() / animation.timeScale;
+  }
+  return animation.getDuration();
+}
+
+// The instance whose scene holds the target of one of the tweens
+// of a timeline or of its nested timelines.
+function getInstance(timeline) {
+
+  for (var i = 0; i < timeline.children.length; i++) {
+
+    var animation = timeline.children[i].animation;
+    var two = animation instanceof Timeline
+      ? getInstance(animation) : claim(animation.target, null);
+
+    if (two) {
+      return two;
+    }
+
+  }
+
+  return null;
+
+}
+
+function seekChild(animation, time) {
+  if (animation instanceof Timeline) {
+    if (time < 0 && animation.elapsed <= 0) {
+      return;
+    }
+    animation.seek(Math.max(time, 0) * animation.timeScale);
+  } else if (time >= 0 || animation._tracks) {
+    animation.seek(time);
+  }
+}
+
+export default Timeline;
@@ -0,0 +1,516 @@
+import Events from './events.js';
+import TwoError from './utils/error.js';
+import { parseColor, toColorString } from './utils/color.js';
+import { lerp } from './utils/math.js';
+import _ from './utils/underscore.js';
+
+import Vector from './vector.js';
+
+import Constants from './constants.js';
+
+/**
+ * @name Two.Tween
+ * @class
+ * @extends Two.Events
+ * @param {Object} target - The object to animate, e.g: a {@link Two.Shape}, {@link Two.Vector}, or {@link Two.Stop}.
+ * @param {Object} properties - The values to animate the `target` to. Nested objects animate nested properties, e.g: `{ translation: { x: 100 } }`.
+ * @param {Object} [options]
+ * @param {Number} [options.duration=1000] - The length of one iteration in milliseconds.
+ * @param {(Function|String)} [options.easing='linear'] - An easing function or the name of one in {@link Two.Tween.Easing}.
+ * @param {Number} [options.delay=0] - Milliseconds to wait before the tween starts.
+ * @param {Number} [options.repeat=0] - The amount of times to repeat after the first iteration. Use `Infinity` to repeat forever.
+ * @param {Boolean} [options.yoyo=false] - Set to `true` to play every other iteration backwards.
+ * @param {Two} [options.two] - The instance whose updates advance the tween. See {@link Two.Tween#two}.
+ * @description A controllable animation of numbers, {@link Two.Vector}s, and color strings on an object. Once played, the tween advances whenever its {@link Two} instance updates by the instance's `timeDelta`. Tweens can also be driven manually through {@link Two.Tween#update} and {@link Two.Tween#seek}.
+ * @example
+ * var tween = new Two.Tween(shape, { opacity: 0, translation: { x: 100 } }, {
+ *   duration: 500,
+ *   easing: 'cubicInOut'
+ * }).play();
+ */
+function Tween(target, properties, options) {
+
+  options = options || {};
+
+  /**
+   * @name Two.Tween#target
+   * @property {Object} - The object to animate.
+   */
+  this.target = target;
+
+  /**
+   * @name Two.Tween#properties
+   * @property {Object} - The values to animate the {@link Two.Tween#target} to.
+   */
+  this.properties = properties || {};
+
+  /**
+   * @name Two.Tween#duration
+   * @property {Number} - The length of one iteration in milliseconds.
+   */
+  this.duration = typeof options.duration === 'number' ? options.duration : 1000;
+
+  /**
+   * @name Two.Tween#delay
+   * @property {Number} - Milliseconds to wait before the tween starts.
+   */
+  this.delay = options.delay || 0;
+
+  /**
+   * @name Two.Tween#repeat
+   * @property {Number} - The amount of times to repeat after the first iteration.
+   */
+  this.repeat = options.repeat || 0;
+
+  /**
+   * @name Two.Tween#yoyo
+   * @property {Boolean} - Whether every other iteration plays backwards.
+   */
+  this.yoyo = !!options.yoyo;
+
+  /**
+   * @name Two.Tween#easing
+   * @property {Function} - The function that maps linear progress to eased progress.
+   */
+  this.easing = Tween.getEasing(options.easing);
+
+  /**
+   * @name Two.Tween#two
+   * @property {Two} - The instance whose updates advance the tween. If none is assigned, the tween is advanced by the instance whose {@link Two#scene} holds the target. Targets outside of any scene are advanced by the first instance that updates.
+   */
+  this.two = options.two || null;
+
+  /**
+   * @name Two.Tween#elapsed
+   * @property {Number} - Milliseconds elapsed since the tween started, including {@link Two.Tween#delay}.
+   */
+  this.elapsed = 0;
+
+  /**
+   * @name Two.Tween#playing
+   * @property {Boolean} - Whether the tween is advanced automatically.
+   */
+  this.playing = false;
+
+  /**
+   * @name Two.Tween#ended
+   * @property {Boolean} - Whether the tween has reached the end of its last iteration.
+   */
+  this.ended = false;
+
+  this._tracks = null;
+  this._iteration = 0;
+
+}
+
+_.extend(Tween, {
+
+  /**
+   * @name Two.Tween.Instances
+   * @property {Two.Tween[]} - A list of all tweens currently playing.
+   */
+  Instances: [],
+
+  /**
+   * @name Two.Tween.Easing
+   * @property {Object} - A map of easing functions. Each one takes a zero-to-one value and returns an eased value.
+   * @see {@link https://easings.net/}
+   */
+  Easing: {
+    linear: function(t) {
+      return t;
+    },
+    quadIn: function(t) {
+      return t * t;
+    },
+    quadOut: function(t) {
+      return t * (2 - t);
+    },
+    quadInOut: function(t) {
+      return t < 0.5 ? 2 * t * t : - 1 + (4 - 2 * t) * t;
+    },
+    cubicIn: function(t) {
+      return t * t * t;
+    },
+    cubicOut: function(t) {
+      return --t * t * t + 1;
+    },
+    cubicInOut: function(t) {
+      return t < 0.5 ? 4 * t * t * t
+        : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+    },
+    quartIn: function(t) {
+      return t * t * t * t;
+    },
+    quartOut: function(t) {
+      return 1 - (--t) * t * t * t;
+    },
+    quartInOut: function(t) {
+      return t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t;
+    },
+    sineIn: function(t) {
+      return 1 - Math.cos(t * Math.PI / 2);
+    },
+    sineOut: function(t) {
+      return Math.sin(t * Math.PI / 2);
+    },
+    sineInOut: function(t) {
+      return - (Math.cos(Math.PI * t) - 1) / 2;
+    },
+    expoIn: function(t) {
+      return t === 0 ? 0 : Math.pow(2, 10 * t - 10);
+    },
+    expoOut: function(t) {
+      return t === 1 ? 1 : 1 - Math.pow(2, - 10 * t);
+    },
+    expoInOut: function(t) {
+      if (t === 0 || t === 1) {
+        return t;
+      }
+      return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2
+        : (2 - Math.pow(2, - 20 * t + 10)) / 2;
+    },
+    backIn: function(t) {
+      var s = 1.70158;
+      return t * t * ((s + 1) * t - s);
+    },
+    backOut: function(t) {
+      var s = 1.70158;
+      return --t * t * ((s + 1) * t + s) + 1;
+    },
+    backInOut: function(t) {
+      var s = 1.70158 * 1.525;
+      if ((t *= 2) < 1) {
+        return 0.5 * (t * t * ((s + 1) * t - s));
+      }
+      return 0.5 * ((t -= 2) * t * ((s + 1) * t + s) + 2);
+    },
+    elasticIn: function(t) {
+      if (t === 0 || t === 1) {
+        return t;
+      }
+      return - Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI / 3));
+    },
+    elasticOut: function(t) {
+      if (t === 0 || t === 1) {
+        return t;
+      }
+      return Math.pow(2, - 10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI / 3)) + 1;
+    },
+    bounceIn: function(t) {
+      return 1 - Tween.Easing.bounceOut(1 - t);
+    },
+    bounceOut: function(t) {
+      if (t < 1 / 2.75) {
+        return 7.5625 * t * t;
+      } else if (t < 2 / 2.75) {
+        return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+      } else if (t < 2.5 / 2.75) {
+        return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+      }
+      return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    }
+  },
+
+  /**
+   * @name Two.Tween.getEasing
+   * @function
+   * @param {(Function|String)} [easing='linear'] - An easing function or the name of one in {@link Two.Tween.Easing}.
+   * @returns {Function}
+   * @description Resolve an easing function. Throws a {@link Two.Utils.Error} if the name is not found.
+   */
+  getEasing: function(easing) {
+    if (typeof easing === 'function') {
+      return easing;
+    }
+    if (typeof easing === 'undefined' || easing === null) {
+      return Tween.Easing.linear;
+    }
+    if (!(easing in Tween.Easing)) {
+      throw new TwoError('Two.Tween unable to find easing "' + easing + '".');
+    }
+    return Tween.Easing[easing];
+  },
+
+  /**
+   * @name Two.Tween.update
+   * @function
+   * @param {Two} two - The instance that is updating.
+   * @description Advance all playing tweens that belong to an instance by its `timeDelta`. Called automatically from {@link Two#update}.
+   */
+  update: function(two) {
+
+    var tweens = Tween.Instances.slice(0);
+    var delta = two.timeDelta || 0;
+
+    for (var i = 0; i < tweens.length; i++) {
+
+      var tween = tweens[i];
+
+      if (!tween.two) {
+        tween.two = claim(tween.target, two);
+      }
+
+      if (tween.two === two) {
+        tween.update(delta);
+      }
+
+    }
+
+  }
+
+});
+
+_.extend(Tween.prototype, Events, {
+
+  constructor: Tween,
+
+  /**
+   * @name Two.Tween#play
+   * @function
+   * @description Start advancing the tween on updates. If the tween has ended it starts over.
+   */
+  play: function() {
+
+    if (this.ended) {
+      this.elapsed = 0;
+      this.ended = false;
+      this._iteration = 0;
+    }
+
+    if (!this.playing) {
+      this.playing = true;
+      Tween.Instances.push(this);
+      this.trigger(Events.Types.play);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Tween#pause
+   * @function
+   * @description Stop advancing the tween on updates while keeping its current state.
+   */
+  pause: function() {
+
+    var index = Tween.Instances.indexOf(this);
+
+    if (index >= 0) {
+      Tween.Instances.splice(index, 1);
+    }
+
+    if (this.playing) {
+      this.playing = false;
+      this.trigger(Events.Types.pause);
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Tween#stop
+   * @function
+   * @description Pause the tween and rewind it to the beginning without changing the target.
+   */
+  stop: function() {
+    this.pause();
+    this.elapsed = 0;
+    this.ended = false;
+    this._iteration = 0;
+    this._tracks = null;
+    return this;
+  },
+
+  /**
+   * @name Two.Tween#getDuration
+   * @function
+   * @returns {Number} - The total length of the tween in milliseconds including {@link Two.Tween#delay} and all repetitions. Returns `Infinity` when repeating forever.
+   */
+  getDuration: function() {
+    return this.delay + this.duration * (this.repeat + 1);
+  },
+
+  /**
+   * @name Two.Tween#update
+   * @function
+   * @param {Number} delta - Milliseconds to advance the tween by.
+   * @description Advance the tween by an amount of time.
+   */
+  update: function(delta) {
+    return this.seek(this.elapsed + (delta || 0));
+  },
+
+  /**
+   * @name Two.Tween#seek
+   * @function
+   * @param {Number} time - Milliseconds since the start of the tween, including {@link Two.Tween#delay}.
+   * @fires update
+   * @fires repeat
+   * @fires complete
+   * @description Apply the state of the tween at a specific time. Starting values are captured from the target the first time the tween applies a value. The results are deterministic for any `time`.
+   */
+  seek: function(time) {
+
+    var iterations = this.repeat + 1;
+    var local = time - this.delay;
+    var iteration, progress, ended;
+
+    this.elapsed = Math.max(time, 0);
+
+    if (local < 0) {
+      if (!this._tracks) {
+        return this;
+      }
+      iteration = 0;
+      progress = 0;
+    } else if (this.duration <= 0) {
+      iteration = iterations - 1;
+      progress = 1;
+    } else {
+      iteration = Math.floor(local / this.duration);
+      progress = (local - iteration * this.duration) / this.duration;
+    }
+
+    ended = iteration >= iterations || (this.duration <= 0 && local >= 0);
+
+    if (iteration >= iterations) {
+      iteration = iterations - 1;
+      progress = 1;
+    }
+
+    if (this.yoyo && iteration % 2 === 1) {
+      progress = 1 - progress;
+    }
+
+    if (!this._tracks) {
+      this._tracks = getTracks(this.target, this.properties, []);
+    }
+
+    this.apply(this.easing(progress));
+
+    if (iteration !== this._iteration) {
+      this._iteration = iteration;
+      this.trigger('repeat', iteration);
+    }
+
+    this.trigger(Events.Types.update, progress);
+
+    if (ended && !this.ended) {
+      this.ended = true;
+      this.pause();
+      this.trigger('complete');
+    } else if (!ended) {
+      this.ended = false;
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two.Tween#apply
+   * @function
+   * @private
+   * @param {Number} t - The eased progress to apply.
+   * @description Interpolate all animated properties of the target.
+   */
+  apply: function(t) {
+
+    for (var i = 0; i < this._tracks.length; i++) {
+
+      var track = this._tracks[i];
+      var value;
+
+      switch (track.type) {
+        case 'number':
+          value = lerp(track.from, track.to, t);
+          break;
+        case 'color':
+          value = toColorString({
+            r: lerp(track.from.r, track.to.r, t),
+            g: lerp(track.from.g, track.to.g, t),
+            b: lerp(track.from.b, track.to.b, t),
+            a: lerp(track.from.a, track.to.a, t)
+          });
+          break;
+        default:
+          value = t >= 1 ? track.to : track.from;
+      }
+
+      track.object[track.key] = value;
+
+    }
+
+    return this;
+
+  }
+
+});
+
+/**
+ * @private
+ * @param {Object} object - The object to read starting values from.
+ * @param {Object} properties - The values to animate to.
+ * @param {Object[]} tracks - The list to add tracks to.
+ * @returns {Object[]} A flat list of every property to interpolate.
+ */
+function getTracks(object, properties, tracks) {
+
+  _.each(properties, function(to, key) {
+
+    var from = object[key];
+    var a, b;
+
+    if (to instanceof Vector) {
+      to = { x: to.x, y: to.y };
+    }
+
+    if (typeof to === 'number' && from instanceof Vector) {
+      to = { x: to, y: to };
+    }
+
+    if (typeof to === 'number' && typeof from === 'number') {
+      tracks.push({ object: object, key: key, type: 'number', from: from, to: to });
+    } else if (typeof to === 'string' && (b = parseColor(to))
+      && (typeof from === 'string' || typeof from === 'undefined')) {
+      a = parseColor(from) || { r: b.r, g: b.g, b: b.b, a: 0 };
+      tracks.push({ object: object, key: key, type: 'color', from: a, to: b });
+    } else if (_.isObject(to) && _.isObject(from)) {
+      getTracks(from, to, tracks);
+    } else {
+      tracks.push({ object: object, key: key, type: 'discrete', from: from, to: to });
+    }
+
+  });
+
+  return tracks;
+
+}
+
+/**
+ * @private
+ * @param {Object} target - The object a tween animates.
+ * @param {Two} two - The instance that is updating.
+ * @returns {Two|null} The instance that should advance a tween of `target`.
+ */
+function claim(target, two) {
+
+  // Scenes are parented to their renderers,
+  // so every ancestor is compared along the way.
+  for (var parent = target; parent; parent = parent.parent) {
+    for (var i = 0; i < Constants.Instances.length; i++) {
+      if (Constants.Instances[i].scene === parent) {
+        return Constants.Instances[i];
+      }
+    }
+  }
+
+  return two;
+
+}
+
+export default Tween;
+export { claim };
@@ -1,15 +1,20 @@
 // Utils
 
 import CanvasShim from './utils/canvas-shim.js';
+import * as Color from './utils/color.js';
+import * as CSS from './utils/css.js';
 import * as Curves from './utils/curves.js';
 import dom from './utils/dom.js';
 import TwoError from './utils/error.js';
+import { fromObject } from './utils/from-object.js';
 import getRatio from './utils/get-ratio.js';
 import defineGetterSetter from './utils/get-set.js';
 import interpretSVG from './utils/interpret-svg.js';
 import * as math from './utils/math.js';
 import Commands from './utils/path-commands.js';
+import root from './utils/root.js';
 import _ from './utils/underscore.js';
+import { getTransfer, transferToWorker } from './utils/worker.js';
 import xhr from './utils/xhr.js';
 
 // Core Classes
@@ -20,21 +25,32 @@ import Events from './events.js';
 import Group from './group.js';
 import Matrix from './matrix.js';
 import Path from './path.js';
+import Pointer from './pointer.js';
 import Registry from './registry.js';
 import Shape from './shape.js';
 import Text from './text.js';
+import Timeline from './timeline.js';
+import Tween from './tween.js';
 import Vector from './vector.js';
 
 // Effects
 
 import Stop from './effects/stop.js';
+import Filter from './effects/filter.js';
 import Gradient from './effects/gradient.js';
 import ImageSequence from './effects/image-sequence.js';
 import LinearGradient from './effects/linear-gradient.js';
+import Marker from './effects/marker.js';
+import Mask from './effects/mask.js';
+import Pattern from './effects/pattern.js';
 import RadialGradient from './effects/radial-gradient.js';
 import Sprite from './effects/sprite.js';
 import Texture from './effects/texture.js';
 
+import Blur from './effects/filters/blur.js';
+import ColorMatrix from './effects/filters/color-matrix.js';
+import DropShadow from './effects/filters/drop-shadow.js';
+
 // Secondary Classes
 
 import ArcSegment from './shapes/arc-segment.js';
@@ -50,7 +66,9 @@ import Star from './shapes/star.js';
 // Renderers
 
 import CanvasRenderer from './renderers/canvas.js';
+import PDFRenderer from './renderers/pdf.js';
 import SVGRenderer from './renderers/svg.js';
+import SVGStringRenderer from './renderers/svg-string.js';
 import WebGLRenderer from './renderers/webgl.js';
 
 import Constants from './constants.js';
@@ -64,16 +82,24 @@ import Constants from './constants.js';
  * @param {Boolean} [options.fitted=false] = Set to `true` to automatically make the stage adapt to the width and height of the parent element. This parameter overrides `width` and `height` parameters if set to `true`.
  * @param {Number} [options.width=640] - The width of the stage on construction. This can be set at a later time.
  * @param {Number} [options.height=480] - The height of the stage on construction. This can be set at a later time.
- * @param {String} [options.type=Two.Types.svg] - The type of renderer to setup drawing with. See {@link Two.Types} for available options.
+ * @param {String} [options.type=Two.Types.svg] - The type of renderer to setup drawing with. See {@link Two.Types} for available options. Either the value or the key of an option, e.g: `'svgstring'`.
  * @param {Boolean} [options.autostart=false] - Set to `true` to add the instance to draw on `requestAnimationFrame`. This is a convenient substitute for {@link Two#play}.
- * @param {Element} [options.domElement] - The canvas or SVG element to draw into. This overrides the `options.type` argument.
+ * @param {Element} [options.domElement] - The canvas or SVG element to draw into. This overrides the `options.type` argument. In Web Workers this can be an `OffscreenCanvas`, see {@link Two.transferToWorker}.
  * @description The entrypoint for Two.js. Instantiate a `new Two` in order to setup a scene to render to. `Two` is also the publicly accessible namespace that all other sub-classes, functions, and utilities attach to.
  */
 function Two(options) {
 
   // Determine what Renderer to use and setup a scene.
 
-  var params = _.defaults(options || {}, {
+  // Canvases transferred to a Web Worker start out
+  // at the size of their element on the page.
+  var transfer = getTransfer(options && options.domElement);
+
+  var params = _.defaults(options || {}, transfer ? {
+    width: transfer.width,
+    height: transfer.height,
+    ratio: transfer.ratio
+  } : {}, {
     fullscreen: false,
     fitted: false,
     width: 640,
@@ -89,6 +115,11 @@ function Two(options) {
     this[k] = v;
   }, this);
 
+  // Types can also be named by their key, e.g: `'svgstring'`.
+  if (this.type in Two.Types) {
+    this.type = Two.Types[this.type];
+  }
+
   // Specified domElement overrides type declaration only if the element does not support declared renderer type.
   if (_.isElement(params.domElement)) {
     var tagName = params.domElement.tagName.toLowerCase();
@@ -107,7 +138,9 @@ function Two(options) {
    * @function
    * @description If `options.fullscreen` or `options.fitted` in construction create this function. It sets the `width` and `height` of the instance to its respective parent `window` or `element` depending on the `options` passed.
    */
-  if (params.fullscreen) {
+  // Without a `document`, e.g: in Web Workers, the size is up to the
+  // `width` and `height` or the events from `Two.transferToWorker`.
+  if (params.fullscreen && root.document) {
 
     this.fit = fitToWindow.bind(this);
     this.fit.domElement = window;
@@ -133,7 +166,7 @@ function Two(options) {
     dom.bind(this.fit.domElement, 'resize', this.fit);
     this.fit();
 
-  } else if (params.fitted) {
+  } else if (params.fitted && root.document) {
 
     this.fit = fitToParent.bind(this);
     _.extend(this.renderer.domElement.style, {
@@ -150,6 +183,7 @@ function Two(options) {
 
   this.renderer.bind(Events.Types.resize, updateDimensions.bind(this));
   this.scene = this.renderer.scene;
+  this.pointer = new Pointer(this);
 
   Two.Instances.push(this);
   if (params.autostart) {
@@ -172,7 +206,7 @@ _.extend(Two.prototype, Events, {
 
   /**
    * @name Two#renderer
-   * @property {(Two.SVGRenderer|Two.CanvasRenderer|Two.WebGLRenderer)} - The instantiated rendering class for the instance. For a list of possible rendering types check out Two.Types.
+   * @property {(Two.SVGRenderer|Two.CanvasRenderer|Two.WebGLRenderer|Two.SVGStringRenderer)} - The instantiated rendering class for the instance. For a list of possible rendering types check out Two.Types.
    */
   renderer: null,
 
@@ -182,6 +216,12 @@ _.extend(Two.prototype, Events, {
    */
   scene: null,
 
+  /**
+   * @name Two#pointer
+   * @property {Two.Pointer} - Dispatches pointer events from the renderer's `domElement` to the shapes in {@link Two#scene}. Shapes can then listen to them, e.g: `shape.on('pointerdown', handler)`. Available events are `pointerdown`, `pointermove`, `pointerup`, `pointerenter`, `pointerleave`, `click`, and `wheel`.
+   */
+  pointer: null,
+
   /**
    * @name Two#width
    * @property {Number} - The width of the instance's dom element.
@@ -271,7 +311,7 @@ _.extend(Two.prototype, Events, {
    * @function
    * @param {Object} obj
    * @returns {Object} The object passed for event deallocation.
-   * @description Release an arbitrary class' events from the Two.js corpus and recurse through its children and or vertices.
+   * @description Release an arbitrary class' events from the Two.js corpus and recurse through its children and or vertices. Releasing {@link Two#scene} also stops {@link Two#pointer} from listening to the renderer's `domElement`.
    */
   release: function(obj) {
 
@@ -281,6 +321,11 @@ _.extend(Two.prototype, Events, {
       return this.release(this.scene);
     }
 
+    if (obj === this.scene && this.pointer) {
+      this.pointer.unbind();
+      this.pointer.hovered = [];
+    }
+
     if (typeof obj.unbind === 'function') {
       obj.unbind();
     }
@@ -323,7 +368,7 @@ _.extend(Two.prototype, Events, {
    * @name Two#update
    * @function
    * @fires Two.Events.Types.update event
-   * @description Update positions and calculations in one pass before rendering. Then render to the canvas.
+   * @description Update positions and calculations in one pass before rendering. This advances all playing {@link Two.Tween}s and {@link Two.Timeline}s of the instance. Then render to the canvas.
    * @nota-bene This function is called automatically if using {@link Two#play} or the `autostart` parameter in construction.
    */
   update: function() {
@@ -351,6 +396,9 @@ _.extend(Two.prototype, Events, {
       renderer.setSize(width, height, this.ratio);
     }
 
+    Tween.update(this);
+    Timeline.update(this);
+
     this.trigger(Events.Types.update, this.frameCount, this.timeDelta);
 
     return this.render();
@@ -370,6 +418,111 @@ _.extend(Two.prototype, Events, {
 
   },
 
+  /**
+   * @name Two#toSVGString
+   * @function
+   * @returns {String} - A standalone SVG document the size of the instance.
+   * @description Serialize the whole scene to SVG markup with {@link Two.SVGRenderer.serialize}. Works with every renderer and without a `document`, e.g: to export canvas rendered scenes on the server.
+   */
+  toSVGString: function() {
+    return SVGRenderer.serialize(this.scene, {
+      width: this.width,
+      height: this.height
+    });
+  },
+
+  /**
+   * @name Two#toPDF
+   * @function
+   * @returns {String} - A one page PDF document the size of the instance.
+   * @description Write the whole scene as vector graphics to a PDF document with {@link Two.PDFRenderer.serialize}, e.g: for printing. Works with every renderer and without a `document`. The result is ASCII, so it can be saved or wrapped in a `Blob` as is.
+   */
+  toPDF: function() {
+    return PDFRenderer.serialize(this.scene, {
+      width: this.width,
+      height: this.height
+    });
+  },
+
+  /**
+   * @name Two#toObject
+   * @function
+   * @returns {Object} - A JSON compatible scene document.
+   * @description Return the whole scene as a versioned document that can be stored or sent elsewhere and read back with {@link Two.fromObject} or {@link Two.Group#load}. The document's `version` is {@link Two.SceneVersion}.
+   */
+  toObject: function() {
+    return {
+      version: Constants.SceneVersion,
+      width: this.width,
+      height: this.height,
+      scene: this.scene.toObject()
+    };
+  },
+
+  /**
+   * @name Two#export
+   * @function
+   * @param {Object} [options]
+   * @param {String} [options.type='png'] - The image format to encode. Can be `'png'`, `'jpeg'`, or `'webp'`.
+   * @param {Number} [options.quality] - Zero-to-one value describing the quality of `'jpeg'` and `'webp'` images.
+   * @param {Number} [options.scale=1] - How many pixels to draw for every unit of the scene. Independent of the instance's `ratio`.
+   * @param {Object} [options.region] - The area of the scene to draw described by `left`, `top`, `width`, and `height` properties, e.g: the result of {@link Two.Group#getBoundingClientRect}. Defaults to the instance's dimensions.
+   * @param {String} [options.background] - A CSS color to fill the image with before drawing. Defaults to transparent.
+   * @returns {String} - The image encoded as a data URL.
+   * @description Rasterize the scene into an image of any resolution. The scene is drawn to an offscreen {@link Two.CanvasRenderer}, so this works the same for every renderer. In headless environments the canvas is created from the class of the canvas passed to {@link Two.Utils.shim}.
+   */
+  export: function(options) {
+    var params = getExportParameters(options);
+    return rasterize.call(this, params).domElement
+      .toDataURL(params.type, params.quality);
+  },
+
+  /**
+   * @name Two#toBlob
+   * @function
+   * @param {Object} [options] - See {@link Two#export} for available options.
+   * @param {Function} callback - Called with the encoded image as a `Blob`. In headless environments, where canvases don't have a `toBlob` method, a `Buffer` is passed instead.
+   * @description Rasterize the scene like {@link Two#export} and encode it as binary data.
+   * @nota-bene The callback can also be passed first, like `HTMLCanvasElement.toBlob`, e.g: `two.toBlob(callback)` or `two.toBlob(callback, options)`.
+   */
+  toBlob: function(options, callback) {
+
+    if (typeof options === 'function') {
+      var tmp = callback;
+      callback = options;
+      options = tmp;
+    }
+
+    var params = getExportParameters(options);
+    var canvas = rasterize.call(this, params).domElement;
+
+    if (typeof canvas.toBlob === 'function') {
+      canvas.toBlob(callback, params.type, params.quality);
+    } else if (typeof canvas.convertToBlob === 'function') {
+      // `OffscreenCanvas`es in Web Workers
+      canvas.convertToBlob({ type: params.type, quality: params.quality })
+        .then(callback);
+    } else {
+      callback(canvas.toBuffer(params.type));
+    }
+
+    return this;
+
+  },
+
+  /**
+   * @name Two#toImageData
+   * @function
+   * @param {Object} [options] - See {@link Two#export} for available options. `type` and `quality` are ignored.
+   * @returns {ImageData} - The pixels of the rasterized scene.
+   * @description Rasterize the scene like {@link Two#export} and return its pixels.
+   */
+  toImageData: function(options) {
+    var renderer = rasterize.call(this, getExportParameters(options));
+    var canvas = renderer.domElement;
+    return renderer.ctx.getImageData(0, 0, canvas.width, canvas.height);
+  },
+
   // Convenience Methods
 
   /**
@@ -449,6 +602,7 @@ _.extend(Two.prototype, Events, {
    * @param {Number} y2
    * @returns {Two.Path}
    * @description Creates a Two.js arrow and adds it to the scene.
+   * @nota-bene The head is a fixed pair of lines. For arrowheads that follow curved paths, assign a {@link Two.Marker} to {@link Two.Path#markers} instead.
    */
   makeArrow: function(x1, y1, x2, y2, size) {
 
@@ -985,6 +1139,68 @@ function updateDimensions(width, height) {
   this.trigger(Events.Types.resize, width, height);
 }
 
+var exportTypes = /^(png|jpeg|webp)$/;
+
+function getExportParameters(options) {
+
+  var params = _.defaults(_.extend({}, options), {
+    type: 'png',
+    scale: 1
+  });
+
+  if (!exportTypes.test(params.type)) {
+    throw new TwoError('unable to export images of type ' + params.type + '.');
+  }
+
+  params.type = 'image/' + params.type;
+
+  return params;
+
+}
+
+/**
+ * @private
+ * @param {Object} params - The options passed to {@link Two#export} with their defaults applied.
+ * @returns {Two.CanvasRenderer} An offscreen renderer with the scene drawn on its canvas.
+ */
+function rasterize(params) {
+
+  var region = params.region || {
+    left: 0,
+    top: 0,
+    width: this.width,
+    height: this.height
+  };
+
+  // Apply pending changes through the instance's own renderer first.
+  // Otherwise they'd be flagged as rendered by the offscreen renderer
+  // and never reach the screen.
+  this.renderer.render();
+
+  var renderer = new CanvasRenderer({
+    domElement: CanvasShim.isHeadless
+      ? new CanvasShim.Canvas(1, 1) : dom.createCanvas()
+  });
+  var ctx = renderer.ctx;
+
+  renderer.setSize(region.width, region.height, params.scale);
+
+  ctx.save();
+  ctx.scale(params.scale, params.scale);
+
+  if (params.background) {
+    ctx.fillStyle = params.background;
+    ctx.fillRect(0, 0, region.width, region.height);
+  }
+
+  ctx.translate(- region.left, - region.top);
+  CanvasRenderer.Utils.group.render.call(this.scene, ctx);
+  ctx.restore();
+
+  return renderer;
+
+}
+
 // Request Animation Frame
 
 var raf = dom.getRequestAnimationFrame();
@@ -1014,19 +1230,36 @@ _.extend(Two, {
   Group: Group,
   Matrix: Matrix,
   Path: Path,
+  Pointer: Pointer,
   Registry: Registry,
   Shape: Shape,
   Text: Text,
+  Timeline: Timeline,
+  Tween: Tween,
   Vector: Vector,
 
+  Filter: Filter,
   Gradient: Gradient,
   ImageSequence: ImageSequence,
   LinearGradient: LinearGradient,
+  Marker: Marker,
+  Mask: Mask,
+  Pattern: Pattern,
   RadialGradient: RadialGradient,
   Sprite: Sprite,
   Stop: Stop,
   Texture: Texture,
 
+  /**
+   * @name Two.Filters
+   * @property {Object} - The {@link Two.Filter}s that can be applied to shapes through {@link Two.Shape#filters}.
+   */
+  Filters: {
+    Blur: Blur,
+    ColorMatrix: ColorMatrix,
+    DropShadow: DropShadow
+  },
+
   ArcSegment: ArcSegment,
   Circle: Circle,
   Ellipse: Ellipse,
@@ -1038,11 +1271,24 @@ _.extend(Two, {
   Star: Star,
 
   CanvasRenderer: CanvasRenderer,
+  PDFRenderer: PDFRenderer,
   SVGRenderer: SVGRenderer,
+  SVGStringRenderer: SVGStringRenderer,
   WebGLRenderer: WebGLRenderer,
 
   Commands: Commands,
 
+  /**
+   * @name Two.fromObject
+   * @function
+   * @param {Object|String} json - A scene document from {@link Two#toObject}, an object from any Two.js `toObject` method, or the JSON text of either.
+   * @returns {Object} The reconstructed Two.js object. Scene documents return their {@link Two.Group}.
+   * @description Reconstruct Two.js objects from their JSON compatible representation. Gradients and textures shared by several shapes are shared again once reconstructed.
+   */
+  fromObject: fromObject,
+
+  transferToWorker: transferToWorker,
+
   /**
    * @name Two.Utils
    * @property {Object} - A massive object filled with utility functions and properties.
@@ -1055,7 +1301,7 @@ _.extend(Two, {
     read: interpretSVG,
     xhr: xhr
 
-  }, _, CanvasShim, Curves, math)
+  }, _, CanvasShim, Color, CSS, Curves, math)
 
 });
 
@@ -0,0 +1,462 @@
+import {
+  Curve,
+  getComponentOnCubicBezier,
+  getCubicSubpaths,
+  getCurveIntersections,
+  getCurveTangent,
+  getLineSegment,
+  getNearestPointOnCurve,
+  getPointOnCurve,
+  getSubpathArea,
+  reverseSegments,
+  splitCurve
+} from './curves.js';
+import { isPointInFill } from './hit-test.js';
+import { distance, getComputedMatrix } from './math.js';
+import TwoError from './error.js';
+
+/**
+ * @name Two.Utils.BooleanOperations
+ * @private
+ * @property {Object} - Which pieces of two paths to keep for each boolean operation. Pieces of the first path, `a`, and second path, `b`, are described by whether they are `inside` or `outside` of the other path. Pieces that overlap the other path's outline are described by whether both outlines travel in the `same` or `opposite` direction. `1` keeps a piece, `-1` keeps it reversed, and anything else discards it.
+ */
+var Operations = {
+  union: {
+    a: { outside: 1, same: 1 },
+    b: { outside: 1 }
+  },
+  intersect: {
+    a: { inside: 1, same: 1 },
+    b: { inside: 1 }
+  },
+  subtract: {
+    a: { outside: 1, opposite: 1 },
+    b: { inside: - 1 }
+  },
+  exclude: {
+    a: { outside: 1, inside: - 1 },
+    b: { outside: 1, inside: - 1 }
+  }
+};
+
+/**
+ * @name Two.Utils.getBooleanSubpaths
+ * @function
+ * @private
+ * @param {Two.Path} a - The first path.
+ * @param {Two.Path} b - The second path.
+ * @param {String} operation - Either `'union'`, `'intersect'`, `'subtract'`, or `'exclude'`.
+ * @returns {Object[]} A list of closed sub-paths as described in {@link Two.Utils.getCubicSubpaths}, in the local space of `a`.
+ * @description Combine the filled areas of two paths. Both paths are converted to cubic béziers and `b` is transformed into the space of `a` through their world matrices. The segments are split wherever the paths cross or touch, the pieces are kept or discarded depending on whether they are inside the other path and the remaining pieces are joined back together into closed sub-paths. Sub-paths that describe holes wind in the opposite direction of the ones around them, so that they render as holes with the nonzero fill rule.
+ */
+function getBooleanSubpaths(a, b, operation) {
+
+  var rules = Operations[operation];
+
+  if (!rules) {
+    throw new TwoError('Two.Path unable to apply boolean operation "' + operation + '".');
+  }
+
+  var ma = getWorldMatrix(a);
+  var mb = getWorldMatrix(b);
+  var inverse = ma.inverse();
+
+  // A path scaled to nothing has no area to combine.
+  if (!inverse) {
+    return [];
+  }
+
+  var e = mb.elements;
+  inverse.multiply(e[0], e[1], e[2], e[3], e[4], e[5], e[6], e[7], e[8]);
+
+  var sa = getSubpaths(a.vertices, a._closed, null);
+  var sb = getSubpaths(b.vertices, b._closed, inverse.elements);
+  var tolerance = getTolerance(sa.concat(sb));
+
+  var pieces = split(sa, sb, tolerance);
+  var kept = select(pieces[0], pieces[1], sb, rules.a, tolerance)
+    .concat(select(pieces[1], pieces[0], sa, rules.b, tolerance));
+
+  return join(kept, tolerance * 10);
+
+}
+
+/**
+ * @private
+ * @param {Two.Path} path
+ * @returns {Two.Matrix} The up to date world matrix of a path.
+ */
+function getWorldMatrix(path) {
+  path._update();
+  if (path.parent) {
+    path.parent._update(true);
+  }
+  return getComputedMatrix(path);
+}
+
+/**
+ * @private
+ * @param {Two.Anchor[]} vertices
+ * @param {Boolean} closed
+ * @param {Number[]} [elements] - The elements of a matrix to transform the sub-paths with.
+ * @returns {Number[][][]} Closed sub-paths without zero length segments, oriented with {@link Two.Utils.orientSubpaths}.
+ */
+function getSubpaths(vertices, closed, elements) {
+
+  var subpaths = getCubicSubpaths(vertices, closed);
+  var i, j, k, segments, segment;
+
+  for (i = 0; i < subpaths.length; i++) {
+
+    segments = subpaths[i].segments;
+
+    if (elements) {
+      for (j = 0; j < segments.length; j++) {
+        segment = segments[j];
+        for (k = 0; k < 8; k += 2) {
+          var x = segment[k];
+          var y = segment[k + 1];
+          segment[k] = elements[0] * x + elements[1] * y + elements[2];
+          segment[k + 1] = elements[3] * x + elements[4] * y + elements[5];
+        }
+      }
+    }
+
+    var first = segments[0];
+    var last = segments[segments.length - 1];
+
+    // Boolean operations treat every sub-path as filled, i.e: closed.
+    if (last[6] !== first[0] || last[7] !== first[1]) {
+      segments.push(getLineSegment(last[6], last[7], first[0], first[1]));
+    }
+
+    subpaths[i] = segments.filter(function(s) {
+      return s[0] !== s[6] || s[1] !== s[7] || s[0] !== s[2] || s[1] !== s[3]
+        || s[0] !== s[4] || s[1] !== s[5];
+    });
+
+  }
+
+  subpaths = subpaths.filter(function(segments) {
+    return segments.length > 0;
+  });
+
+  return orientSubpaths(subpaths.map(function(segments) {
+    return { segments: segments, closed: true };
+  })).map(function(subpath) {
+    return subpath.segments;
+  });
+
+}
+
+/**
+ * @name Two.Utils.orientSubpaths
+ * @function
+ * @private
+ * @param {Object[]} subpaths - A list of sub-paths as described in {@link Two.Utils.getCubicSubpaths}.
+ * @returns {Object[]} A new list of sub-paths where closed sub-paths wind clockwise around filled areas and counter-clockwise around holes. Open sub-paths are left as is.
+ * @description Sub-paths nested inside an odd amount of other closed sub-paths are considered holes, like SVG's `evenodd` fill rule. This way paths render the same with the `nonzero` fill rule no matter which direction they were drawn in.
+ */
+function orientSubpaths(subpaths) {
+
+  var polygons = subpaths.map(function(subpath) {
+    return subpath.closed ? getPolygon([subpath.segments])[0] : null;
+  });
+
+  return subpaths.map(function(subpath, i) {
+
+    var segments = subpath.segments;
+
+    if (!subpath.closed) {
+      return subpath;
+    }
+
+    var point = getPointOnCurve(segments[0], 0.5);
+    var depth = 0;
+
+    for (var j = 0; j < polygons.length; j++) {
+      if (i !== j && polygons[j]
+        && isPointInFill([polygons[j]], point[0], point[1])) {
+        depth++;
+      }
+    }
+
+    var clockwise = depth % 2 === 0;
+
+    if ((getSubpathArea(segments) > 0) !== clockwise) {
+      segments = reverseSegments(segments);
+    }
+
+    return { segments: segments, closed: true };
+
+  });
+
+}
+
+/**
+ * @private
+ * @param {Number[][][]} sa - Sub-paths of the first path.
+ * @param {Number[][][]} sb - Sub-paths of the second path.
+ * @param {Number} tolerance
+ * @returns {Number[][][]} The segments of both paths split wherever they intersect or where an anchor of one path lies on the other.
+ */
+function split(sa, sb, tolerance) {
+
+  var a = toItems(sa);
+  var b = toItems(sb);
+
+  for (var i = 0; i < a.length; i++) {
+    for (var j = 0; j < b.length; j++) {
+
+      var p = a[i];
+      var q = b[j];
+      var intersections = getCurveIntersections(p.segment, q.segment,
+        tolerance * 100);
+
+      for (var k = 0; k < intersections.length; k++) {
+        var hit = intersections[k];
+        p.splits.push({ t: hit.t1, x: hit.x, y: hit.y });
+        q.splits.push({ t: hit.t2, x: hit.x, y: hit.y });
+      }
+
+      addEndpoints(p, q.segment, tolerance);
+      addEndpoints(q, p.segment, tolerance);
+
+    }
+  }
+
+  return [a, b].map(function(items) {
+    return items.reduce(function(pieces, item) {
+      return pieces.concat(splitItem(item, tolerance));
+    }, []);
+  });
+
+}
+
+function toItems(subpaths) {
+  var items = [];
+  for (var i = 0; i < subpaths.length; i++) {
+    for (var j = 0; j < subpaths[i].length; j++) {
+      items.push({ segment: subpaths[i][j], splits: [] });
+    }
+  }
+  return items;
+}
+
+/**
+ * @private
+ * @param {Object} item - A segment and the places it needs to be split at.
+ * @param {Number[]} segment - A segment of the other path.
+ * @param {Number} tolerance
+ * @description Split `item` where the anchors of `segment` touch it. This catches overlapping outlines that {@link Two.Utils.getCurveIntersections} skips.
+ */
+function addEndpoints(item, segment, tolerance) {
+  for (var i = 0; i < 8; i += 6) {
+    var x = segment[i];
+    var y = segment[i + 1];
+    var nearest = getNearestPointOnCurve(item.segment, x, y);
+    if (nearest.distance <= tolerance) {
+      item.splits.push({ t: nearest.t, x: x, y: y });
+    }
+  }
+}
+
+function splitItem(item, tolerance) {
+
+  var pieces = [];
+  var segment = item.segment;
+  var previous = 0;
+
+  var splits = item.splits.sort(function(p, q) {
+    return p.t - q.t;
+  });
+
+  for (var i = 0; i < splits.length; i++) {
+
+    var s = splits[i];
+
+    // Skip splits at either end of what is left of the segment.
+    if (distance(s.x, s.y, segment[0], segment[1]) <= tolerance
+      || distance(s.x, s.y, segment[6], segment[7]) <= tolerance
+      || s.t <= previous) {
+      continue;
+    }
+
+    var halves = splitCurve.apply(null,
+      segment.concat((s.t - previous) / (1 - previous)));
+
+    // Snap both halves to the exact same point so they join up later.
+    halves[0][6] = halves[1][0] = s.x;
+    halves[0][7] = halves[1][1] = s.y;
+
+    pieces.push(halves[0]);
+    segment = halves[1];
+    previous = s.t;
+
+  }
+
+  pieces.push(segment);
+
+  return pieces;
+
+}
+
+/**
+ * @private
+ * @param {Number[][]} pieces - Pieces of one path.
+ * @param {Number[][]} others - Pieces of the other path.
+ * @param {Number[][][]} subpaths - Sub-paths of the other path.
+ * @param {Object} rules - What to do with each piece. See {@link Two.Utils.BooleanOperations}.
+ * @param {Number} tolerance
+ * @returns {Number[][]} The pieces to keep, oriented in the direction they should be traversed.
+ */
+function select(pieces, others, subpaths, rules, tolerance) {
+
+  var polygon = getPolygon(subpaths);
+  var result = [];
+
+  for (var i = 0; i < pieces.length; i++) {
+
+    var piece = pieces[i];
+    var rule = rules[classify(piece, others, polygon, tolerance)];
+
+    if (rule === 1) {
+      result.push(piece);
+    } else if (rule === - 1) {
+      result.push(reverseSegments([piece])[0]);
+    }
+
+  }
+
+  return result;
+
+}
+
+/**
+ * @private
+ * @returns {String} Either `'inside'`, `'outside'`, `'same'`, or `'opposite'`.
+ */
+function classify(piece, others, polygon, tolerance) {
+
+  var point = getPointOnCurve(piece, 0.5);
+
+  for (var i = 0; i < others.length; i++) {
+
+    var other = others[i];
+    var nearest = getNearestPointOnCurve(other, point[0], point[1]);
+
+    if (nearest.distance <= tolerance) {
+      var u = getCurveTangent(piece, 0.5) || [0, 0];
+      var v = getCurveTangent(other, nearest.t) || [0, 0];
+      return u[0] * v[0] + u[1] * v[1] > 0 ? 'same' : 'opposite';
+    }
+
+  }
+
+  return isPointInFill(polygon, point[0], point[1]) ? 'inside' : 'outside';
+
+}
+
+/**
+ * @private
+ * @param {Number[][]} pieces - Pieces that all belong to closed loops.
+ * @param {Number} tolerance - How far apart the ends of pieces may be to still be joined.
+ * @returns {Object[]} The pieces chained together into closed sub-paths.
+ */
+function join(pieces, tolerance) {
+
+  var subpaths = [];
+  var used = [];
+  var i, j;
+
+  for (i = 0; i < pieces.length; i++) {
+
+    if (used[i]) {
+      continue;
+    }
+
+    used[i] = true;
+
+    var first = pieces[i];
+    var segments = [first];
+    var last = first;
+
+    while (distance(last[6], last[7], first[0], first[1]) > tolerance) {
+
+      var next = - 1;
+      var min = tolerance;
+
+      for (j = 0; j < pieces.length; j++) {
+        var d = distance(last[6], last[7], pieces[j][0], pieces[j][1]);
+        if (!used[j] && d <= min) {
+          next = j;
+          min = d;
+        }
+      }
+
+      if (next < 0) {
+        break;
+      }
+
+      used[next] = true;
+      last = pieces[next];
+      segments.push(last);
+
+    }
+
+    subpaths.push({ segments: segments, closed: true });
+
+  }
+
+  return subpaths;
+
+}
+
+function getTolerance(subpaths) {
+
+  var size = 0;
+
+  for (var i = 0; i < subpaths.length; i++) {
+    for (var j = 0; j < subpaths[i].length; j++) {
+      for (var k = 0; k < 8; k++) {
+        size = Math.max(size, Math.abs(subpaths[i][j][k]));
+      }
+    }
+  }
+
+  return Math.max(size, 1) * 1e-6;
+
+}
+
+/**
+ * @private
+ * @param {Number[][][]} subpaths
+ * @returns {Object[]} The sub-paths estimated as polygons the way {@link Two.Utils.flatten} does, to test points against.
+ */
+function getPolygon(subpaths) {
+
+  var limit = Curve.RecursionLimit * 2;
+
+  return subpaths.map(function(segments) {
+
+    var points = [];
+
+    for (var i = 0; i < segments.length; i++) {
+      var s = segments[i];
+      for (var j = 1; j <= limit; j++) {
+        var t = j / limit;
+        points.push({
+          x: getComponentOnCubicBezier(t, s[0], s[2], s[4], s[6]),
+          y: getComponentOnCubicBezier(t, s[1], s[3], s[5], s[7])
+        });
+      }
+    }
+
+    return { points: points, closed: true };
+
+  });
+
+}
+
+export default getBooleanSubpaths;
+export { orientSubpaths };
@@ -4,6 +4,12 @@ var CanvasShim = {
 
   Image: null,
 
+  /**
+   * @name Two.Utils.Canvas
+   * @property {Function} - The class of the canvas passed to {@link Two.Utils.shim}. Used to create offscreen canvases in headless environments, e.g: for {@link Two#export}.
+   */
+  Canvas: null,
+
   isHeadless: false,
 
   /**
@@ -16,6 +22,7 @@ var CanvasShim = {
    */
   shim: function(canvas, Image) {
     CanvasRenderer.Utils.shim(canvas);
+    CanvasShim.Canvas = canvas.constructor;
     if (typeof Image !== 'undefined') {
       CanvasShim.Image = Image;
     }
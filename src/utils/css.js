@@ -0,0 +1,290 @@
+import Constants from '../constants.js';
+
+var regex = {
+  comments: /\/\*[\s\S]*?\*\//g,
+  statements: /@[^{};]*;/g,
+  declaration: /([\w-]+)\s*:\s*((?:[^;("']|\([^)]*\)|"[^"]*"|'[^']*')+)/g,
+  important: /\s*!\s*important\s*$/i,
+  compound: /^(\*|[a-z][\w-]*)?((?:[#.][\w-]+)*)$/i,
+  qualifier: /([#.])([\w-]+)/g,
+  child: /\s*>\s*/g
+};
+
+/**
+ * @name Two.Utils.parseStyleSheet
+ * @function
+ * @param {String} text - The CSS text of a `<style />` node.
+ * @param {Object[]} [rules] - The list to add the parsed rules to.
+ * @returns {Object[]} rules
+ * @description Parse the rules of a stylesheet into a list of selectors and their declarations. Type, class, id, universal, descendant, and child selectors are supported. Rules with any other selector and at-rules, like `@media`, are left out.
+ */
+var parseStyleSheet = function(text, rules) {
+
+  if (!rules) {
+    rules = [];
+  }
+
+  text = text.replace(regex.comments, '').replace(regex.statements, '');
+
+  var index = 0;
+
+  while (index < text.length) {
+
+    var open = text.indexOf('{', index);
+
+    if (open < 0) {
+      break;
+    }
+
+    // Find the closing brace, skipping the ones of nested blocks.
+    var depth = 1;
+    var close = open + 1;
+
+    while (close < text.length && depth > 0) {
+      var character = text.charAt(close);
+      if (character === '{') {
+        depth++;
+      } else if (character === '}') {
+        depth--;
+      }
+      close++;
+    }
+
+    var prelude = text.slice(index, open).trim();
+    var body = text.slice(open + 1, close - 1);
+
+    index = close;
+
+    if (!prelude || prelude.charAt(0) === '@') {
+      continue;
+    }
+
+    var selectors = [];
+    var list = prelude.split(',');
+
+    for (var i = 0; i < list.length; i++) {
+      var selector = parseSelector(list[i]);
+      if (selector) {
+        selectors.push(selector);
+      }
+    }
+
+    if (selectors.length > 0) {
+      rules.push({
+        selectors: selectors,
+        declarations: parseDeclarations(body),
+        order: rules.length
+      });
+    }
+
+  }
+
+  return rules;
+
+};
+
+/**
+ * @name Two.Utils.getMatchingStyles
+ * @function
+ * @param {SVGElement} node - The SVG node to match the rules against.
+ * @param {Object[]} rules - The rules from {@link Two.Utils.parseStyleSheet}.
+ * @returns {Object} A map of property names to the `value` of the declaration that wins the cascade and whether it's `important`.
+ * @description Declarations marked `!important` win, then the ones with the most specific selector, and then the ones declared last.
+ */
+var getMatchingStyles = function(node, rules) {
+
+  var styles = {};
+
+  for (var i = 0; i < rules.length; i++) {
+
+    var rule = rules[i];
+    var specificity = null;
+
+    for (var j = 0; j < rule.selectors.length; j++) {
+      var selector = rule.selectors[j];
+      var matches = matchesSelector(node, selector.compounds,
+        selector.compounds.length - 1);
+      if (matches && (!specificity
+        || compareSpecificity(selector.specificity, specificity) > 0)) {
+        specificity = selector.specificity;
+      }
+    }
+
+    if (!specificity) {
+      continue;
+    }
+
+    for (var name in rule.declarations) {
+
+      var declaration = rule.declarations[name];
+      var current = styles[name];
+
+      // Rules are in order, so later ones win ties.
+      if (current && ((current.important && !declaration.important)
+        || (current.important === declaration.important
+        && compareSpecificity(current.specificity, specificity) > 0))) {
+        continue;
+      }
+
+      styles[name] = {
+        value: declaration.value,
+        important: declaration.important,
+        specificity: specificity
+      };
+
+    }
+
+  }
+
+  return styles;
+
+};
+
+function parseSelector(text) {
+
+  var tokens = text.replace(regex.child, ' > ').trim().split(/\s+/);
+  var compounds = [];
+  var specificity = [0, 0, 0];
+  var combinator = ' ';
+
+  for (var i = 0; i < tokens.length; i++) {
+
+    var token = tokens[i];
+
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+
+    var match = regex.compound.exec(token);
+
+    // Unsupported, e.g: attribute selectors or pseudo classes.
+    if (!match || !token) {
+      return null;
+    }
+
+    var compound = {
+      tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null,
+      id: null,
+      classes: [],
+      combinator: compounds.length > 0 ? combinator : null
+    };
+
+    var qualifier;
+    regex.qualifier.lastIndex = 0;
+
+    while ((qualifier = regex.qualifier.exec(match[2])) !== null) {
+      if (qualifier[1] === '#') {
+        compound.id = qualifier[2];
+        specificity[0]++;
+      } else {
+        compound.classes.push(qualifier[2]);
+        specificity[1]++;
+      }
+    }
+
+    if (compound.tag) {
+      specificity[2]++;
+    }
+
+    compounds.push(compound);
+    combinator = ' ';
+
+  }
+
+  if (compounds.length <= 0) {
+    return null;
+  }
+
+  return { compounds: compounds, specificity: specificity };
+
+}
+
+function parseDeclarations(text) {
+
+  var declarations = {};
+  var match;
+
+  regex.declaration.lastIndex = 0;
+
+  while ((match = regex.declaration.exec(text)) !== null) {
+    var value = match[2].trim();
+    var important = regex.important.test(value);
+    declarations[match[1].toLowerCase()] = {
+      value: value.replace(regex.important, ''),
+      important: important
+    };
+  }
+
+  return declarations;
+
+}
+
+function matchesSelector(node, compounds, index) {
+
+  var compound = compounds[index];
+
+  if (!matchesCompound(node, compound)) {
+    return false;
+  }
+
+  if (index <= 0) {
+    return true;
+  }
+
+  var parent = node.parentNode;
+
+  if (compound.combinator === '>') {
+    return !!parent && matchesSelector(parent, compounds, index - 1);
+  }
+
+  while (parent) {
+    if (matchesSelector(parent, compounds, index - 1)) {
+      return true;
+    }
+    parent = parent.parentNode;
+  }
+
+  return false;
+
+}
+
+function matchesCompound(node, compound) {
+
+  if (!node || node.nodeType !== 1) {
+    return false;
+  }
+
+  if (compound.tag
+    && node.nodeName.replace(/svg:/ig, '').toLowerCase() !== compound.tag) {
+    return false;
+  }
+
+  if (compound.id) {
+    // Ids of nodes that have been read are overwritten, see
+    // `Two.Utils.applySvgAttributes`.
+    var id = (node.getAttribute('id') || '')
+      .replace('-' + Constants.Identifier + 'applied', '');
+    if (id !== compound.id) {
+      return false;
+    }
+  }
+
+  if (compound.classes.length > 0) {
+    var classes = (node.getAttribute('class') || '').split(/\s+/);
+    for (var i = 0; i < compound.classes.length; i++) {
+      if (classes.indexOf(compound.classes[i]) < 0) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+
+}
+
+function compareSpecificity(a, b) {
+  return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+}
+
+export { parseStyleSheet, getMatchingStyles };
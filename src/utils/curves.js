@@ -1,4 +1,4 @@
-import { mod, HALF_PI } from './math.js';
+import { getDirection, mod, HALF_PI, TWO_PI } from './math.js';
 import Commands from './path-commands.js';
 import _ from './underscore.js';
 
@@ -167,6 +167,204 @@ var getCurveLength = function(x1, y1, x2, y2, x3, y3, x4, y4, limit) {
 
 };
 
+/**
+ * @name Two.Utils.splitCurve
+ * @function
+ * @param {Number} x1 - x position of first anchor point.
+ * @param {Number} y1 - y position of first anchor point.
+ * @param {Number} x2 - x position of first anchor point's "right" bezier handle.
+ * @param {Number} y2 - y position of first anchor point's "right" bezier handle.
+ * @param {Number} x3 - x position of second anchor point's "left" bezier handle.
+ * @param {Number} y3 - y position of second anchor point's "left" bezier handle.
+ * @param {Number} x4 - x position of second anchor point.
+ * @param {Number} y4 - y position of second anchor point.
+ * @param {Number} t - Zero-to-one value describing where to split the curve.
+ * @returns {Number[][]} The two halves of the curve, each as an array of eight coordinates like the arguments.
+ * @description Split a cubic bézier into two with De Casteljau's algorithm. The halves trace exactly the same shape as the original curve.
+ */
+var splitCurve = function(x1, y1, x2, y2, x3, y3, x4, y4, t) {
+
+  var x12 = x1 + (x2 - x1) * t, y12 = y1 + (y2 - y1) * t;
+  var x23 = x2 + (x3 - x2) * t, y23 = y2 + (y3 - y2) * t;
+  var x34 = x3 + (x4 - x3) * t, y34 = y3 + (y4 - y3) * t;
+  var x123 = x12 + (x23 - x12) * t, y123 = y12 + (y23 - y12) * t;
+  var x234 = x23 + (x34 - x23) * t, y234 = y23 + (y34 - y23) * t;
+  var x = x123 + (x234 - x123) * t, y = y123 + (y234 - y123) * t;
+
+  return [
+    [x1, y1, x12, y12, x123, y123, x, y],
+    [x, y, x234, y234, x34, y34, x4, y4]
+  ];
+
+};
+
+/**
+ * @name Two.Utils.getCurveParameterAtLength
+ * @function
+ * @param {Number[]} curve - The eight coordinates of a cubic bézier: `[x1, y1, x2, y2, x3, y3, x4, y4]`.
+ * @param {Number} target - The length along the curve to find.
+ * @param {Number} [length] - The length of the whole curve, if already known.
+ * @returns {Number} The zero-to-one `t` value where the curve is `target` long.
+ * @description Invert the length of a cubic bézier with Newton's method, falling back to bisection whenever a step lands outside of the current bounds. Points spaced evenly by `t` bunch up where a curve bends, points spaced by the result of this function don't.
+ */
+var getCurveParameterAtLength = function(curve, target, length) {
+
+  if (typeof length !== 'number') {
+    length = getCurveLength.apply(null, curve);
+  }
+
+  if (target <= 0 || length <= 0) {
+    return 0;
+  } else if (target >= length) {
+    return 1;
+  }
+
+  var min = 0;
+  var max = 1;
+  var t = target / length;
+
+  for (var i = 0; i < 24; i++) {
+
+    var error = getCurveLength.apply(null, splitCurve.apply(null, curve.concat(t))[0])
+      - target;
+
+    if (Math.abs(error) <= length * 1e-9) {
+      break;
+    }
+
+    if (error > 0) {
+      max = t;
+    } else {
+      min = t;
+    }
+
+    var d = getDerivativeOfCurve(curve, t);
+    var speed = Math.sqrt(d[0] * d[0] + d[1] * d[1]);
+    var next = speed > 0 ? t - error / speed : - 1;
+
+    t = next > min && next < max ? next : (min + max) / 2;
+
+  }
+
+  return t;
+
+};
+
+/**
+ * @name Two.Utils.splitSegmentsAtLengths
+ * @function
+ * @param {Number[][]} segments - A list of cubic béziers as described in {@link Two.Utils.getCubicSubpaths}.
+ * @param {Number[]} lengths - The length of each segment.
+ * @param {Number[]} positions - Ascending lengths along all of the segments to split at.
+ * @returns {Number[][]} A new list of segments that traces the same shape.
+ * @description Split a list of cubic béziers at lengths along them with {@link Two.Utils.getCurveParameterAtLength}. Every position adds exactly one segment to the result, so positions that fall on the end of a segment add one of no length.
+ */
+var splitSegmentsAtLengths = function(segments, lengths, positions) {
+
+  var result = [];
+  var offset = 0;
+  var k = 0;
+
+  for (var i = 0; i < segments.length; i++) {
+
+    var segment = segments[i];
+    var length = lengths[i];
+    var end = offset + length;
+    var last = i === segments.length - 1;
+    var rest = segment;
+    var start = 0;
+
+    for (; k < positions.length && (last || positions[k] < end); k++) {
+
+      var t = getCurveParameterAtLength(segment, positions[k] - offset, length);
+      // Remap `t` from the original segment onto what's left of it.
+      var u = start < 1 ? Math.max(t - start, 0) / (1 - start) : 0;
+      var halves = splitCurve.apply(null, rest.concat(u));
+
+      result.push(halves[0]);
+      rest = halves[1];
+      start = Math.max(t, start);
+
+    }
+
+    result.push(rest);
+    offset = end;
+
+  }
+
+  return result;
+
+};
+
+/**
+ * @name Two.Utils.getPointOnCurve
+ * @function
+ * @param {Number[]} c - The eight coordinates of a cubic bézier: `[x1, y1, x2, y2, x3, y3, x4, y4]`.
+ * @param {Number} t - Zero-to-one value describing where on the curve.
+ * @returns {Number[]} The point on the curve at `t` as `[x, y]`.
+ */
+var getPointOnCurve = function(c, t) {
+  return [
+    getComponentOnCubicBezier(t, c[0], c[2], c[4], c[6]),
+    getComponentOnCubicBezier(t, c[1], c[3], c[5], c[7])
+  ];
+};
+
+/**
+ * @name Two.Utils.getCurveTangent
+ * @function
+ * @param {Number[]} c - The eight coordinates of a cubic bézier: `[x1, y1, x2, y2, x3, y3, x4, y4]`.
+ * @param {Number} t - Zero-to-one value describing where on the curve.
+ * @returns {Number[]} The normalized direction of the curve at `t` as `[x, y]`. `null` if all of the curve's points overlap.
+ * @description Where a control point overlaps its anchor the derivative of a curve vanishes, so the direction is taken from the next distinct control point instead. This is the exact direction the curve leaves, or arrives at, its anchors in.
+ */
+var getCurveTangent = function(c, t) {
+
+  var i, tangent;
+
+  if (t > 0 && t < 1) {
+    c = splitCurve.apply(null, c.concat(t))[1];
+  }
+
+  if (t < 1) {
+    for (i = 2; i < 8; i += 2) {
+      tangent = getDirection(c[i] - c[0], c[i + 1] - c[1]);
+      if (tangent) {
+        return tangent;
+      }
+    }
+    return null;
+  }
+
+  for (i = 4; i >= 0; i -= 2) {
+    tangent = getDirection(c[6] - c[i], c[7] - c[i + 1]);
+    if (tangent) {
+      return tangent;
+    }
+  }
+
+  return null;
+
+};
+
+/**
+ * @name Two.Utils.getLineSegment
+ * @function
+ * @param {Number} x1 - x position of the start of the line.
+ * @param {Number} y1 - y position of the start of the line.
+ * @param {Number} x2 - x position of the end of the line.
+ * @param {Number} y2 - y position of the end of the line.
+ * @returns {Number[]} A straight line as the eight coordinates of a cubic bézier, with its control points a third of the way from each end.
+ */
+var getLineSegment = function(x1, y1, x2, y2) {
+  return [
+    x1, y1,
+    x1 + (x2 - x1) / 3, y1 + (y2 - y1) / 3,
+    x1 + (x2 - x1) * 2 / 3, y1 + (y2 - y1) * 2 / 3,
+    x2, y2
+  ];
+};
+
 /**
  * @name Two.Utils.getCurveBoundingBox
  * @function
@@ -420,15 +618,823 @@ var getAnchorsFromArcData = function(center, xAxisRotation, rx, ry, ts, td, ccw)
 
 };
 
+/**
+ * @name Two.Utils.flatten
+ * @function
+ * @param {Two.Anchor[]} vertices - The list of commands to flatten. Typically `path._renderer.vertices`.
+ * @param {Boolean} [closed=false] - Whether the final sub-path is closed like {@link Two.Path#closed}.
+ * @param {Number} [limit=Two.Utils.Curve.RecursionLimit] - The amount of line segments used to estimate each curve and arc.
+ * @returns {Object[]} A list of sub-paths. Each one is an object with a `points` list of `x`, `y` coordinates and a `closed` boolean.
+ * @description Convert a list of {@link Two.Anchor}s and their commands into line segments. Sub-paths are traversed the same way the {@link Two.CanvasRenderer} draws them, so the result matches what is rendered on screen.
+ */
+var flatten = function(vertices, closed, limit) {
+
+  var result = [];
+  var length = vertices.length;
+  var last = length - 1;
+  var current = null;
+  var i, a, b, c, d, prev, ar, bl, vx, vy, ux, uy;
+
+  limit = limit || Curve.RecursionLimit;
+
+  var start = function(x, y) {
+    current = { points: [{ x: x, y: y }], closed: false };
+    result.push(current);
+  };
+
+  var lineTo = function(x, y) {
+    if (!current) {
+      start(x, y);
+      return;
+    }
+    current.points.push({ x: x, y: y });
+  };
+
+  var curveTo = function(x1, y1, x2, y2, x3, y3, x4, y4) {
+    for (var j = 1; j <= limit; j++) {
+      var t = j / limit;
+      lineTo(
+        getComponentOnCubicBezier(t, x1, x2, x3, x4),
+        getComponentOnCubicBezier(t, y1, y2, y3, y4)
+      );
+    }
+  };
+
+  for (i = 0; i < length; i++) {
+
+    b = vertices[i];
+
+    switch (b.command) {
+
+      case Commands.close:
+        if (current) {
+          current.closed = true;
+          start(current.points[0].x, current.points[0].y);
+        }
+        break;
+
+      case Commands.arc:
+        prev = closed ? mod(i - 1, length) : Math.max(i - 1, 0);
+        a = vertices[prev];
+        if (!current) {
+          start(a.x, a.y);
+        }
+        getArcPoints(a.x, a.y, b.rx, b.ry, b.xAxisRotation,
+          b.largeArcFlag, b.sweepFlag, b.x, b.y, limit, lineTo);
+        break;
+
+      case Commands.curve:
+        prev = closed ? mod(i - 1, length) : Math.max(i - 1, 0);
+        a = vertices[prev];
+        if (!current) {
+          start(a.x, a.y);
+        }
+
+        ar = (a.controls && a.controls.right) || a;
+        bl = (b.controls && b.controls.left) || b;
+
+        vx = ar.x;
+        vy = ar.y;
+        ux = bl.x;
+        uy = bl.y;
+
+        if (a.controls && a._relative) {
+          vx += a.x;
+          vy += a.y;
+        }
+        if (b.controls && b._relative) {
+          ux += b.x;
+          uy += b.y;
+        }
+
+        curveTo(a.x, a.y, vx, vy, ux, uy, b.x, b.y);
+
+        if (i >= last && closed && d) {
+
+          c = d;
+
+          ar = (b.controls && b.controls.right) || b;
+          bl = (c.controls && c.controls.left) || c;
+
+          vx = ar.x;
+          vy = ar.y;
+          ux = bl.x;
+          uy = bl.y;
+
+          if (b.controls && b._relative) {
+            vx += b.x;
+            vy += b.y;
+          }
+          if (c.controls && c._relative) {
+            ux += c.x;
+            uy += c.y;
+          }
+
+          curveTo(b.x, b.y, vx, vy, ux, uy, c.x, c.y);
+
+        }
+        break;
+
+      case Commands.move:
+        d = b;
+        start(b.x, b.y);
+        break;
+
+      default:
+        lineTo(b.x, b.y);
+
+    }
+
+  }
+
+  if (closed && current) {
+    current.closed = true;
+  }
+
+  // Remove sub-paths that never left their starting point,
+  // e.g: the ones a close command followed by a move leaves behind.
+  return result.filter(function(subpath) {
+    return subpath.points.length > 1;
+  });
+
+};
+
+/**
+ * @name Two.Utils.getCubicSubpaths
+ * @function
+ * @param {Two.Anchor[]} vertices - The list of commands to convert. Typically `path._renderer.vertices`.
+ * @param {Boolean} [closed=false] - Whether the final sub-path is closed like {@link Two.Path#closed}.
+ * @returns {Object[]} A list of sub-paths. Each one is an object with a `segments` list and a `closed` boolean. Every segment is an array of the eight coordinates of a cubic bézier: `[x1, y1, x2, y2, x3, y3, x4, y4]`.
+ * @description Convert a list of {@link Two.Anchor}s and their commands into cubic béziers. Lines become curves with their control points on the line and arcs are approximated with one curve per quarter turn. Sub-paths are traversed the same way as {@link Two.Utils.flatten}, including the segment that closes a closed sub-path.
+ */
+var getCubicSubpaths = function(vertices, closed) {
+
+  var result = [];
+  var length = vertices.length;
+  var last = length - 1;
+  var current = null;
+  var i, a, b, c, d, prev;
+
+  var start = function(x, y) {
+    current = { x: x, y: y, segments: [], closed: false };
+    result.push(current);
+  };
+
+  var end = function() {
+    var segment = current.segments[current.segments.length - 1];
+    return segment ? [segment[6], segment[7]] : [current.x, current.y];
+  };
+
+  var curveTo = function(x1, y1, x2, y2, x3, y3, x4, y4) {
+    current.segments.push([x1, y1, x2, y2, x3, y3, x4, y4]);
+  };
+
+  var lineTo = function(x, y) {
+    if (!current) {
+      start(x, y);
+      return;
+    }
+    var p = end();
+    curveTo(p[0], p[1], p[0] + (x - p[0]) / 3, p[1] + (y - p[1]) / 3,
+      p[0] + (x - p[0]) * 2 / 3, p[1] + (y - p[1]) * 2 / 3, x, y);
+  };
+
+  var close = function() {
+    var p = end();
+    if (p[0] !== current.x || p[1] !== current.y) {
+      lineTo(current.x, current.y);
+    }
+    current.closed = true;
+  };
+
+  var between = function(a, b) {
+
+    var ar = (a.controls && a.controls.right) || a;
+    var bl = (b.controls && b.controls.left) || b;
+
+    var vx = ar.x;
+    var vy = ar.y;
+    var ux = bl.x;
+    var uy = bl.y;
+
+    if (a.controls && a._relative) {
+      vx += a.x;
+      vy += a.y;
+    }
+    if (b.controls && b._relative) {
+      ux += b.x;
+      uy += b.y;
+    }
+
+    var p = end();
+    curveTo(p[0], p[1], vx, vy, ux, uy, b.x, b.y);
+
+  };
+
+  for (i = 0; i < length; i++) {
+
+    b = vertices[i];
+
+    switch (b.command) {
+
+      case Commands.close:
+        if (current) {
+          close();
+          start(current.x, current.y);
+        }
+        break;
+
+      case Commands.arc:
+        prev = closed ? mod(i - 1, length) : Math.max(i - 1, 0);
+        a = vertices[prev];
+        if (!current) {
+          start(a.x, a.y);
+        }
+        c = end();
+        getArcCurves(c[0], c[1], b.rx, b.ry, b.xAxisRotation,
+          b.largeArcFlag, b.sweepFlag, b.x, b.y, curveTo);
+        break;
+
+      case Commands.curve:
+        prev = closed ? mod(i - 1, length) : Math.max(i - 1, 0);
+        a = vertices[prev];
+        if (!current) {
+          start(a.x, a.y);
+        }
+        between(a, b);
+        if (i >= last && closed && d) {
+          between(b, d);
+        }
+        break;
+
+      case Commands.move:
+        d = b;
+        start(b.x, b.y);
+        break;
+
+      default:
+        lineTo(b.x, b.y);
+
+    }
+
+  }
+
+  if (closed && current) {
+    close();
+  }
+
+  return result
+    .filter(function(subpath) {
+      return subpath.segments.length > 0;
+    })
+    .map(function(subpath) {
+      return { segments: subpath.segments, closed: subpath.closed };
+    });
+
+};
+
+/**
+ * @name Two.Utils.getAnchorsFromSubpaths
+ * @function
+ * @param {Object[]} subpaths - A list of sub-paths as described in {@link Two.Utils.getCubicSubpaths}.
+ * @returns {Object} An object with a list of {@link Two.Anchor}s as `vertices` and whether the path should be `closed`.
+ * @description Convert sub-paths of cubic béziers back into anchors with relative `controls`. A single closed sub-path is described the same way {@link Two.Circle} and the like are, otherwise sub-paths are ended with {@link Two.Commands.close}.
+ */
+var getAnchorsFromSubpaths = function(subpaths) {
+
+  var vertices = [];
+  var i, j, segments, first, last, segment, next;
+
+  if (subpaths.length === 1 && subpaths[0].closed
+    && subpaths[0].segments.length > 1) {
+
+    segments = subpaths[0].segments;
+    first = segments[0];
+    last = segments[segments.length - 1];
+
+    vertices.push(getAnchor(first[0], first[1], last[4], last[5],
+      first[2], first[3], Commands.move));
+
+    for (j = 0; j < segments.length - 1; j++) {
+      segment = segments[j];
+      next = segments[j + 1];
+      vertices.push(getAnchor(segment[6], segment[7], segment[4], segment[5],
+        next[2], next[3], Commands.curve));
+    }
+
+    return { vertices: vertices, closed: true };
+
+  }
+
+  for (i = 0; i < subpaths.length; i++) {
+
+    segments = subpaths[i].segments;
+    first = segments[0];
+
+    vertices.push(getAnchor(first[0], first[1], first[0], first[1],
+      first[2], first[3], Commands.move));
+
+    for (j = 0; j < segments.length; j++) {
+      segment = segments[j];
+      next = segments[j + 1];
+      vertices.push(getAnchor(segment[6], segment[7], segment[4], segment[5],
+        next ? next[2] : segment[6], next ? next[3] : segment[7],
+        Commands.curve));
+    }
+
+    if (subpaths[i].closed) {
+      vertices.push(getAnchor(first[0], first[1], first[0], first[1],
+        first[0], first[1], Commands.close));
+    }
+
+  }
+
+  return { vertices: vertices, closed: false };
+
+};
+
+/**
+ * @name Two.Utils.reverseSegments
+ * @function
+ * @param {Number[][]} segments - A list of cubic béziers as described in {@link Two.Utils.getCubicSubpaths}.
+ * @returns {Number[][]} A new list of segments that trace the same shape in the opposite direction.
+ */
+var reverseSegments = function(segments) {
+  return segments.slice(0).reverse().map(function(s) {
+    return [s[6], s[7], s[4], s[5], s[2], s[3], s[0], s[1]];
+  });
+};
+
+/**
+ * @name Two.Utils.getSubpathArea
+ * @function
+ * @param {Number[][]} segments - A list of cubic béziers as described in {@link Two.Utils.getCubicSubpaths}.
+ * @returns {Number} The signed area of the polygon described by the anchors and control points of the segments.
+ * @description Estimate the area of a closed sub-path. The sign describes the direction it winds in: positive values are clockwise in Two.js' coordinate system.
+ */
+var getSubpathArea = function(segments) {
+
+  var area = 0;
+
+  for (var i = 0; i < segments.length; i++) {
+    var s = segments[i];
+    for (var j = 0; j < 6; j += 2) {
+      area += s[j] * s[j + 3] - s[j + 2] * s[j + 1];
+    }
+  }
+
+  return area / 2;
+
+};
+
+/**
+ * @name Two.Utils.getNearestPointOnCurve
+ * @function
+ * @param {Number[]} curve - The eight coordinates of a cubic bézier: `[x1, y1, x2, y2, x3, y3, x4, y4]`.
+ * @param {Number} x - x coordinate of the point to measure from.
+ * @param {Number} y - y coordinate of the point to measure from.
+ * @returns {Object} The `x`, `y` coordinates of the closest point on the curve, its zero-to-one `t` value and its `distance` to the point measured from.
+ * @description Find the closest point on a cubic bézier by sampling it and then repeatedly halving the step around the closest sample.
+ */
+var getNearestPointOnCurve = function(curve, x, y) {
+
+  var steps = Curve.RecursionLimit * 2;
+  var t = 0;
+  var min = Infinity;
+  var i, d, step;
+
+  for (i = 0; i <= steps; i++) {
+    d = getDistanceToCurve(curve, i / steps, x, y);
+    if (d < min) {
+      min = d;
+      t = i / steps;
+    }
+  }
+
+  for (step = 1 / steps; step > 1e-9; step /= 2) {
+    for (i = - 1; i <= 1; i += 2) {
+      var u = Math.min(Math.max(t + i * step, 0), 1);
+      d = getDistanceToCurve(curve, u, x, y);
+      if (d < min) {
+        min = d;
+        t = u;
+      }
+    }
+  }
+
+  var point = getPointOnCurve(curve, t);
+
+  return {
+    x: point[0],
+    y: point[1],
+    t: t,
+    distance: Math.sqrt(min)
+  };
+
+};
+
+/**
+ * @name Two.Utils.getCurveIntersections
+ * @function
+ * @param {Number[]} a - The eight coordinates of a cubic bézier: `[x1, y1, x2, y2, x3, y3, x4, y4]`.
+ * @param {Number[]} b - The eight coordinates of another cubic bézier.
+ * @param {Number} [tolerance=0.001] - How far control points may stray from a curve's chord for it to be treated as a line.
+ * @returns {Object[]} A list of intersections ordered along `a`. Each one has the `x`, `y` coordinates of where the curves cross and the zero-to-one `t1` and `t2` values of that point on `a` and `b` respectively.
+ * @description Find where two cubic béziers intersect by recursively splitting them until the pieces whose bounds overlap are flat. The intersections of their chords are then refined with Newton's method. Stretches where the curves overlap each other are not reported.
+ */
+var getCurveIntersections = function(a, b, tolerance) {
+
+  var result = [];
+
+  tolerance = tolerance || 0.001;
+
+  var add = function(t1, t2) {
+
+    var refined = refineIntersection(a, b, t1, t2);
+    var point = getPointOnCurve(a, refined[0]);
+
+    for (var i = 0; i < result.length; i++) {
+      var r = result[i];
+      if (Math.abs(r.x - point[0]) <= tolerance
+        && Math.abs(r.y - point[1]) <= tolerance) {
+        return;
+      }
+    }
+
+    result.push({ x: point[0], y: point[1], t1: refined[0], t2: refined[1] });
+
+  };
+
+  var intersect = function(c1, s1, e1, c2, s2, e2, depth) {
+
+    if (!areBoundsOverlapping(c1, c2, tolerance)) {
+      return;
+    }
+
+    var flat1 = isCurveFlat(c1, tolerance);
+    var flat2 = isCurveFlat(c2, tolerance);
+    var m1 = (s1 + e1) / 2;
+    var m2 = (s2 + e2) / 2;
+    var h1, h2;
+
+    if ((flat1 && flat2) || depth > Curve.RecursionLimit * 2) {
+      var hit = getLineIntersection(c1, c2);
+      if (hit) {
+        add(s1 + (e1 - s1) * hit[0], s2 + (e2 - s2) * hit[1]);
+      }
+      return;
+    }
+
+    if (flat1) {
+      h2 = splitCurve.apply(null, c2.concat(0.5));
+      intersect(c1, s1, e1, h2[0], s2, m2, depth + 1);
+      intersect(c1, s1, e1, h2[1], m2, e2, depth + 1);
+    } else if (flat2) {
+      h1 = splitCurve.apply(null, c1.concat(0.5));
+      intersect(h1[0], s1, m1, c2, s2, e2, depth + 1);
+      intersect(h1[1], m1, e1, c2, s2, e2, depth + 1);
+    } else {
+      h1 = splitCurve.apply(null, c1.concat(0.5));
+      h2 = splitCurve.apply(null, c2.concat(0.5));
+      intersect(h1[0], s1, m1, h2[0], s2, m2, depth + 1);
+      intersect(h1[0], s1, m1, h2[1], m2, e2, depth + 1);
+      intersect(h1[1], m1, e1, h2[0], s2, m2, depth + 1);
+      intersect(h1[1], m1, e1, h2[1], m2, e2, depth + 1);
+    }
+
+  };
+
+  intersect(a, 0, 1, b, 0, 1, 0);
+
+  return result.sort(function(p, q) {
+    return p.t1 - q.t1;
+  });
+
+};
+
+/**
+ * @private
+ * @param {Number} ax - x position of the arc's starting point.
+ * @param {Number} ay - y position of the arc's starting point.
+ * @param {Number} rx - x radius.
+ * @param {Number} ry - y radius.
+ * @param {Number} xAxisRotation - Rotation of the ellipse in degrees.
+ * @param {Boolean} largeArcFlag
+ * @param {Boolean} sweepFlag
+ * @param {Number} x - x position of the arc's ending point.
+ * @param {Number} y - y position of the arc's ending point.
+ * @returns {Object} The center `cx`, `cy`, radii `rx`, `ry`, rotation `cos`, `sin`, starting angle `theta` and angular extent `delta` of the arc. `null` if the arc is degenerate and should be drawn as a line.
+ * @description Convert an SVG elliptical arc command from endpoint to center parameterization.
+ * @see {@link https://www.w3.org/TR/SVG11/implnote.html#ArcConversionEndpointToCenter}
+ */
+function getArcParameters(ax, ay, rx, ry, xAxisRotation, largeArcFlag, sweepFlag, x, y) {
+
+  var phi = (xAxisRotation || 0) * Math.PI / 180;
+  var cos = Math.cos(phi);
+  var sin = Math.sin(phi);
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+
+  if (!rx || !ry) {
+    return null;
+  }
+
+  var dx2 = (ax - x) / 2;
+  var dy2 = (ay - y) / 2;
+  var x1p = cos * dx2 + sin * dy2;
+  var y1p = - sin * dx2 + cos * dy2;
+
+  var cr = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+
+  if (cr > 1) {
+    rx *= Math.sqrt(cr);
+    ry *= Math.sqrt(cr);
+  }
+
+  var rxs = rx * rx;
+  var rys = ry * ry;
+  var dq = rxs * y1p * y1p + rys * x1p * x1p;
+  var q = dq > 0 ? Math.sqrt(Math.max(0, (rxs * rys - dq) / dq)) : 0;
+
+  if (!!largeArcFlag === !!sweepFlag) {
+    q = - q;
+  }
+
+  var cxp = q * rx * y1p / ry;
+  var cyp = - q * ry * x1p / rx;
+
+  var theta = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+  var delta = Math.atan2((- y1p - cyp) / ry, (- x1p - cxp) / rx) - theta;
+
+  if (sweepFlag && delta < 0) {
+    delta += TWO_PI;
+  } else if (!sweepFlag && delta > 0) {
+    delta -= TWO_PI;
+  }
+
+  return {
+    cx: cos * cxp - sin * cyp + (ax + x) / 2,
+    cy: sin * cxp + cos * cyp + (ay + y) / 2,
+    rx: rx,
+    ry: ry,
+    cos: cos,
+    sin: sin,
+    theta: theta,
+    delta: delta
+  };
+
+}
+
+/**
+ * @private
+ * @param {Number} ax - x position of the arc's starting point.
+ * @param {Number} ay - y position of the arc's starting point.
+ * @param {Number} rx - x radius.
+ * @param {Number} ry - y radius.
+ * @param {Number} xAxisRotation - Rotation of the ellipse in degrees.
+ * @param {Boolean} largeArcFlag
+ * @param {Boolean} sweepFlag
+ * @param {Number} x - x position of the arc's ending point.
+ * @param {Number} y - y position of the arc's ending point.
+ * @param {Number} limit - The amount of line segments to estimate the arc with.
+ * @param {Function} lineTo - Called with the `x`, `y` coordinates of each estimated point.
+ * @description Estimate an SVG elliptical arc command with line segments.
+ */
+function getArcPoints(ax, ay, rx, ry, xAxisRotation, largeArcFlag, sweepFlag, x, y, limit, lineTo) {
+
+  var arc = getArcParameters(ax, ay, rx, ry, xAxisRotation, largeArcFlag, sweepFlag, x, y);
+
+  if (!arc) {
+    lineTo(x, y);
+    return;
+  }
+
+  for (var i = 1; i <= limit; i++) {
+    var angle = arc.theta + arc.delta * i / limit;
+    var px = arc.rx * Math.cos(angle);
+    var py = arc.ry * Math.sin(angle);
+    lineTo(arc.cx + arc.cos * px - arc.sin * py, arc.cy + arc.sin * px + arc.cos * py);
+  }
+
+}
+
+/**
+ * @private
+ * @param {Number} ax - x position of the arc's starting point.
+ * @param {Number} ay - y position of the arc's starting point.
+ * @param {Number} rx - x radius.
+ * @param {Number} ry - y radius.
+ * @param {Number} xAxisRotation - Rotation of the ellipse in degrees.
+ * @param {Boolean} largeArcFlag
+ * @param {Boolean} sweepFlag
+ * @param {Number} x - x position of the arc's ending point.
+ * @param {Number} y - y position of the arc's ending point.
+ * @param {Function} curveTo - Called with the eight coordinates of each cubic bézier.
+ * @description Approximate an SVG elliptical arc command with one cubic bézier per quarter turn.
+ */
+function getArcCurves(ax, ay, rx, ry, xAxisRotation, largeArcFlag, sweepFlag, x, y, curveTo) {
+
+  var arc = getArcParameters(ax, ay, rx, ry, xAxisRotation, largeArcFlag, sweepFlag, x, y);
+
+  if (!arc) {
+    curveTo(ax, ay, ax + (x - ax) / 3, ay + (y - ay) / 3,
+      ax + (x - ax) * 2 / 3, ay + (y - ay) * 2 / 3, x, y);
+    return;
+  }
+
+  var amount = Math.max(Math.ceil(Math.abs(arc.delta) / HALF_PI - 0.001), 1);
+  var step = arc.delta / amount;
+  var k = 4 / 3 * Math.tan(step / 4);
+
+  var point = function(angle, offset) {
+    var ca = Math.cos(angle);
+    var sa = Math.sin(angle);
+    var px = arc.rx * (ca - offset * sa);
+    var py = arc.ry * (sa + offset * ca);
+    return [
+      arc.cx + arc.cos * px - arc.sin * py,
+      arc.cy + arc.sin * px + arc.cos * py
+    ];
+  };
+
+  var x1 = ax;
+  var y1 = ay;
+
+  for (var i = 0; i < amount; i++) {
+
+    var a1 = arc.theta + step * i;
+    var a2 = a1 + step;
+    var c1 = point(a1, k);
+    var c2 = point(a2, - k);
+    var end = i === amount - 1 ? [x, y] : point(a2, 0);
+
+    curveTo(x1, y1, c1[0], c1[1], c2[0], c2[1], end[0], end[1]);
+
+    x1 = end[0];
+    y1 = end[1];
+
+  }
+
+}
+
+function getAnchor(x, y, lx, ly, rx, ry, command) {
+  return new Anchor(x, y, lx - x, ly - y, rx - x, ry - y, command);
+}
+
+
+
+function getDerivativeOfCurve(c, t) {
+  var k = 1 - t;
+  var a = 3 * k * k;
+  var b = 6 * k * t;
+  var d = 3 * t * t;
+  return [
+    a * (c[2] - c[0]) + b * (c[4] - c[2]) + d * (c[6] - c[4]),
+    a * (c[3] - c[1]) + b * (c[5] - c[3]) + d * (c[7] - c[5])
+  ];
+}
+
+function getDistanceToCurve(c, t, x, y) {
+  var p = getPointOnCurve(c, t);
+  var dx = p[0] - x;
+  var dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+function isCurveFlat(c, tolerance) {
+
+  var dx = c[6] - c[0];
+  var dy = c[7] - c[1];
+  var length = Math.sqrt(dx * dx + dy * dy);
+
+  if (length <= tolerance) {
+    return Math.abs(c[2] - c[0]) <= tolerance && Math.abs(c[3] - c[1]) <= tolerance
+      && Math.abs(c[4] - c[0]) <= tolerance && Math.abs(c[5] - c[1]) <= tolerance;
+  }
+
+  var d1 = Math.abs((c[2] - c[0]) * dy - (c[3] - c[1]) * dx) / length;
+  var d2 = Math.abs((c[4] - c[0]) * dy - (c[5] - c[1]) * dx) / length;
+
+  return d1 <= tolerance && d2 <= tolerance;
+
+}
+
+function areBoundsOverlapping(a, b, tolerance) {
+  return Math.min(a[0], a[2], a[4], a[6]) - tolerance <= Math.max(b[0], b[2], b[4], b[6])
+    && Math.max(a[0], a[2], a[4], a[6]) + tolerance >= Math.min(b[0], b[2], b[4], b[6])
+    && Math.min(a[1], a[3], a[5], a[7]) - tolerance <= Math.max(b[1], b[3], b[5], b[7])
+    && Math.max(a[1], a[3], a[5], a[7]) + tolerance >= Math.min(b[1], b[3], b[5], b[7]);
+}
+
+/**
+ * @private
+ * @param {Number[]} a
+ * @param {Number[]} b
+ * @returns {Number[]|null} The zero-to-one positions along the chords of both curves where they cross, or `null` if they don't.
+ */
+function getLineIntersection(a, b) {
+
+  var rx = a[6] - a[0];
+  var ry = a[7] - a[1];
+  var sx = b[6] - b[0];
+  var sy = b[7] - b[1];
+  var denominator = rx * sy - ry * sx;
+
+  if (Math.abs(denominator) <= 1e-12 * (rx * rx + ry * ry + sx * sx + sy * sy)) {
+    return null;
+  }
+
+  var qx = b[0] - a[0];
+  var qy = b[1] - a[1];
+  var u = (qx * sy - qy * sx) / denominator;
+  var v = (qx * ry - qy * rx) / denominator;
+  var e = 1e-9;
+
+  if (u < - e || u > 1 + e || v < - e || v > 1 + e) {
+    return null;
+  }
+
+  return [Math.min(Math.max(u, 0), 1), Math.min(Math.max(v, 0), 1)];
+
+}
+
+/**
+ * @private
+ * @param {Number[]} a
+ * @param {Number[]} b
+ * @param {Number} t1 - Estimated position of the intersection on `a`.
+ * @param {Number} t2 - Estimated position of the intersection on `b`.
+ * @returns {Number[]} The refined positions, or the estimated ones if the curves are too close to tangent to improve on them.
+ */
+function refineIntersection(a, b, t1, t2) {
+
+  var u = t1;
+  var v = t2;
+  var error = getIntersectionError(a, b, u, v);
+
+  for (var i = 0; i < 8 && error > 0; i++) {
+
+    var p = getPointOnCurve(a, u);
+    var q = getPointOnCurve(b, v);
+    var da = getDerivativeOfCurve(a, u);
+    var db = getDerivativeOfCurve(b, v);
+    var fx = p[0] - q[0];
+    var fy = p[1] - q[1];
+    var determinant = db[0] * da[1] - da[0] * db[1];
+
+    if (Math.abs(determinant) <= 1e-12) {
+      break;
+    }
+
+    var nu = Math.min(Math.max(u + (db[1] * fx - db[0] * fy) / determinant, 0), 1);
+    var nv = Math.min(Math.max(v + (da[1] * fx - da[0] * fy) / determinant, 0), 1);
+    var e = getIntersectionError(a, b, nu, nv);
+
+    if (e >= error) {
+      break;
+    }
+
+    u = nu;
+    v = nv;
+    error = e;
+
+  }
+
+  return [u, v];
+
+}
+
+function getIntersectionError(a, b, t1, t2) {
+  var p = getPointOnCurve(a, t1);
+  var q = getPointOnCurve(b, t2);
+  var dx = p[0] - q[0];
+  var dy = p[1] - q[1];
+  return dx * dx + dy * dy;
+}
+
 export {
   Curve,
   getComponentOnCubicBezier,
   subdivide,
+  splitCurve,
+  getCurveParameterAtLength,
+  splitSegmentsAtLengths,
+  getPointOnCurve,
+  getCurveTangent,
+  getLineSegment,
   getCurveLength,
   getCurveBoundingBox,
   integrate,
   getCurveFromPoints,
   getControlPoints,
   getReflection,
-  getAnchorsFromArcData
+  getAnchorsFromArcData,
+  flatten,
+  getCubicSubpaths,
+  getAnchorsFromSubpaths,
+  reverseSegments,
+  getSubpathArea,
+  getNearestPointOnCurve,
+  getCurveIntersections
 };
@@ -1,4 +1,5 @@
 import root from './root.js';
+import TwoError from './error.js';
 import _ from './underscore.js';
 
 var dom = {
@@ -23,6 +24,18 @@ var dom = {
     return dom;
   },
 
+  // Web Workers have no `document`, but
+  // `OffscreenCanvas`es can stand in for `<canvas />`es.
+  createCanvas: function() {
+    if (root.document) {
+      return root.document.createElement('canvas');
+    }
+    if (typeof root.OffscreenCanvas === 'function') {
+      return new root.OffscreenCanvas(1, 1);
+    }
+    throw new TwoError('unable to create a canvas without a document. Pass one as the domElement instead.');
+  },
+
   getRequestAnimationFrame: function() {
 
     var lastTime = 0;
@@ -0,0 +1,188 @@
+import Constants, { reserveId } from '../constants.js';
+import TwoError from './error.js';
+import Registry from '../registry.js';
+import Vector from '../vector.js';
+
+/**
+ * @name Two.Utils.Types
+ * @property {Two.Registry} - Directory of the classes {@link Two.Utils.fromObject} can reconstruct. Each class registers itself under the `type` its `toObject` method writes.
+ */
+var Types = new Registry();
+
+/**
+ * @name Two.Utils.fromObject
+ * @function
+ * @param {Object|String} object - A JSON compatible object from a `toObject` method, a scene document from {@link Two#toObject}, or the JSON text of either.
+ * @param {Object} [effects] - A map of objects already reconstructed, keyed by their `id`. Gradients and textures referenced by more than one object are only reconstructed once.
+ * @returns {Object} A new instance of the class named by the object's `type`.
+ * @description Reconstruct a Two.js object, and all of its children, from its plain object representation.
+ */
+function fromObject(object, effects) {
+
+  if (typeof object === 'string') {
+    object = JSON.parse(object);
+  }
+
+  if (typeof object.version === 'number') {
+    if (object.version > Constants.SceneVersion) {
+      throw new TwoError('unable to read scene version ' + object.version + '.');
+    }
+    object = object.scene;
+  }
+
+  effects = effects || {};
+
+  if (object.id && object.id in effects) {
+    return effects[object.id];
+  }
+
+  var Type = Types.get(object.type);
+
+  if (!Type || typeof Type.fromObject !== 'function') {
+    throw new TwoError('unable to reconstruct object of type ' + object.type + '.');
+  }
+
+  var result = Type.fromObject(object, effects);
+
+  if (object.id) {
+    effects[object.id] = result;
+  }
+
+  return result;
+
+}
+
+/**
+ * @name Two.Utils.copyProperties
+ * @function
+ * @private
+ * @param {Object} target - The instance to apply values to.
+ * @param {Object} object - The plain object to read values from.
+ * @param {String[]} properties - The names of the properties to copy.
+ * @param {Object} effects - The map of reconstructed objects passed to {@link Two.Utils.fromObject}.
+ * @description Copy a list of properties from a plain object onto a Two.js object. Values that are objects, e.g: gradients and textures, and lists of objects, e.g: filters, are reconstructed.
+ */
+function copyProperties(target, object, properties, effects) {
+
+  for (var i = 0; i < properties.length; i++) {
+
+    var k = properties[i];
+    var value = object[k];
+
+    if (typeof value === 'undefined') {
+      continue;
+    }
+
+    if (Array.isArray(value)) {
+      target[k] = value.map(function(item) {
+        return fromObject(item, effects);
+      });
+    } else {
+      target[k] = value !== null && typeof value === 'object'
+        ? fromObject(value, effects) : value;
+    }
+
+  }
+
+  return target;
+
+}
+
+/**
+ * @name Two.Utils.toPlainObject
+ * @function
+ * @private
+ * @param {*} value - The value of a property of a Two.js object.
+ * @returns {*} The value as written by `toObject` methods. Objects with a `toObject` method, and lists of them, are converted. Anything else is returned as is.
+ */
+function toPlainObject(value) {
+
+  // Also matches `Two.Collection`s.
+  if (value instanceof Array) {
+    return Array.prototype.map.call(value, toPlainObject);
+  }
+
+  return value && value.toObject ? value.toObject() : value;
+
+}
+
+/**
+ * @name Two.Utils.copyId
+ * @function
+ * @private
+ * @param {Object} target - The instance to apply the `id` to.
+ * @param {Object} object - The plain object to read the `id` from.
+ * @description Copy the `id` of a plain object onto a Two.js object. Ids generated by {@link Two.uniqueId} are reserved, so objects created afterwards don't repeat them.
+ */
+function copyId(target, object) {
+
+  if (!object.id) {
+    return target;
+  }
+
+  var prefix = Constants.Identifier;
+  var id = object.id;
+
+  if (id.indexOf(prefix) === 0 && /^\d+$/.test(id.slice(prefix.length))) {
+    reserveId(parseInt(id.slice(prefix.length), 10));
+  }
+
+  target.id = id;
+
+  return target;
+
+}
+
+/**
+ * @name Two.Utils.copyTransform
+ * @function
+ * @private
+ * @param {Two.Shape} shape - The shape to apply values to.
+ * @param {Object} object - The plain object to read values from.
+ * @param {Object} effects - The map of reconstructed objects passed to {@link Two.Utils.fromObject}.
+ * @description Copy the `id`, as described in {@link Two.Utils.copyId}, `className`, transformation, mask and markers written by {@link Two.Shape} descendants' `toObject` methods onto a shape.
+ */
+function copyTransform(shape, object, effects) {
+
+  copyId(shape, object);
+  if (typeof object.className === 'string') {
+    shape.className = object.className;
+  }
+  if (object.translation) {
+    shape.translation.copy(object.translation);
+  }
+  if (typeof object.rotation === 'number') {
+    shape.rotation = object.rotation;
+  }
+  if (typeof object.scale === 'number') {
+    shape.scale = object.scale;
+  } else if (object.scale) {
+    shape.scale = new Vector(object.scale.x, object.scale.y);
+  }
+  if (typeof object.skewX === 'number') {
+    shape.skewX = object.skewX;
+  }
+  if (typeof object.skewY === 'number') {
+    shape.skewY = object.skewY;
+  }
+  if (object.matrix) {
+    shape.matrix.manual = object.matrix.manual;
+    shape.matrix.set(object.matrix.elements);
+  }
+  if (object.mask) {
+    shape.mask = fromObject(object.mask, effects);
+  }
+  if (object.markers) {
+    shape.markers = {};
+    for (var k in object.markers) {
+      shape.markers[k] = fromObject(object.markers[k], effects);
+    }
+  }
+
+  return shape;
+
+}
+
+export {
+  Types, fromObject, copyId, copyProperties, copyTransform, toPlainObject
+};
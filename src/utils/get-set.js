@@ -19,9 +19,25 @@ var defineGetterSetter = function(property) {
     set: function(v) {
       this[secret] = v;
       this[flag] = true;
+      flagContent(this);
     }
   });
 
 };
 
+/**
+ * @name Two.Utils.flagContent
+ * @function
+ * @param {Object} object - The shape that has changed.
+ * @description Let the effects a shape is drawn in, i.e: a {@link Two.Pattern} whose scene the shape or one of its parents is in, know that what they draw has changed. They're flagged through their `_flagContent`.
+ */
+function flagContent(object) {
+  for (var parent = object.parent; parent; parent = parent.parent) {
+    if (typeof parent._flagContent === 'boolean') {
+      parent._flagContent = true;
+    }
+  }
+}
+
 export default defineGetterSetter;
+export { flagContent };
@@ -0,0 +1,551 @@
+import { flatten } from './curves.js';
+import { decomposeMatrix, getComputedMatrix, mod } from './math.js';
+
+import Matrix from '../matrix.js';
+
+var isHidden = /(undefined|none|transparent)/i;
+
+/**
+ * @name Two.Utils.hitTest
+ * @private
+ * @property {Object} - Renderer agnostic geometry tests keyed by `_renderer.type`. Each `contains` is called in the scope of the shape, with `x`, `y` coordinates in the shape's local space, i.e: after its own matrix has been applied.
+ * @description Used by {@link Two.Path#contains}, {@link Two.Group#getObjectsAt} and the like so that every renderer reports the same results.
+ */
+var hitTest = {
+
+  group: {
+
+    /**
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Boolean} [clip=false] - Whether the group is tested as a mask, i.e: only the fill of its children count.
+     * @returns {Boolean}
+     */
+    contains: function(x, y, clip) {
+
+      if (!clip && !hitTest.isUnmasked(this, x, y)) {
+        return false;
+      }
+
+      for (var i = this.children.length - 1; i >= 0; i--) {
+
+        var child = this.children[i];
+
+        if (!hitTest[child._renderer.type] || !child._visible
+          || (!clip && child._clip)) {
+          continue;
+        }
+
+        var point = hitTest.toLocal(child, x, y);
+
+        if (point && hitTest[child._renderer.type].contains
+          .call(child, point.x, point.y, clip)) {
+          return true;
+        }
+
+      }
+
+      return false;
+
+    }
+
+  },
+
+  path: {
+
+    /**
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Boolean} [clip=false] - Whether the path is tested as a mask, i.e: only its fill counts regardless of its styles.
+     * @returns {Boolean}
+     */
+    contains: function(x, y, clip) {
+
+      if (!clip && !hitTest.isUnmasked(this, x, y)) {
+        return false;
+      }
+
+      this._update();
+
+      var subpaths = flatten(this._renderer.vertices, this._closed);
+
+      if ((clip || !isHidden.test(this._fill))
+        && isPointInFill(subpaths, x, y, clip ? 'nonzero' : this._fillRule)) {
+        return true;
+      }
+
+      if (clip || isHidden.test(this._stroke) || !(this._linewidth > 0)) {
+        return false;
+      }
+
+      return isPointInStroke(subpaths, x, y, this._linewidth,
+        this._closed ? 'butt' : this._cap, this._join, this._miter);
+
+    }
+
+  },
+
+  points: {
+
+    /**
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Boolean} [clip=false] - Points cannot act as masks, so this always returns `false` when `true`.
+     * @returns {Boolean}
+     */
+    contains: function(x, y, clip) {
+
+      if (clip || !hitTest.isUnmasked(this, x, y)) {
+        return false;
+      }
+
+      this._update();
+
+      var radius = this._size * 0.5;
+      var vertices = this._renderer.collection || [];
+
+      if (!this._sizeAttenuation) {
+        var e = getComputedMatrix(this).elements;
+        var m = decomposeMatrix(e[0], e[3], e[1], e[4], e[2], e[5]);
+        radius /= Math.max(m.scaleX, m.scaleY);
+      }
+
+      if (!isHidden.test(this._stroke) && this._linewidth > 0) {
+        radius += this._linewidth / 2;
+      } else if (isHidden.test(this._fill)) {
+        return false;
+      }
+
+      for (var i = 0; i < vertices.length; i++) {
+        var dx = x - vertices[i].x;
+        var dy = y - vertices[i].y;
+        if (dx * dx + dy * dy <= radius * radius) {
+          return true;
+        }
+      }
+
+      return false;
+
+    }
+
+  },
+
+  text: {
+
+    /**
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Boolean} [clip=false] - Whether the text is tested as a mask, i.e: only its fill counts regardless of its styles.
+     * @returns {Boolean}
+     * @nota-bene Like {@link Two.Text#getBoundingClientRect} this is an estimate based on the font size and amount of characters. A visible stroke widens it by half the linewidth.
+     */
+    contains: function(x, y, clip) {
+
+      if (!clip && !hitTest.isUnmasked(this, x, y)) {
+        return false;
+      }
+
+      var width = this._value.length * this._size * this.constructor.Ratio;
+      var height = this._leading;
+      var border = 0;
+      var left, top;
+
+      if (!clip) {
+        if (!isHidden.test(this._stroke) && this._linewidth > 0) {
+          border = this._linewidth / 2;
+        } else if (isHidden.test(this._fill)) {
+          return false;
+        }
+      }
+
+      switch (this._alignment) {
+        case 'left':
+          left = 0;
+          break;
+        case 'right':
+          left = - width;
+          break;
+        default:
+          left = - width / 2;
+      }
+
+      switch (this._baseline) {
+        case 'top':
+          top = 0;
+          break;
+        case 'bottom':
+          top = - height;
+          break;
+        default:
+          top = - height / 2;
+      }
+
+      return x >= left - border && x <= left + width + border
+        && y >= top - border && y <= top + height + border;
+
+    }
+
+  },
+
+  /**
+   * @param {Two.Shape} shape
+   * @param {Number} x - x coordinate in the space of the shape's parent.
+   * @param {Number} y - y coordinate in the space of the shape's parent.
+   * @returns {Object|null} The coordinates in the local space of `shape` or `null` if its matrix cannot be inverted, e.g: when scaled to `0`.
+   */
+  toLocal: function(shape, x, y) {
+
+    shape._update();
+
+    var inverse = shape._matrix.inverse(hitTest.matrix);
+
+    if (!inverse) {
+      return null;
+    }
+
+    return inverse.multiply(x, y, 1);
+
+  },
+
+  /**
+   * @param {Two.Shape} shape
+   * @param {Number} x - x coordinate in the local space of the shape.
+   * @param {Number} y - y coordinate in the local space of the shape.
+   * @returns {Boolean} Whether the coordinates are inside the shape's {@link Two.Path#mask}. Shapes without a mask always return `true`.
+   */
+  isUnmasked: function(shape, x, y) {
+
+    var mask = shape._mask;
+
+    if (!mask || !hitTest[mask._renderer.type]) {
+      return true;
+    }
+
+    var point = hitTest.toLocal(mask, x, y);
+
+    return !!point && hitTest[mask._renderer.type].contains
+      .call(mask, point.x, point.y, true);
+
+  },
+
+  /**
+   * @param {Two.Shape} shape
+   * @param {Number} x - x coordinate in world space.
+   * @param {Number} y - y coordinate in world space.
+   * @returns {Object|null} The coordinates in the local space of `shape` or `null` if the shape or any of its ancestors are hidden or masked out at that position.
+   */
+  getLocalPoint: function(shape, x, y) {
+
+    var ancestors = [shape];
+    var parent = shape.parent;
+    var point = { x: x, y: y };
+
+    while (parent && parent._matrix) {
+      ancestors.unshift(parent);
+      parent = parent.parent;
+    }
+
+    for (var i = 0; i < ancestors.length; i++) {
+
+      var ancestor = ancestors[i];
+
+      if (!ancestor._visible) {
+        return null;
+      }
+
+      point = hitTest.toLocal(ancestor, point.x, point.y);
+
+      if (!point) {
+        return null;
+      }
+
+      if (ancestor !== shape
+        && !hitTest.isUnmasked(ancestor, point.x, point.y)) {
+        return null;
+      }
+
+    }
+
+    return point;
+
+  },
+
+  /**
+   * @param {Two.Shape} shape
+   * @param {Number} x - x coordinate in world space.
+   * @param {Number} y - y coordinate in world space.
+   * @returns {Boolean} Whether the world coordinates hit the shape, factoring in the visibility and masks of all its ancestors.
+   */
+  contains: function(shape, x, y) {
+
+    if (!hitTest[shape._renderer.type]) {
+      return false;
+    }
+
+    var point = hitTest.getLocalPoint(shape, x, y);
+
+    return !!point && hitTest[shape._renderer.type].contains
+      .call(shape, point.x, point.y);
+
+  },
+
+  /**
+   * @param {Two.Group} group
+   * @param {Number} x - x coordinate in the local space of the group.
+   * @param {Number} y - y coordinate in the local space of the group.
+   * @param {Two.Shape[]} result - The list to add all hit descendants to.
+   * @returns {Two.Shape[]} The `result` list with hit descendants ordered from topmost to bottommost.
+   */
+  collect: function(group, x, y, result) {
+
+    if (!hitTest.isUnmasked(group, x, y)) {
+      return result;
+    }
+
+    for (var i = group.children.length - 1; i >= 0; i--) {
+
+      var child = group.children[i];
+      var type = child._renderer.type;
+
+      if (!hitTest[type] || !child._visible || child._clip) {
+        continue;
+      }
+
+      var point = hitTest.toLocal(child, x, y);
+
+      if (!point) {
+        continue;
+      }
+
+      if (type === 'group') {
+        hitTest.collect(child, point.x, point.y, result);
+      } else if (hitTest[type].contains.call(child, point.x, point.y)) {
+        result.push(child);
+      }
+
+    }
+
+    return result;
+
+  },
+
+  matrix: new Matrix()
+
+};
+
+/**
+ * @private
+ * @param {Object[]} subpaths - A list of sub-paths generated from {@link Two.Utils.flatten}.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {String} [rule='nonzero'] - The fill rule to use. Either `'nonzero'` or `'evenodd'`.
+ * @returns {Boolean}
+ * @description Determine whether a coordinate is inside the filled area of a series of sub-paths. All sub-paths are treated as closed, the same way renderers fill them.
+ */
+function isPointInFill(subpaths, x, y, rule) {
+
+  var winding = 0;
+
+  for (var i = 0; i < subpaths.length; i++) {
+
+    var points = subpaths[i].points;
+    var l = points.length;
+
+    for (var j = 0; j < l; j++) {
+
+      var a = points[j];
+      var b = points[(j + 1) % l];
+      var side = (b.x - a.x) * (y - a.y) - (x - a.x) * (b.y - a.y);
+
+      if (a.y <= y) {
+        if (b.y > y && side > 0) {
+          winding++;
+        }
+      } else if (b.y <= y && side < 0) {
+        winding--;
+      }
+
+    }
+
+  }
+
+  return rule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+
+}
+
+/**
+ * @private
+ * @param {Object[]} subpaths - A list of sub-paths generated from {@link Two.Utils.flatten}.
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} linewidth
+ * @param {String} [cap='butt'] - Either `'butt'`, `'round'`, or `'square'`.
+ * @param {String} [join='miter'] - Either `'miter'`, `'round'`, or `'bevel'`.
+ * @param {Number} [miter=4] - The miter limit.
+ * @returns {Boolean}
+ * @description Determine whether a coordinate is inside the stroked outline of a series of sub-paths.
+ */
+function isPointInStroke(subpaths, x, y, linewidth, cap, join, miter) {
+
+  var hw = linewidth / 2;
+
+  for (var i = 0; i < subpaths.length; i++) {
+
+    var subpath = subpaths[i];
+    var points = removeDuplicates(subpath.points, subpath.closed);
+    var closed = subpath.closed;
+    var l = points.length;
+    var segments = closed ? l : l - 1;
+    var j, a, b, u, prev;
+
+    if (l < 2) {
+      // Zero length sub-paths only render with round or square caps.
+      if (l > 0 && !closed && isPointInDot(points[0], x, y, hw, cap)) {
+        return true;
+      }
+      continue;
+    }
+
+    for (j = 0; j < segments; j++) {
+
+      a = points[j];
+      b = points[(j + 1) % l];
+      u = getDirection(a, b);
+
+      var dx = x - a.x;
+      var dy = y - a.y;
+      var along = dx * u.x + dy * u.y;
+      var across = Math.abs(dx * u.y - dy * u.x);
+
+      if (along >= 0 && along <= u.length && across <= hw) {
+        return true;
+      }
+
+      if (j > 0 || closed) {
+        prev = getDirection(points[mod(j - 1, l)], a);
+        if (isPointInJoin(a, prev, u, x, y, hw, join, miter)) {
+          return true;
+        }
+      }
+
+    }
+
+    if (!closed) {
+
+      u = getDirection(points[0], points[1]);
+      if (isPointInCap(points[0], - u.x, - u.y, x, y, hw, cap)) {
+        return true;
+      }
+
+      u = getDirection(points[l - 2], points[l - 1]);
+      if (isPointInCap(points[l - 1], u.x, u.y, x, y, hw, cap)) {
+        return true;
+      }
+
+    }
+
+  }
+
+  return false;
+
+}
+
+function isPointInJoin(v, u0, u1, x, y, hw, join, miter) {
+
+  var dx = x - v.x;
+  var dy = y - v.y;
+  var cross = u0.x * u1.y - u0.y * u1.x;
+  var dot = u0.x * u1.x + u0.y * u1.y;
+
+  if (join === 'round') {
+    return dx * dx + dy * dy <= hw * hw;
+  }
+
+  if (Math.abs(cross) < 1e-9 && dot > 0) {
+    return false;
+  }
+
+  // Offset to the outside of the turn
+  var side = cross > 0 ? - hw : hw;
+  var p0 = { x: v.x - u0.y * side, y: v.y + u0.x * side };
+  var p1 = { x: v.x - u1.y * side, y: v.y + u1.x * side };
+  var polygon = [v, p0, p1];
+
+  if (join !== 'bevel' && 1 + dot > 1e-9
+    && Math.sqrt(2 / (1 + dot)) <= (miter || 4)) {
+    polygon.splice(2, 0, {
+      x: v.x + (p0.x - v.x + p1.x - v.x) / (1 + dot),
+      y: v.y + (p0.y - v.y + p1.y - v.y) / (1 + dot)
+    });
+  }
+
+  return isPointInFill([{ points: polygon }], x, y, 'evenodd');
+
+}
+
+function isPointInCap(v, ux, uy, x, y, hw, cap) {
+
+  var dx = x - v.x;
+  var dy = y - v.y;
+
+  switch (cap) {
+    case 'round':
+      return dx * dx + dy * dy <= hw * hw;
+    case 'square':
+      var along = dx * ux + dy * uy;
+      return along >= 0 && along <= hw && Math.abs(dx * uy - dy * ux) <= hw;
+  }
+
+  return false;
+
+}
+
+function isPointInDot(v, x, y, hw, cap) {
+
+  var dx = x - v.x;
+  var dy = y - v.y;
+
+  switch (cap) {
+    case 'round':
+      return dx * dx + dy * dy <= hw * hw;
+    case 'square':
+      return Math.abs(dx) <= hw && Math.abs(dy) <= hw;
+  }
+
+  return false;
+
+}
+
+function getDirection(a, b) {
+  var dx = b.x - a.x;
+  var dy = b.y - a.y;
+  var length = Math.sqrt(dx * dx + dy * dy);
+  return { x: dx / length, y: dy / length, length: length };
+}
+
+function removeDuplicates(points, closed) {
+
+  var result = [];
+
+  for (var i = 0; i < points.length; i++) {
+    var p = points[i];
+    var last = result[result.length - 1];
+    if (!last || Math.abs(last.x - p.x) > 1e-9 || Math.abs(last.y - p.y) > 1e-9) {
+      result.push(p);
+    }
+  }
+
+  // Closing points are implied when a sub-path is closed.
+  // Open sub-paths that end where they start still draw the last edge.
+  var first = result[0];
+  if (closed && result.length > 1 && Math.abs(first.x - p.x) <= 1e-9
+    && Math.abs(first.y - p.y) <= 1e-9) {
+    result.pop();
+  }
+
+  return result;
+
+}
+
+export default hitTest;
+export { isPointInFill, isPointInStroke };
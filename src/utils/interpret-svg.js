@@ -1,7 +1,10 @@
 import root from './root.js';
+import dom from './dom.js';
+import CanvasShim from './canvas-shim.js';
 import Commands from './path-commands.js';
-import { decomposeMatrix } from './math.js';
+import { decomposeMatrix, lerp } from './math.js';
 import { getReflection } from './curves.js';
+import { parseStyleSheet, getMatchingStyles } from './css.js';
 import _ from './underscore.js';
 import TwoError from './error.js';
 import Registry from '../registry.js';
@@ -22,6 +25,9 @@ import Stop from '../effects/stop.js';
 import Gradient from '../effects/gradient.js';
 import LinearGradient from '../effects/linear-gradient.js';
 import RadialGradient from '../effects/radial-gradient.js';
+import Marker from '../effects/marker.js';
+import Mask from '../effects/mask.js';
+import Pattern from '../effects/pattern.js';
 import Text from '../text.js';
 
 import Constants from '../constants.js';
@@ -29,7 +35,8 @@ import Constants from '../constants.js';
 // https://github.com/jonobr1/two.js/issues/507#issuecomment-777159213
 var regex = {
   path: /[+-]?(?:\d*\.\d+|\d+)(?:[eE][+-]\d+)?/g,
-  unitSuffix: /[a-zA-Z%]*/i
+  unitSuffix: /[a-zA-Z%]*/i,
+  url: /url\(\s*['"]?#([^'")]+)['"]?\s*\)/i
 };
 
 var alignments = {
@@ -117,6 +124,7 @@ var extractCSSText = function(text, styles) {
 var getSvgStyles = function(node) {
 
   var styles = {};
+  var inline = {};
   var attributes = getSvgAttributes(node);
   var length = Math.max(attributes.length, node.style.length);
 
@@ -126,7 +134,7 @@ var getSvgStyles = function(node) {
     var attribute = attributes[i];
 
     if (command) {
-      styles[command] = node.style[command];
+      styles[command] = inline[command] = node.style[command];
     }
     if (attribute) {
       styles[attribute] = node.getAttribute(attribute);
@@ -134,6 +142,36 @@ var getSvgStyles = function(node) {
 
   }
 
+  return applySvgStyleSheet(node, styles, inline);
+
+};
+
+/**
+ * @name Two.Utils.applySvgStyleSheet
+ * @function
+ * @param {SVGElement} node - The SVG node to match the rules of `<style />`s against.
+ * @param {Object} styles - The styles of the node to apply the matching declarations to.
+ * @param {Object} [inline] - The styles from the `style` attribute of the node.
+ * @returns {Object} styles
+ * @description Apply the rules of the `<style />`s in the SVG document being read, see {@link Two.Utils.parseStyleSheet}. Like in browsers they take precedence over presentation attributes and, when `!important`, over inline styles too.
+ */
+var applySvgStyleSheet = function(node, styles, inline) {
+
+  var rules = read.style.current;
+
+  if (!rules || rules.length <= 0) {
+    return styles;
+  }
+
+  var declarations = getMatchingStyles(node, rules);
+
+  for (var name in declarations) {
+    var declaration = declarations[name];
+    if (declaration.important || !inline || !(name in inline)) {
+      styles[name] = declaration.value;
+    }
+  }
+
   return styles;
 
 };
@@ -272,6 +310,7 @@ var applySvgAttributes = function(node, elem, parentStyles) {
     _.defaults(styles, parentStyles);
   }
   _.extend(styles, extracted, attributes);
+  applySvgStyleSheet(node, styles, extracted);
 
   // Similarly visibility is influenced by the value of both display and visibility.
   // Calculate a unified value here which defaults to `true`.
@@ -380,6 +419,13 @@ var applySvgAttributes = function(node, elem, parentStyles) {
         }
         elem.miter = value;
         break;
+      case 'fill-rule':
+        if (elem instanceof Group) {
+          elem._fillRule = value;
+          break;
+        }
+        elem.fillRule = value;
+        break;
       case 'stroke-width':
         if (elem instanceof Group) {
           elem._linewidth = parseFloat(value);
@@ -398,28 +444,6 @@ var applySvgAttributes = function(node, elem, parentStyles) {
         }
         elem.opacity = parseFloat(value);
         break;
-      case 'clip-path':
-        if (/url\(#.*\)/i.test(value)) {
-          id = value.replace(/url\(#(.*)\)/i, '$1');
-          if (read.defs.current && read.defs.current.contains(id)) {
-            ref = read.defs.current.get(id);
-            if (ref && ref.childNodes.length > 0) {
-              ref = ref.childNodes[0];
-              tagName = getTagName(ref.nodeName);
-              elem.mask = read[tagName].call(this, ref, {});
-              switch (elem._renderer.type) {
-                case 'text':
-                case 'path':
-                  // The matrix here needs to change to insure that the object
-                  // clipping is in the same coordinate space as the `elem`.
-                  elem.position.add(elem.mask.position);
-                  elem.mask.position.clear();
-                  break;
-              }
-            }
-          }
-        }
-        break;
       case 'fill':
       case 'stroke':
         prop = (elem instanceof Group ? '_' : '') + key;
@@ -429,7 +453,7 @@ var applySvgAttributes = function(node, elem, parentStyles) {
           if (read.defs.current && read.defs.current.contains(id)) {
             ref = read.defs.current.get(id);
             tagName = getTagName(ref.nodeName);
-            ref = read[tagName].call(this, ref, {});
+            ref = read[tagName].call(this, ref, {}, elem, node);
           } else {
             scene = getScene(this);
             ref = scene.getById(id);
@@ -497,27 +521,891 @@ var applySvgAttributes = function(node, elem, parentStyles) {
     }
   }
 
-  return styles;
+  // Groups are masked once their children are read, see `read.g`.
+  // Shapes like `Two.Rectangle` aren't instances of `Two.Path`.
+  if (elem._renderer.type === 'path' || elem._renderer.type === 'text') {
+    applySvgMask.call(this, node, elem, styles);
+  }
+
+  if (elem._renderer.type === 'path') {
+    applySvgMarkers.call(this, node, elem, styles);
+  }
+
+  return styles;
+
+};
+
+/**
+ * @name Two.Utils.applySvgMask
+ * @function
+ * @param {SVGElement} node - The SVG node `elem` is read from.
+ * @param {Two.Shape} elem - The shape to mask.
+ * @param {Object} styles - The styles of the SVG node.
+ * @description Read the `<mask />` or `<clipPath />` the `mask` or `clip-path` style references and apply it to the shape. A shape has one mask, so `mask` takes precedence.
+ */
+var applySvgMask = function(node, elem, styles) {
+
+  var keys = ['mask', 'clip-path'];
+
+  for (var i = 0; i < keys.length; i++) {
+
+    var match = regex.url.exec(styles[keys[i]] || '');
+    var id = match && match[1];
+
+    if (!id || !read.defs.current || !read.defs.current.contains(id)) {
+      continue;
+    }
+
+    var ref = read.defs.current.get(id);
+    var tagName = getTagName(ref.nodeName);
+
+    if (tagName !== 'mask' && tagName !== 'clippath') {
+      continue;
+    }
+
+    var mask = read[tagName].call(this, ref, {}, elem, node);
+
+    if (mask) {
+      elem.mask = mask;
+      return;
+    }
+
+  }
+
+};
+
+// The SVG elements markers are drawn on.
+var markerElements = ['path', 'line', 'polyline', 'polygon'];
+
+/**
+ * @name Two.Utils.applySvgMarkers
+ * @function
+ * @param {SVGElement} node - The SVG node `elem` is read from.
+ * @param {Two.Path} elem - The path to draw the markers on.
+ * @param {Object} styles - The styles of the SVG node.
+ * @description Read the `<marker />`s the `marker-start`, `marker-mid`, and `marker-end` styles, or the `marker` shorthand, reference and apply them to the {@link Two.Path#markers} of the path. Like in browsers, shapes within a marker don't draw markers themselves.
+ */
+var applySvgMarkers = function(node, elem, styles) {
+
+  if (markerElements.indexOf(getTagName(node.nodeName)) < 0) {
+    return;
+  }
+
+  for (var parent = node.parentNode; parent; parent = parent.parentNode) {
+    if (getTagName(parent.nodeName || '') === 'marker') {
+      return;
+    }
+  }
+
+  var positions = ['start', 'mid', 'end'];
+  var markers = null;
+
+  for (var i = 0; i < positions.length; i++) {
+
+    var match = regex.url.exec(styles['marker-' + positions[i]] || '')
+      || regex.url.exec(styles.marker || '');
+    var id = match && match[1];
+
+    if (!id || !read.defs.current || !read.defs.current.contains(id)) {
+      continue;
+    }
+
+    var ref = read.defs.current.get(id);
+
+    if (getTagName(ref.nodeName) !== 'marker') {
+      continue;
+    }
+
+    markers = markers || {};
+    markers[positions[i]] = read.marker.call(this, ref, {}, elem);
+
+  }
+
+  if (markers) {
+    elem.markers = markers;
+  }
+
+};
+
+// Radians per unit of the angles SVG attributes can be in.
+var angleUnits = {
+  deg: Math.PI / 180,
+  grad: Math.PI / 200,
+  rad: 1,
+  turn: 2 * Math.PI
+};
+
+/**
+ * @name Two.Utils.parseMarkerOrient
+ * @function
+ * @param {String} value - The `orient` attribute of a `<marker />` node.
+ * @returns {(String|Number)} The {@link Two.Marker#orient} of the marker. Angles are in radians.
+ */
+var parseMarkerOrient = function(value) {
+
+  value = (value || '').trim();
+
+  if (value === 'auto' || value === 'auto-start-reverse') {
+    return value;
+  }
+
+  var unit = value.match(/[a-z]+$/i);
+  var factor = unit && angleUnits[unit[0].toLowerCase()];
+
+  return (parseFloat(value) || 0) * (factor || angleUnits.deg);
+
+};
+
+/**
+ * @name Two.Utils.updateDefsCache
+ * @function
+ * @param {SVGElement} node - The SVG Node with which to update the defs cache.
+ * @param {Object} Object - The defs cache to be updated.
+ * @description Update the cache of children of <defs /> tags.
+ */
+var updateDefsCache = function(node, defsCache) {
+  for (var i = 0, l = node.childNodes.length; i < l; i++) {
+    var n = node.childNodes[i];
+    if (!n.id) continue;
+
+    var tagName = getTagName(node.nodeName);
+    if (tagName === '#text') continue;
+
+    defsCache.add(n.id, n);
+  }
+};
+
+/**
+ * @name Two.Utils.getReferencedPattern
+ * @function
+ * @param {SVGElement} node - A `<pattern />` node.
+ * @param {Function} test - Returns whether a node is the one to find.
+ * @returns {SVGElement} The first node of the pattern and the ones it references through `href` that passes the test.
+ */
+var getReferencedPattern = function(node, test) {
+
+  var visited = [];
+
+  while (node && visited.indexOf(node) < 0) {
+
+    if (test(node)) {
+      return node;
+    }
+
+    visited.push(node);
+
+    var href = node.getAttribute('href') || node.getAttribute('xlink:href');
+    var id = href ? href.slice(1) : null;
+
+    node = id && read.defs.current && read.defs.current.contains(id)
+      ? read.defs.current.get(id) : null;
+
+  }
+
+  return null;
+
+};
+
+var parsePatternLength = function(value) {
+  var length = parseFloat(value) || 0;
+  return /%/.test(value) ? length / 100 : length;
+};
+
+/**
+ * @name Two.Utils.getLocalBoundingBox
+ * @function
+ * @param {Two.Shape} elem - The shape to measure.
+ * @returns {Object} The bounding box of the shape's anchors in its own coordinate space.
+ * @description Groups measure their children. Other shapes without vertices, like {@link Two.Text}, measure zero by zero.
+ */
+var getLocalBoundingBox = function(elem) {
+
+  var left = Infinity, top = Infinity, right = - Infinity, bottom = - Infinity;
+
+  var i;
+
+  if (elem.vertices) {
+    elem._update();
+    for (i = 0; i < elem.vertices.length; i++) {
+      var v = elem.vertices[i];
+      left = Math.min(v.x, left);
+      top = Math.min(v.y, top);
+      right = Math.max(v.x, right);
+      bottom = Math.max(v.y, bottom);
+    }
+  } else if (elem.children) {
+    for (i = 0; i < elem.children.length; i++) {
+      var rect = elem.children[i].getBoundingClientRect(true);
+      if (isFinite(rect.left) && isFinite(rect.top)
+        && isFinite(rect.right) && isFinite(rect.bottom)) {
+        left = Math.min(rect.left, left);
+        top = Math.min(rect.top, top);
+        right = Math.max(rect.right, right);
+        bottom = Math.max(rect.bottom, bottom);
+      }
+    }
+  }
+
+  if (!(right >= left && bottom >= top)) {
+    return { left: 0, top: 0, width: 0, height: 0 };
+  }
+
+  return { left: left, top: top, width: right - left, height: bottom - top };
+
+};
+
+/**
+ * @name Two.Utils.getUserSpaceOffset
+ * @function
+ * @param {SVGElement} node - The SVG node of a shape.
+ * @param {Object} bounds - The bounding box of the shape from {@link Two.Utils.getLocalBoundingBox}.
+ * @returns {Object} How far the coordinate space of the SVG node is from the one of the shape read from it, which the readers center on the shape.
+ */
+var getUserSpaceOffset = function(node, bounds) {
+
+  var get = function(name) {
+    return parseFloat(node.getAttribute(name)) || 0;
+  };
+
+  switch (getTagName(node.nodeName)) {
+    case 'rect':
+      return {
+        x: get('x') + get('width') / 2,
+        y: get('y') + get('height') / 2
+      };
+    case 'circle':
+    case 'ellipse':
+      return { x: get('cx'), y: get('cy') };
+    case 'text':
+      return { x: get('x'), y: get('y') };
+    case 'path':
+      try {
+        var box = node.getBBox();
+        if (box.width > 0 || box.height > 0) {
+          return {
+            x: box.x - bounds.left,
+            y: box.y - bounds.top
+          };
+        }
+      } catch (e) {
+        // Not rendered, so not measurable.
+      }
+      break;
+  }
+
+  return { x: 0, y: 0 };
+
+};
+
+/**
+ * @name Two.Utils.applyPatternViewBox
+ * @function
+ * @param {Two.Group} scene - The scene of a {@link Two.Pattern}.
+ * @param {Number[]} viewBox - The `x`, `y`, `width`, and `height` of the `viewBox` attribute.
+ * @param {Number} width - The width of one tile.
+ * @param {Number} height - The height of one tile.
+ * @param {String} [preserveAspectRatio='xMidYMid meet'] - The `preserveAspectRatio` attribute.
+ * @description Fit the view box into a tile of the pattern.
+ */
+var applyPatternViewBox = function(scene, viewBox, width, height, preserveAspectRatio) {
+
+  var value = preserveAspectRatio || 'xMidYMid meet';
+  var sx = width / viewBox[2];
+  var sy = height / viewBox[3];
+  var dx = 0, dy = 0;
+  var alignments = { Min: 0, Mid: 0.5, Max: 1 };
+  var align = value.match(/x(Min|Mid|Max)Y(Min|Mid|Max)/);
+
+  if (align) {
+    sx = sy = /slice/.test(value) ? Math.max(sx, sy) : Math.min(sx, sy);
+    dx = (width - viewBox[2] * sx) * alignments[align[1]];
+    dy = (height - viewBox[3] * sy) * alignments[align[2]];
+  }
+
+  scene.translation.set(dx - viewBox[0] * sx, dy - viewBox[1] * sy);
+  scene.scale = new Vector(sx, sy);
+
+  return scene;
+
+};
+
+/**
+ * @name Two.Utils.applyMaskUnits
+ * @function
+ * @param {Two.Group} group - The group the contents of a clip path or mask are read into.
+ * @param {SVGElement} node - The `<clipPath />` or `<mask />` node.
+ * @param {String} units - The `clipPathUnits` or `maskContentUnits` attribute.
+ * @param {Two.Shape} elem - The shape that's masked.
+ * @param {SVGElement} target - The SVG node `elem` is read from.
+ * @returns {Two.Group} group
+ * @description Place the contents of a clip path or mask in the coordinate space of the shape they mask.
+ */
+var applyMaskUnits = function(group, node, units, elem, target) {
+
+  var bounds = getLocalBoundingBox(elem);
+  var x, y, sx = 1, sy = 1;
+
+  if (units === 'objectBoundingBox') {
+    x = bounds.left;
+    y = bounds.top;
+    sx = bounds.width;
+    sy = bounds.height;
+  } else {
+    var offset = getUserSpaceOffset(target, bounds);
+    x = - offset.x;
+    y = - offset.y;
+  }
+
+  var m = node.transform && node.transform.baseVal
+    ? node.transform.baseVal.consolidate() : null;
+
+  if (m) {
+    m = m.matrix;
+    group.matrix.manual = true;
+    group.matrix.set(sx * m.a, sx * m.c, sx * m.e + x,
+      sy * m.b, sy * m.d, sy * m.f + y, 0, 0, 1);
+    return group;
+  }
+
+  group.translation.set(x, y);
+
+  if (units === 'objectBoundingBox') {
+    group.scale = new Vector(sx, sy);
+  }
+
+  return group;
+
+};
+
+/**
+ * @name Two.Utils.getMaskRegion
+ * @function
+ * @param {SVGElement} node - The `<mask />` node.
+ * @param {Two.Shape} elem - The shape that's masked.
+ * @param {SVGElement} target - The SVG node `elem` is read from.
+ * @returns {Object|null} The rectangle outside of which the mask hides everything as `x`, `y`, `width`, and `height` in the coordinate space of `elem`. `null` if the region can't be placed.
+ * @description Read the `x`, `y`, `width`, `height`, and `maskUnits` attributes of a mask. Regions relative to the viewport, i.e: `userSpaceOnUse` ones with missing or percentage values, and regions of shapes that can't be measured, like {@link Two.Text}, can't be placed.
+ */
+var getMaskRegion = function(node, elem, target) {
+
+  var bounds = getLocalBoundingBox(elem);
+  var userSpace = node.getAttribute('maskUnits') === 'userSpaceOnUse';
+  var defaults = { x: - 0.1, y: - 0.1, width: 1.2, height: 1.2 };
+  var region = {};
+
+  for (var k in defaults) {
+
+    var value = node.getAttribute(k);
+    var length = parseFloat(value);
+    var percentage = /%/.test(value);
+
+    if (userSpace) {
+      if (isNaN(length) || percentage) {
+        return null;
+      }
+      region[k] = length;
+    } else {
+      region[k] = isNaN(length) ? defaults[k]
+        : (percentage ? length / 100 : length);
+    }
+
+  }
+
+  if (userSpace) {
+    var offset = getUserSpaceOffset(target, bounds);
+    region.x -= offset.x;
+    region.y -= offset.y;
+    return region;
+  }
+
+  if (bounds.width <= 0 || bounds.height <= 0) {
+    return null;
+  }
+
+  return {
+    x: bounds.left + region.x * bounds.width,
+    y: bounds.top + region.y * bounds.height,
+    width: region.width * bounds.width,
+    height: region.height * bounds.height
+  };
+
+};
+
+// Attributes of `<tspan />`s and `<textPath />`s that position them instead of
+// styling their characters.
+var textPositions = ['id', 'x', 'y', 'dx', 'dy', 'rotate', 'transform',
+  'textLength', 'lengthAdjust', 'href', 'xlink:href', 'startOffset',
+  'opacity', 'mask', 'clip-path'];
+
+// The group read from a `<text />` applies these itself.
+var textGroupStyles = textPositions.concat(['class', 'fill-opacity', 'stroke-opacity']);
+
+/**
+ * @name Two.Utils.parseTextLength
+ * @function
+ * @param {String} value - The `x`, `y`, `dx`, or `dy` attribute of a text node.
+ * @param {Number} size - The font size `em`s are relative to.
+ * @returns {Number} The length in pixels, or `NaN` when there's none.
+ * @description Positions for each character aren't supported, so only the first length of a list is taken.
+ */
+var parseTextLength = function(value, size) {
+
+  if (typeof value !== 'string') {
+    return NaN;
+  }
+
+  var first = value.trim().split(/[\s,]+/)[0];
+  var length = parseFloat(first);
+
+  if (/em$/i.test(first)) {
+    length *= size;
+  }
+
+  return length;
+
+};
+
+// A canvas to measure text with when the `<svg />` read isn't in a document.
+// Only made once it succeeds and made again when `Two.Utils.shim` changes
+// the canvas to use.
+var measurer = {
+  Canvas: null,
+  context: null
+};
+
+/**
+ * @name Two.Utils.getTextWidth
+ * @function
+ * @param {SVGElement} node - The `<text />`, `<tspan />`, or `<textPath />` node the characters are in.
+ * @param {String} value - The characters to measure.
+ * @param {Object} styles - The styles of the node, with the ones inherited from its parents.
+ * @returns {Number} How wide the characters are drawn in pixels.
+ * @description Characters are measured by the browser when the node is in a document and on a canvas otherwise. Without either their widths are estimated with {@link Two.Text.Ratio}.
+ */
+var getTextWidth = function(node, value, styles) {
+
+  var size = parseFloat(styles['font-size']) || Text.prototype._size;
+  var family = styles['font-family'] || Text.prototype._family;
+  var weight = styles['font-weight'] || Text.prototype._weight;
+  var style = styles['font-style'] || Text.prototype._style;
+  var svg = node.ownerSVGElement;
+
+  if (svg && svg.isConnected && typeof svg.getBBox === 'function') {
+
+    var text = svg.ownerDocument.createElementNS(svg.namespaceURI, 'text');
+
+    text.setAttribute('font-family', family);
+    text.setAttribute('font-size', size);
+    text.setAttribute('font-weight', weight);
+    text.setAttribute('font-style', style);
+    text.setAttribute('style', 'white-space: pre');
+    text.textContent = value;
+
+    svg.appendChild(text);
+    var width = text.getComputedTextLength();
+    svg.removeChild(text);
+
+    return width;
+
+  }
+
+  if (!measurer.context || measurer.Canvas !== CanvasShim.Canvas) {
+    measurer.Canvas = CanvasShim.Canvas;
+    try {
+      measurer.context = (CanvasShim.isHeadless ? new CanvasShim.Canvas(1, 1)
+        : dom.createCanvas()).getContext('2d') || null;
+    } catch (e) {
+      measurer.context = null;
+    }
+  }
+
+  var context = measurer.context;
+
+  if (!context) {
+    return value.length * size * Text.Ratio;
+  }
+
+  context.font = [style, weight, size + 'px', family].join(' ');
+
+  return context.measureText(value).width;
+
+};
+
+/**
+ * @name Two.Utils.getTextStyleNode
+ * @function
+ * @param {SVGElement} node - A `<text />`, `<tspan />`, or `<textPath />` node.
+ * @param {String[]} keywords - The attributes to leave out.
+ * @returns {SVGElement} A detached copy of the node without its children and the attributes in `keywords`, with the styles of `<style />`s that apply to the node as attributes.
+ * @description The copy is read with {@link Two.Utils.applySvgAttributes} into every {@link Two.Text} of the node, which shouldn't be moved or given the node's id.
+ */
+var getTextStyleNode = function(node, keywords) {
+
+  var proxy = node.cloneNode(false);
+  var i, key;
+
+  for (i = 0; i < keywords.length; i++) {
+    proxy.removeAttribute(keywords[i]);
+  }
+
+  // The copy has no parents to match the rules
+  // of `<style />`s against, so take the node's.
+  var inline = extractCSSText(node.getAttribute('style') || '');
+  var styles = applySvgStyleSheet(node, {}, inline);
+
+  for (key in styles) {
+    if (keywords.indexOf(key) < 0) {
+      proxy.setAttribute(key, styles[key]);
+    }
+  }
+
+  return proxy;
+
+};
+
+/**
+ * @name Two.Utils.endTextChunk
+ * @function
+ * @param {Object} state - The layout of a `<text />`, see {@link Two.Utils.readTextSpans}.
+ * @description Line up the {@link Two.Text}s from the last absolute position by their `text-anchor`.
+ */
+var endTextChunk = function(state) {
+
+  var chunk = state.chunk;
+
+  if (!chunk) {
+    return;
+  }
+
+  // Collapsed white space at the end isn't anchored.
+  var width = state.x - chunk.x - state.gap;
+  var shift = 0;
+
+  switch (chunk.alignment) {
+    case 'center':
+      shift = - width / 2;
+      break;
+    case 'right':
+      shift = - width;
+      break;
+  }
+
+  for (var i = 0; i < chunk.texts.length; i++) {
+    chunk.texts[i].translation.x += shift;
+  }
+
+  state.chunk = null;
+
+};
+
+/**
+ * @name Two.Utils.readTextSpans
+ * @function
+ * @param {SVGElement} node - A `<text />` or `<tspan />` node.
+ * @param {Object} parentStyles - The styles inherited from the parents of the node.
+ * @param {Object} state - The layout of the `<text />`: the position of the next character in `x` and `y`, where the group of the `<text />` is in `left` and `top`, the group itself, and whether the last character read is white space.
+ * @description Lay out the characters of a node and its `<tspan />`s and `<textPath />`s as {@link Two.Text}s in the group of the `<text />`, one for each run of characters. Runs are measured with {@link Two.Utils.getTextWidth}.
+ */
+var readTextSpans = function(node, parentStyles, state) {
+
+  var isRoot = node === state.node;
+  var proxy = getTextStyleNode(node, isRoot ? textGroupStyles : textPositions);
+  var styles = _.extend({}, parentStyles, getSvgStyles(proxy));
+  var size = parseFloat(styles['font-size']) || Text.prototype._size;
+  var baseline = styles['dominant-baseline'] || styles['alignment-baseline'] || 'baseline';
+  var space = getTextWidth(node, ' ', styles);
+
+  var x = parseTextLength(node.getAttribute('x'), size);
+  var y = parseTextLength(node.getAttribute('y'), size);
+  var dx = parseTextLength(node.getAttribute('dx'), size);
+  var dy = parseTextLength(node.getAttribute('dy'), size);
+
+  // An absolute position starts a new chunk of text to anchor.
+  if (!isNaN(x) || !isNaN(y) || !state.chunk) {
+    endTextChunk(state);
+    state.x = isNaN(x) ? state.x : x;
+    state.y = isNaN(y) ? state.y : y;
+    state.gap = 0;
+    state.chunk = {
+      x: state.x,
+      alignment: getAlignment(styles['text-anchor']) || 'left',
+      texts: []
+    };
+  }
+
+  if (dx || dy) {
+    state.x += dx || 0;
+    state.y += dy || 0;
+    state.gap = 0;
+  }
+
+  for (var i = 0; i < node.childNodes.length; i++) {
+
+    var child = node.childNodes[i];
+
+    if (child.nodeType !== 3) {
+      switch (getTagName(child.nodeName)) {
+        case 'tspan':
+        case 'a':
+          readTextSpans.call(this, child, styles, state);
+          break;
+        case 'textpath':
+          readTextPath.call(this, child, styles, state);
+          break;
+      }
+      continue;
+    }
+
+    // Collapse white space like browsers do.
+    var value = child.nodeValue.replace(/\s+/g, ' ');
+
+    if (state.space) {
+      value = value.replace(/^ /, '');
+    }
+    if (!value) {
+      continue;
+    }
+
+    var characters = value.trim();
+
+    if (/^ /.test(value)) {
+      state.x += space;
+      state.gap = space;
+    }
+
+    if (characters) {
+
+      var text = new Text(characters);
+
+      applySvgAttributes.call(this, proxy, text, parentStyles);
+
+      text.alignment = 'left';
+      text.baseline = baseline;
+      text.translation.set(state.x - state.left, state.y - state.top);
+
+      state.group.add(text);
+      state.chunk.texts.push(text);
+      state.x += getTextWidth(node, characters, styles);
+      state.gap = 0;
+
+      if (/ $/.test(value)) {
+        state.x += space;
+        state.gap = space;
+      }
+
+    }
+
+    state.space = / $/.test(value);
+
+  }
+
+  if (isRoot) {
+    endTextChunk(state);
+  }
 
 };
 
 /**
- * @name Two.Utils.updateDefsCache
+ * @name Two.Utils.readTextPath
  * @function
- * @param {SVGElement} node - The SVG Node with which to update the defs cache.
- * @param {Object} Object - The defs cache to be updated.
- * @description Update the cache of children of <defs /> tags.
+ * @param {SVGElement} node - A `<textPath />` node.
+ * @param {Object} parentStyles - The styles inherited from the parents of the node.
+ * @param {Object} state - The layout of the `<text />`, see {@link Two.Utils.readTextSpans}.
+ * @description Place each character of a `<textPath />` along the shape it references as a {@link Two.Text} rotated to the direction of the shape.
  */
-var updateDefsCache = function(node, defsCache) {
-  for (var i = 0, l = node.childNodes.length; i < l; i++) {
-    var n = node.childNodes[i];
-    if (!n.id) continue;
+var readTextPath = function(node, parentStyles, state) {
 
-    var tagName = getTagName(node.nodeName);
-    if (tagName === '#text') continue;
+  var href = node.getAttribute('href') || node.getAttribute('xlink:href');
+  var ref = href ? getTextPathReference(node, href.slice(1)) : null;
+  var tagName = ref && getTagName(ref.nodeName);
+
+  if (!ref || !(tagName in read)) {
+    var error = new TwoError(
+      'unable to find shape for <textPath /> reference ' + href + '.');
+    console.warn(error.name, error.message);
+    return;
+  }
+
+  // Read a copy to not rename the id of the original.
+  var path = read[tagName].call(this, ref.cloneNode(true), {});
+
+  if (!path || !path.vertices) {
+    return;
+  }
+
+  path._update();
+
+  var points = getPointsAlong(path);
+  var length = points[points.length - 1].distance;
+
+  var proxy = getTextStyleNode(node, textPositions);
+  var styles = _.extend({}, parentStyles, getSvgStyles(proxy));
+  var size = parseFloat(styles['font-size']) || Text.prototype._size;
+  var baseline = styles['dominant-baseline'] || styles['alignment-baseline'] || 'baseline';
+
+  var value = node.textContent.replace(/\s+/g, ' ').trim();
+  var startOffset = node.getAttribute('startOffset') || '0';
+  var offset = /%$/.test(startOffset)
+    ? length * parseFloat(startOffset) / 100
+    : parseTextLength(startOffset, size) || 0;
+
+  var widths = {};
+  var total = 0;
+  var i, character, width;
+
+  for (i = 0; i < value.length; i++) {
+    character = value.charAt(i);
+    if (!(character in widths)) {
+      widths[character] = getTextWidth(node, character, styles);
+    }
+    total += widths[character];
+  }
+
+  switch (getAlignment(styles['text-anchor'])) {
+    case 'center':
+      offset -= total / 2;
+      break;
+    case 'right':
+      offset -= total;
+      break;
+  }
+
+  var a, b, c;
+
+  for (i = 0; i < value.length; i++) {
+
+    character = value.charAt(i);
+    width = widths[character];
+
+    var distance = offset + width / 2;
+    offset += width;
+
+    // Like browsers characters off the shape aren't drawn.
+    if (length <= 0 || distance < 0 || distance > length) {
+      continue;
+    }
+
+    a = getPointAlong(points, distance - width / 2);
+    b = getPointAlong(points, distance);
+    c = getPointAlong(points, distance + width / 2);
+
+    state.x = c.x;
+    state.y = c.y;
+    state.gap = 0;
+
+    if (character === ' ') {
+      continue;
+    }
+
+    var text = new Text(character);
+
+    applySvgAttributes.call(this, proxy, text, parentStyles);
+
+    text.alignment = 'center';
+    text.baseline = baseline;
+    text.translation.set(b.x - state.left, b.y - state.top);
+    text.rotation = Math.atan2(c.y - a.y, c.x - a.x);
+
+    state.group.add(text);
+
+  }
+
+};
+
+/**
+ * @name Two.Utils.getPointsAlong
+ * @function
+ * @param {Two.Path} path - The shape a `<textPath />` references.
+ * @returns {Object[]} Points on the path in the coordinate space of its parent and how far along the path they are in `distance`.
+ * @description {@link Two.Path#getPointAt} doesn't move along the path at an even pace, so the path is sampled to measure distances along it.
+ */
+var getPointsAlong = function(path) {
+
+  var amount = Math.min(Math.max(Math.ceil(path.length / 2), 32), 1024);
+  var points = [];
+  var distance = 0;
+  var previous;
+
+  for (var i = 0; i <= amount; i++) {
+
+    var point = path.getPointAt(i / amount);
+    point = path._matrix.multiply(point.x, point.y, 1);
+
+    if (previous) {
+      var dx = point.x - previous.x;
+      var dy = point.y - previous.y;
+      distance += Math.sqrt(dx * dx + dy * dy);
+    }
+
+    points.push({ x: point.x, y: point.y, distance: distance });
+    previous = point;
+
+  }
+
+  return points;
+
+};
+
+/**
+ * @name Two.Utils.getPointAlong
+ * @function
+ * @param {Object[]} points - The points from {@link Two.Utils.getPointsAlong}.
+ * @param {Number} distance - How far along the path the point is.
+ * @returns {Object} The point, clamped to the ends of the path.
+ */
+var getPointAlong = function(points, distance) {
+
+  var a = points[0];
+
+  for (var i = 1; i < points.length; i++) {
+
+    var b = points[i];
+
+    if (b.distance >= distance) {
+      var t = b.distance > a.distance
+        ? Math.max(distance - a.distance, 0) / (b.distance - a.distance) : 0;
+      return { x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t) };
+    }
+
+    a = b;
 
-    defsCache.add(n.id, n);
   }
+
+  return { x: a.x, y: a.y };
+
+};
+
+/**
+ * @name Two.Utils.getTextPathReference
+ * @function
+ * @param {SVGElement} node - A `<textPath />` node.
+ * @param {String} id - The id it references.
+ * @returns {SVGElement} The referenced node, if any.
+ * @description Look for the shape in `<defs />` first and then in the whole SVG document, including nodes whose id has been overwritten by {@link Two.Utils.applySvgAttributes}.
+ */
+var getTextPathReference = function(node, id) {
+
+  if (read.defs.current && read.defs.current.contains(id)) {
+    return read.defs.current.get(id);
+  }
+
+  var scope = node;
+
+  while (scope.parentNode && scope.parentNode.nodeType === 1) {
+    scope = scope.parentNode;
+  }
+
+  var ids = [id, id + '-' + Constants.Identifier + 'applied'];
+
+  for (var i = 0; i < ids.length; i++) {
+    var elem = scope.querySelector('[id="' + ids[i] + '"]');
+    if (elem) {
+      return elem;
+    }
+  }
+
+  return null;
+
 };
 
 /**
@@ -544,13 +1432,39 @@ var read = {
 
   svg: function(node) {
 
-    var defs = read.defs.current = new Registry();
-    var elements = node.getElementsByTagName('defs');
+    // Nested `<svg />`s share the definitions, markers, and rules of the
+    // outermost one, which already gathered their descendants' as well.
+    var outermost = !read.defs.current;
+    var elements, i;
+
+    if (outermost) {
+
+      read.defs.current = new Registry();
+      elements = node.getElementsByTagName('defs');
+
+      for (i = 0; i < elements.length; i++) {
+        updateDefsCache(elements[i], read.defs.current);
+      }
+
+      // Markers can be referenced before they're read.
+      elements = node.getElementsByTagName('marker');
+
+      for (i = 0; i < elements.length; i++) {
+        read.marker.call(this, elements[i]);
+      }
+
+      read.marker.current = new Registry();
+
+      var rules = read.style.current = [];
+      elements = node.getElementsByTagName('style');
+
+      for (i = 0; i < elements.length; i++) {
+        parseStyleSheet(elements[i].textContent, rules);
+      }
 
-    for (var i = 0; i < elements.length; i++) {
-      updateDefsCache(elements[i], defs);
     }
 
+    var defs = read.defs.current;
     var svg = read.g.call(this, node);
     var viewBox = node.getAttribute('viewBox');
     var x = node.getAttribute('x');
@@ -582,7 +1496,11 @@ var read = {
       applySvgViewBox(svg, viewBox);
     }
 
-    delete read.defs.current;
+    if (outermost) {
+      delete read.defs.current;
+      delete read.style.current;
+      delete read.marker.current;
+    }
 
     return svg;
 
@@ -592,6 +1510,11 @@ var read = {
     return null;
   },
 
+  // Rules of `<style />`s are read up front by `read.svg`.
+  style: function(node) {
+    return null;
+  },
+
   use: function(node, styles) {
 
     var error;
@@ -633,13 +1556,17 @@ var read = {
     var styles;
     var group = new Group();
 
-    applySvgAttributes.call(this, node, group, parentStyles);
+    var applied = applySvgAttributes.call(this, node, group, parentStyles);
 
     this.add(group);
 
     // Switched up order to inherit more specific styles
     styles = getSvgStyles.call(this, node);
 
+    // Clip paths and masks aren't inherited.
+    delete styles['clip-path'];
+    delete styles.mask;
+
     for (var i = 0, l = node.childNodes.length; i < l; i++) {
       var n = node.childNodes[i];
       var tag = n.nodeName;
@@ -655,6 +1582,9 @@ var read = {
       }
     }
 
+    // Bounding box units need the children.
+    applySvgMask.call(this, node, group, applied);
+
     return group;
 
   },
@@ -1278,12 +2208,146 @@ var read = {
 
   },
 
+  /**
+   * `elem` is the shape filled or stroked with the pattern and `target`
+   * the SVG node it's read from. Patterns aren't read anywhere else.
+   */
+  pattern: function(node, parentStyles, elem, target) {
+
+    if (!elem) {
+      if (read.defs.current && node.id && !read.defs.current.contains(node.id)) {
+        read.defs.current.add(node.id, node);
+      }
+      return null;
+    }
+
+    // Attributes and contents can be inherited from
+    // the pattern referenced by `href`.
+    var getAttribute = function(name) {
+      var ref = getReferencedPattern(node, function(n) {
+        return n.hasAttribute(name);
+      });
+      return ref ? ref.getAttribute(name) : null;
+    };
+
+    var bounds = getLocalBoundingBox(elem);
+    var offset = getUserSpaceOffset(target, bounds);
+
+    var x = parsePatternLength(getAttribute('x'));
+    var y = parsePatternLength(getAttribute('y'));
+    var width = parsePatternLength(getAttribute('width'));
+    var height = parsePatternLength(getAttribute('height'));
+
+    if (getAttribute('patternUnits') !== 'userSpaceOnUse') {
+      x = bounds.left + offset.x + x * bounds.width;
+      y = bounds.top + offset.y + y * bounds.height;
+      width *= bounds.width;
+      height *= bounds.height;
+    }
+
+    var pattern = new Pattern(width, height);
+    pattern.offset.set(x, y);
+
+    // The tiles are laid out in the coordinate space of `target`,
+    // which is `offset` away from the one of `elem`.
+    var ref = getReferencedPattern(node, function(n) {
+      return n.hasAttribute('patternTransform');
+    });
+    var m = ref && ref.patternTransform && ref.patternTransform.baseVal
+      ? ref.patternTransform.baseVal.consolidate() : null;
+    m = m ? m.matrix : { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+    pattern.matrix.set(m.a, m.c, m.e - offset.x, m.b, m.d, m.f - offset.y,
+      0, 0, 1);
+
+    var scene = pattern.scene;
+    var viewBox = (getAttribute('viewBox') || '').trim().split(/[\s,]+/)
+      .map(parseFloat);
+
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+      applyPatternViewBox(scene, viewBox, width, height,
+        getAttribute('preserveAspectRatio'));
+    } else if (getAttribute('patternContentUnits') === 'objectBoundingBox') {
+      scene.scale = new Vector(bounds.width, bounds.height);
+    }
+
+    ref = getReferencedPattern(node, function(n) {
+      return n.children.length > 0;
+    });
+
+    if (!ref) {
+      return pattern;
+    }
+
+    // Contents inherit styles from the pattern, not from the shape.
+    var styles = getSvgStyles.call(scene, ref);
+    var keywords = ['x', 'y', 'width', 'height', 'href', 'xlink:href',
+      'patternUnits', 'patternContentUnits', 'patternTransform',
+      'preserveAspectRatio'];
+
+    for (var i = 0; i < keywords.length; i++) {
+      delete styles[keywords[i]];
+    }
+
+    for (i = 0; i < ref.childNodes.length; i++) {
+      var n = ref.childNodes[i];
+      var tagName = getTagName(n.nodeName);
+
+      if (tagName in read) {
+        var o = read[tagName].call(scene, n, styles);
+        if (!!o && !o.parent) {
+          scene.add(o);
+        }
+      }
+    }
+
+    return pattern;
+
+  },
+
   text: function(node, parentStyles) {
 
     var alignment = getAlignment(node.getAttribute('text-anchor')) || 'left';
     var baseline = getBaseline(node) || 'baseline';
     var message = node.textContent;
 
+    var hasSpans = Array.prototype.some.call(node.childNodes, function(child) {
+      return child.nodeType === 1;
+    });
+
+    // `<tspan />`s and `<textPath />`s are laid out
+    // as a group of `Two.Text`s.
+    if (hasSpans) {
+
+      var group = new Group();
+      var styles = applySvgAttributes.call(this, node, group, parentStyles);
+      var inherited = {};
+
+      for (var key in styles) {
+        if (textGroupStyles.indexOf(key) < 0) {
+          inherited[key] = styles[key];
+        }
+      }
+
+      readTextSpans.call(this, node, inherited, {
+        node: node,
+        group: group,
+        left: parseFloat(node.getAttribute('x')) || 0,
+        top: parseFloat(node.getAttribute('y')) || 0,
+        x: 0,
+        y: 0,
+        gap: 0,
+        space: true,
+        chunk: null
+      });
+
+      // Bounding box units need the children.
+      applySvgMask.call(this, node, group, styles);
+
+      return group;
+
+    }
+
     var text = new Text(message);
 
     applySvgAttributes.call(this, node, text, parentStyles);
@@ -1295,11 +2359,177 @@ var read = {
 
   },
 
-  clippath: function(node, parentStyles) {
-    if (read.defs.current && !read.defs.current.contains(node.id)) {
-      read.defs.current.add(node.id, node);
+  /**
+   * `elem` is the shape clipped and `target` the SVG node it's read
+   * from. Clip paths aren't read anywhere else.
+   */
+  clippath: function(node, parentStyles, elem, target) {
+
+    if (!elem) {
+      if (read.defs.current && !read.defs.current.contains(node.id)) {
+        read.defs.current.add(node.id, node);
+      }
+      return null;
     }
-    return null;
+
+    var group = new Group();
+
+    applyMaskUnits(group, node, node.getAttribute('clipPathUnits'),
+      elem, target);
+
+    // Only the outlines of the contents count, so they
+    // don't inherit styles from the clip path.
+    for (var i = 0; i < node.childNodes.length; i++) {
+      var n = node.childNodes[i];
+      var tagName = getTagName(n.nodeName);
+
+      if (tagName in read) {
+        var o = read[tagName].call(group, n, {});
+        if (!!o && !o.parent) {
+          group.add(o);
+        }
+      }
+    }
+
+    return group;
+
+  },
+
+  /**
+   * `elem` is the shape masked and `target` the SVG node it's read
+   * from. Masks aren't read anywhere else.
+   */
+  mask: function(node, parentStyles, elem, target) {
+
+    if (!elem) {
+      if (read.defs.current && node.id && !read.defs.current.contains(node.id)) {
+        read.defs.current.add(node.id, node);
+      }
+      return null;
+    }
+
+    var mask = new Mask();
+    var scene = mask.scene;
+
+    // Contents inherit styles from the mask, not from the shape.
+    var styles = getSvgStyles.call(scene, node);
+    var keywords = ['x', 'y', 'width', 'height', 'maskUnits',
+      'maskContentUnits', 'mask-type'];
+
+    if (styles['mask-type'] === 'alpha') {
+      mask.mode = 'alpha';
+    }
+
+    for (var i = 0; i < keywords.length; i++) {
+      delete styles[keywords[i]];
+    }
+
+    // The scene stays in the coordinate space of the shape, so that
+    // the mask's region can clip it, and holds the contents in theirs.
+    var contents = new Group();
+
+    applyMaskUnits(contents, node, node.getAttribute('maskContentUnits'),
+      elem, target);
+
+    for (i = 0; i < node.childNodes.length; i++) {
+      var n = node.childNodes[i];
+      var tagName = getTagName(n.nodeName);
+
+      if (tagName in read) {
+        var o = read[tagName].call(contents, n, styles);
+        if (!!o && !o.parent) {
+          contents.add(o);
+        }
+      }
+    }
+
+    scene.add(contents);
+
+    var region = getMaskRegion(node, elem, target);
+
+    if (region) {
+      scene.mask = new Rectangle(region.x + region.width / 2,
+        region.y + region.height / 2, region.width, region.height);
+    }
+
+    return mask;
+
+  },
+
+  /**
+   * `elem` is the path the marker is drawn on. Markers aren't read
+   * anywhere else. Paths with the same marker share one `Two.Marker`.
+   */
+  marker: function(node, parentStyles, elem) {
+
+    if (!elem) {
+      if (read.defs.current && node.id && !read.defs.current.contains(node.id)) {
+        read.defs.current.add(node.id, node);
+      }
+      return null;
+    }
+
+    var cache = read.marker.current;
+
+    if (cache && node.id && cache.contains(node.id)) {
+      return cache.get(node.id);
+    }
+
+    var marker = new Marker(null,
+      parseMarkerOrient(node.getAttribute('orient')));
+    var scene = marker.scene;
+
+    if (node.getAttribute('markerUnits') === 'userSpaceOnUse') {
+      marker.units = 'userSpaceOnUse';
+    }
+
+    // Markers aren't clipped to `markerWidth` and `markerHeight`,
+    // as if their `overflow` were always visible.
+    var width = parseFloat(node.getAttribute('markerWidth'));
+    var height = parseFloat(node.getAttribute('markerHeight'));
+    var viewBox = (node.getAttribute('viewBox') || '').trim().split(/[\s,]+/)
+      .map(parseFloat);
+
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+      applyPatternViewBox(scene, viewBox, isNaN(width) ? 3 : width,
+        isNaN(height) ? 3 : height, node.getAttribute('preserveAspectRatio'));
+    }
+
+    // The reference point, in the coordinate space of the
+    // contents, is placed on the vertex.
+    var scale = scene.scale instanceof Vector
+      ? scene.scale : new Vector(scene.scale, scene.scale);
+
+    scene.translation.x -= (parseFloat(node.getAttribute('refX')) || 0) * scale.x;
+    scene.translation.y -= (parseFloat(node.getAttribute('refY')) || 0) * scale.y;
+
+    // Contents inherit styles from the marker, not from the path.
+    var styles = getSvgStyles.call(scene, node);
+    var keywords = ['refX', 'refY', 'markerWidth', 'markerHeight',
+      'markerUnits', 'orient', 'preserveAspectRatio', 'overflow'];
+
+    for (var i = 0; i < keywords.length; i++) {
+      delete styles[keywords[i]];
+    }
+
+    for (i = 0; i < node.childNodes.length; i++) {
+      var n = node.childNodes[i];
+      var tagName = getTagName(n.nodeName);
+
+      if (tagName in read) {
+        var o = read[tagName].call(scene, n, styles);
+        if (!!o && !o.parent) {
+          scene.add(o);
+        }
+      }
+    }
+
+    if (cache && node.id) {
+      cache.add(node.id, marker);
+    }
+
+    return marker;
+
   },
 
   image: function(node, parentStyles) {
@@ -4,6 +4,10 @@ var Matrix;
 var TWO_PI = Math.PI * 2;
 var HALF_PI = Math.PI * 0.5;
 
+// Lengths and determinants at or below this are treated as zero
+// by the path geometry utilities.
+var EPSILON = 1e-9;
+
 /**
  * @name Two.Utils.decomposeMatrix
  * @function
@@ -124,6 +128,46 @@ var mod = function(v, l) {
 
 };
 
+/**
+ * @name Two.Utils.distance
+ * @function
+ * @param {Number} x1 - x position of the first point.
+ * @param {Number} y1 - y position of the first point.
+ * @param {Number} x2 - x position of the second point.
+ * @param {Number} y2 - y position of the second point.
+ * @returns {Number} The distance between both points.
+ */
+var distance = function(x1, y1, x2, y2) {
+  return Math.sqrt(distanceSquared(x1, y1, x2, y2));
+};
+
+/**
+ * @name Two.Utils.distanceSquared
+ * @function
+ * @param {Number} x1 - x position of the first point.
+ * @param {Number} y1 - y position of the first point.
+ * @param {Number} x2 - x position of the second point.
+ * @param {Number} y2 - y position of the second point.
+ * @returns {Number} The squared distance between both points. Cheaper than {@link Two.Utils.distance} when only comparing distances.
+ */
+var distanceSquared = function(x1, y1, x2, y2) {
+  var dx = x2 - x1;
+  var dy = y2 - y1;
+  return dx * dx + dy * dy;
+};
+
+/**
+ * @name Two.Utils.getDirection
+ * @function
+ * @param {Number} x - x component of a vector.
+ * @param {Number} y - y component of a vector.
+ * @returns {Number[]} The vector normalized to a length of one as `[x, y]`. `null` if the vector is no longer than {@link Two.Utils.EPSILON}.
+ */
+var getDirection = function(x, y) {
+  var length = Math.sqrt(x * x + y * y);
+  return length > EPSILON ? [x / length, y / length] : null;
+};
+
 var NumArray = root.Float32Array || Array;
 var floor = Math.floor;
 
@@ -142,5 +186,5 @@ var toFixed = function(v) {
 
 export {
   decomposeMatrix, getComputedMatrix, getPoT, setMatrix, lerp, mod, NumArray,
-  toFixed, TWO_PI, HALF_PI
+  toFixed, distance, distanceSquared, getDirection, TWO_PI, HALF_PI, EPSILON
 };
@@ -0,0 +1,303 @@
+import {
+  getCubicSubpaths,
+  getCurveLength,
+  getCurveParameterAtLength,
+  getPointOnCurve,
+  getSubpathArea,
+  reverseSegments,
+  splitSegmentsAtLengths
+} from './curves.js';
+import { distanceSquared } from './math.js';
+
+// Fractions of a sub-path's length closer than this are the same point.
+var Tolerance = 1e-6;
+
+// The amount of points compared when aligning closed sub-paths.
+var Samples = 64;
+
+/**
+ * @name Two.Utils.getMorphSubpaths
+ * @function
+ * @private
+ * @param {Two.Path} a - The path to morph from.
+ * @param {Two.Path} b - The path to morph to.
+ * @returns {Object[][]} A pair of lists of sub-paths as described in {@link Two.Utils.getCubicSubpaths}.
+ * @description Convert the vertices of two paths into sub-paths of cubic béziers that can be interpolated with {@link Two.Utils.interpolateSubpaths}. Both lists have the same amount of sub-paths and every pair of sub-paths has the same amount of segments. Closed sub-paths are first aligned to wind in the same direction and to start from their closest points. Then each sub-path is split wherever its counterpart has an anchor, measured as a fraction of their lengths, so anchors line up by arc length and the shape of each path doesn't change.
+ */
+function getMorphSubpaths(a, b) {
+
+  var from = getCubicSubpaths(a.vertices, a._closed);
+  var to = getCubicSubpaths(b.vertices, b._closed);
+
+  // Sub-paths without a counterpart grow out of, or shrink into, a point.
+  while (from.length < to.length) {
+    from.push(collapse(to[from.length]));
+  }
+  while (to.length < from.length) {
+    to.push(collapse(from[to.length]));
+  }
+
+  for (var i = 0; i < from.length; i++) {
+
+    var p = from[i];
+    var q = to[i];
+    var closed = p.closed && q.closed;
+
+    if (closed && getSubpathArea(p.segments) * getSubpathArea(q.segments) < 0) {
+      q.segments = reverseSegments(q.segments);
+    } else if (!closed && shouldReverse(p.segments, q.segments)) {
+      q.segments = reverseSegments(q.segments);
+    }
+
+    if (closed) {
+      q.segments = align(p.segments, q.segments);
+    }
+
+    var segments = resample(p.segments, q.segments);
+
+    p.segments = segments[0];
+    q.segments = segments[1];
+    p.closed = q.closed = closed;
+
+  }
+
+  return [from, to];
+
+}
+
+/**
+ * @name Two.Utils.interpolateSubpaths
+ * @function
+ * @private
+ * @param {Object[]} from - A list of sub-paths from {@link Two.Utils.getMorphSubpaths}.
+ * @param {Object[]} to - The matching list of sub-paths from {@link Two.Utils.getMorphSubpaths}.
+ * @param {Number} t - Zero-to-one value describing how far to interpolate.
+ * @returns {Object[]} A new list of sub-paths.
+ */
+function interpolateSubpaths(from, to, t) {
+
+  var result = [];
+
+  for (var i = 0; i < from.length; i++) {
+
+    var p = from[i].segments;
+    var q = to[i].segments;
+    var segments = [];
+
+    for (var j = 0; j < p.length; j++) {
+      var segment = [];
+      for (var k = 0; k < 8; k++) {
+        segment.push(p[j][k] + (q[j][k] - p[j][k]) * t);
+      }
+      segments.push(segment);
+    }
+
+    result.push({ segments: segments, closed: from[i].closed });
+
+  }
+
+  return result;
+
+}
+
+function collapse(subpath) {
+
+  var x = 0;
+  var y = 0;
+  var segments = subpath.segments;
+
+  for (var i = 0; i < segments.length; i++) {
+    x += segments[i][6];
+    y += segments[i][7];
+  }
+
+  x /= segments.length;
+  y /= segments.length;
+
+  return {
+    segments: [[x, y, x, y, x, y, x, y]],
+    closed: subpath.closed
+  };
+
+}
+
+function shouldReverse(p, q) {
+
+  var a = p[0];
+  var b = p[p.length - 1];
+  var c = q[0];
+  var d = q[q.length - 1];
+
+  var aligned = distanceSquared(a[0], a[1], c[0], c[1]) + distanceSquared(b[6], b[7], d[6], d[7]);
+  var reversed = distanceSquared(a[0], a[1], d[6], d[7]) + distanceSquared(b[6], b[7], c[0], c[1]);
+
+  return reversed < aligned;
+
+}
+
+/**
+ * @private
+ * @param {Number[][]} p
+ * @param {Number[][]} q
+ * @returns {Number[][][]} Both lists of segments split so that they have the same amount of segments and each of their anchors are the same fraction of the way along both lists.
+ */
+function resample(p, q) {
+
+  var a = getBreaks(p);
+  var b = getBreaks(q);
+  var from = [];
+  var to = [];
+  var i = 0;
+  var j = 0;
+
+  // Breaks found in both lists, within rounding error, are already
+  // anchors of both. The rest get added to the other list.
+  while (i < a.fractions.length || j < b.fractions.length) {
+    var fa = i < a.fractions.length ? a.fractions[i] : Infinity;
+    var fb = j < b.fractions.length ? b.fractions[j] : Infinity;
+    if (Math.abs(fa - fb) <= Tolerance) {
+      i++;
+      j++;
+    } else if (fa < fb) {
+      to.push(fa * b.length);
+      i++;
+    } else {
+      from.push(fb * a.length);
+      j++;
+    }
+  }
+
+  return [
+    splitSegmentsAtLengths(p, a.lengths, from),
+    splitSegmentsAtLengths(q, b.lengths, to)
+  ];
+
+}
+
+/**
+ * @private
+ * @param {Number[][]} segments
+ * @returns {Object} The length of each segment, their sum and the zero-to-one fraction of it where each segment, except the last, ends.
+ */
+function getBreaks(segments) {
+
+  var lengths = segments.map(function(s) {
+    return getCurveLength.apply(null, s);
+  });
+  var length = lengths.reduce(function(sum, l) {
+    return sum + l;
+  }, 0);
+  var fractions = [];
+  var sum = 0;
+
+  for (var i = 0; i < segments.length - 1; i++) {
+    sum += lengths[i];
+    // Sub-paths collapsed to a point have no length to go by.
+    fractions.push(length > 0 ? sum / length : (i + 1) / segments.length);
+  }
+
+  return { lengths: lengths, length: length, fractions: fractions };
+
+}
+
+/**
+ * @private
+ * @param {Number[][]} p
+ * @param {Number[][]} q
+ * @returns {Number[][]} The segments of `q` split and reordered to start from where points spaced evenly along both lists of segments are the closest to each other.
+ */
+function align(p, q) {
+
+  var a = getBreaks(p);
+  var b = getBreaks(q);
+  var from = getSamples(p, a);
+  var to = getSamples(q, b);
+  var offset = 0;
+  var min = Infinity;
+
+  for (var i = 0; i < Samples; i++) {
+
+    var sum = 0;
+
+    for (var j = 0; j < Samples; j++) {
+      var s = from[j];
+      var t = to[(i + j) % Samples];
+      sum += distanceSquared(s[0], s[1], t[0], t[1]);
+    }
+
+    if (sum < min) {
+      min = sum;
+      offset = i;
+    }
+
+  }
+
+  if (offset <= 0) {
+    return q;
+  }
+
+  var position = b.length * offset / Samples;
+  var location = locate(b.lengths, position);
+  var index = location.index;
+  var segments = q;
+
+  if (position > location.offset) {
+    segments = splitSegmentsAtLengths(q, b.lengths, [position]);
+    index++;
+  }
+
+  return segments.slice(index).concat(segments.slice(0, index));
+
+}
+
+/**
+ * @private
+ * @param {Number[][]} segments
+ * @param {Object} breaks - The result of `getBreaks` for `segments`.
+ * @returns {Number[][]} Points spaced evenly by length along the segments.
+ */
+function getSamples(segments, breaks) {
+
+  var points = [];
+
+  for (var i = 0; i < Samples; i++) {
+
+    var position = breaks.length * i / Samples;
+    var location = locate(breaks.lengths, position);
+    var c = segments[location.index];
+    var t = getCurveParameterAtLength(c, position - location.offset,
+      breaks.lengths[location.index]);
+
+    points.push(getPointOnCurve(c, t));
+
+  }
+
+  return points;
+
+}
+
+/**
+ * @private
+ * @param {Number[]} lengths
+ * @param {Number} position
+ * @returns {Object} The index of the segment that `position` lies on and the length of all segments before it.
+ */
+function locate(lengths, position) {
+
+  var offset = 0;
+
+  for (var i = 0; i < lengths.length - 1; i++) {
+    if (offset + lengths[i] > position) {
+      break;
+    }
+    offset += lengths[i];
+  }
+
+  return { index: i, offset: offset };
+
+}
+
+export {
+  getMorphSubpaths,
+  interpolateSubpaths
+};
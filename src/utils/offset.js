@@ -0,0 +1,597 @@
+import {
+  Curve,
+  getComponentOnCubicBezier,
+  getCurveIntersections,
+  getCurveLength,
+  getCurveParameterAtLength,
+  getCurveTangent,
+  getLineSegment,
+  getNearestPointOnCurve,
+  reverseSegments,
+  splitCurve
+} from './curves.js';
+import { mod, EPSILON } from './math.js';
+
+/**
+ * @name Two.Utils.getOffsetSubpaths
+ * @function
+ * @private
+ * @param {Object[]} subpaths - A list of sub-paths as described in {@link Two.Utils.getCubicSubpaths}. Closed sub-paths are expected to be oriented with {@link Two.Utils.orientSubpaths}.
+ * @param {Number} distance - How far to offset. Positive values grow the area of closed sub-paths and move open sub-paths to their left as seen on screen.
+ * @param {String} join - How corners facing away from the offset are filled in. Either `'miter'`, `'round'`, or `'bevel'`.
+ * @param {Number} miter - The miter limit.
+ * @returns {Object[]} The offset sub-paths.
+ * @description Move every segment of a list of sub-paths perpendicular to itself. Curves are approximated with as many cubic béziers as needed and segments that overlap at corners are trimmed to where they cross.
+ */
+function getOffsetSubpaths(subpaths, distance, join, miter) {
+
+  var result = [];
+
+  for (var i = 0; i < subpaths.length; i++) {
+
+    var subpath = subpaths[i];
+    var segments = getVisibleSegments(subpath.segments);
+
+    if (segments.length > 0) {
+      result.push({
+        segments: offset(segments, subpath.closed, distance, join, miter, false),
+        closed: subpath.closed
+      });
+    }
+
+  }
+
+  return result;
+
+}
+
+/**
+ * @name Two.Utils.getStrokeSubpaths
+ * @function
+ * @private
+ * @param {Object[]} subpaths - A list of sub-paths as described in {@link Two.Utils.getCubicSubpaths}.
+ * @param {Number} linewidth
+ * @param {String} cap - Either `'butt'`, `'round'`, or `'square'`.
+ * @param {String} join - Either `'miter'`, `'round'`, or `'bevel'`.
+ * @param {Number} miter - The miter limit.
+ * @param {Number[]} [dashes] - A dash pattern with an optional `offset` property like {@link Two.Path#dashes}.
+ * @returns {Object[]} Closed sub-paths whose combined area, filled with the nonzero rule, is the area the stroke covers.
+ * @description Convert the stroke of a list of sub-paths into outlines. Every open sub-path, or dash, becomes one outline that travels along one side, around the end cap, back along the other side and around the starting cap. Every closed sub-path becomes an outer and an inner outline that wind in opposite directions. Where the stroke overlaps itself the outlines overlap too, in the same direction, so that filling them with the nonzero rule covers the same area as the stroke.
+ */
+function getStrokeSubpaths(subpaths, linewidth, cap, join, miter, dashes) {
+
+  var result = [];
+  var hw = linewidth / 2;
+
+  if (!(hw > 0)) {
+    return result;
+  }
+
+  if (dashes && dashes.length > 0) {
+    subpaths = getDashedSubpaths(subpaths, dashes, dashes.offset || 0);
+  }
+
+  for (var i = 0; i < subpaths.length; i++) {
+
+    var subpath = subpaths[i];
+    var segments = getVisibleSegments(subpath.segments);
+
+    if (segments.length <= 0) {
+      // Zero length sub-paths only render with round or square caps.
+      if (!subpath.closed && subpath.segments.length > 0 && cap !== 'butt') {
+        result.push({
+          segments: getDot(subpath.segments[0][0], subpath.segments[0][1], hw, cap),
+          closed: true
+        });
+      }
+      continue;
+    }
+
+    var reversed = reverseSegments(segments);
+
+    if (subpath.closed) {
+      result.push({
+        segments: offset(segments, true, hw, join, miter, true),
+        closed: true
+      }, {
+        segments: offset(reversed, true, hw, join, miter, true),
+        closed: true
+      });
+      continue;
+    }
+
+    var first = segments[0];
+    var last = segments[segments.length - 1];
+
+    result.push({
+      segments: offset(segments, false, hw, join, miter, true)
+        .concat(getCap(last[6], last[7], getEndTangent(last), hw, cap))
+        .concat(offset(reversed, false, hw, join, miter, true))
+        .concat(getCap(first[0], first[1], getEndTangent(reversed[reversed.length - 1]), hw, cap)),
+      closed: true
+    });
+
+  }
+
+  return result;
+
+}
+
+/**
+ * @private
+ * @param {Number[][]} segments - Segments with a length.
+ * @param {Boolean} closed
+ * @param {Number} d - The distance to offset by.
+ * @param {String} join
+ * @param {Number} miter
+ * @param {Boolean} pivot - Whether corners that can't be trimmed are connected through the corner itself. This is how stroke outlines keep covering the inside of tight corners.
+ * @returns {Number[][]} The offset segments.
+ */
+function offset(segments, closed, d, join, miter, pivot) {
+
+  var pieces = [];
+  var connectors = [];
+  var result = [];
+  var i, amount = closed ? segments.length : segments.length - 1;
+
+  for (i = 0; i < segments.length; i++) {
+    pieces.push(getOffsetCurves(segments[i], d, 0));
+  }
+
+  for (i = 0; i < amount; i++) {
+    var next = (i + 1) % segments.length;
+    connectors.push(getJoin(segments[i], segments[next], pieces[i],
+      pieces[next], d, join, miter, pivot));
+  }
+
+  for (i = 0; i < pieces.length; i++) {
+    result = result.concat(pieces[i], connectors[i] || []);
+  }
+
+  return result;
+
+}
+
+/**
+ * @private
+ * @param {Number[]} a - The segment ending at the corner.
+ * @param {Number[]} b - The segment starting at the corner.
+ * @param {Number[][]} pa - The offset curves of `a`.
+ * @param {Number[][]} pb - The offset curves of `b`.
+ * @returns {Number[][]} The segments that connect the offsets of `a` and `b`. When the offsets overlap they are trimmed in place instead.
+ */
+function getJoin(a, b, pa, pb, d, join, miter, pivot) {
+
+  var u = getEndTangent(a);
+  var v = getStartTangent(b);
+  var cross = u[0] * v[1] - u[1] * v[0];
+  var dot = u[0] * v[0] + u[1] * v[1];
+  var last = pa[pa.length - 1];
+  var first = pb[0];
+  var x = a[6];
+  var y = a[7];
+
+  // Smooth corners.
+  if (Math.abs(cross) < 1e-6 && dot > 0) {
+    return getBridge(last[6], last[7], first[0], first[1]);
+  }
+
+  // Corners facing the offset overlap, so trim the offsets where they cross.
+  if (cross * d < 0) {
+
+    var intersections = getCurveIntersections(last, first);
+
+    if (intersections.length > 0) {
+      var hit = intersections[intersections.length - 1];
+      last = pa[pa.length - 1] = splitCurve.apply(null, last.concat(hit.t1))[0];
+      first = pb[0] = splitCurve.apply(null, first.concat(hit.t2))[1];
+      last[6] = first[0] = hit.x;
+      last[7] = first[1] = hit.y;
+      return [];
+    }
+
+    if (pivot) {
+      return [getLineSegment(last[6], last[7], x, y), getLineSegment(x, y, first[0], first[1])];
+    }
+
+    return getBridge(last[6], last[7], first[0], first[1]);
+
+  }
+
+  switch (join) {
+
+    case 'round':
+      return getArc(x, y, Math.abs(d), last[6], last[7], first[0], first[1], u);
+
+    case 'bevel':
+      return getBridge(last[6], last[7], first[0], first[1]);
+
+    default:
+
+      // The ratio between the length of the miter and the linewidth
+      // is 1 / sin(θ / 2), where θ is the angle between the segments.
+      var c = Math.sqrt(Math.max((1 + dot) / 2, 0));
+
+      if (c > EPSILON && 1 / c <= miter) {
+        var na = getNormal(u);
+        var nb = getNormal(v);
+        var mx = na[0] + nb[0];
+        var my = na[1] + nb[1];
+        var length = Math.sqrt(mx * mx + my * my);
+        mx = x + d * mx / length / c;
+        my = y + d * my / length / c;
+        return [
+          getLineSegment(last[6], last[7], mx, my),
+          getLineSegment(mx, my, first[0], first[1])
+        ];
+      }
+
+      return getBridge(last[6], last[7], first[0], first[1]);
+
+  }
+
+}
+
+/**
+ * @private
+ * @param {Number} x - x coordinate of the end of the sub-path.
+ * @param {Number} y - y coordinate of the end of the sub-path.
+ * @param {Number[]} u - The direction the sub-path ends in.
+ * @param {Number} hw - Half the linewidth.
+ * @param {String} cap
+ * @returns {Number[][]} Segments from the left side of the stroke to the right side, around the end of the sub-path.
+ */
+function getCap(x, y, u, hw, cap) {
+
+  var n = getNormal(u);
+  var ax = x + hw * n[0];
+  var ay = y + hw * n[1];
+  var bx = x - hw * n[0];
+  var by = y - hw * n[1];
+
+  switch (cap) {
+
+    case 'round':
+      return getArc(x, y, hw, ax, ay, bx, by, u);
+
+    case 'square':
+      return [
+        getLineSegment(ax, ay, ax + hw * u[0], ay + hw * u[1]),
+        getLineSegment(ax + hw * u[0], ay + hw * u[1], bx + hw * u[0], by + hw * u[1]),
+        getLineSegment(bx + hw * u[0], by + hw * u[1], bx, by)
+      ];
+
+    default:
+      return [getLineSegment(ax, ay, bx, by)];
+
+  }
+
+}
+
+/**
+ * @private
+ * @returns {Number[][]} A clockwise circle or square around a coordinate, the way zero length sub-paths render with round or square caps.
+ */
+function getDot(x, y, hw, cap) {
+
+  if (cap === 'round') {
+    return getArc(x, y, hw, x + hw, y, x - hw, y, [0, 1])
+      .concat(getArc(x, y, hw, x - hw, y, x + hw, y, [0, - 1]));
+  }
+
+  return [
+    getLineSegment(x - hw, y - hw, x + hw, y - hw),
+    getLineSegment(x + hw, y - hw, x + hw, y + hw),
+    getLineSegment(x + hw, y + hw, x - hw, y + hw),
+    getLineSegment(x - hw, y + hw, x - hw, y - hw)
+  ];
+
+}
+
+/**
+ * @private
+ * @param {Number} cx - x coordinate of the center.
+ * @param {Number} cy - y coordinate of the center.
+ * @param {Number} r - The radius.
+ * @param {Number} ax - x coordinate to start from.
+ * @param {Number} ay - y coordinate to start from.
+ * @param {Number} bx - x coordinate to end at.
+ * @param {Number} by - y coordinate to end at.
+ * @param {Number[]} u - A direction the arc should bulge towards, used when the start and end are opposite each other.
+ * @returns {Number[][]} The shorter circular arc between two points as cubic béziers.
+ */
+function getArc(cx, cy, r, ax, ay, bx, by, u) {
+
+  var start = Math.atan2(ay - cy, ax - cx);
+  var px = ax - cx, py = ay - cy, qx = bx - cx, qy = by - cy;
+  var delta = Math.atan2(px * qy - py * qx, px * qx + py * qy);
+
+  if (Math.abs(delta) > Math.PI - 1e-6) {
+    var middle = start + Math.PI / 2;
+    delta = Math.cos(middle) * u[0] + Math.sin(middle) * u[1] > 0
+      ? Math.PI : - Math.PI;
+  }
+
+  var amount = Math.max(Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-6), 1);
+  var step = delta / amount;
+  var k = 4 / 3 * Math.tan(step / 4);
+  var result = [];
+  var x1 = ax, y1 = ay;
+
+  for (var i = 0; i < amount; i++) {
+
+    var a1 = start + step * i;
+    var a2 = a1 + step;
+    var x4 = i === amount - 1 ? bx : cx + r * Math.cos(a2);
+    var y4 = i === amount - 1 ? by : cy + r * Math.sin(a2);
+
+    result.push([
+      x1, y1,
+      x1 - k * r * Math.sin(a1), y1 + k * r * Math.cos(a1),
+      x4 + k * r * Math.sin(a2), y4 - k * r * Math.cos(a2),
+      x4, y4
+    ]);
+
+    x1 = x4;
+    y1 = y4;
+
+  }
+
+  return result;
+
+}
+
+/**
+ * @private
+ * @param {Number[]} c - A cubic bézier.
+ * @param {Number} d - The distance to offset by.
+ * @param {Number} depth - The amount of times the curve has been split.
+ * @returns {Number[][]} Cubic béziers that estimate the offset of the curve within {@link Two.Utils.Curve.Tolerance}.
+ */
+function getOffsetCurves(c, d, depth) {
+
+  var curve = getOffsetCurve(c, d);
+
+  if (depth < 6 && getOffsetError(c, curve, d) > Curve.Tolerance.distance) {
+    var halves = splitCurve.apply(null, c.concat(0.5));
+    return getOffsetCurves(halves[0], d, depth + 1)
+      .concat(getOffsetCurves(halves[1], d, depth + 1));
+  }
+
+  return [curve];
+
+}
+
+/**
+ * @private
+ * @description Estimate the offset of a cubic bézier by offsetting the lines of its control polygon and intersecting them. Also known as the Tiller-Hanson method.
+ */
+function getOffsetCurve(c, d) {
+
+  var t0 = getStartTangent(c);
+  var t1 = getEndTangent(c);
+  var n0 = getNormal(t0);
+  var n1 = getNormal(t1);
+  var x1 = c[0] + d * n0[0], y1 = c[1] + d * n0[1];
+  var x4 = c[6] + d * n1[0], y4 = c[7] + d * n1[1];
+  var p2 = null, p3 = null;
+
+  var mx = c[4] - c[2];
+  var my = c[5] - c[3];
+  var length = Math.sqrt(mx * mx + my * my);
+
+  if (length > EPSILON) {
+    var m = [mx / length, my / length];
+    var nm = getNormal(m);
+    var qx = c[2] + d * nm[0];
+    var qy = c[3] + d * nm[1];
+    var limit = 4 * (Math.abs(d) + length);
+    p2 = getLineIntersection(x1, y1, t0, qx, qy, m, c[2], c[3], limit);
+    p3 = getLineIntersection(x4, y4, t1, qx, qy, m, c[4], c[5], limit);
+  }
+
+  p2 = p2 || [c[2] + d * n0[0], c[3] + d * n0[1]];
+  p3 = p3 || [c[4] + d * n1[0], c[5] + d * n1[1]];
+
+  return [x1, y1, p2[0], p2[1], p3[0], p3[1], x4, y4];
+
+}
+
+/**
+ * @private
+ * @returns {Number[]|null} Where two lines, each described by a point and a direction, cross. `null` if they are parallel or cross further than `limit` away from `x`, `y`.
+ */
+function getLineIntersection(ax, ay, u, bx, by, v, x, y, limit) {
+
+  var denominator = u[0] * v[1] - u[1] * v[0];
+
+  if (Math.abs(denominator) < 1e-6) {
+    return null;
+  }
+
+  var s = ((bx - ax) * v[1] - (by - ay) * v[0]) / denominator;
+  var px = ax + u[0] * s;
+  var py = ay + u[1] * s;
+
+  if (Math.abs(px - x) > limit || Math.abs(py - y) > limit) {
+    return null;
+  }
+
+  return [px, py];
+
+}
+
+/**
+ * @private
+ * @returns {Number} The largest distance found between an estimated offset curve and the exact offset of the curve it was made from.
+ */
+function getOffsetError(c, curve, d) {
+
+  var error = 0;
+
+  for (var i = 1; i < 4; i++) {
+
+    var t = i / 4;
+    var x = getComponentOnCubicBezier(t, c[0], c[2], c[4], c[6]);
+    var y = getComponentOnCubicBezier(t, c[1], c[3], c[5], c[7]);
+    var n = getNormal(getCurveTangent(c, t) || [1, 0]);
+    var exact = getNearestPointOnCurve(curve, x + d * n[0], y + d * n[1]);
+
+    x = getComponentOnCubicBezier(t, curve[0], curve[2], curve[4], curve[6]);
+    y = getComponentOnCubicBezier(t, curve[1], curve[3], curve[5], curve[7]);
+    var estimate = getNearestPointOnCurve(c, x, y);
+
+    error = Math.max(error, exact.distance,
+      Math.abs(estimate.distance - Math.abs(d)));
+
+  }
+
+  return error;
+
+}
+
+/**
+ * @private
+ * @param {Object[]} subpaths
+ * @param {Number[]} dashes - Lengths of alternating dashes and gaps.
+ * @param {Number} offset - How far into the pattern to start.
+ * @returns {Object[]} Open sub-paths for every dash, following the rules of the canvas' `setLineDash`.
+ */
+function getDashedSubpaths(subpaths, dashes, offset) {
+
+  var pattern = Array.prototype.slice.call(dashes);
+  var total = 0;
+  var i;
+
+  for (i = 0; i < pattern.length; i++) {
+    if (!isFinite(pattern[i]) || pattern[i] < 0) {
+      return subpaths;
+    }
+    total += pattern[i];
+  }
+
+  if (total <= 0) {
+    return subpaths;
+  }
+
+  if (pattern.length % 2 === 1) {
+    pattern = pattern.concat(pattern);
+    total *= 2;
+  }
+
+  var result = [];
+
+  for (i = 0; i < subpaths.length; i++) {
+
+    var segments = subpaths[i].segments;
+    var lengths = segments.map(function(s) {
+      return getCurveLength.apply(null, s);
+    });
+    var length = lengths.reduce(function(sum, l) {
+      return sum + l;
+    }, 0);
+
+    var index = 0;
+    var position = mod(offset, total);
+
+    while (position >= pattern[index]) {
+      position -= pattern[index];
+      index = (index + 1) % pattern.length;
+    }
+
+    var remaining = pattern[index] - position;
+    var start = 0;
+
+    while (start < length) {
+      var end = Math.min(start + remaining, length);
+      if (index % 2 === 0) {
+        result.push({
+          segments: getSegmentsBetween(segments, lengths, start, end),
+          closed: false
+        });
+      }
+      start = end;
+      index = (index + 1) % pattern.length;
+      remaining = pattern[index];
+    }
+
+  }
+
+  return result;
+
+}
+
+/**
+ * @private
+ * @returns {Number[][]} The parts of a list of segments between two lengths along them.
+ */
+function getSegmentsBetween(segments, lengths, start, end) {
+
+  var result = [];
+  var offset = 0;
+
+  for (var i = 0; i < segments.length; i++) {
+
+    var length = lengths[i];
+    var a = Math.max(start - offset, 0);
+    var b = Math.min(end - offset, length);
+
+    if (b > a || (b === a && a >= 0 && a <= length && result.length <= 0)) {
+
+      var t1 = getCurveParameterAtLength(segments[i], a, length);
+      var t2 = getCurveParameterAtLength(segments[i], b, length);
+      var segment = segments[i];
+
+      if (t2 < 1) {
+        segment = splitCurve.apply(null, segment.concat(t2))[0];
+      }
+      if (t1 > 0) {
+        segment = t2 > 0
+          ? splitCurve.apply(null, segment.concat(t1 / t2))[1]
+          : segment.slice(0, 2).concat(segment.slice(0, 2), segment.slice(0, 2), segment.slice(0, 2));
+      }
+
+      result.push(segment);
+
+      if (b === a) {
+        break;
+      }
+
+    }
+
+    offset += length;
+
+  }
+
+  return result;
+
+}
+
+function getVisibleSegments(segments) {
+  return segments.filter(function(s) {
+    return Math.abs(s[6] - s[0]) > EPSILON || Math.abs(s[7] - s[1]) > EPSILON
+      || Math.abs(s[2] - s[0]) > EPSILON || Math.abs(s[3] - s[1]) > EPSILON
+      || Math.abs(s[4] - s[0]) > EPSILON || Math.abs(s[5] - s[1]) > EPSILON;
+  });
+}
+
+function getStartTangent(c) {
+  return getCurveTangent(c, 0) || [1, 0];
+}
+
+function getEndTangent(c) {
+  return getCurveTangent(c, 1) || [1, 0];
+}
+
+function getNormal(u) {
+  return [u[1], - u[0]];
+}
+
+function getBridge(x1, y1, x2, y2) {
+  if (Math.abs(x2 - x1) <= EPSILON && Math.abs(y2 - y1) <= EPSILON) {
+    return [];
+  }
+  return [getLineSegment(x1, y1, x2, y2)];
+}
+
+export { getOffsetSubpaths, getStrokeSubpaths };
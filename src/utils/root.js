@@ -1,10 +1,11 @@
 var root;
 if (typeof window !== 'undefined') {
   root = window;
-} else if (typeof global !== 'undefined') {
-  root = global;
 } else if (typeof self !== 'undefined') {
+  // Web Workers
   root = self;
+} else if (typeof global !== 'undefined') {
+  root = global;
 }
 
 export default root;
\ No newline at end of file
@@ -24,9 +24,397 @@ var shaders = {
     fragment: 'FRAGMENT_SHADER'
   },
 
-  path : {
+  path: {
 
-    vertex:`
+    vertex: `
+      precision highp float;
+      attribute vec2 a_position;
+
+      uniform mat3 u_matrix;
+      uniform vec2 u_resolution;
+
+      varying vec2 v_position;
+
+      void main() {
+        vec2 projected = (u_matrix * vec3(a_position, 1.0)).xy;
+        vec2 normal = projected / u_resolution;
+        vec2 clipspace = (normal * 2.0) - 1.0;
+
+        gl_Position = vec4(clipspace * vec2(1.0, -1.0), 0.0, 1.0);
+        v_position = a_position;
+      }
+    `,
+
+    fragment: `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+      precision highp float;
+      #else
+      precision mediump float;
+      #endif
+
+      // 0: color, 1: linear gradient, 2: radial gradient, 3: texture,
+      // 4: pattern
+      uniform int u_paint;
+      uniform vec4 u_color;
+      uniform float u_opacity;
+
+      // Linear gradients: left and right.
+      // Radial gradients: center and focal.
+      uniform vec4 u_points;
+      uniform float u_radius;
+      // 0: pad, 1: reflect, 2: repeat
+      uniform int u_spread;
+
+      // The position and size of one tile of a texture.
+      uniform vec4 u_tile;
+      uniform vec2 u_repeat;
+
+      // From the coordinate space of the shape to the one
+      // of a pattern, where one tile is one by one.
+      uniform mat3 u_transform;
+
+      uniform sampler2D u_image;
+
+      varying vec2 v_position;
+
+      vec4 ramp(float t) {
+        if (u_spread == 1) {
+          t = 1.0 - abs(mod(t, 2.0) - 1.0);
+        } else if (u_spread == 2) {
+          t = fract(t);
+        } else {
+          t = clamp(t, 0.0, 1.0);
+        }
+        return texture2D(u_image, vec2((t * 255.0 + 0.5) / 256.0, 0.5));
+      }
+
+      void main() {
+
+        vec4 color = u_color;
+
+        if (u_paint == 1) {
+
+          vec2 d = u_points.zw - u_points.xy;
+          float l = dot(d, d);
+          color = ramp(l > 0.0 ? dot(v_position - u_points.xy, d) / l : 0.0);
+
+        } else if (u_paint == 2) {
+
+          // Solve for the largest t where the point lies on the
+          // circle interpolated between the center with a radius
+          // of 0 and the focal point with the gradient's radius.
+          vec2 q = v_position - u_points.xy;
+          vec2 d = u_points.zw - u_points.xy;
+          float a = dot(d, d) - u_radius * u_radius;
+          float b = dot(q, d);
+          float c = dot(q, q);
+          float t;
+
+          if (abs(a) < 0.0001) {
+            if (b == 0.0) {
+              discard;
+            }
+            t = c / (2.0 * b);
+          } else {
+            float discriminant = b * b - a * c;
+            if (discriminant < 0.0) {
+              discard;
+            }
+            float s = sqrt(discriminant);
+            t = max((b + s) / a, (b - s) / a);
+          }
+
+          if (t < 0.0) {
+            discard;
+          }
+
+          color = ramp(t);
+
+        } else if (u_paint == 3) {
+
+          vec2 uv = (v_position - u_tile.xy) / u_tile.zw;
+
+          if ((u_repeat.x == 0.0 && (uv.x < 0.0 || uv.x > 1.0))
+            || (u_repeat.y == 0.0 && (uv.y < 0.0 || uv.y > 1.0))) {
+            discard;
+          }
+
+          color = texture2D(u_image, fract(uv));
+
+        } else if (u_paint == 4) {
+
+          vec2 uv = (u_transform * vec3(v_position, 1.0)).xy;
+          color = texture2D(u_image, fract(uv));
+
+        }
+
+        gl_FragColor = color * u_opacity;
+
+      }
+    `
+
+  },
+
+  solid: {
+
+    vertex: `
+      precision highp float;
+      attribute vec2 a_position;
+      // The rows of the matrix of each vertex or instance.
+      attribute vec3 a_row0;
+      attribute vec3 a_row1;
+      attribute vec4 a_color;
+
+      uniform vec2 u_resolution;
+
+      varying vec4 v_color;
+
+      void main() {
+        vec3 position = vec3(a_position, 1.0);
+        vec2 projected = vec2(dot(a_row0, position), dot(a_row1, position));
+        vec2 normal = projected / u_resolution;
+        vec2 clipspace = (normal * 2.0) - 1.0;
+
+        gl_Position = vec4(clipspace * vec2(1.0, -1.0), 0.0, 1.0);
+        v_color = a_color;
+      }
+    `,
+
+    fragment: `
+      precision mediump float;
+
+      varying vec4 v_color;
+
+      void main() {
+        gl_FragColor = v_color;
+      }
+    `
+
+  },
+
+  blend: {
+
+    vertex: `
+      precision mediump float;
+      attribute vec2 a_position;
+
+      varying vec2 v_textureCoords;
+
+      void main() {
+        gl_Position = vec4(a_position * 2.0 - 1.0, 0.0, 1.0);
+        v_textureCoords = a_position;
+      }
+    `,
+
+    fragment: `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+      precision highp float;
+      #else
+      precision mediump float;
+      #endif
+
+      // The index of the blend mode in Two.Shape.BlendModes
+      uniform int u_mode;
+      uniform sampler2D u_source;
+      uniform sampler2D u_backdrop;
+
+      varying vec2 v_textureCoords;
+
+      float screen(float b, float s) {
+        return b + s - b * s;
+      }
+
+      float hardLight(float b, float s) {
+        return s <= 0.5 ? b * 2.0 * s : screen(b, 2.0 * s - 1.0);
+      }
+
+      float softLight(float b, float s) {
+        if (s <= 0.5) {
+          return b - (1.0 - 2.0 * s) * b * (1.0 - b);
+        }
+        float d = b <= 0.25 ? ((16.0 * b - 12.0) * b + 4.0) * b : sqrt(b);
+        return b + (2.0 * s - 1.0) * (d - b);
+      }
+
+      // The separable blend modes of one color channel.
+      float blend(float b, float s) {
+        if (u_mode == 1) {
+          return b * s;
+        } else if (u_mode == 2) {
+          return screen(b, s);
+        } else if (u_mode == 3) {
+          return hardLight(s, b);
+        } else if (u_mode == 4) {
+          return min(b, s);
+        } else if (u_mode == 5) {
+          return max(b, s);
+        } else if (u_mode == 6) {
+          return b <= 0.0 ? 0.0 : s >= 1.0 ? 1.0 : min(1.0, b / (1.0 - s));
+        } else if (u_mode == 7) {
+          return b >= 1.0 ? 1.0 : s <= 0.0 ? 0.0 : 1.0 - min(1.0, (1.0 - b) / s);
+        } else if (u_mode == 8) {
+          return hardLight(b, s);
+        } else if (u_mode == 9) {
+          return softLight(b, s);
+        } else if (u_mode == 10) {
+          return abs(b - s);
+        } else if (u_mode == 11) {
+          return b + s - 2.0 * b * s;
+        }
+        return s;
+      }
+
+      float lum(vec3 c) {
+        return dot(c, vec3(0.3, 0.59, 0.11));
+      }
+
+      float sat(vec3 c) {
+        return max(max(c.r, c.g), c.b) - min(min(c.r, c.g), c.b);
+      }
+
+      vec3 setLum(vec3 c, float l) {
+        c += l - lum(c);
+        l = lum(c);
+        float n = min(min(c.r, c.g), c.b);
+        float x = max(max(c.r, c.g), c.b);
+        if (n < 0.0) {
+          c = l + (c - l) * l / (l - n);
+        }
+        if (x > 1.0) {
+          c = l + (c - l) * (1.0 - l) / (x - l);
+        }
+        return c;
+      }
+
+      vec3 setSat(vec3 c, float s) {
+        float n = min(min(c.r, c.g), c.b);
+        float x = max(max(c.r, c.g), c.b);
+        return x > n ? (c - n) * s / (x - n) : vec3(0.0);
+      }
+
+      void main() {
+
+        vec4 source = texture2D(u_source, v_textureCoords);
+        vec4 backdrop = texture2D(u_backdrop, v_textureCoords);
+
+        if (u_mode == 16) {
+          gl_FragColor = min(source + backdrop, 1.0);
+          return;
+        }
+
+        // Both colors are premultiplied with their alpha.
+        vec3 cs = source.a > 0.0 ? source.rgb / source.a : vec3(0.0);
+        vec3 cb = backdrop.a > 0.0 ? backdrop.rgb / backdrop.a : vec3(0.0);
+        vec3 color;
+
+        if (u_mode == 12) {
+          color = setLum(setSat(cs, sat(cb)), lum(cb));
+        } else if (u_mode == 13) {
+          color = setLum(setSat(cb, sat(cs)), lum(cb));
+        } else if (u_mode == 14) {
+          color = setLum(cs, lum(cb));
+        } else if (u_mode == 15) {
+          color = setLum(cb, lum(cs));
+        } else {
+          color = vec3(blend(cb.r, cs.r), blend(cb.g, cs.g), blend(cb.b, cs.b));
+        }
+
+        gl_FragColor = vec4(
+          source.rgb * (1.0 - backdrop.a) + backdrop.rgb * (1.0 - source.a)
+            + source.a * backdrop.a * clamp(color, 0.0, 1.0),
+          source.a + backdrop.a * (1.0 - source.a)
+        );
+
+      }
+    `
+
+  },
+
+  // Drawn with the vertex shader of `blend` over the
+  // whole layer a filtered element is drawn onto.
+  filter: {
+
+    fragment: `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+      precision highp float;
+      #else
+      precision mediump float;
+      #endif
+
+      // 0: Blur, 1: Shadow, 2: Color matrix, 3: Copy,
+      // 4: Luminance mask, 5: Alpha mask
+      uniform int u_type;
+      uniform sampler2D u_source;
+      uniform sampler2D u_mask;
+
+      // The distance between two pixels along the blur
+      // and the standard deviation of the blur in pixels.
+      uniform vec2 u_direction;
+      uniform float u_deviation;
+
+      uniform vec2 u_offset;
+      uniform vec4 u_color;
+
+      uniform mat4 u_matrix;
+      uniform vec4 u_shift;
+
+      varying vec2 v_textureCoords;
+
+      vec4 blur() {
+
+        vec4 sum = texture2D(u_source, v_textureCoords);
+        float total = 1.0;
+        float extent = 3.0 * u_deviation;
+        float spacing = max(1.0, extent / 32.0);
+
+        for (int i = 1; i <= 32; i++) {
+          float x = float(i) * spacing;
+          if (x > extent) {
+            break;
+          }
+          float weight = exp(- x * x / (2.0 * u_deviation * u_deviation));
+          vec2 delta = u_direction * x;
+          sum += weight * (texture2D(u_source, v_textureCoords + delta)
+            + texture2D(u_source, v_textureCoords - delta));
+          total += 2.0 * weight;
+        }
+
+        return sum / total;
+
+      }
+
+      void main() {
+
+        if (u_type == 0) {
+          gl_FragColor = blur();
+        } else if (u_type == 1) {
+          gl_FragColor = u_color * texture2D(u_source, v_textureCoords - u_offset).a;
+        } else if (u_type == 2) {
+          // The matrix applies to colors not multiplied with alpha.
+          vec4 texel = texture2D(u_source, v_textureCoords);
+          vec4 color = texel.a > 0.0 ? vec4(texel.rgb / texel.a, texel.a) : vec4(0.0);
+          color = clamp(u_matrix * color + u_shift, 0.0, 1.0);
+          gl_FragColor = vec4(color.rgb * color.a, color.a);
+        } else if (u_type == 4) {
+          // The colors of the mask are multiplied with its alpha already.
+          vec4 mask = texture2D(u_mask, v_textureCoords);
+          gl_FragColor = texture2D(u_source, v_textureCoords)
+            * dot(mask.rgb, vec3(0.2125, 0.7154, 0.0721));
+        } else if (u_type == 5) {
+          gl_FragColor = texture2D(u_source, v_textureCoords)
+            * texture2D(u_mask, v_textureCoords).a;
+        } else {
+          gl_FragColor = texture2D(u_source, v_textureCoords);
+        }
+
+      }
+    `
+
+  },
+
+  text: {
+
+    vertex: `
       precision mediump float;
       attribute vec2 a_position;
 
@@ -0,0 +1,387 @@
+import { distance, distanceSquared, getDirection, EPSILON } from './math.js';
+
+/**
+ * @name Two.Utils.simplifyPoints
+ * @function
+ * @private
+ * @param {Two.Vector[]} points - A list of objects with `x` and `y` properties.
+ * @param {Boolean} closed - Whether the last point connects back to the first.
+ * @param {Number} tolerance - The largest distance allowed between a removed point and the simplified outline.
+ * @returns {Number[]} The ascending indices of the points to keep.
+ * @description Reduce the amount of points in a polyline with the Ramer–Douglas–Peucker algorithm. The first and last points of open polylines are always kept. Closed polylines are split in two at the point furthest from the first one and each half is simplified separately.
+ * @see {@link https://en.wikipedia.org/wiki/Ramer%E2%80%93Douglas%E2%80%93Peucker_algorithm}
+ */
+function simplifyPoints(points, closed, tolerance) {
+
+  var last = points.length - 1;
+  var keep = [];
+  var i;
+
+  if (points.length <= 2) {
+    for (i = 0; i < points.length; i++) {
+      keep.push(i);
+    }
+    return keep;
+  }
+
+  keep[0] = true;
+  keep[last] = !closed;
+
+  if (closed) {
+
+    var index = 0;
+    var max = 0;
+
+    for (i = 1; i <= last; i++) {
+      var d = distanceSquared(points[0].x, points[0].y, points[i].x, points[i].y);
+      if (d > max) {
+        max = d;
+        index = i;
+      }
+    }
+
+    keep[index] = true;
+    reduce(points, 0, index, tolerance * tolerance, keep);
+    reduce(points.concat(points[0]), index, last + 1, tolerance * tolerance, keep);
+
+  } else {
+    reduce(points, 0, last, tolerance * tolerance, keep);
+  }
+
+  var result = [];
+
+  for (i = 0; i <= last; i++) {
+    if (keep[i]) {
+      result.push(i);
+    }
+  }
+
+  return result;
+
+}
+
+/**
+ * @name Two.Utils.fitPoints
+ * @function
+ * @private
+ * @param {Two.Vector[]} points - A list of objects with `x` and `y` properties.
+ * @param {Boolean} closed - Whether the last point connects back to the first.
+ * @param {Number} tolerance - The largest distance allowed between a point and the fitted curves.
+ * @returns {Number[][]} A list of cubic bézier segments as described in {@link Two.Utils.getCubicSubpaths}. Closed lists end with the segment that returns to the first point.
+ * @description Fit the fewest cubic béziers to a list of points, e.g: pointer samples, with Philip J. Schneider's algorithm. Curves are fitted by least squares and split at the point of greatest error until every point is within `tolerance`. Consecutive curves share tangents, so the result is smooth.
+ * @see {@link https://github.com/erich666/GraphicsGems/blob/master/gems/FitCurves.c}
+ */
+function fitPoints(points, closed, tolerance) {
+
+  var result = [];
+  var i;
+
+  points = points.filter(function(p, i) {
+    return i <= 0 || distanceSquared(p.x, p.y, points[i - 1].x, points[i - 1].y) > EPSILON;
+  });
+
+  var a = points[0];
+  var b = points[points.length - 1];
+
+  if (closed && points.length > 1
+    && distanceSquared(a.x, a.y, b.x, b.y) <= EPSILON) {
+    points.pop();
+  }
+
+  if (points.length <= 1) {
+    return result;
+  }
+
+  var tangent1, tangent2;
+
+  if (closed && points.length > 2) {
+    // The curves that meet at the first point share their tangent.
+    tangent1 = normalize(points[1].x - points[points.length - 1].x,
+      points[1].y - points[points.length - 1].y);
+    tangent2 = { x: - tangent1.x, y: - tangent1.y };
+    points = points.concat(points[0]);
+  } else {
+    if (closed) {
+      points = points.concat(points[0]);
+    }
+    tangent1 = normalize(points[1].x - points[0].x, points[1].y - points[0].y);
+    i = points.length - 1;
+    tangent2 = normalize(points[i - 1].x - points[i].x, points[i - 1].y - points[i].y);
+  }
+
+  fit(points, 0, points.length - 1, tangent1, tangent2,
+    tolerance * tolerance, result);
+
+  return result;
+
+}
+
+/**
+ * @private
+ * @param {Two.Vector[]} points
+ * @param {Number} first - Index of the first point of the stretch to fit.
+ * @param {Number} last - Index of the last point of the stretch to fit.
+ * @param {Number} error - The square of the tolerance.
+ * @param {Boolean[]} keep - Flags set for every point to keep.
+ */
+function reduce(points, first, last, error, keep) {
+
+  var index = - 1;
+  var max = error;
+
+  for (var i = first + 1; i < last; i++) {
+    var d = getSegmentDistanceSquared(points[i], points[first], points[last]);
+    if (d > max) {
+      max = d;
+      index = i;
+    }
+  }
+
+  if (index < 0) {
+    return;
+  }
+
+  keep[index] = true;
+  reduce(points, first, index, error, keep);
+  reduce(points, index, last, error, keep);
+
+}
+
+/**
+ * @private
+ * @param {Two.Vector[]} points
+ * @param {Number} first - Index of the first point of the stretch to fit.
+ * @param {Number} last - Index of the last point of the stretch to fit.
+ * @param {Object} tangent1 - The direction the curve leaves the first point in.
+ * @param {Object} tangent2 - The direction the curve leaves the last point in, going backwards.
+ * @param {Number} error - The square of the tolerance.
+ * @param {Number[][]} result - The list to push fitted curves into.
+ */
+function fit(points, first, last, tangent1, tangent2, error, result) {
+
+  var a = points[first];
+  var b = points[last];
+  var curve, parameters, max, i;
+
+  if (last - first === 1) {
+    var d = distance(a.x, a.y, b.x, b.y) / 3;
+    result.push([
+      a.x, a.y,
+      a.x + tangent1.x * d, a.y + tangent1.y * d,
+      b.x + tangent2.x * d, b.y + tangent2.y * d,
+      b.x, b.y
+    ]);
+    return;
+  }
+
+  parameters = getChordLengths(points, first, last);
+  curve = generate(points, first, last, parameters, tangent1, tangent2);
+  max = getMaxError(points, first, last, curve, parameters);
+
+  if (max.error < error) {
+    result.push(curve);
+    return;
+  }
+
+  // Close enough to improve by moving the parameters
+  // closer to where the points are on the curve.
+  if (max.error < error * 4) {
+    for (i = 0; i < 4; i++) {
+      parameters = reparameterize(points, first, last, parameters, curve);
+      curve = generate(points, first, last, parameters, tangent1, tangent2);
+      max = getMaxError(points, first, last, curve, parameters);
+      if (max.error < error) {
+        result.push(curve);
+        return;
+      }
+    }
+  }
+
+  var p = points[max.index - 1];
+  var q = points[max.index + 1];
+  var center = normalize(p.x - q.x, p.y - q.y);
+
+  fit(points, first, max.index, tangent1, center, error, result);
+  fit(points, max.index, last, { x: - center.x, y: - center.y }, tangent2,
+    error, result);
+
+}
+
+/**
+ * @private
+ * @returns {Number[]} A cubic bézier whose controls are placed along the tangents at the distances that best fit the points by least squares.
+ */
+function generate(points, first, last, parameters, tangent1, tangent2) {
+
+  var a = points[first];
+  var b = points[last];
+  var c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+
+  for (var i = 0; i < parameters.length; i++) {
+
+    var t = parameters[i];
+    var mt = 1 - t;
+    var b0 = mt * mt * mt;
+    var b1 = 3 * t * mt * mt;
+    var b2 = 3 * t * t * mt;
+    var b3 = t * t * t;
+
+    var ax = tangent1.x * b1, ay = tangent1.y * b1;
+    var bx = tangent2.x * b2, by = tangent2.y * b2;
+
+    c00 += ax * ax + ay * ay;
+    c01 += ax * bx + ay * by;
+    c11 += bx * bx + by * by;
+
+    var point = points[first + i];
+    var dx = point.x - (a.x * (b0 + b1) + b.x * (b2 + b3));
+    var dy = point.y - (a.y * (b0 + b1) + b.y * (b2 + b3));
+
+    x0 += ax * dx + ay * dy;
+    x1 += bx * dx + by * dy;
+
+  }
+
+  var determinant = c00 * c11 - c01 * c01;
+  var alpha1 = 0, alpha2 = 0;
+
+  if (Math.abs(determinant) > EPSILON) {
+    alpha1 = (x0 * c11 - x1 * c01) / determinant;
+    alpha2 = (c00 * x1 - c01 * x0) / determinant;
+  }
+
+  var length = distance(a.x, a.y, b.x, b.y);
+
+  // Fall back to a third of the chord when the fit places
+  // controls behind, or on top of, their anchors.
+  if (alpha1 < length * 1e-6 || alpha2 < length * 1e-6) {
+    alpha1 = alpha2 = length / 3;
+  }
+
+  return [
+    a.x, a.y,
+    a.x + tangent1.x * alpha1, a.y + tangent1.y * alpha1,
+    b.x + tangent2.x * alpha2, b.y + tangent2.y * alpha2,
+    b.x, b.y
+  ];
+
+}
+
+/**
+ * @private
+ * @returns {Number[]} The parameters of the points improved with a step of Newton–Raphson towards the nearest point on the curve.
+ */
+function reparameterize(points, first, last, parameters, curve) {
+
+  var result = [];
+
+  for (var i = 0; i < parameters.length; i++) {
+
+    var t = parameters[i];
+    var point = points[first + i];
+    var p = getPoint(curve, t);
+    var d1 = getDerivative(curve, t);
+    var d2 = getSecondDerivative(curve, t);
+
+    var numerator = (p.x - point.x) * d1.x + (p.y - point.y) * d1.y;
+    var denominator = d1.x * d1.x + d1.y * d1.y
+      + (p.x - point.x) * d2.x + (p.y - point.y) * d2.y;
+
+    result.push(Math.abs(denominator) > EPSILON
+      ? Math.min(Math.max(t - numerator / denominator, 0), 1) : t);
+
+  }
+
+  return result;
+
+}
+
+/**
+ * @private
+ * @returns {Object} The largest squared distance, `error`, between a point and where its parameter falls on the curve, and the `index` of that point.
+ */
+function getMaxError(points, first, last, curve, parameters) {
+
+  var error = 0;
+  var index = Math.floor((first + last) / 2);
+
+  for (var i = 1; i < parameters.length - 1; i++) {
+    var p = getPoint(curve, parameters[i]);
+    var d = distanceSquared(p.x, p.y, points[first + i].x, points[first + i].y);
+    if (d >= error) {
+      error = d;
+      index = first + i;
+    }
+  }
+
+  return { error: error, index: index };
+
+}
+
+function getChordLengths(points, first, last) {
+
+  var result = [0];
+  var i;
+
+  for (i = first + 1; i <= last; i++) {
+    result.push(result[result.length - 1]
+      + distance(points[i].x, points[i].y, points[i - 1].x, points[i - 1].y));
+  }
+
+  var total = result[result.length - 1];
+
+  for (i = 1; i < result.length; i++) {
+    result[i] /= total;
+  }
+
+  return result;
+
+}
+
+function getPoint(c, t) {
+  var mt = 1 - t;
+  var a = mt * mt * mt, b = 3 * mt * mt * t, d = 3 * mt * t * t, e = t * t * t;
+  return {
+    x: a * c[0] + b * c[2] + d * c[4] + e * c[6],
+    y: a * c[1] + b * c[3] + d * c[5] + e * c[7]
+  };
+}
+
+function getDerivative(c, t) {
+  var mt = 1 - t;
+  return {
+    x: 3 * (mt * mt * (c[2] - c[0]) + 2 * mt * t * (c[4] - c[2]) + t * t * (c[6] - c[4])),
+    y: 3 * (mt * mt * (c[3] - c[1]) + 2 * mt * t * (c[5] - c[3]) + t * t * (c[7] - c[5]))
+  };
+}
+
+function getSecondDerivative(c, t) {
+  var mt = 1 - t;
+  return {
+    x: 6 * (mt * (c[4] - 2 * c[2] + c[0]) + t * (c[6] - 2 * c[4] + c[2])),
+    y: 6 * (mt * (c[5] - 2 * c[3] + c[1]) + t * (c[7] - 2 * c[5] + c[3]))
+  };
+}
+
+function getSegmentDistanceSquared(p, a, b) {
+
+  var dx = b.x - a.x;
+  var dy = b.y - a.y;
+  var length = dx * dx + dy * dy;
+  var t = 0;
+
+  if (length > EPSILON) {
+    t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / length;
+    t = Math.min(Math.max(t, 0), 1);
+  }
+
+  return distanceSquared(p.x, p.y, a.x + dx * t, a.y + dy * t);
+
+}
+
+function normalize(x, y) {
+  var u = getDirection(x, y);
+  return u ? { x: u[0], y: u[1] } : { x: 0, y: 0 };
+}
+
+export { simplifyPoints, fitPoints };
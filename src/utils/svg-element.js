@@ -0,0 +1,269 @@
+import _ from './underscore.js';
+
+/**
+ * @name Two.SVGStringRenderer.Element
+ * @class
+ * @param {String} name - The tag name of the element, e.g: `'path'`.
+ * @param {String} [namespace] - The namespace of the element.
+ * @description A lightweight stand-in for DOM elements. It implements the parts of the DOM API {@link Two.SVGRenderer} uses to create and update its elements and turns into markup with {@link Two.SVGStringRenderer.Element#toString}.
+ */
+function Element(name, namespace) {
+
+  /**
+   * @name Two.SVGStringRenderer.Element#nodeName
+   * @property {String} - The tag name of the element.
+   */
+  this.nodeName = this.tagName = name;
+
+  /**
+   * @name Two.SVGStringRenderer.Element#namespaceURI
+   * @property {String} - The namespace of the element. Written as the `xmlns` attribute of root elements.
+   */
+  this.namespaceURI = namespace || null;
+
+  /**
+   * @name Two.SVGStringRenderer.Element#attributes
+   * @property {Object} - The attributes of the element in the order they were first set.
+   */
+  this.attributes = {};
+
+  /**
+   * @name Two.SVGStringRenderer.Element#namespaces
+   * @property {Object} - The namespaces of the prefixed attributes of the element, e.g: `xlink`, keyed by their prefix.
+   */
+  this.namespaces = {};
+
+  /**
+   * @name Two.SVGStringRenderer.Element#childNodes
+   * @property {Object[]} - The child elements and text nodes of the element.
+   */
+  this.childNodes = [];
+
+  /**
+   * @name Two.SVGStringRenderer.Element#parentNode
+   * @property {Two.SVGStringRenderer.Element} - The element this element is a child of.
+   */
+  this.parentNode = null;
+
+  /**
+   * @name Two.SVGStringRenderer.Element#style
+   * @property {Object} - Inline CSS properties. Written as the `style` attribute.
+   */
+  this.style = {};
+
+}
+
+// Creates `Two.SVGStringRenderer.Element`s in place of the `document`.
+var virtual = {
+  createElementNS: function(namespace, name) {
+    return new Element(name, namespace);
+  }
+};
+
+_.extend(Element, {
+
+  /**
+   * @name Two.SVGStringRenderer.Element.document
+   * @property {Object} - Creates elements in place of the `document`. It's the `ownerDocument` of every {@link Two.SVGStringRenderer.Element}, so {@link Two.SVGRenderer} makes the descendants of a virtual `<svg />` virtual too.
+   */
+  document: virtual
+
+});
+
+_.extend(Element.prototype, {
+
+  constructor: Element,
+
+  nodeType: 1,
+
+  ownerDocument: virtual,
+
+  setAttribute: function(name, value) {
+    this.attributes[name] = String(value);
+  },
+
+  setAttributeNS: function(namespace, name, value) {
+    var index = name.indexOf(':');
+    if (index > 0) {
+      this.namespaces[name.slice(0, index)] = namespace;
+    }
+    this.setAttribute(name, value);
+  },
+
+  getAttribute: function(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  },
+
+  hasAttribute: function(name) {
+    return name in this.attributes;
+  },
+
+  removeAttribute: function(name) {
+    delete this.attributes[name];
+  },
+
+  appendChild: function(child) {
+    return this.insertBefore(child, null);
+  },
+
+  insertBefore: function(child, reference) {
+
+    if (child.parentNode) {
+      child.parentNode.removeChild(child);
+    }
+
+    var index = reference ? this.childNodes.indexOf(reference) : -1;
+
+    if (index < 0) {
+      this.childNodes.push(child);
+    } else {
+      this.childNodes.splice(index, 0, child);
+    }
+
+    child.parentNode = this;
+
+    return child;
+
+  },
+
+  removeChild: function(child) {
+
+    var index = this.childNodes.indexOf(child);
+
+    if (index >= 0) {
+      this.childNodes.splice(index, 1);
+      child.parentNode = null;
+    }
+
+    return child;
+
+  },
+
+  /**
+   * @name Two.SVGStringRenderer.Element#toString
+   * @function
+   * @returns {String} - The markup of the element and all of its descendants.
+   * @description Serialize the element. Root elements declare their namespace and the namespaces of the prefixed attributes of their descendants.
+   */
+  toString: function() {
+
+    var attrs = {};
+    var content = '';
+    var i, key;
+
+    for (i = 0; i < this.childNodes.length; i++) {
+      var child = this.childNodes[i];
+      content += child.nodeType === 3
+        ? escape(child.nodeValue) : child.toString();
+    }
+
+    if (!this.parentNode && this.namespaceURI) {
+      attrs.xmlns = this.namespaceURI;
+      getNamespaces(this, attrs);
+    }
+
+    _.extend(attrs, this.attributes);
+
+    var style = [];
+
+    for (key in this.style) {
+      var value = this.style[key];
+      if (value !== '' && value !== null && typeof value !== 'undefined') {
+        style.push(key.replace(/[A-Z]/g, '-$&').toLowerCase() + ': ' + value + ';');
+      }
+    }
+
+    if (style.length > 0) {
+      attrs.style = style.join(' ');
+    }
+
+    return toMarkup(this.nodeName, attrs, content);
+
+  }
+
+});
+
+Object.defineProperty(Element.prototype, 'firstChild', {
+  enumerable: true,
+  get: function() {
+    return this.childNodes[0] || null;
+  }
+});
+
+Object.defineProperty(Element.prototype, 'lastChild', {
+  enumerable: true,
+  get: function() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+});
+
+Object.defineProperty(Element.prototype, 'textContent', {
+  enumerable: true,
+  get: function() {
+    return this.childNodes.map(function(child) {
+      return child.nodeType === 3 ? child.nodeValue : child.textContent;
+    }).join('');
+  },
+  set: function(value) {
+    while (this.childNodes.length > 0) {
+      this.removeChild(this.lastChild);
+    }
+    if (value !== null && typeof value !== 'undefined' && value !== '') {
+      this.appendChild({
+        nodeType: 3,
+        nodeName: '#text',
+        nodeValue: String(value),
+        parentNode: null
+      });
+    }
+  }
+});
+
+// Add the `xmlns:*` attributes of the prefixes
+// an element and its descendants use to `attrs`.
+function getNamespaces(elem, attrs) {
+  for (var prefix in elem.namespaces) {
+    attrs['xmlns:' + prefix] = elem.namespaces[prefix];
+  }
+  for (var i = 0; i < elem.childNodes.length; i++) {
+    if (elem.childNodes[i].nodeType === 1) {
+      getNamespaces(elem.childNodes[i], attrs);
+    }
+  }
+  return attrs;
+}
+
+// Escape characters that aren't allowed in the text
+// and attribute values of markup.
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Turn an element into markup. Attributes
+// that are `undefined` or `null` are omitted.
+function toMarkup(name, attrs, content) {
+
+  var string = '<' + name;
+  var keys = Object.keys(attrs);
+
+  for (var i = 0; i < keys.length; i++) {
+    var value = attrs[keys[i]];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    string += ' ' + keys[i] + '="' + escape(value) + '"';
+  }
+
+  if (content) {
+    return string + '>' + content + '</' + name + '>';
+  }
+
+  return string + '/>';
+
+}
+
+export default Element;
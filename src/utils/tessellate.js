@@ -0,0 +1,422 @@
+var Epsilon = 1e-9;
+
+/**
+ * @name Two.Utils.flattenSubpaths
+ * @function
+ * @private
+ * @param {Object[]} subpaths - A list of sub-paths as described in {@link Two.Utils.getCubicSubpaths}.
+ * @param {Number} tolerance - The maximum distance between a curve and the lines that approximate it.
+ * @returns {Object[]} A list of sub-paths as described in {@link Two.Utils.flatten}.
+ * @description Approximate a list of sub-paths with straight lines. Unlike {@link Two.Utils.flatten} the amount of lines per curve adapts to how much the curve bends, so that the result stays within `tolerance` of the original. Straight segments remain a single line.
+ */
+function flattenSubpaths(subpaths, tolerance) {
+
+  var result = [];
+
+  for (var i = 0; i < subpaths.length; i++) {
+
+    var subpath = subpaths[i];
+    var segments = subpath.segments;
+
+    if (segments.length <= 0) {
+      continue;
+    }
+
+    var points = [{ x: segments[0][0], y: segments[0][1] }];
+
+    for (var j = 0; j < segments.length; j++) {
+
+      var s = segments[j];
+      var amount = getSubdivisions(s, tolerance);
+
+      for (var k = 1; k <= amount; k++) {
+        var t = k / amount;
+        var it = 1 - t;
+        var a = it * it * it;
+        var b = 3 * it * it * t;
+        var c = 3 * it * t * t;
+        var d = t * t * t;
+        points.push({
+          x: a * s[0] + b * s[2] + c * s[4] + d * s[6],
+          y: a * s[1] + b * s[3] + c * s[5] + d * s[7]
+        });
+      }
+
+    }
+
+    result.push({ points: points, closed: subpath.closed });
+
+  }
+
+  return result;
+
+}
+
+/**
+ * @name Two.Utils.tessellate
+ * @function
+ * @private
+ * @param {Object[]} subpaths - A list of flattened sub-paths as described in {@link Two.Utils.flatten}. Every sub-path is treated as closed.
+ * @param {String} [rule='nonzero'] - The fill rule that decides which areas are inside. Either `'nonzero'` or `'evenodd'`.
+ * @returns {Number[]} A flat list of `x, y` coordinates where every three points form a triangle.
+ * @description Triangulate the area a list of polygons encloses. The polygons may overlap themselves and each other and contain holes. A line sweeps the plane from top to bottom and stops wherever an edge starts, ends, or crosses its neighbor. In between the edges keep their order, so the inside areas between neighboring edges are trapezoids, which only end when one of their two edges changes. Only the edges around each stop are visited, so `n` edges that cross `k` times take `O((n + k) log n)`. None of the triangles overlap.
+ */
+function tessellate(subpaths, rule) {
+
+  var evenodd = rule === 'evenodd';
+  var edges = [];
+  var result = [];
+  var extent = 1;
+  var i, j, edge;
+
+  for (i = 0; i < subpaths.length; i++) {
+
+    var points = subpaths[i].points;
+
+    for (j = 0; j < points.length; j++) {
+
+      var a = points[j];
+      var b = points[(j + 1) % points.length];
+
+      // Horizontal edges never change the winding of a slab.
+      if (a.y === b.y || !isFinite(a.x + a.y + b.x + b.y)) {
+        continue;
+      }
+
+      var down = a.y < b.y;
+      var top = down ? a : b;
+      var bottom = down ? b : a;
+
+      extent = Math.max(extent, Math.abs(a.x), Math.abs(a.y));
+
+      edges.push({
+        x: top.x,
+        y: top.y,
+        bottom: bottom.y,
+        slope: (bottom.x - top.x) / (bottom.y - top.y),
+        winding: down ? 1 : -1,
+        // The position in the list of active edges, the winding of
+        // the area to the right, the trapezoid in that area, and the
+        // neighbor it was last checked for crossings with.
+        index: - 1,
+        right: 0,
+        trapezoid: null,
+        neighbor: null
+      });
+
+    }
+
+  }
+
+  if (edges.length <= 0) {
+    return result;
+  }
+
+  var epsilon = Epsilon * extent;
+  var starts = edges.slice(0).sort(function(a, b) {
+    return a.y - b.y;
+  });
+  var ends = edges.sort(function(a, b) {
+    return a.bottom - b.bottom;
+  });
+  var crossings = [];
+  var active = [];
+  var changed = [];
+  var s = 0;
+  var e = 0;
+
+  while (s < starts.length || e < ends.length) {
+
+    var y = Math.min(
+      s < starts.length ? starts[s].y : Infinity,
+      e < ends.length ? ends[e].bottom : Infinity,
+      crossings.length > 0 ? crossings[0].y : Infinity
+    );
+    var limit = y + epsilon;
+    var reorder = false;
+
+    changed.length = 0;
+
+    // Swap neighbors that cross.
+
+    while (crossings.length > 0 && crossings[0].y <= limit) {
+
+      var crossing = pop(crossings);
+      var left = crossing.left;
+      var right = crossing.right;
+
+      // Neighbors that were parted before they crossed
+      // are checked again when they meet.
+      if (left.index < 0 || left.index + 1 !== right.index) {
+        if (left.neighbor === right) {
+          left.neighbor = null;
+        }
+        continue;
+      }
+
+      active[left.index] = right;
+      active[right.index] = left;
+      right.index--;
+      left.index++;
+      changed.push(left, right);
+
+    }
+
+    // Remove the edges that end.
+
+    for (; e < ends.length && ends[e].bottom <= limit; e++) {
+      edge = ends[e];
+      if (edge.index >= 0) {
+        if (edge.trapezoid) {
+          addTrapezoid(result, edge.trapezoid, y);
+        }
+        edge.index = - 2;
+        reorder = true;
+      }
+    }
+
+    if (reorder) {
+      for (i = 0, j = 0; i < active.length; i++) {
+        edge = active[i];
+        if (edge.index === - 2) {
+          edge.index = - 1;
+          if (j > 0) {
+            changed.push(active[j - 1]);
+          }
+          if (i + 1 < active.length) {
+            changed.push(active[i + 1]);
+          }
+        } else {
+          active[j++] = edge;
+        }
+      }
+      active.length = j;
+    }
+
+    // Add the edges that start.
+
+    for (; s < starts.length && starts[s].y <= limit; s++) {
+      edge = starts[s];
+      if (edge.bottom > limit) {
+        j = getIndex(active, edge, y, epsilon);
+        active.splice(j, 0, edge);
+        changed.push(edge);
+        if (j > 0) {
+          changed.push(active[j - 1]);
+        }
+        reorder = true;
+      }
+    }
+
+    if (reorder) {
+      for (i = 0; i < active.length; i++) {
+        active[i].index = i;
+      }
+    }
+
+    var first = Infinity;
+    var last = - 1;
+
+    for (i = 0; i < changed.length; i++) {
+      if (changed[i].index >= 0) {
+        first = Math.min(first, changed[i].index);
+        last = Math.max(last, changed[i].index);
+      }
+    }
+
+    if (last < 0) {
+      continue;
+    }
+
+    // Update the windings from the first change until they're the same
+    // as before. Then end and start the trapezoids whose edges or
+    // winding changed and look for crossings between new neighbors.
+
+    for (i = first; i < active.length; i++) {
+      var winding = (i > 0 ? active[i - 1].right : 0) + active[i].winding;
+      if (i > last && winding === active[i].right) {
+        break;
+      }
+      active[i].right = winding;
+    }
+
+    var end = i - 1;
+
+    for (i = Math.max(first - 1, 0); i <= end; i++) {
+
+      edge = active[i];
+
+      var neighbor = active[i + 1] || null;
+      var inside = !!neighbor && isInside(edge.right, evenodd);
+      var trapezoid = edge.trapezoid;
+
+      if (trapezoid && (!inside || trapezoid.right !== neighbor)) {
+        addTrapezoid(result, trapezoid, y);
+        edge.trapezoid = trapezoid = null;
+      }
+
+      if (inside && !trapezoid) {
+        edge.trapezoid = { left: edge, right: neighbor, top: y };
+      }
+
+      if (!neighbor || edge.neighbor === neighbor) {
+        continue;
+      }
+
+      var height = getCrossing(edge, neighbor, y, epsilon);
+      edge.neighbor = neighbor;
+
+      if (height !== null) {
+        push(crossings, { y: height, left: edge, right: neighbor });
+      }
+
+    }
+
+  }
+
+  return result;
+
+}
+
+function getSubdivisions(s, tolerance) {
+
+  var ax = s[0] - 2 * s[2] + s[4];
+  var ay = s[1] - 2 * s[3] + s[5];
+  var bx = s[2] - 2 * s[4] + s[6];
+  var by = s[3] - 2 * s[5] + s[7];
+  var m = Math.max(Math.sqrt(ax * ax + ay * ay), Math.sqrt(bx * bx + by * by));
+
+  if (!(m > Epsilon) || !(tolerance > 0)) {
+    return 1;
+  }
+
+  return Math.min(Math.max(Math.ceil(Math.sqrt(0.75 * m / tolerance)), 1), 512);
+
+}
+
+function isInside(winding, evenodd) {
+  return evenodd ? (winding & 1) === 1 : winding !== 0;
+}
+
+function getX(edge, y) {
+  return edge.x + (y - edge.y) * edge.slope;
+}
+
+// Where `edge`, which starts at `y`, goes in the list of active
+// edges ordered from left to right. Edges that start at the same
+// point are ordered by where they go.
+function getIndex(active, edge, y, epsilon) {
+
+  var low = 0;
+  var high = active.length;
+
+  while (low < high) {
+
+    var middle = (low + high) >> 1;
+    var other = active[middle];
+    var dx = edge.x - getX(other, y);
+
+    if (dx < - epsilon || dx <= epsilon && edge.slope < other.slope) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+
+  }
+
+  return low;
+
+}
+
+// The height at which `left` and its neighbor `right` cross
+// below `y`, or `null` when they stay in order until one of
+// them ends. Neighbors that are out of order already cross at `y`.
+function getCrossing(left, right, y, epsilon) {
+
+  var bottom = Math.min(left.bottom, right.bottom);
+  var d1 = getX(left, y) - getX(right, y);
+  var d2 = getX(left, bottom) - getX(right, bottom);
+
+  if (!(d2 > epsilon)) {
+    return null;
+  }
+
+  if (d1 >= 0) {
+    return y;
+  }
+
+  return y + (bottom - y) * d1 / (d1 - d2);
+
+}
+
+function addTrapezoid(triangles, trapezoid, bottom) {
+
+  var top = trapezoid.top;
+
+  if (!(bottom > top)) {
+    return;
+  }
+
+  var x1 = getX(trapezoid.left, top);
+  var x2 = getX(trapezoid.right, top);
+  var x3 = getX(trapezoid.right, bottom);
+  var x4 = getX(trapezoid.left, bottom);
+
+  if (x2 > x1) {
+    triangles.push(x1, top, x2, top, x3, bottom);
+  }
+  if (x3 > x4) {
+    triangles.push(x1, top, x3, bottom, x4, bottom);
+  }
+
+}
+
+// A binary heap of crossings, the highest one first.
+
+function push(heap, item) {
+
+  var i = heap.length;
+  heap.push(item);
+
+  while (i > 0) {
+    var parent = (i - 1) >> 1;
+    if (heap[parent].y <= item.y) {
+      break;
+    }
+    heap[i] = heap[parent];
+    i = parent;
+  }
+
+  heap[i] = item;
+
+}
+
+function pop(heap) {
+
+  var result = heap[0];
+  var item = heap.pop();
+  var length = heap.length;
+  var i = 0;
+
+  if (length <= 0) {
+    return result;
+  }
+
+  for (var child = 1; child < length; child = 2 * i + 1) {
+    if (child + 1 < length && heap[child + 1].y < heap[child].y) {
+      child++;
+    }
+    if (heap[child].y >= item.y) {
+      break;
+    }
+    heap[i] = heap[child];
+    i = child;
+  }
+
+  heap[i] = item;
+
+  return result;
+
+}
+
+export { flattenSubpaths, tessellate };
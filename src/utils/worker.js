@@ -0,0 +1,186 @@
+import root from './root.js';
+import _ from './underscore.js';
+
+import Events from '../events.js';
+import Pointer from '../pointer.js';
+import Constants from '../constants.js';
+
+// The canvases transferred to this Web Worker by `Two.transferToWorker`
+var transfers = {};
+
+var isWorker = typeof root.WorkerGlobalScope === 'function'
+  && root instanceof root.WorkerGlobalScope;
+
+// The properties of DOM events copied to Web Workers
+var properties = [
+  'type', 'clientX', 'clientY', 'button', 'buttons', 'pointerId',
+  'pointerType', 'altKey', 'ctrlKey', 'metaKey', 'shiftKey',
+  'deltaX', 'deltaY', 'deltaZ', 'deltaMode'
+];
+
+/**
+ * @name Two.transferToWorker
+ * @function
+ * @param {HTMLCanvasElement} canvas - The `<canvas />` to draw into from the Web Worker.
+ * @param {Worker} worker - The Web Worker to draw from.
+ * @returns {Object} An object with the `id` of the transfer and a `release` function to stop forwarding events.
+ * @description Hand control of a `<canvas />` over to a Web Worker. The worker receives a message whose `data.canvas` is an `OffscreenCanvas` to construct a {@link Two} with, e.g: `new Two({ type: Two.Types.webgl, domElement: event.data.canvas })`. The instance starts out at the size of the `<canvas />` on the page. Whenever the `<canvas />` resizes and whenever pointer events happen on it, they are forwarded to the worker, so {@link Two#pointer} works the same as on the main thread.
+ * @nota-bene Size the `<canvas />` with CSS. Its `width` and `height` attributes can't be changed anymore once transferred.
+ */
+function transferToWorker(canvas, worker) {
+
+  var id = Constants.Identifier + Constants.uniqueId();
+  var rect = canvas.getBoundingClientRect();
+  var offscreen = canvas.transferControlToOffscreen();
+  var handlers = {};
+  var observer;
+
+  worker.postMessage({
+    two: 'transfer',
+    id: id,
+    canvas: offscreen,
+    width: rect.width || canvas.width,
+    height: rect.height || canvas.height,
+    ratio: root.devicePixelRatio || 1
+  }, [offscreen]);
+
+  var resize = function() {
+    var rect = canvas.getBoundingClientRect();
+    worker.postMessage({
+      two: 'resize',
+      id: id,
+      width: rect.width,
+      height: rect.height,
+      ratio: root.devicePixelRatio || 1
+    });
+  };
+
+  _.each(Pointer.Types.concat(Events.Types.pointerleave), function(type) {
+    handlers[type] = function(e) {
+      var rect = canvas.getBoundingClientRect();
+      var event = {};
+      for (var i = 0; i < properties.length; i++) {
+        var k = properties[i];
+        if (typeof e[k] !== 'undefined') {
+          event[k] = e[k];
+        }
+      }
+      worker.postMessage({
+        two: 'pointer',
+        id: id,
+        type: type,
+        x: e.clientX - rect.left,
+        y: e.clientY - rect.top,
+        event: event
+      });
+    };
+    canvas.addEventListener(type, handlers[type], false);
+  });
+
+  if (typeof root.ResizeObserver === 'function') {
+    observer = new root.ResizeObserver(resize);
+    observer.observe(canvas);
+  } else {
+    root.addEventListener('resize', resize, false);
+  }
+
+  return {
+    id: id,
+    release: function() {
+      _.each(handlers, function(handler, type) {
+        canvas.removeEventListener(type, handler, false);
+      });
+      if (observer) {
+        observer.disconnect();
+      } else {
+        root.removeEventListener('resize', resize, false);
+      }
+    }
+  };
+
+}
+
+/**
+ * @name Two.Utils.getTransfer
+ * @function
+ * @private
+ * @param {OffscreenCanvas} canvas
+ * @returns {Object|null} The last known `width`, `height`, and `ratio` of a canvas transferred with {@link Two.transferToWorker}.
+ */
+function getTransfer(canvas) {
+  for (var id in transfers) {
+    if (canvas && transfers[id].canvas === canvas) {
+      return transfers[id];
+    }
+  }
+  return null;
+}
+
+function receive(e) {
+
+  var data = e.data;
+
+  if (!data || typeof data.two !== 'string' || !data.id) {
+    return;
+  }
+
+  if (data.two === 'transfer') {
+    transfers[data.id] = {
+      canvas: data.canvas,
+      width: data.width,
+      height: data.height,
+      ratio: data.ratio
+    };
+    return;
+  }
+
+  var transfer = transfers[data.id];
+
+  if (!transfer) {
+    return;
+  }
+
+  var two = getInstance(transfer.canvas);
+
+  switch (data.two) {
+
+    case 'resize':
+      transfer.width = data.width;
+      transfer.height = data.height;
+      transfer.ratio = data.ratio;
+      if (two) {
+        two.ratio = data.ratio;
+        two.renderer.setSize(data.width, data.height, data.ratio);
+      }
+      break;
+
+    case 'pointer':
+      if (!two || !two.pointer) {
+        break;
+      }
+      if (data.type === Events.Types.pointerleave) {
+        two.pointer.hover(null, data.x, data.y, data.event);
+      } else {
+        two.pointer.dispatch(data.type, data.x, data.y, data.event);
+      }
+      break;
+
+  }
+
+}
+
+function getInstance(canvas) {
+  var instances = Constants.Instances;
+  for (var i = 0; i < instances.length; i++) {
+    if (instances[i].renderer && instances[i].renderer.domElement === canvas) {
+      return instances[i];
+    }
+  }
+  return null;
+}
+
+if (isWorker) {
+  root.addEventListener('message', receive, false);
+}
+
+export { getTransfer, transferToWorker };
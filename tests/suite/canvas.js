@@ -420,4 +420,255 @@
 
   });
 
+  QUnit.test('Blend Modes', function(assert) {
+
+    assert.expect(3);
+
+    var two = new Two({
+      type: Two.Types.canvas,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var ctx = two.renderer.ctx;
+
+    var background = two.makeRectangle(50, 50, 100, 100);
+    background.fill = '#ff0000';
+    background.noStroke();
+
+    var rectangle = two.makeRectangle(25, 50, 50, 100);
+    rectangle.fill = '#00ff00';
+    rectangle.noStroke();
+    rectangle.blending = 'add';
+
+    // Overlapping children of a group blend with the
+    // background once, not with each other.
+    var a = two.makeRectangle(75, 50, 50, 100);
+    var b = two.makeRectangle(75, 50, 50, 100);
+    a.fill = b.fill = '#ffffff';
+    a.noStroke();
+    b.noStroke();
+
+    var group = two.makeGroup(a, b);
+    group.blending = 'difference';
+
+    two.update();
+
+    var getPixel = function(x, y) {
+      return Array.prototype.slice.call(ctx.getImageData(x, y, 1, 1).data);
+    };
+
+    assert.deepEqual(getPixel(10, 50), [255, 255, 0, 255], 'Two.CanvasRenderer applies blend modes to paths properly.');
+    assert.deepEqual(getPixel(90, 50), [0, 255, 255, 255], 'Two.CanvasRenderer composites groups with blend modes as a whole.');
+    assert.equal(ctx.globalCompositeOperation, 'source-over', 'Two.CanvasRenderer resets the blend mode after compositing.');
+
+  });
+
+  QUnit.test('Filters', function(assert) {
+
+    assert.expect(5);
+
+    var two = new Two({
+      type: Two.Types.canvas,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var ctx = two.renderer.ctx;
+
+    var getPixel = function(x, y) {
+      return Array.prototype.slice.call(ctx.getImageData(x, y, 1, 1).data);
+    };
+
+    // Swaps the red and blue channels
+    var swap = new Two.Filters.ColorMatrix([
+      0, 0, 1, 0, 0,
+      0, 1, 0, 0, 0,
+      1, 0, 0, 0, 0,
+      0, 0, 0, 1, 0
+    ]);
+
+    var rectangle = two.makeRectangle(25, 25, 20, 20);
+    rectangle.fill = '#ff0000';
+    rectangle.noStroke();
+    rectangle.filters = [new Two.Filters.DropShadow(20, 20, 0, '#000000')];
+
+    var square = two.makeRectangle(75, 75, 20, 20);
+    square.fill = '#ff0000';
+    square.noStroke();
+    square.filters = [swap];
+
+    two.update();
+
+    assert.deepEqual(getPixel(25, 25), [255, 0, 0, 255], 'Two.CanvasRenderer draws shapes with drop shadows properly.');
+    assert.deepEqual(getPixel(50, 50), [0, 0, 0, 255], 'Two.CanvasRenderer applies drop shadows properly.');
+    assert.deepEqual(getPixel(75, 75), [0, 0, 255, 255], 'Two.CanvasRenderer applies color matrices properly.');
+
+    var layers = two.renderer.layers.slice(0);
+    two.update();
+
+    assert.ok(two.renderer.layers.length === layers.length && layers.every(function(layer) {
+      return two.renderer.layers.indexOf(layer) >= 0;
+    }), 'Two.CanvasRenderer draws filters onto the same layers every frame.');
+    assert.ok(layers[0].canvas.width < 100 && layers[0].canvas.height < 100, 'Two.CanvasRenderer crops the layers of filters to the shapes.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Patterns', function(assert) {
+
+    assert.expect(7);
+
+    var two = new Two({
+      type: Two.Types.canvas,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var ctx = two.renderer.ctx;
+
+    var getPixel = function(x, y) {
+      return Array.prototype.slice.call(ctx.getImageData(x, y, 1, 1).data);
+    };
+
+    // The left half of each tile is red
+    var stripe = new Two.Rectangle(5, 10, 10, 20);
+    stripe.fill = '#ff0000';
+    stripe.noStroke();
+
+    var rectangle = two.makeRectangle(50, 50, 40, 40);
+    rectangle.fill = new Two.Pattern(20, 20, [stripe]);
+    rectangle.noStroke();
+
+    two.update();
+
+    assert.deepEqual(getPixel(35, 50), [255, 0, 0, 255], 'Two.CanvasRenderer fills shapes with patterns properly.');
+    assert.deepEqual(getPixel(45, 50), [0, 0, 0, 0], 'Two.CanvasRenderer tiles patterns properly.');
+
+    rectangle.fill.offset.x = 10;
+    two.update();
+
+    assert.deepEqual(getPixel(35, 50), [0, 0, 0, 0], 'Two.CanvasRenderer updates patterns properly.');
+
+    var version = rectangle.fill.renderer.version;
+    two.update();
+
+    assert.equal(rectangle.fill.renderer.version, version, 'Two.CanvasRenderer only draws the tiles of patterns again when they change.');
+
+    stripe.fill = '#00ff00';
+    two.update();
+
+    assert.deepEqual(getPixel(45, 50), [0, 255, 0, 255], 'Two.CanvasRenderer draws the tiles of patterns again when their scenes change.');
+
+    stripe.visible = false;
+    two.update();
+
+    assert.deepEqual(getPixel(45, 50), [0, 0, 0, 0], 'Two.CanvasRenderer draws the tiles of patterns again when shapes in their scenes are hidden.');
+
+    version = rectangle.fill.renderer.version;
+    two.update();
+
+    assert.equal(rectangle.fill.renderer.version, version, 'Two.CanvasRenderer doesn\'t draw the tiles of patterns again for hidden shapes.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+
+  QUnit.test('Masks', function(assert) {
+
+    assert.expect(5);
+
+    var two = new Two({
+      type: Two.Types.canvas,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var ctx = two.renderer.ctx;
+
+    var getPixel = function(x, y) {
+      return Array.prototype.slice.call(ctx.getImageData(x, y, 1, 1).data);
+    };
+
+    var rectangle = two.makeRectangle(50, 50, 80, 80);
+    rectangle.fill = '#ff0000';
+    rectangle.noStroke();
+    rectangle.mask = new Two.Group([new Two.Circle(-20, 0, 10), new Two.Circle(20, 0, 10)]);
+
+    two.update();
+
+    assert.deepEqual([getPixel(30, 50), getPixel(70, 50)], [[255, 0, 0, 255], [255, 0, 0, 255]], 'Two.CanvasRenderer clips shapes with groups properly.');
+    assert.deepEqual(getPixel(50, 50), [0, 0, 0, 0], 'Two.CanvasRenderer clips shapes to the children of groups only.');
+
+    // White on the left, black on the right
+    var white = new Two.Rectangle(-20, 0, 40, 80);
+    var black = new Two.Rectangle(20, 0, 40, 80);
+
+    white.fill = '#ffffff';
+    black.fill = '#000000';
+    white.noStroke();
+    black.noStroke();
+
+    rectangle.mask = new Two.Mask([white, black]);
+    two.update();
+
+    assert.deepEqual(getPixel(30, 50), [255, 0, 0, 255], 'Two.CanvasRenderer applies masks properly.');
+    assert.deepEqual(getPixel(70, 50), [0, 0, 0, 0], 'Two.CanvasRenderer hides shapes by the luminance of masks properly.');
+
+    rectangle.mask.mode = 'alpha';
+    two.update();
+
+    assert.deepEqual(getPixel(70, 50), [255, 0, 0, 255], 'Two.CanvasRenderer hides shapes by the alpha of masks properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Markers', function(assert) {
+
+    assert.expect(3);
+
+    var two = new Two({
+      type: Two.Types.canvas,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var ctx = two.renderer.ctx;
+
+    var getPixel = function(x, y) {
+      return Array.prototype.slice.call(ctx.getImageData(x, y, 1, 1).data);
+    };
+
+    // A square marker, 4 times the width of the line
+    var square = new Two.Rectangle(2, 0, 4, 4);
+    square.fill = '#ff0000';
+    square.noStroke();
+
+    var line = two.makeLine(20, 50, 80, 50);
+    line.stroke = '#0000ff';
+    line.linewidth = 2;
+    line.markers = { end: new Two.Marker([square]) };
+
+    two.update();
+
+    assert.deepEqual(getPixel(84, 50), [255, 0, 0, 255], 'Two.CanvasRenderer draws markers at the end of paths properly.');
+    assert.deepEqual(getPixel(87, 53), [255, 0, 0, 255], 'Two.CanvasRenderer scales markers by the linewidth of paths properly.');
+
+    line.vertices[1].set(50, 80);
+    two.update();
+
+    assert.deepEqual(getPixel(50, 84), [255, 0, 0, 255], 'Two.CanvasRenderer orients markers along paths properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
 })();
@@ -639,3 +639,680 @@ QUnit.test('Two', function(assert) {
   assert.equal(two.scene.children.length, 0, 'Clears children correctly');
 
 });
+
+QUnit.test('Two.Pointer', function(assert) {
+
+  assert.expect(8);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var group = two.makeGroup();
+  var circle = two.makeCircle(200, 200, 50);
+  group.add(circle);
+
+  var events = [];
+  var log = function(e) {
+    events.push(e.type + ':' + (e.currentTarget === circle ? 'circle' : 'group'));
+  };
+
+  circle.on('pointerdown', log);
+  circle.on('pointerenter', log);
+  group.on('pointerdown', log);
+  group.on('pointerleave', log);
+
+  var event = two.pointer.dispatch('pointerdown', 200, 200);
+  assert.equal(event.target, circle, 'Two.Pointer.dispatch properly targets the topmost shape.');
+  assert.deepEqual(events, ['pointerenter:circle', 'pointerdown:circle', 'pointerdown:group'], 'Two.Pointer.dispatch properly bubbles events through parents.');
+
+  events.length = 0;
+  circle.on('pointerdown', function(e) {
+    e.stopPropagation();
+  });
+  two.pointer.dispatch('pointerdown', 200, 200);
+  assert.deepEqual(events, ['pointerdown:circle'], 'Two.Pointer.Event.stopPropagation properly prevents bubbling.');
+
+  events.length = 0;
+  event = two.pointer.dispatch('pointermove', 10, 10);
+  assert.equal(event.target, two.scene, 'Two.Pointer.dispatch properly targets the scene when no shape is hit.');
+  assert.deepEqual(events, ['pointerleave:group'], 'Two.Pointer.dispatch properly dispatches pointerleave events.');
+
+  var position = two.pointer.getPosition({
+    clientX: two.renderer.domElement.getBoundingClientRect().left + 20,
+    clientY: two.renderer.domElement.getBoundingClientRect().top + 30
+  });
+  assert.deepEqual(position, { x: 20, y: 30 }, 'Two.Pointer.getPosition properly converts DOM coordinates.');
+
+  var domElement = two.renderer.domElement;
+  var hitTests = 0;
+  var getObjectsAt = two.scene.getObjectsAt;
+  two.scene.getObjectsAt = function() {
+    hitTests++;
+    return getObjectsAt.apply(this, arguments);
+  };
+
+  circle.off();
+  group.off();
+  domElement.dispatchEvent(new MouseEvent('pointermove', { clientX: 0, clientY: 0 }));
+  assert.equal(hitTests, 0, 'Two.Pointer properly skips hit testing when no shape listens to pointer events.');
+
+  two.release();
+  assert.equal(two.pointer.domElement, null, 'Two.release properly stops Two.Pointer from listening to the DOM.');
+
+});
+
+QUnit.test('Two.Tween', function(assert) {
+
+  assert.expect(7);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var shape = two.makeRectangle(0, 0, 10, 10);
+  shape.fill = '#ff0000';
+
+  var tween = shape.animate({
+    opacity: 0,
+    translation: { x: 100 },
+    fill: '#0000ff'
+  }, {
+    duration: 1000,
+    repeat: 1,
+    yoyo: true
+  });
+
+  assert.ok(tween.playing && Two.Tween.Instances.indexOf(tween) >= 0, 'Two.Shape.animate properly creates and plays a tween.');
+
+  two.timeDelta = 500;
+  Two.Tween.update(two);
+  assert.equal(shape.opacity, 0.5, 'Two.Tween properly interpolates numbers.');
+  assert.equal(shape.translation.x, 50, 'Two.Tween properly interpolates Two.Vectors.');
+  assert.equal(shape.fill, 'rgba(128, 0, 128, 1)', 'Two.Tween properly interpolates colors.');
+
+  tween.seek(1500);
+  assert.equal(shape.translation.x, 50, 'Two.Tween.yoyo properly plays repetitions backwards.');
+
+  tween.update(500);
+  assert.ok(tween.ended && !tween.playing && shape.translation.x === 0, 'Two.Tween properly completes.');
+
+  var gradient = two.makeLinearGradient(0, 0, 1, 1,
+    new Two.Stop(0, '#000000'), new Two.Stop(1, '#ffffff'));
+  shape.fill = gradient;
+
+  new Two.Tween(shape, { fill: { stops: [{ offset: 0.5, color: '#ffffff' }] } })
+    .seek(500);
+  assert.equal(gradient.stops[0].offset + ' ' + gradient.stops[0].color, '0.25 rgba(128, 128, 128, 1)', 'Two.Tween properly interpolates Two.Stops.');
+
+});
+
+QUnit.test('Two.Timeline', function(assert) {
+
+  assert.expect(7);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var circle = two.makeCircle(0, 0, 10);
+  var rectangle = two.makeRectangle(0, 0, 10, 10);
+
+  var timeline = new Two.Timeline({ fps: 10, two: two })
+    .to(circle.translation, { x: 100 }, { duration: 1000 })
+    .to(circle.translation, { x: 200 }, { duration: 1000 })
+    .addLabel('fade')
+    .to(rectangle, { opacity: 0 }, { duration: 500 }, 'fade-=500');
+
+  assert.equal(timeline.getDuration(), 2000, 'Two.Timeline.getDuration properly sequences tweens.');
+
+  timeline.seek(1500);
+  assert.equal(circle.translation.x + ' ' + rectangle.opacity, '150 1', 'Two.Timeline.seek properly applies keyframes.');
+
+  timeline.seek('fade');
+  assert.equal(circle.translation.x + ' ' + rectangle.opacity, '200 0', 'Two.Timeline.seek properly seeks to labels.');
+
+  timeline.seek(500);
+  assert.equal(circle.translation.x + ' ' + rectangle.opacity, '50 1', 'Two.Timeline.seek properly scrubs backwards.');
+
+  var parent = new Two.Timeline().add(timeline, 100);
+  timeline.timeScale = 2;
+  parent.seek(600);
+  assert.equal(circle.translation.x, 100, 'Two.Timeline properly nests and time scales timelines.');
+
+  timeline.timeScale = 1;
+  timeline.seek(0);
+  timeline.play();
+  for (var i = 0; i < 5; i++) {
+    two.update();
+  }
+  assert.equal(circle.translation.x, 50, 'Two.Timeline.fps properly advances deterministically on updates.');
+
+  timeline.pause();
+
+  var other = new Two({ width: 400, height: 400 });
+  var square = other.makeRectangle(0, 0, 10, 10);
+  var unclaimed = new Two.Timeline()
+    .add(new Two.Timeline().to(square, { opacity: 0 }, { duration: 1000 }))
+    .play();
+
+  two.update();
+  assert.equal(unclaimed.two, other, 'Two.Timeline.update properly assigns timelines to the instance whose scene holds their targets.');
+
+  unclaimed.pause();
+
+});
+
+QUnit.test('Two.Path.morph', function(assert) {
+
+  assert.expect(6);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var i, v, result, found;
+  var rectangle = two.makeRectangle(0, 0, 100, 100);
+  var star = two.makeStar(0, 0, 20, 50, 5);
+
+  var uneven = new Two.Path([
+    new Two.Anchor(- 50, - 50),
+    new Two.Anchor(- 25, - 50),
+    new Two.Anchor(0, - 50),
+    new Two.Anchor(25, - 50),
+    new Two.Anchor(50, - 50),
+    new Two.Anchor(50, 50),
+    new Two.Anchor(- 50, 50)
+  ], true);
+
+  result = Two.Path.morph(uneven, two.makeRectangle(0, 0, 200, 200), 0.5);
+  found = true;
+  for (i = 0; i < result.vertices.length; i++) {
+    v = result.vertices[i];
+    found = found && (Math.abs(Math.abs(v.x) - 75) < 0.001
+      || Math.abs(Math.abs(v.y) - 75) < 0.001);
+  }
+  assert.ok(found, 'Two.Path.morph properly resamples paths by arc length.');
+
+  result = Two.Path.morph(rectangle, star, 0);
+
+  found = true;
+  for (i = 0; i < result.vertices.length; i++) {
+    v = result.vertices[i];
+    found = found && (Math.abs(Math.abs(v.x) - 50) < 0.001
+      || Math.abs(Math.abs(v.y) - 50) < 0.001);
+  }
+  assert.ok(found && result.closed, 'Two.Path.morph properly preserves the shape of the first path.');
+
+  result = Two.Path.morph(rectangle, star, 1, result);
+  found = true;
+  for (i = 0; i < star.vertices.length; i++) {
+    v = star.vertices[i];
+    found = found && result.vertices.some(function(anchor) {
+      return anchor.distanceTo(v) < 0.001;
+    });
+  }
+  assert.ok(found, 'Two.Path.morph properly aligns and interpolates into the second path.');
+
+  assert.ok(result.contains(0, 0) && !result.contains(20, - 20), 'Two.Path.morph properly describes the shape of the second path.');
+
+  var path = new Two.Path([
+    new Two.Anchor(0, 0, 0, 0, 0, 0, Two.Commands.move),
+    new Two.Anchor(10, 0, 0, 0, 0, 0, Two.Commands.line),
+    new Two.Anchor(10, 10, 0, 0, 0, 0, Two.Commands.close),
+    new Two.Anchor(20, 20, 0, 0, 0, 0, Two.Commands.move),
+    new Two.Anchor(30, 20, 0, 0, 0, 0, Two.Commands.line)
+  ], false, false, true);
+
+  result = Two.Path.morph(path, star, 0.5);
+  assert.equal(result.vertices.filter(function(v) {
+    return v.command === Two.Commands.move;
+  }).length, 2, 'Two.Path.morph properly grows sub-paths without a counterpart out of a point.');
+
+  var tween = Two.Path.morph(rectangle, rectangle, 0).morphTo(star, { duration: 100 });
+  tween.seek(100);
+  result = tween.target;
+  assert.ok(result.contains(0, - 24) && !result.contains(20, - 20), 'Two.Path.morphTo properly animates into the second path.');
+
+  tween.stop();
+
+});
+
+QUnit.test('Two.Path Boolean Operations', function(assert) {
+
+  assert.expect(7);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var a = two.makeRectangle(100, 100, 100, 100);
+  var b = two.makeRectangle(150, 100, 100, 100);
+
+  var union = Two.Path.union(a, b);
+  assert.ok(union.contains(60, 100) && union.contains(190, 100) && !union.contains(100, 160), 'Two.Path.union properly combines the areas of both paths.');
+
+  var intersection = Two.Path.intersect(a, b);
+  assert.ok(intersection.contains(125, 100) && !intersection.contains(60, 100) && !intersection.contains(190, 100), 'Two.Path.intersect properly keeps the area both paths cover.');
+
+  var difference = Two.Path.subtract(a, b);
+  assert.ok(difference.contains(60, 100) && !difference.contains(125, 100) && !difference.contains(190, 100), 'Two.Path.subtract properly removes the area of the second path.');
+
+  var exclusion = Two.Path.exclude(a, b);
+  assert.ok(exclusion.contains(60, 100) && !exclusion.contains(125, 100) && exclusion.contains(190, 100), 'Two.Path.exclude properly removes the area both paths cover.');
+
+  var circle = two.makeCircle(100, 100, 25);
+  difference = Two.Path.subtract(a, circle);
+  assert.ok(difference.contains(60, 100) && !difference.contains(100, 100) && difference.vertices.filter(function(v) {
+    return v.command === Two.Commands.move;
+  }).length === 2, 'Two.Path.subtract properly preserves holes.');
+
+  var group = two.makeGroup(circle);
+  group.translation.set(100, 0);
+  union = Two.Path.union(a, circle);
+  assert.ok(union.contains(215, 100) && !union.contains(165, 100), 'Two.Path.union properly factors in the matrices of both paths and their parents.');
+
+  var arc = new Two.Path([
+    new Two.Anchor(- 50, 0, 0, 0, 0, 0, Two.Commands.move),
+    new Two.Anchor(50, 0, 0, 0, 0, 0, Two.Commands.arc),
+    new Two.Anchor(- 50, 0, 0, 0, 0, 0, Two.Commands.close)
+  ], false, false, true);
+  arc.vertices[1].rx = arc.vertices[1].ry = 50;
+  arc.vertices[1].xAxisRotation = 0;
+  arc.vertices[1].largeArcFlag = 0;
+  arc.vertices[1].sweepFlag = 0;
+  arc.translation.set(100, 150);
+
+  union = Two.Path.union(a, arc);
+  assert.ok(union.contains(100, 190) && !union.contains(145, 190), 'Two.Path.union properly supports Two.Commands.arc.');
+
+});
+
+QUnit.test('Two.Path.getIntersections', function(assert) {
+
+  assert.expect(4);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var a = two.makeLine(0, 0, 100, 100);
+  var b = two.makeLine(0, 100, 100, 0);
+  var circle = two.makeCircle(50, 50, 25);
+
+  var result = a.getIntersections(b);
+  assert.ok(result.length === 1 && Math.abs(result[0].x - 50) < 0.001 && Math.abs(result[0].y - 50) < 0.001 && Math.abs(result[0].t1 - 0.5) < 0.001, 'Two.Path.getIntersections properly intersects lines.');
+
+  result = a.getIntersections(circle);
+  var offset = 25 * Math.SQRT1_2;
+  assert.ok(result.length === 2 && Math.abs(result[0].x - (50 - offset)) < 0.001 && Math.abs(result[1].y - (50 + offset)) < 0.001, 'Two.Path.getIntersections properly intersects lines with curves.');
+
+  var other = two.makeCircle(80, 50, 25);
+  result = circle.getIntersections(other);
+  assert.ok(result.length === 2 && Math.abs(result[0].x - 65) < 0.001 && Math.abs(result[1].x - 65) < 0.001, 'Two.Path.getIntersections properly intersects curves.');
+
+  other.translation.set(200, 200);
+  assert.equal(circle.getIntersections(other).length, 0, 'Two.Path.getIntersections properly factors in the matrices of paths.');
+
+});
+
+QUnit.test('Two.Path.getNearestPoint', function(assert) {
+
+  assert.expect(3);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var line = two.makeLine(0, 0, 100, 100);
+  var result = line.getNearestPoint(100, 0);
+  assert.ok(Math.abs(result.x - 50) < 0.001 && Math.abs(result.y - 50) < 0.001, 'Two.Path.getNearestPoint properly finds the closest point on a line.');
+  assert.ok(Math.abs(result.t - 0.5) < 0.001 && Math.abs(result.distance - 50 * Math.SQRT2) < 0.001, 'Two.Path.getNearestPoint properly calculates t and distance.');
+
+  var circle = two.makeCircle(200, 200, 50);
+  result = circle.getNearestPoint(200, 100);
+  assert.ok(Math.abs(result.x - 200) < 0.01 && Math.abs(result.y - 150) < 0.01 && Math.abs(result.distance - 50) < 0.01, 'Two.Path.getNearestPoint properly finds the closest point on a curve.');
+
+});
+
+QUnit.test('Two.Path.offset', function(assert) {
+
+  assert.expect(4);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var rectangle = two.makeRectangle(200, 200, 100, 50);
+  var result = rectangle.offset(10);
+  assert.ok(result.contains(141, 166) && !result.contains(139, 200) && result.contains(200, 234), 'Two.Path.offset properly grows a closed path with mitered corners.');
+
+  result = rectangle.offset(10, { join: 'round' });
+  assert.ok(!result.contains(141, 166) && result.contains(144, 170), 'Two.Path.offset properly rounds corners.');
+
+  result = rectangle.offset(-10);
+  assert.ok(!result.contains(155, 200) && result.contains(161, 200), 'Two.Path.offset properly shrinks a closed path.');
+
+  var circle = two.makeCircle(200, 200, 50);
+  result = circle.offset(10);
+  assert.ok(result.contains(259, 200) && !result.contains(261, 200) && result.contains(242, 242) && !result.contains(243, 243), 'Two.Path.offset properly offsets curves.');
+
+});
+
+QUnit.test('Two.Path.outlineStroke', function(assert) {
+
+  assert.expect(6);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var line = two.makeLine(100, 100, 200, 100);
+  line.linewidth = 10;
+
+  var result = line.outlineStroke();
+  assert.ok(result.contains(150, 104) && result.contains(150, 96) && !result.contains(150, 106) && !result.contains(99, 100), 'Two.Path.outlineStroke properly outlines butt caps.');
+  assert.equal(result.fill, line.stroke, 'Two.Path.outlineStroke properly fills the outline with the stroke.');
+
+  line.cap = 'round';
+  result = line.outlineStroke();
+  assert.ok(result.contains(96, 100) && !result.contains(96, 104), 'Two.Path.outlineStroke properly outlines round caps.');
+
+  line.cap = 'butt';
+  line.dashes = [10, 10];
+  result = line.outlineStroke();
+  assert.ok(result.contains(105, 100) && !result.contains(115, 100) && result.contains(125, 100), 'Two.Path.outlineStroke properly outlines dashes.');
+
+  var path = two.makePath(0, 0, 100, 0, 100, 100, true);
+  path.linewidth = 10;
+  result = path.outlineStroke();
+  assert.ok(result.contains(104, -4) && result.contains(95, 50) && !result.contains(90, 10), 'Two.Path.outlineStroke properly outlines mitered joins.');
+
+  var rectangle = two.makeRectangle(200, 200, 100, 50);
+  rectangle.linewidth = 10;
+  result = rectangle.outlineStroke();
+  assert.ok(result.contains(250, 200) && result.contains(146, 171) && !result.contains(200, 200) && !result.contains(256, 200), 'Two.Path.outlineStroke properly outlines closed paths with holes.');
+
+});
+
+QUnit.test('Two.Path.simplify', function(assert) {
+
+  assert.expect(3);
+
+  var two = new Two({
+    width: 400,
+    height: 400
+  });
+
+  var path = two.makePath(0, 0, 50, 0, 100, 0.5, 150, 0, 150, 100, true);
+  path.simplify(1);
+  assert.equal(path.vertices.length, 3, 'Two.Path.simplify properly removes anchors within the tolerance.');
+  assert.ok(path.vertices[1].x - path.vertices[0].x === 150 && path.vertices[1].y === path.vertices[0].y, 'Two.Path.simplify properly keeps corners.');
+
+  var anchors = [];
+  for (var i = 0; i < 200; i++) {
+    var theta = i / 200 * Math.PI * 2;
+    anchors.push(new Two.Anchor(Math.cos(theta) * 100, Math.sin(theta) * 100));
+  }
+
+  path = new Two.Path(anchors, true);
+  path.simplify(0.5);
+  var within = true;
+  for (i = 0; i < anchors.length; i++) {
+    within = within && path.getNearestPoint(anchors[i].x, anchors[i].y).distance <= 0.5;
+  }
+  assert.ok(path.vertices.length < 50 && within, 'Two.Path.simplify properly simplifies closed paths.');
+
+});
+
+QUnit.test('Two.Path.fitCurves', function(assert) {
+
+  assert.expect(3);
+
+  var anchors = [];
+  for (var i = 0; i <= 500; i++) {
+    var theta = i / 500 * Math.PI * 2;
+    anchors.push(new Two.Anchor(theta * 50, Math.sin(theta) * 50));
+  }
+
+  var path = new Two.Path(anchors.map(function(v) {
+    return v.clone();
+  }));
+  path.fitCurves(0.5);
+
+  var within = true;
+  for (i = 0; i < anchors.length; i++) {
+    within = within && path.getNearestPoint(anchors[i].x, anchors[i].y).distance <= 0.5;
+  }
+
+  assert.ok(path.vertices.length < 10, 'Two.Path.fitCurves properly reduces the amount of anchors.');
+  assert.ok(within, 'Two.Path.fitCurves properly fits curves within the tolerance.');
+  assert.equal(path.automatic, false, 'Two.Path.fitCurves properly sets the path to manual.');
+
+});
+
+QUnit.test('Two.Path.getPointAtLength', function(assert) {
+
+  assert.expect(5);
+
+  var circle = new Two.Circle(0, 0, 50);
+  var length = Math.PI * 100;
+
+  var point = circle.getPointAtLength(length / 4);
+  var start = circle.getPointAtLength(0);
+  var angle = Math.atan2(point.y, point.x) - Math.atan2(start.y, start.x);
+  assert.ok(Math.abs(Math.abs(angle) - Math.PI / 2) < 0.001 && Math.abs(Math.sqrt(point.x * point.x + point.y * point.y) - 50) < 0.01, 'Two.Path.getPointAtLength properly measures curves by arc length.');
+
+  var line = new Two.Line(0, 0, 100, 0);
+  point = line.getPointAtLength(25);
+  assert.ok(Math.abs(point.x - 25) < 0.001 && Math.abs(point.y) < 0.001, 'Two.Path.getPointAtLength properly finds points on lines.');
+
+  var tangent = line.getTangentAt(0.5);
+  var normal = line.getNormalAt(0.5);
+  assert.ok(Math.abs(tangent.x - 1) < 0.001 && Math.abs(tangent.y) < 0.001, 'Two.Path.getTangentAt properly calculates the direction of the path.');
+  assert.ok(Math.abs(normal.x) < 0.001 && Math.abs(normal.y + 1) < 0.001, 'Two.Path.getNormalAt properly calculates the perpendicular of the path.');
+
+  var anchors = circle.resample(10);
+  var chord = 100 * Math.sin(Math.PI / 31);
+  var even = true;
+  for (var i = 0; i < anchors.length; i++) {
+    var a = anchors[i];
+    var b = anchors[(i + 1) % anchors.length];
+    even = even && Math.abs(Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2)) - chord) < 0.01;
+  }
+  assert.ok(anchors.length === 31 && even, 'Two.Path.resample properly spaces anchors evenly.');
+
+});
+
+QUnit.test('Two.fromObject', function(assert) {
+
+  assert.expect(9);
+
+  var two = new Two({ width: 400, height: 400 });
+
+  var gradient = new Two.LinearGradient(-50, 0, 50, 0, [
+    new Two.Stop(0, 'red'),
+    new Two.Stop(1, 'blue', 0.5)
+  ]);
+
+  var path = two.makePath(0, 0, 100, 0, 100, 100);
+  path.fill = gradient;
+  path.linewidth = 4;
+  path.rotation = Math.PI / 4;
+
+  var circle = two.makeCircle(200, 200, 50);
+  circle.fill = gradient;
+  circle.scale = new Two.Vector(2, 1);
+
+  var arc = two.makeArcSegment(100, 100, 10, 40, 0, Math.PI);
+  var points = two.makePoints(0, 0, 10, 10, 20, 20);
+  points.size = 3;
+
+  var text = two.makeText('Hello', 50, 50);
+  text.fill = new Two.RadialGradient(0, 0, 20, [
+    new Two.Stop(0, 'white'),
+    new Two.Stop(1, 'black')
+  ]);
+
+  var group = two.makeGroup(arc, points);
+  group.mask = two.makeRectangle(100, 100, 50, 50);
+  group.opacity = 0.5;
+
+  var json = JSON.stringify(two.toObject());
+  var scene = Two.fromObject(json);
+  var document = JSON.parse(json);
+
+  assert.equal(document.version, Two.SceneVersion, 'Two#toObject writes the scene format version.');
+  assert.deepEqual(scene.toObject(), document.scene, 'Two.fromObject properly reconstructs an identical scene.');
+
+  var children = scene.children;
+  assert.ok(children[0] instanceof Two.Path
+    && children[1] instanceof Two.Circle
+    && children[2] instanceof Two.Text
+    && children[3] instanceof Two.Group
+    && children[3].children[0] instanceof Two.ArcSegment
+    && children[3].children[1] instanceof Two.Points, 'Two.fromObject properly reconstructs the class of each object.');
+  assert.ok(children[0].fill instanceof Two.LinearGradient
+    && children[0].fill === children[1].fill, 'Two.fromObject properly shares gradients referenced by more than one object.');
+  assert.ok(children[2].fill instanceof Two.RadialGradient, 'Two.fromObject properly reconstructs text gradients.');
+  assert.ok(children[3].mask instanceof Two.Rectangle && children[3].opacity === 0.5, 'Two.fromObject properly reconstructs masks.');
+
+  var sprite = new Two.Sprite('/tests/images/sequence/00000.png', 10, 20, 2, 2, 12);
+  var copy = Two.fromObject(sprite.toObject());
+  assert.ok(copy instanceof Two.Sprite && copy.texture.src === sprite.texture.src
+    && copy.columns === 2 && copy.frameRate === 12 && copy.translation.y === 20, 'Two.fromObject properly reconstructs sprites.');
+
+  var loaded = two.scene.load(json);
+  assert.ok(loaded instanceof Two.Group && loaded.parent === two.scene
+    && loaded.children.length === children.length, 'Two.Group.load properly adds reconstructed objects to the group.');
+
+  var stored = new Two.Rectangle(0, 0, 10, 10).toObject();
+  var index = Two.uniqueId() + 1000;
+  stored.id = Two.Identifier + index;
+  var restored = Two.fromObject(stored);
+  var created = new Two.Rectangle(0, 0, 10, 10);
+  assert.ok(restored.id === stored.id
+    && parseInt(created.id.slice(Two.Identifier.length), 10) > index, 'Two.fromObject properly keeps ids and reserves them for objects created afterwards.');
+
+});
+
+QUnit.test('Two.export', function(assert) {
+
+  assert.expect(6);
+
+  var done = assert.async();
+  var two = new Two({ width: 100, height: 50 });
+
+  var rectangle = two.makeRectangle(25, 25, 50, 50);
+  rectangle.fill = '#ff0000';
+  rectangle.noStroke();
+
+  var getPixel = function(data, x, y) {
+    var i = (y * data.width + x) * 4;
+    return Array.prototype.slice.call(data.data, i, i + 4);
+  };
+
+  assert.ok(/^data:image\/png/.test(two.export()), 'Two.export properly encodes images as data URLs.');
+  assert.ok(/^data:image\/jpeg/.test(two.export({ type: 'jpeg', quality: 0.5 })), 'Two.export properly encodes other image types.');
+
+  var data = two.toImageData({ scale: 2 });
+  assert.ok(data.width === 200 && data.height === 100, 'Two.toImageData properly scales the image independent of the ratio.');
+  assert.ok(_.isEqual(getPixel(data, 20, 20), [255, 0, 0, 255])
+    && getPixel(data, 150, 50)[3] === 0, 'Two.toImageData properly rasterizes the scene.');
+
+  data = two.toImageData({
+    region: { left: 40, top: 0, width: 20, height: 10 },
+    background: '#0000ff'
+  });
+  assert.ok(data.width === 20 && data.height === 10
+    && _.isEqual(getPixel(data, 5, 5), [255, 0, 0, 255])
+    && _.isEqual(getPixel(data, 15, 5), [0, 0, 255, 255]), 'Two.toImageData properly draws regions of the scene over a background.');
+
+  two.toBlob(function(blob) {
+    assert.ok(blob && blob.size > 0 && blob.type === 'image/png', 'Two.toBlob properly accepts the callback as its only argument.');
+    done();
+  });
+
+});
+
+QUnit.test('Two.toPDF', function(assert) {
+
+  assert.expect(7);
+
+  var two = new Two({ width: 100, height: 50 });
+
+  var rectangle = two.makeRectangle(25, 25, 50, 50);
+  rectangle.fill = 'rgba(255, 0, 0, 0.5)';
+  rectangle.noStroke();
+
+  var circle = two.makeCircle(75, 25, 20);
+  circle.fill = two.makeLinearGradient(-20, 0, 20, 0,
+    new Two.Stop(0, '#000000'), new Two.Stop(1, '#ffffff'));
+  circle.stroke = two.makeLinearGradient(-20, 0, 20, 0,
+    new Two.Stop(0, 'rgba(0, 0, 255, 0.5)'), new Two.Stop(1, '#0000ff', 0));
+
+  var text = two.makeText('(Two.js)', 50, 40);
+  text.family = 'monospace';
+
+  var pdf = two.toPDF();
+  var startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+
+  assert.ok(/^%PDF-1\.\d\n/.test(pdf) && /%%EOF\n$/.test(pdf), 'Two.toPDF properly writes a PDF document.');
+  assert.ok(/\/MediaBox \[0 0 100 50\]/.test(pdf) && /1 0 0 -1 0 50 cm/.test(pdf), 'Two.toPDF properly applies the size of the instance to the page.');
+  assert.equal(pdf.slice(startxref, startxref + 4), 'xref', 'Two.toPDF properly references the cross-reference table.');
+  assert.ok(/\/ca 0\.5 /.test(pdf) && /1 0 0 rg\n-25 -25 m\n25 -25 l/.test(pdf), 'Two.PDFRenderer properly writes paths and their colors.');
+  assert.ok(/\/ShadingType 2 \/ColorSpace \/DeviceRGB \/Coords \[-20 0 20 0\]/.test(pdf), 'Two.PDFRenderer properly writes gradients as shadings.');
+  assert.ok(/\/SMask << \/Type \/Mask \/S \/Luminosity /.test(pdf) && /\/ColorSpace \/DeviceGray \/Coords \[-20 0 20 0\] \/Function << \/FunctionType 2 \/Domain \[0 1\] \/C0 \[0\.5\] \/C1 \[0\] /.test(pdf), 'Two.PDFRenderer properly masks gradients by the opacities of their stops.');
+  assert.ok(/\/BaseFont \/Courier /.test(pdf) && /\(\\\(Two\.js\\\)\) Tj/.test(pdf), 'Two.PDFRenderer properly writes text with standard fonts.');
+
+});
+
+QUnit.test('Two.transferToWorker', function(assert) {
+
+  assert.expect(4);
+
+  var canvas = document.createElement('canvas');
+  var offscreen = {};
+  var messages = [];
+
+  canvas.width = 200;
+  canvas.height = 100;
+  canvas.transferControlToOffscreen = function() {
+    return offscreen;
+  };
+
+  var worker = {
+    postMessage: function(data, transfer) {
+      messages.push({ data: data, transfer: transfer });
+    }
+  };
+
+  var transfer = Two.transferToWorker(canvas, worker);
+  var message = messages[0];
+
+  assert.ok(message.data.two === 'transfer' && message.data.id === transfer.id
+    && message.data.canvas === offscreen && message.transfer[0] === offscreen, 'Two.transferToWorker properly transfers the OffscreenCanvas.');
+  assert.ok(message.data.width === 200 && message.data.height === 100, 'Two.transferToWorker properly sends the size of the canvas.');
+
+  canvas.dispatchEvent(new MouseEvent('pointermove', { clientX: 0, clientY: 0 }));
+  message = messages[messages.length - 1];
+
+  assert.ok(message.data.two === 'pointer' && message.data.type === 'pointermove'
+    && message.data.event.type === 'pointermove', 'Two.transferToWorker properly forwards pointer events.');
+
+  transfer.release();
+  var amount = messages.length;
+  canvas.dispatchEvent(new MouseEvent('pointermove', { clientX: 0, clientY: 0 }));
+
+  assert.equal(messages.length, amount, 'Two.transferToWorker properly stops forwarding events once released.');
+
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests Two.js Utilities related to hit testing methods:
+ * + path.contains
+ * + group.getObjectsAt
+ */
+
+(function() {
+
+  QUnit.module('HitTest');
+
+  QUnit.test('Two.Path.contains', function(assert) {
+
+    assert.expect(9);
+
+    var two = new Two({
+      width: 400,
+      height: 400
+    });
+
+    var shape = two.makeRectangle(200, 200, 100, 100);
+    shape.linewidth = 10;
+
+    assert.equal(shape.contains(200, 200), true, 'Two.Path.contains properly detects the fill of a shape.');
+    assert.equal(shape.contains(254, 200), true, 'Two.Path.contains properly detects the stroke of a shape.');
+    assert.equal(shape.contains(256, 200), false, 'Two.Path.contains properly ignores coordinates outside a shape.');
+
+    shape.join = 'bevel';
+    assert.equal(shape.contains(254, 254), false, 'Two.Path.contains properly factors in Two.Path.join.');
+
+    shape.noFill();
+    assert.equal(shape.contains(200, 200), false, 'Two.Path.contains properly ignores hidden fills.');
+
+    shape.rotation = Math.PI / 4;
+    assert.equal(shape.contains(200, 268), true, 'Two.Path.contains properly factors in the matrix of a shape.');
+
+    var line = two.makeLine(0, 50, 100, 50);
+    line.linewidth = 10;
+    line.cap = 'round';
+    assert.equal(line.contains(- 4, 50), true, 'Two.Path.contains properly factors in Two.Path.cap.');
+
+    line.ending = 0.5;
+    assert.equal(line.contains(75, 50), false, 'Two.Path.contains properly factors in Two.Path.ending.');
+
+    var polyline = two.makePath(0, 0, 100, 0, 100, 100, 0, 0, true);
+    polyline.noFill();
+    assert.equal(polyline.contains(50, 50), true, 'Two.Path.contains properly detects the last edge of open paths that end where they start.');
+
+    two.update();
+
+    QUnit.Utils.addElemToTest(assert.test, [two.renderer.domElement]);
+
+  });
+
+  QUnit.test('Two.Group.getObjectsAt', function(assert) {
+
+    assert.expect(7);
+
+    var two = new Two({
+      width: 400,
+      height: 400
+    });
+
+    var group = two.makeGroup();
+    group.translation.set(100, 100);
+    group.scale = 2;
+
+    var circle = two.makeCircle(0, 0, 25);
+    var rectangle = two.makeRectangle(20, 0, 50, 50);
+    group.add(circle, rectangle);
+
+    var result = two.scene.getObjectsAt(100, 100);
+    assert.equal(result.length === 2 && result[0] === rectangle && result[1] === circle, true, 'Two.Group.getObjectsAt properly orders shapes from topmost to bottommost.');
+
+    result = two.scene.getObjectsAt(60, 100);
+    assert.equal(result.length === 1 && result[0] === circle, true, 'Two.Group.getObjectsAt properly factors in the matrices of parents.');
+
+    rectangle.visible = false;
+    result = two.scene.getObjectsAt(100, 100);
+    assert.equal(result.length === 1 && result[0] === circle, true, 'Two.Group.getObjectsAt properly ignores hidden shapes.');
+
+    group.mask = new Two.Rectangle(0, 0, 10, 10);
+    result = two.scene.getObjectsAt(80, 100);
+    assert.equal(result.length, 0, 'Two.Group.getObjectsAt properly factors in the mask of parents.');
+
+    assert.equal(circle.contains(80, 100), false, 'Two.Path.contains properly factors in the mask of parents.');
+
+    var text = two.makeText('Two', 300, 300);
+    text.size = 20;
+    text.noFill();
+    assert.equal(text.contains(300, 300), false, 'Two.Text.contains properly ignores hidden fills and strokes.');
+
+    text.stroke = '#000000';
+    text.linewidth = 10;
+    assert.equal(text.contains(300, 300) && text.contains(320, 300) && !text.contains(324, 300), true, 'Two.Text.contains properly factors in the stroke of a text.');
+
+    two.update();
+
+    QUnit.Utils.addElemToTest(assert.test, [two.renderer.domElement]);
+
+  });
+
+})();
@@ -260,6 +260,262 @@
 
   });
 
+  QUnit.test('Patterns', function(assert) {
+
+    assert.expect(6);
+
+    var two = new Two({
+      width: 400,
+      height: 400
+    });
+
+    var svg = QUnit.Utils.textToDOM([
+      '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">',
+      '<defs>',
+      '<pattern id="hatch" width="10" height="10" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">',
+      '<rect width="5" height="10" fill="red" />',
+      '</pattern>',
+      '<pattern id="dots" href="#hatch" width="0.5" height="25%" patternUnits="objectBoundingBox" />',
+      '</defs>',
+      '<rect x="10" y="20" width="40" height="40" fill="url(#hatch)" />',
+      '<rect x="50" y="50" width="40" height="40" fill="url(#dots)" />',
+      '</svg>'
+    ].join(''))[0];
+
+    var shape = two.interpret(svg);
+    var hatch = shape.children[0].fill;
+    var dots = shape.children[1].fill;
+
+    two.update();
+
+    assert.ok(hatch instanceof Two.Pattern, 'Two.interpret imports <pattern /> properly.');
+    assert.deepEqual([hatch.width, hatch.height, hatch.scene.children.length], [10, 10, 1], 'Two.interpret imports <pattern /> tiles and contents properly.');
+    assert.deepEqual([hatch.matrix.elements[2], hatch.matrix.elements[5]], [-30, -40], 'Two.interpret imports userSpaceOnUse <pattern /> tiles in the coordinate space of the shape properly.');
+    assert.ok(Math.abs(hatch.matrix.elements[0] - Math.cos(Math.PI / 4)) < 0.001, 'Two.interpret imports <pattern /> patternTransforms properly.');
+    assert.deepEqual([dots.width, dots.height, dots.offset.x, dots.offset.y], [20, 10, 50, 50], 'Two.interpret imports objectBoundingBox <pattern /> tiles properly.');
+    assert.equal(dots.scene.children.length, 1, 'Two.interpret imports <pattern /> contents referenced through href properly.');
+
+    QUnit.Utils.addElemToTest(assert.test, [two.renderer.domElement, svg]);
+
+  });
+
+  QUnit.test('Masks', function(assert) {
+
+    assert.expect(7);
+
+    var two = new Two({
+      width: 400,
+      height: 400
+    });
+
+    var svg = QUnit.Utils.textToDOM([
+      '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">',
+      '<defs>',
+      '<clipPath id="eyes">',
+      '<circle cx="30" cy="50" r="10" />',
+      '<circle cx="70" cy="50" r="10" />',
+      '</clipPath>',
+      '<clipPath id="inset" clipPathUnits="objectBoundingBox">',
+      '<rect x="0.25" y="0.25" width="0.5" height="0.5" />',
+      '</clipPath>',
+      '<mask id="fade" mask-type="alpha">',
+      '<rect width="50" height="100" fill="white" />',
+      '</mask>',
+      '</defs>',
+      '<rect x="10" y="10" width="80" height="80" clip-path="url(#eyes)" />',
+      '<rect x="20" y="20" width="40" height="20" clip-path="url(#inset)" />',
+      '<rect x="10" y="10" width="80" height="80" mask="url(#fade)" />',
+      '<g clip-path="url(#eyes)"><rect width="10" height="10" /></g>',
+      '</svg>'
+    ].join(''))[0];
+
+    var shape = two.interpret(svg);
+    var eyes = shape.children[0].mask;
+    var inset = shape.children[1].mask;
+    var fade = shape.children[2].mask;
+    var group = shape.children[3];
+
+    two.update();
+
+    assert.ok(eyes.children.length === 2 && eyes.clip, 'Two.interpret imports <clipPath /> with many children properly.');
+    assert.deepEqual([eyes.translation.x, eyes.translation.y], [-50, -50], 'Two.interpret imports userSpaceOnUse <clipPath /> in the coordinate space of the shape properly.');
+    assert.deepEqual([inset.translation.x, inset.translation.y, inset.scale.x, inset.scale.y], [-20, -10, 40, 20], 'Two.interpret imports objectBoundingBox <clipPath /> properly.');
+    assert.ok(fade instanceof Two.Mask && fade.scene.children.length === 1, 'Two.interpret imports <mask /> properly.');
+    assert.equal(fade.mode, 'alpha', 'Two.interpret imports <mask /> mask-types properly.');
+    assert.deepEqual([fade.scene.mask.width, fade.scene.mask.height], [96, 96], 'Two.interpret clips <mask /> to their region properly.');
+    assert.ok(group.mask && !group.children[0].mask, 'Two.interpret applies clip-path to groups and not their children.');
+
+    QUnit.Utils.addElemToTest(assert.test, [two.renderer.domElement, svg]);
+
+  });
+
+  QUnit.test('Text', function(assert) {
+
+    assert.expect(6);
+
+    var two = new Two({
+      width: 400,
+      height: 400
+    });
+
+    var svg = QUnit.Utils.textToDOM([
+      '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">',
+      '<defs>',
+      '<path id="baseline" d="M 10 100 L 110 100" />',
+      '</defs>',
+      '<text x="10" y="20" font-size="10" fill="blue">Hello <tspan font-weight="bold" fill="red">World</tspan>!</text>',
+      '<text x="100" y="50" font-size="10" text-anchor="middle">',
+      '<tspan x="100" dy="1em">Line one</tspan>',
+      '<tspan x="100" dy="1.5em">Two</tspan>',
+      '</text>',
+      '<text font-size="10"><textPath href="#baseline" startOffset="50%" text-anchor="middle">abc</textPath></text>',
+      '</svg>'
+    ].join(''))[0];
+
+    var shape = two.interpret(svg);
+    var spans = shape.children[0];
+    var lines = shape.children[1];
+    var path = shape.children[2];
+    var ctx = document.createElement('canvas').getContext('2d');
+
+    // Characters are measured the way Two.js measures them
+    // for <svg />s that aren't in the document.
+    var measure = function(value, weight) {
+      ctx.font = ['normal', weight || 500, '10px', 'sans-serif'].join(' ');
+      return ctx.measureText(value).width;
+    };
+    var round = function(value) {
+      return Math.round(value * 100) / 100;
+    };
+    var space = measure(' ');
+    var hello = measure('Hello') + space;
+    var letters = ['a', 'b', 'c'].map(function(letter) {
+      return measure(letter);
+    });
+    var start = 60 - (letters[0] + letters[1] + letters[2]) / 2;
+
+    two.update();
+
+    assert.deepEqual(spans.children.map(function(text) {
+      return text.value;
+    }), ['Hello', 'World', '!'], 'Two.interpret imports <tspan />s into a group of Two.Texts properly.');
+    assert.deepEqual([spans.children[1].fill, spans.children[1].weight, spans.children[2].fill], ['red', 'bold', 'blue'], 'Two.interpret imports the styles of <tspan />s properly.');
+    assert.deepEqual([round(spans.children[1].translation.x), round(spans.children[2].translation.x)], [round(hello), round(hello + measure('World', 'bold'))], 'Two.interpret lays out <tspan />s one after the other properly.');
+    assert.deepEqual(lines.children.map(function(text) {
+      return text.translation.y;
+    }), [10, 25], 'Two.interpret imports relative positions of <tspan />s properly.');
+    assert.deepEqual(lines.children.map(function(text) {
+      return round(text.translation.x);
+    }), [round(- measure('Line one') / 2), round(- measure('Two') / 2)], 'Two.interpret anchors lines of text properly.');
+    assert.deepEqual(path.children.map(function(text) {
+      return round(text.translation.x);
+    }), [
+      round(start + letters[0] / 2),
+      round(start + letters[0] + letters[1] / 2),
+      round(start + letters[0] + letters[1] + letters[2] / 2)
+    ], 'Two.interpret places the characters of <textPath />s along their shape properly.');
+
+    QUnit.Utils.addElemToTest(assert.test, [two.renderer.domElement, svg]);
+
+  });
+
+  QUnit.test('Style Sheets', function(assert) {
+
+    assert.expect(8);
+
+    var two = new Two({
+      width: 400,
+      height: 400
+    });
+
+    var svg = QUnit.Utils.textToDOM([
+      '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">',
+      '<style>',
+      '.st0 { fill: #ff0000; stroke-width: 2 }',
+      'path { fill: green }',
+      '#special { fill: purple }',
+      '.layer rect { fill: orange }',
+      '.layer { fill-rule: evenodd }',
+      'g > circle.dot { stroke: blue !important }',
+      '@media print { .st0 { fill: black } }',
+      '</style>',
+      '<path class="st0" d="M 0 0 L 10 10" />',
+      '<path d="M 0 0 L 10 10" fill="blue" />',
+      '<path id="special" class="st0" d="M 0 0 L 10 10" />',
+      '<path class="st0" d="M 0 0 L 10 10" style="fill: white" />',
+      '<g class="layer">',
+      '<rect width="10" height="10" fill="gray" />',
+      '<circle class="dot" r="5" style="stroke: red" />',
+      '</g>',
+      '<svg width="50" height="50">',
+      '<path class="st0" d="M 0 0 L 10 10" />',
+      '</svg>',
+      '<path class="st0" d="M 0 0 L 10 10" />',
+      '</svg>'
+    ].join(''))[0];
+
+    var shape = two.interpret(svg);
+    var children = shape.children;
+
+    two.update();
+
+    assert.deepEqual([children[0].fill, children[0].linewidth], ['#ff0000', 2], 'Two.interpret applies class selectors of <style />s over type selectors properly.');
+    assert.equal(children[1].fill, 'green', 'Two.interpret applies rules of <style />s over presentation attributes properly.');
+    assert.equal(children[2].fill, 'purple', 'Two.interpret applies id selectors of <style />s over class selectors properly.');
+    assert.equal(children[3].fill, 'white', 'Two.interpret applies inline styles over rules of <style />s properly.');
+    assert.equal(children[4].children[0].fill, 'orange', 'Two.interpret applies descendant selectors of <style />s properly.');
+    assert.equal(children[4].children[1].fillRule, 'evenodd', 'Two.interpret applies fill-rule of <style />s to descendants properly.');
+    assert.equal(children[4].children[1].stroke, 'blue', 'Two.interpret applies !important rules of <style />s over inline styles properly.');
+    assert.ok(children[5].children[0].fill === '#ff0000'
+      && children[6].fill === '#ff0000', 'Two.interpret applies rules of <style />s inside and after nested <svg />s properly.');
+
+    QUnit.Utils.addElemToTest(assert.test, [two.renderer.domElement, svg]);
+
+  });
+
+  QUnit.test('Markers', function(assert) {
+
+    assert.expect(6);
+
+    var two = new Two({
+      width: 400,
+      height: 400
+    });
+
+    var svg = QUnit.Utils.textToDOM([
+      '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">',
+      '<defs>',
+      '<marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">',
+      '<path d="M 0 0 L 10 5 L 0 10 z" fill="red" marker-end="url(#arrow)" />',
+      '</marker>',
+      '<marker id="dot" markerUnits="userSpaceOnUse" orient="90deg" refX="1">',
+      '<circle r="2" fill="blue" />',
+      '</marker>',
+      '</defs>',
+      '<path d="M 10 10 L 90 10 L 90 90" stroke="black" fill="none" marker-start="url(#dot)" marker-end="url(#arrow)" />',
+      '<g marker-mid="url(#dot)"><polyline points="0,0 10,0 20,10" /></g>',
+      '<line x1="0" y1="0" x2="0" y2="50" style="marker: url(#arrow)" />',
+      '</svg>'
+    ].join(''))[0];
+
+    var shape = two.interpret(svg);
+    var path = shape.children[0];
+    var arrow = path.markers.end;
+    var dot = path.markers.start;
+
+    two.update();
+
+    assert.ok(arrow instanceof Two.Marker && arrow.scene.children.length === 1, 'Two.interpret imports <marker /> properly.');
+    assert.deepEqual([arrow.orient, arrow.units, dot.orient, dot.units], ['auto-start-reverse', 'strokeWidth', Math.PI / 2, 'userSpaceOnUse'], 'Two.interpret imports the orient and markerUnits of <marker /> properly.');
+    assert.deepEqual([arrow.scene.translation.x, arrow.scene.translation.y, arrow.scene.scale.x, arrow.scene.scale.y], [-6, -3, 0.6, 0.6], 'Two.interpret places the reference point of <marker /> on the vertex properly.');
+    assert.equal(arrow.scene.children[0].markers, null, 'Two.interpret doesn\'t draw markers within markers.');
+    assert.ok(shape.children[1].children[0].markers.mid === dot, 'Two.interpret inherits marker-* styles and shares markers between paths properly.');
+    assert.deepEqual(Object.keys(shape.children[2].markers), ['start', 'mid', 'end'], 'Two.interpret imports the marker shorthand properly.');
+
+    QUnit.Utils.addElemToTest(assert.test, [two.renderer.domElement, svg]);
+
+  });
+
   QUnit.test('Two.subdivide', function(assert) {
 
     assert.expect(3);
@@ -445,7 +445,7 @@
 
   QUnit.test('Styles', function(assert) {
 
-    assert.expect(9);
+    assert.expect(10);
 
     var two = new Two({
       width: 400,
@@ -464,6 +464,7 @@
     shape.join = 'miter';
     shape.cap = 'butt';
     shape.miter = 10;
+    shape.fillRule = 'evenodd';
     shape.className = 'pretty';
 
     shape.closed = false;
@@ -485,6 +486,7 @@
     assert.equal(elem.getAttribute('stroke-linecap'), shape.cap, 'Two.Shape.cap gets and sets properly.');
     assert.equal(elem.getAttribute('visibility'), 'visible', 'Two.Shape.visible gets and sets properly.');
     assert.equal(elem.getAttribute('stroke-miterlimit'), shape.miter, 'Two.Shape.miter gets and sets properly.');
+    assert.equal(elem.getAttribute('fill-rule'), shape.fillRule, 'Two.Shape.fillRule gets and sets properly.');
     assert.equal(elem.getAttribute('class'), shape.className, 'Two.Shape.className gets and sets properly.');
     assert.ok(elem.getAttribute('stroke-opacity') == shape.opacity
       && elem.getAttribute('fill-opacity') == shape.opacity, 'Two.Shape.opacity gets and sets properly.');
@@ -493,4 +495,276 @@
 
   });
 
+  QUnit.test('Two.SVGRenderer.serialize', function(assert) {
+
+    assert.expect(7);
+
+    var two = new Two({
+      width: 400,
+      height: 400
+    });
+
+    var gradient = two.makeLinearGradient(0, - 50, 0, 50,
+      new Two.Stop(0, 'lightcoral'), new Two.Stop(1, 'steelblue'));
+    var rectangle = two.makeRectangle(200, 200, 100, 100);
+    var mask = new Two.Circle(0, 0, 40);
+    var text = two.makeText('Hello <World> & "Friends"', 200, 50);
+
+    rectangle.fill = gradient;
+    rectangle.mask = mask;
+
+    two.update();
+
+    var doc = new DOMParser().parseFromString(two.toSVGString(), 'image/svg+xml');
+    var elem = doc.getElementById(rectangle.id);
+    var rendered = two.renderer.domElement.querySelector('#' + rectangle.id);
+
+    assert.equal(doc.documentElement.getAttribute('width'), '400', 'Two.toSVGString applies the size of the instance properly.');
+    assert.equal(elem.getAttribute('d'), rendered.getAttribute('d'), 'Two.SVGRenderer.serialize applies d attribute properly.');
+    assert.equal(elem.getAttribute('transform'), rendered.getAttribute('transform'), 'Two.SVGRenderer.serialize applies transform attribute properly.');
+    assert.equal(elem.getAttribute('fill'), 'url(#' + gradient.id + ')', 'Two.SVGRenderer.serialize references gradients properly.');
+    assert.equal(doc.querySelector('defs #' + gradient.id).childNodes.length, 2, 'Two.SVGRenderer.serialize adds gradients to defs properly.');
+    assert.equal(doc.querySelector('clipPath#' + mask.id).childNodes.length, 1, 'Two.SVGRenderer.serialize adds masks to defs properly.');
+    assert.equal(doc.getElementById(text.id).textContent, text.value, 'Two.SVGRenderer.serialize escapes text properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Blend Modes', function(assert) {
+
+    assert.expect(4);
+
+    var two = new Two({ width: 400, height: 400 });
+
+    var rectangle = two.makeRectangle(200, 200, 100, 100);
+    var group = two.makeGroup(rectangle);
+
+    rectangle.blending = 'multiply';
+    group.blending = 'add';
+
+    two.update();
+
+    assert.equal(rectangle._renderer.elem.style.mixBlendMode, 'multiply', 'Two.SVGRenderer applies blend modes to paths properly.');
+    assert.equal(group._renderer.elem.style.mixBlendMode, 'plus-lighter', 'Two.SVGRenderer applies the add blend mode as plus-lighter.');
+
+    rectangle.blending = 'normal';
+    two.update();
+
+    assert.equal(rectangle._renderer.elem.style.mixBlendMode, '', 'Two.SVGRenderer removes blend modes properly.');
+
+    var doc = new DOMParser().parseFromString(two.toSVGString(), 'image/svg+xml');
+
+    assert.equal(doc.getElementById(group.id).getAttribute('style'), 'mix-blend-mode: plus-lighter;', 'Two.SVGRenderer.serialize writes blend modes properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Filters', function(assert) {
+
+    assert.expect(8);
+
+    var two = new Two({ width: 400, height: 400 });
+
+    var rectangle = two.makeRectangle(200, 200, 100, 100);
+    var shadow = new Two.Filters.DropShadow(4, 8, 2, 'rgba(0, 0, 0, 0.5)');
+
+    var square = two.makeRectangle(50, 50, 20, 20);
+
+    assert.equal(square._filters, null, 'Two.Shape only makes its list of filters when it\'s used.');
+
+    rectangle.filters = [new Two.Filters.Blur(4), shadow];
+    square.filters = [shadow];
+
+    two.update();
+
+    var elem = rectangle._renderer.elem;
+    var filter = rectangle._renderer.filter;
+    var primitives = Array.prototype.map.call(filter.childNodes, function(node) {
+      return node.nodeName;
+    });
+
+    assert.equal(elem.getAttribute('filter'), 'url(#' + filter.id + ')', 'Two.SVGRenderer applies filters to paths properly.');
+    assert.deepEqual(primitives, ['feGaussianBlur', 'feDropShadow'], 'Two.SVGRenderer chains filter primitives in order properly.');
+
+    var blur = filter.firstChild;
+    two.update();
+
+    assert.equal(filter.firstChild, blur, 'Two.SVGRenderer only updates filters when they change.');
+
+    shadow.offset.x = 12;
+    two.update();
+
+    var shared = square._renderer.filter;
+
+    assert.equal(filter.lastChild.getAttribute('dx'), '12', 'Two.SVGRenderer updates filters properly.');
+    assert.equal(shared.lastChild.getAttribute('dx'), '12', 'Two.SVGRenderer updates filters shared by shapes properly.');
+
+    var doc = new DOMParser().parseFromString(two.toSVGString(), 'image/svg+xml');
+
+    assert.equal(doc.querySelectorAll('filter feGaussianBlur').length, 1, 'Two.SVGRenderer.serialize writes filters properly.');
+
+    rectangle.filters = [];
+    two.update();
+
+    assert.ok(!elem.hasAttribute('filter') && !filter.parentNode, 'Two.SVGRenderer removes filters properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Patterns', function(assert) {
+
+    assert.expect(4);
+
+    var two = new Two({ width: 400, height: 400 });
+
+    var stripe = new Two.Rectangle(5, 10, 10, 20);
+    var pattern = new Two.Pattern(20, 20, [stripe]);
+    var rectangle = two.makeRectangle(200, 200, 100, 100);
+
+    pattern.matrix.rotate(Math.PI / 4);
+    rectangle.fill = pattern;
+
+    two.update();
+
+    var elem = two.renderer.defs.querySelector('pattern');
+
+    assert.equal(rectangle._renderer.elem.getAttribute('fill'), 'url(#' + pattern.id + ')', 'Two.SVGRenderer applies patterns to paths properly.');
+    assert.ok(elem.id === pattern.id && elem.contains(stripe._renderer.elem), 'Two.SVGRenderer draws the scenes of patterns properly.');
+
+    pattern.width = 40;
+    two.update();
+
+    assert.equal(elem.getAttribute('width'), '40', 'Two.SVGRenderer updates patterns properly.');
+
+    var doc = new DOMParser().parseFromString(two.toSVGString(), 'image/svg+xml');
+
+    assert.equal(doc.querySelectorAll('pattern path').length, 1, 'Two.SVGRenderer.serialize writes patterns properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Masks', function(assert) {
+
+    assert.expect(6);
+
+    var two = new Two({ width: 400, height: 400 });
+
+    var clip = new Two.Group([new Two.Circle(-25, 0, 25), new Two.Circle(25, 0, 25)]);
+    var white = new Two.Rectangle(0, 0, 100, 50);
+    var mask = new Two.Mask([white]);
+    var rectangle = two.makeRectangle(100, 100, 100, 100);
+    var circle = two.makeCircle(300, 300, 50);
+
+    white.fill = '#fff';
+    rectangle.mask = clip;
+    circle.mask = mask;
+
+    two.update();
+
+    var clipPath = two.renderer.defs.querySelector('clipPath');
+    var elem = two.renderer.defs.querySelector('mask');
+
+    assert.equal(rectangle._renderer.elem.getAttribute('clip-path'), 'url(#' + clip.id + ')', 'Two.SVGRenderer clips paths with groups properly.');
+    assert.ok(clipPath.querySelectorAll('path').length === 2 && !clipPath.querySelector('g'), 'Two.SVGRenderer draws the children of clipping groups properly.');
+    assert.equal(circle._renderer.elem.getAttribute('mask'), 'url(#' + mask.id + ')', 'Two.SVGRenderer applies masks to paths properly.');
+    assert.ok(elem.id === mask.id && elem.contains(white._renderer.elem), 'Two.SVGRenderer draws the scenes of masks properly.');
+
+    mask.mode = 'alpha';
+    two.update();
+
+    assert.equal(elem.getAttribute('mask-type'), 'alpha', 'Two.SVGRenderer updates masks properly.');
+
+    var doc = new DOMParser().parseFromString(two.toSVGString(), 'image/svg+xml');
+
+    assert.deepEqual([doc.querySelectorAll('clipPath > path').length, doc.querySelectorAll('mask path').length], [2, 1], 'Two.SVGRenderer.serialize writes clipping groups and masks properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Markers', function(assert) {
+
+    assert.expect(6);
+
+    var two = new Two({ width: 400, height: 400 });
+
+    var head = new Two.Path([
+      new Two.Anchor(0, - 2), new Two.Anchor(4, 0), new Two.Anchor(0, 2)
+    ], true);
+    var arrow = new Two.Marker([head], 'auto-start-reverse');
+    var line = two.makeLine(50, 50, 350, 350);
+
+    line.linewidth = 4;
+    line.markers = { start: arrow, end: arrow };
+
+    two.update();
+
+    var elem = two.renderer.defs.querySelector('marker');
+
+    assert.deepEqual([line._renderer.elem.getAttribute('marker-start'), line._renderer.elem.getAttribute('marker-end')], ['url(#' + arrow.id + ')', 'url(#' + arrow.id + ')'], 'Two.SVGRenderer applies markers to paths properly.');
+    assert.ok(elem.id === arrow.id && elem.contains(head._renderer.elem), 'Two.SVGRenderer draws the scenes of markers properly.');
+    assert.deepEqual([elem.getAttribute('orient'), elem.getAttribute('markerUnits')], ['auto-start-reverse', 'strokeWidth'], 'Two.SVGRenderer writes the orientation and units of markers properly.');
+
+    arrow.orient = Math.PI / 2;
+    line.markers = { end: arrow };
+    two.update();
+
+    assert.ok(elem.getAttribute('orient') === '90' && !line._renderer.elem.hasAttribute('marker-start'), 'Two.SVGRenderer updates markers properly.');
+
+    line.markers.start = arrow;
+    assert.ok(line._flagMarkers, 'Two.Path flags changes to individual markers properly.');
+    two.update();
+
+    var doc = new DOMParser().parseFromString(two.toSVGString(), 'image/svg+xml');
+
+    assert.deepEqual([doc.querySelectorAll('marker path').length, doc.querySelectorAll('path[marker-end]').length], [1, 1], 'Two.SVGRenderer.serialize writes markers properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Two.SVGStringRenderer', function(assert) {
+
+    assert.expect(6);
+
+    var two = new Two({ width: 400, height: 400 });
+    var virtual = new Two({ type: 'svgstring', width: 400, height: 400 });
+
+    var shapes = [two, virtual].map(function(instance) {
+      var rectangle = instance.makeRectangle(200, 200, 100, 100);
+      rectangle.fill = instance.makeLinearGradient(0, - 50, 0, 50,
+        new Two.Stop(0, 'lightcoral'), new Two.Stop(1, 'steelblue'));
+      rectangle.rotation = Math.PI / 8;
+      instance.update();
+      return rectangle;
+    });
+
+    var elem = two.renderer.domElement.querySelector('#' + shapes[0].id);
+    var virtualElem = shapes[1]._renderer.elem;
+
+    assert.ok(virtual.renderer instanceof Two.SVGStringRenderer, 'Two constructs Two.SVGStringRenderer from the key of its type properly.');
+    assert.equal(virtualElem.getAttribute('d'), elem.getAttribute('d'), 'Two.SVGStringRenderer applies d attribute properly.');
+    assert.equal(virtualElem.getAttribute('transform'), elem.getAttribute('transform'), 'Two.SVGStringRenderer applies transform attribute properly.');
+
+    shapes[1].fill = 'red';
+    virtual.update();
+
+    var doc = new DOMParser().parseFromString(virtual.renderer.toString(), 'image/svg+xml');
+
+    assert.equal(doc.documentElement.getAttribute('width'), '400', 'Two.SVGStringRenderer.toString writes the size of the renderer properly.');
+    assert.equal(doc.getElementById(shapes[1].id).getAttribute('fill'), 'red', 'Two.SVGStringRenderer updates attributes properly.');
+
+    virtual.remove(shapes[1]);
+    virtual.update();
+
+    assert.equal(virtual.renderer.toString().indexOf(shapes[1].id + '"'), -1, 'Two.SVGStringRenderer removes elements properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
 })();
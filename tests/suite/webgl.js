@@ -420,4 +420,430 @@
 
   });
 
+  QUnit.test('Tessellated Paths', function(assert) {
+
+    assert.expect(6);
+
+    var two = new Two({
+      type: Two.Types.webgl,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var gl = two.renderer.ctx;
+    var pixel = new window.Uint8Array(4);
+    var getAlpha = function(x, y) {
+      gl.readPixels(x, two.height - y - 1, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+      return pixel[3];
+    };
+
+    var path = new Two.Path([
+      new Two.Anchor(10, 10, 0, 0, 0, 0, Two.Commands.move),
+      new Two.Anchor(90, 10, 0, 0, 0, 0, Two.Commands.line),
+      new Two.Anchor(90, 90, 0, 0, 0, 0, Two.Commands.line),
+      new Two.Anchor(10, 90, 0, 0, 0, 0, Two.Commands.close),
+      new Two.Anchor(30, 30, 0, 0, 0, 0, Two.Commands.move),
+      new Two.Anchor(30, 70, 0, 0, 0, 0, Two.Commands.line),
+      new Two.Anchor(70, 70, 0, 0, 0, 0, Two.Commands.line),
+      new Two.Anchor(70, 30, 0, 0, 0, 0, Two.Commands.close)
+    ], false, false, true);
+
+    path.fill = '#ff0000';
+    path.noStroke();
+    two.add(path);
+
+    two.update();
+
+    assert.equal(getAlpha(20, 50), 255, 'Two.WebGLRenderer fills paths with triangles.');
+    assert.equal(getAlpha(50, 50), 0, 'Two.WebGLRenderer leaves holes of paths empty.');
+
+    two.clear();
+
+    // Two squares that overlap in the middle
+    path = new Two.Path([
+      new Two.Anchor(10, 10, 0, 0, 0, 0, Two.Commands.move),
+      new Two.Anchor(60, 10, 0, 0, 0, 0, Two.Commands.line),
+      new Two.Anchor(60, 60, 0, 0, 0, 0, Two.Commands.line),
+      new Two.Anchor(10, 60, 0, 0, 0, 0, Two.Commands.close),
+      new Two.Anchor(40, 40, 0, 0, 0, 0, Two.Commands.move),
+      new Two.Anchor(90, 40, 0, 0, 0, 0, Two.Commands.line),
+      new Two.Anchor(90, 90, 0, 0, 0, 0, Two.Commands.line),
+      new Two.Anchor(40, 90, 0, 0, 0, 0, Two.Commands.close)
+    ], false, false, true);
+
+    path.fill = '#ff0000';
+    path.noStroke();
+    path.fillRule = 'evenodd';
+    two.add(path);
+
+    two.update();
+
+    assert.ok(getAlpha(20, 20) === 255 && getAlpha(80, 80) === 255 && getAlpha(50, 50) === 0, 'Two.WebGLRenderer leaves areas that paths overlap empty with the evenodd fill rule.');
+
+    path.fillRule = 'nonzero';
+
+    two.update();
+
+    assert.equal(getAlpha(50, 50), 255, 'Two.WebGLRenderer fills areas that paths overlap with the nonzero fill rule.');
+
+    two.clear();
+
+    var line = two.makeLine(20, 50, 80, 50);
+    line.linewidth = 20;
+    line.cap = 'round';
+
+    two.update();
+
+    assert.ok(getAlpha(85, 50) > 0 && getAlpha(50, 45) > 0 && getAlpha(50, 65) === 0, 'Two.WebGLRenderer extrudes strokes with their caps.');
+
+    line.remove();
+    var circle = two.makeCircle(50, 50, 2);
+    circle.noStroke();
+
+    two.update();
+
+    two.scene.scale = 16;
+    two.scene.translation.set(- 750, - 750);
+
+    two.update();
+
+    assert.equal(getAlpha(78, 61), 255, 'Two.WebGLRenderer triangulates paths again when they are magnified.');
+
+  });
+
+  QUnit.test('Tessellating Large Paths', function(assert) {
+
+    assert.expect(3);
+
+    var two = new Two({
+      type: Two.Types.webgl,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var gl = two.renderer.ctx;
+    var pixel = new window.Uint8Array(4);
+    var amount = 3000;
+    var star = [];
+    var spiral = [];
+
+    for (var i = 0; i < amount; i++) {
+      var pct = i / amount;
+      var theta = pct * Math.PI * 2;
+      var radius = i % 2 ? 25 : 50;
+      star.push(new Two.Anchor(50 + radius * Math.cos(theta),
+        50 + radius * Math.sin(theta), 0, 0, 0, 0, Two.Commands.line));
+      theta *= 8;
+      radius = 5 + 40 * pct;
+      spiral.push(new Two.Anchor(50 + radius * Math.cos(theta),
+        50 + radius * Math.sin(theta), 0, 0, 0, 0, Two.Commands.line));
+    }
+
+    var path = new Two.Path(star, true, false, true);
+    path.fill = '#ff0000';
+    path.noStroke();
+    two.add(path);
+
+    var start = Date.now();
+    two.update();
+
+    assert.ok(Date.now() - start < 1000, 'Two.WebGLRenderer triangulates fills with thousands of vertices quickly.');
+
+    gl.readPixels(50, 49, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+    assert.equal(pixel[3], 255, 'Two.WebGLRenderer fills paths with thousands of vertices.');
+
+    path.remove();
+
+    path = new Two.Path(spiral, false, false, true);
+    path.noFill();
+    path.linewidth = 2;
+    two.add(path);
+
+    start = Date.now();
+    two.update();
+
+    assert.ok(Date.now() - start < 1000, 'Two.WebGLRenderer triangulates strokes with thousands of vertices quickly.');
+
+  });
+
+  QUnit.test('Batching', function(assert) {
+
+    assert.expect(4);
+
+    var two = new Two({
+      type: Two.Types.webgl,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var gl = two.renderer.ctx;
+    var pixel = new window.Uint8Array(4);
+
+    var circle = two.makeCircle(5, 5, 4);
+    circle.fill = '#ff0000';
+    circle.noStroke();
+
+    for (var i = 1; i < 100; i++) {
+      var clone = circle.clone(two.scene);
+      clone.translation.set(5 + (i % 10) * 10, 5 + Math.floor(i / 10) * 10);
+    }
+
+    var rectangle = two.makeRectangle(50, 50, 10, 10);
+    rectangle.fill = '#0000ff';
+    rectangle.noStroke();
+
+    two.update();
+
+    var stats = two.renderer.stats;
+
+    assert.equal(stats.batched + stats.instanced, 101, 'Two.WebGLRenderer.stats counts every shape drawn.');
+    assert.ok(stats.drawCalls <= 2, 'Two.WebGLRenderer draws shapes with solid colors in batches.');
+    assert.ok(!gl.getExtension('ANGLE_instanced_arrays') || stats.instanced === 100, 'Two.WebGLRenderer draws consecutive clones instanced.');
+
+    gl.readPixels(95, two.height - 95 - 1, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+    assert.ok(pixel[0] === 255 && pixel[3] === 255, 'Two.WebGLRenderer draws the batched shapes in place.');
+
+  });
+
+  QUnit.test('Blend Modes', function(assert) {
+
+    assert.expect(3);
+
+    var two = new Two({
+      type: Two.Types.webgl,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var gl = two.renderer.ctx;
+    var pixel = new window.Uint8Array(4);
+
+    var getPixel = function(x, y) {
+      gl.readPixels(x, two.height - y - 1, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+      return Array.prototype.slice.call(pixel);
+    };
+
+    var background = two.makeRectangle(50, 50, 100, 100);
+    background.fill = '#ff0000';
+    background.noStroke();
+
+    var rectangle = two.makeRectangle(25, 25, 50, 50);
+    rectangle.fill = '#00ff00';
+    rectangle.noStroke();
+    rectangle.blending = 'add';
+
+    var square = two.makeRectangle(25, 75, 50, 50);
+    square.fill = '#ffffff';
+    square.noStroke();
+    square.blending = 'difference';
+
+    // Overlapping children of a group blend with the
+    // background once, not with each other.
+    var a = two.makeRectangle(75, 50, 50, 100);
+    var b = two.makeRectangle(75, 50, 50, 100);
+    a.fill = b.fill = '#808080';
+    a.noStroke();
+    b.noStroke();
+
+    var group = two.makeGroup(a, b);
+    group.blending = 'multiply';
+
+    two.update();
+
+    assert.deepEqual(getPixel(10, 10), [255, 255, 0, 255], 'Two.WebGLRenderer applies blend functions to paths properly.');
+    assert.deepEqual(getPixel(10, 90), [0, 255, 255, 255], 'Two.WebGLRenderer applies blend modes with shaders properly.');
+    assert.ok(Math.abs(getPixel(90, 50)[0] - 128) <= 1 && pixel[1] === 0, 'Two.WebGLRenderer composites groups with blend modes as a whole.');
+
+  });
+
+  QUnit.test('Filters', function(assert) {
+
+    assert.expect(3);
+
+    var two = new Two({
+      type: Two.Types.webgl,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var gl = two.renderer.ctx;
+    var pixel = new window.Uint8Array(4);
+
+    var getPixel = function(x, y) {
+      gl.readPixels(x, two.height - y - 1, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+      return Array.prototype.slice.call(pixel);
+    };
+
+    // Swaps the red and blue channels
+    var swap = new Two.Filters.ColorMatrix([
+      0, 0, 1, 0, 0,
+      0, 1, 0, 0, 0,
+      1, 0, 0, 0, 0,
+      0, 0, 0, 1, 0
+    ]);
+
+    var rectangle = two.makeRectangle(25, 25, 20, 20);
+    rectangle.fill = '#ff0000';
+    rectangle.noStroke();
+    rectangle.filters = [new Two.Filters.DropShadow(20, 20, 0, '#000000')];
+
+    var square = two.makeRectangle(75, 75, 20, 20);
+    square.fill = '#ff0000';
+    square.noStroke();
+    square.filters = [swap];
+
+    two.update();
+
+    assert.deepEqual(getPixel(25, 25), [255, 0, 0, 255], 'Two.WebGLRenderer draws shapes with drop shadows properly.');
+    assert.deepEqual(getPixel(50, 50), [0, 0, 0, 255], 'Two.WebGLRenderer applies drop shadows properly.');
+    assert.deepEqual(getPixel(75, 75), [0, 0, 255, 255], 'Two.WebGLRenderer applies color matrices properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Patterns', function(assert) {
+
+    assert.expect(3);
+
+    var two = new Two({
+      type: Two.Types.webgl,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var gl = two.renderer.ctx;
+    var pixel = new window.Uint8Array(4);
+
+    var getPixel = function(x, y) {
+      gl.readPixels(x, two.height - y - 1, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+      return Array.prototype.slice.call(pixel);
+    };
+
+    // The left half of each tile is red
+    var stripe = new Two.Rectangle(5, 10, 10, 20);
+    stripe.fill = '#ff0000';
+    stripe.noStroke();
+
+    var rectangle = two.makeRectangle(50, 50, 40, 40);
+    rectangle.fill = new Two.Pattern(20, 20, [stripe]);
+    rectangle.noStroke();
+
+    two.update();
+
+    assert.deepEqual(getPixel(35, 50), [255, 0, 0, 255], 'Two.WebGLRenderer fills shapes with patterns properly.');
+    assert.deepEqual(getPixel(45, 50), [0, 0, 0, 0], 'Two.WebGLRenderer tiles patterns properly.');
+
+    rectangle.fill.offset.x = 10;
+    two.update();
+
+    assert.deepEqual(getPixel(35, 50), [0, 0, 0, 0], 'Two.WebGLRenderer updates patterns properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+
+  QUnit.test('Masks', function(assert) {
+
+    assert.expect(5);
+
+    var two = new Two({
+      type: Two.Types.webgl,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var gl = two.renderer.ctx;
+    var pixel = new window.Uint8Array(4);
+
+    var getPixel = function(x, y) {
+      gl.readPixels(x, two.height - y - 1, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+      return Array.prototype.slice.call(pixel);
+    };
+
+    var rectangle = two.makeRectangle(50, 50, 80, 80);
+    rectangle.fill = '#ff0000';
+    rectangle.noStroke();
+    rectangle.mask = new Two.Group([new Two.Circle(-20, 0, 10), new Two.Circle(20, 0, 10)]);
+
+    two.update();
+
+    assert.deepEqual([getPixel(30, 50), getPixel(70, 50)], [[255, 0, 0, 255], [255, 0, 0, 255]], 'Two.WebGLRenderer clips shapes with groups properly.');
+    assert.deepEqual(getPixel(50, 50), [0, 0, 0, 0], 'Two.WebGLRenderer clips shapes to the children of groups only.');
+
+    // White on the left, black on the right
+    var white = new Two.Rectangle(-20, 0, 40, 80);
+    var black = new Two.Rectangle(20, 0, 40, 80);
+
+    white.fill = '#ffffff';
+    black.fill = '#000000';
+    white.noStroke();
+    black.noStroke();
+
+    rectangle.mask = new Two.Mask([white, black]);
+    two.update();
+
+    assert.deepEqual(getPixel(30, 50), [255, 0, 0, 255], 'Two.WebGLRenderer applies masks properly.');
+    assert.deepEqual(getPixel(70, 50), [0, 0, 0, 0], 'Two.WebGLRenderer hides shapes by the luminance of masks properly.');
+
+    rectangle.mask.mode = 'alpha';
+    two.update();
+
+    assert.deepEqual(getPixel(70, 50), [255, 0, 0, 255], 'Two.WebGLRenderer hides shapes by the alpha of masks properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
+  QUnit.test('Markers', function(assert) {
+
+    assert.expect(3);
+
+    var two = new Two({
+      type: Two.Types.webgl,
+      width: 100,
+      height: 100,
+      ratio: 1
+    });
+
+    var gl = two.renderer.ctx;
+    var pixel = new window.Uint8Array(4);
+
+    var getPixel = function(x, y) {
+      gl.readPixels(x, two.height - y - 1, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+      return Array.prototype.slice.call(pixel);
+    };
+
+    // A square marker, 4 times the width of the line
+    var square = new Two.Rectangle(2, 0, 4, 4);
+    square.fill = '#ff0000';
+    square.noStroke();
+
+    var line = two.makeLine(20, 50, 80, 50);
+    line.stroke = '#0000ff';
+    line.linewidth = 2;
+    line.markers = { end: new Two.Marker([square]) };
+
+    two.update();
+
+    assert.deepEqual(getPixel(84, 50), [255, 0, 0, 255], 'Two.WebGLRenderer draws markers at the end of paths properly.');
+    assert.deepEqual(getPixel(87, 53), [255, 0, 0, 255], 'Two.WebGLRenderer scales markers by the linewidth of paths properly.');
+
+    line.vertices[1].set(50, 80);
+    two.update();
+
+    assert.deepEqual(getPixel(50, 84), [255, 0, 0, 255], 'Two.WebGLRenderer orients markers along paths properly.');
+
+    QUnit.Utils.addInstanceToTest(assert.test, two);
+
+  });
+
 })();
@@ -7,6 +7,9 @@ var sourceFiles = [
   'src/renderers/svg.js',
   'src/renderers/canvas.js',
   'src/renderers/webgl.js',
+  'src/renderers/pdf.js',
+  'src/renderers/svg-string.js',
+  'src/utils/svg-element.js',
   'src/shape.js',
   'src/path.js',
   'src/shapes/line.js',
@@ -26,7 +29,19 @@ var sourceFiles = [
   'src/effects/texture.js',
   'src/effects/sprite.js',
   'src/effects/image-sequence.js',
-  'src/group.js'
+  'src/effects/filter.js',
+  'src/effects/filters/blur.js',
+  'src/effects/filters/drop-shadow.js',
+  'src/effects/filters/color-matrix.js',
+  'src/effects/pattern.js',
+  'src/effects/mask.js',
+  'src/effects/marker.js',
+  'src/group.js',
+  'src/pointer.js',
+  'src/tween.js',
+  'src/timeline.js',
+  'src/utils/hit-test.js',
+  'src/utils/from-object.js'
 ];
 
 if (typeof module != 'undefined' && module.exports) {